@@ -31,6 +31,7 @@ END $$;
 -- Drop views
 DROP VIEW IF EXISTS global_stats_view CASCADE;
 DROP VIEW IF EXISTS bigram_stats_view CASCADE;
+DROP VIEW IF EXISTS ngram_stats_view CASCADE;
 DROP VIEW IF EXISTS user_stats_view CASCADE;
 DROP VIEW IF EXISTS finger_stats_view CASCADE;
 DROP VIEW IF EXISTS finger_transition_stats_view CASCADE;
@@ -47,18 +48,24 @@ DROP VIEW IF EXISTS row_performance_view CASCADE;
 DROP VIEW IF EXISTS typing_patterns_view CASCADE;
 DROP VIEW IF EXISTS time_patterns_view CASCADE;
 DROP VIEW IF EXISTS speed_by_type_view CASCADE;
+DROP VIEW IF EXISTS language_stats_view CASCADE;
+DROP VIEW IF EXISTS language_bigram_stats_view CASCADE;
+DROP VIEW IF EXISTS language_histograms_view CASCADE;
 
 -- Drop functions
 DROP FUNCTION IF EXISTS process_keystroke_session(UUID) CASCADE;
 DROP FUNCTION IF EXISTS process_on_insert() CASCADE;
 DROP FUNCTION IF EXISTS update_running_stat(TEXT, TEXT, DECIMAL, INTEGER) CASCADE;
 DROP FUNCTION IF EXISTS update_running_stat_with_accuracy(TEXT, TEXT, DECIMAL, INTEGER, INTEGER) CASCADE;
+DROP FUNCTION IF EXISTS update_running_accuracy(TEXT, TEXT, INTEGER, INTEGER) CASCADE;
 DROP FUNCTION IF EXISTS update_histogram(TEXT, DECIMAL, DECIMAL) CASCADE;
 DROP FUNCTION IF EXISTS cleanup_old_sessions(INTEGER) CASCADE;
 DROP FUNCTION IF EXISTS cleanup_sessions_by_count(INTEGER) CASCADE;
 DROP FUNCTION IF EXISTS get_percentile_from_histogram(TEXT, DECIMAL) CASCADE;
 DROP FUNCTION IF EXISTS get_global_stats_json() CASCADE;
 DROP FUNCTION IF EXISTS get_finger(TEXT) CASCADE;
+DROP FUNCTION IF EXISTS get_finger(TEXT, TEXT) CASCADE;
+DROP FUNCTION IF EXISTS get_key_row(TEXT, TEXT) CASCADE;
 DROP FUNCTION IF EXISTS validate_session_data() CASCADE;
 DROP FUNCTION IF EXISTS process_all_stats() CASCADE;
 DROP FUNCTION IF EXISTS process_global_stats() CASCADE;
@@ -89,46 +96,205 @@ DROP TABLE IF EXISTS key_finger_map CASCADE;
 -- ============================================================
 
 CREATE TABLE key_finger_map (
-  key_char TEXT PRIMARY KEY,
-  finger TEXT NOT NULL  -- 'L-pinky', 'L-ring', 'L-middle', 'L-index', 'R-index', 'R-middle', 'R-ring', 'R-pinky', 'thumb'
+  layout TEXT NOT NULL DEFAULT 'qwerty',  -- layout id, see src/layouts.js
+  key_char TEXT NOT NULL,
+  finger TEXT NOT NULL,  -- 'L-pinky', 'L-ring', 'L-middle', 'L-index', 'R-index', 'R-middle', 'R-ring', 'R-pinky', 'thumb'
+  key_row TEXT NOT NULL,  -- 'number', 'top', 'home', 'bottom', 'space'
+  PRIMARY KEY (layout, key_char)
 );
 
--- Populate the mapping (QWERTY layout)
-INSERT INTO key_finger_map (key_char, finger) VALUES
-  -- Left pinky
-  ('`', 'L-pinky'), ('1', 'L-pinky'), ('q', 'L-pinky'), ('a', 'L-pinky'), ('z', 'L-pinky'),
-  ('~', 'L-pinky'), ('!', 'L-pinky'), ('Q', 'L-pinky'), ('A', 'L-pinky'), ('Z', 'L-pinky'),
-  -- Left ring
-  ('2', 'L-ring'), ('w', 'L-ring'), ('s', 'L-ring'), ('x', 'L-ring'),
-  ('@', 'L-ring'), ('W', 'L-ring'), ('S', 'L-ring'), ('X', 'L-ring'),
-  -- Left middle
-  ('3', 'L-middle'), ('e', 'L-middle'), ('d', 'L-middle'), ('c', 'L-middle'),
-  ('#', 'L-middle'), ('E', 'L-middle'), ('D', 'L-middle'), ('C', 'L-middle'),
-  -- Left index
-  ('4', 'L-index'), ('5', 'L-index'), ('r', 'L-index'), ('t', 'L-index'),
-  ('f', 'L-index'), ('g', 'L-index'), ('v', 'L-index'), ('b', 'L-index'),
-  ('$', 'L-index'), ('%', 'L-index'), ('R', 'L-index'), ('T', 'L-index'),
-  ('F', 'L-index'), ('G', 'L-index'), ('V', 'L-index'), ('B', 'L-index'),
-  -- Right index
-  ('6', 'R-index'), ('7', 'R-index'), ('y', 'R-index'), ('u', 'R-index'),
-  ('h', 'R-index'), ('j', 'R-index'), ('n', 'R-index'), ('m', 'R-index'),
-  ('^', 'R-index'), ('&', 'R-index'), ('Y', 'R-index'), ('U', 'R-index'),
-  ('H', 'R-index'), ('J', 'R-index'), ('N', 'R-index'), ('M', 'R-index'),
-  -- Right middle
-  ('8', 'R-middle'), ('i', 'R-middle'), ('k', 'R-middle'), (',', 'R-middle'),
-  ('*', 'R-middle'), ('I', 'R-middle'), ('K', 'R-middle'), ('<', 'R-middle'),
-  -- Right ring
-  ('9', 'R-ring'), ('o', 'R-ring'), ('l', 'R-ring'), ('.', 'R-ring'),
-  ('(', 'R-ring'), ('O', 'R-ring'), ('L', 'R-ring'), ('>', 'R-ring'),
-  -- Right pinky
-  ('0', 'R-pinky'), ('-', 'R-pinky'), ('=', 'R-pinky'), ('p', 'R-pinky'),
-  ('[', 'R-pinky'), (']', 'R-pinky'), (E'\\', 'R-pinky'), (';', 'R-pinky'),
-  ('''', 'R-pinky'), ('/', 'R-pinky'),
-  (')', 'R-pinky'), ('_', 'R-pinky'), ('+', 'R-pinky'), ('P', 'R-pinky'),
-  ('{', 'R-pinky'), ('}', 'R-pinky'), ('|', 'R-pinky'), (':', 'R-pinky'),
-  ('"', 'R-pinky'), ('?', 'R-pinky'),
-  -- Thumbs (space)
-  (' ', 'thumb');
+-- Populate the mapping for every layout in src/layouts.js (base and shifted
+-- characters). Keep in sync when a layout is added or changed there.
+INSERT INTO key_finger_map (layout, key_char, finger, key_row) VALUES
+  -- QWERTY
+  ('qwerty', '`', 'L-pinky', 'number'), ('qwerty', '~', 'L-pinky', 'number'), ('qwerty', '1', 'L-pinky', 'number'), ('qwerty', '!', 'L-pinky', 'number'),
+  ('qwerty', '2', 'L-ring', 'number'), ('qwerty', '@', 'L-ring', 'number'), ('qwerty', '3', 'L-middle', 'number'), ('qwerty', '#', 'L-middle', 'number'),
+  ('qwerty', '4', 'L-index', 'number'), ('qwerty', '$', 'L-index', 'number'), ('qwerty', '5', 'L-index', 'number'), ('qwerty', '%', 'L-index', 'number'),
+  ('qwerty', '6', 'R-index', 'number'), ('qwerty', '^', 'R-index', 'number'), ('qwerty', '7', 'R-index', 'number'), ('qwerty', '&', 'R-index', 'number'),
+  ('qwerty', '8', 'R-middle', 'number'), ('qwerty', '*', 'R-middle', 'number'), ('qwerty', '9', 'R-ring', 'number'), ('qwerty', '(', 'R-ring', 'number'),
+  ('qwerty', '0', 'R-pinky', 'number'), ('qwerty', ')', 'R-pinky', 'number'), ('qwerty', '-', 'R-pinky', 'number'), ('qwerty', '_', 'R-pinky', 'number'),
+  ('qwerty', '=', 'R-pinky', 'number'), ('qwerty', '+', 'R-pinky', 'number'),
+  ('qwerty', 'q', 'L-pinky', 'top'), ('qwerty', 'Q', 'L-pinky', 'top'), ('qwerty', 'w', 'L-ring', 'top'), ('qwerty', 'W', 'L-ring', 'top'),
+  ('qwerty', 'e', 'L-middle', 'top'), ('qwerty', 'E', 'L-middle', 'top'), ('qwerty', 'r', 'L-index', 'top'), ('qwerty', 'R', 'L-index', 'top'),
+  ('qwerty', 't', 'L-index', 'top'), ('qwerty', 'T', 'L-index', 'top'), ('qwerty', 'y', 'R-index', 'top'), ('qwerty', 'Y', 'R-index', 'top'),
+  ('qwerty', 'u', 'R-index', 'top'), ('qwerty', 'U', 'R-index', 'top'), ('qwerty', 'i', 'R-middle', 'top'), ('qwerty', 'I', 'R-middle', 'top'),
+  ('qwerty', 'o', 'R-ring', 'top'), ('qwerty', 'O', 'R-ring', 'top'), ('qwerty', 'p', 'R-pinky', 'top'), ('qwerty', 'P', 'R-pinky', 'top'),
+  ('qwerty', '[', 'R-pinky', 'top'), ('qwerty', '{', 'R-pinky', 'top'), ('qwerty', ']', 'R-pinky', 'top'), ('qwerty', '}', 'R-pinky', 'top'),
+  ('qwerty', E'\\', 'R-pinky', 'top'), ('qwerty', '|', 'R-pinky', 'top'),
+  ('qwerty', 'a', 'L-pinky', 'home'), ('qwerty', 'A', 'L-pinky', 'home'), ('qwerty', 's', 'L-ring', 'home'), ('qwerty', 'S', 'L-ring', 'home'),
+  ('qwerty', 'd', 'L-middle', 'home'), ('qwerty', 'D', 'L-middle', 'home'), ('qwerty', 'f', 'L-index', 'home'), ('qwerty', 'F', 'L-index', 'home'),
+  ('qwerty', 'g', 'L-index', 'home'), ('qwerty', 'G', 'L-index', 'home'), ('qwerty', 'h', 'R-index', 'home'), ('qwerty', 'H', 'R-index', 'home'),
+  ('qwerty', 'j', 'R-index', 'home'), ('qwerty', 'J', 'R-index', 'home'), ('qwerty', 'k', 'R-middle', 'home'), ('qwerty', 'K', 'R-middle', 'home'),
+  ('qwerty', 'l', 'R-ring', 'home'), ('qwerty', 'L', 'R-ring', 'home'), ('qwerty', ';', 'R-pinky', 'home'), ('qwerty', ':', 'R-pinky', 'home'),
+  ('qwerty', '''', 'R-pinky', 'home'), ('qwerty', '"', 'R-pinky', 'home'),
+  ('qwerty', 'z', 'L-pinky', 'bottom'), ('qwerty', 'Z', 'L-pinky', 'bottom'), ('qwerty', 'x', 'L-ring', 'bottom'), ('qwerty', 'X', 'L-ring', 'bottom'),
+  ('qwerty', 'c', 'L-middle', 'bottom'), ('qwerty', 'C', 'L-middle', 'bottom'), ('qwerty', 'v', 'L-index', 'bottom'), ('qwerty', 'V', 'L-index', 'bottom'),
+  ('qwerty', 'b', 'L-index', 'bottom'), ('qwerty', 'B', 'L-index', 'bottom'), ('qwerty', 'n', 'R-index', 'bottom'), ('qwerty', 'N', 'R-index', 'bottom'),
+  ('qwerty', 'm', 'R-index', 'bottom'), ('qwerty', 'M', 'R-index', 'bottom'), ('qwerty', ',', 'R-middle', 'bottom'), ('qwerty', '<', 'R-middle', 'bottom'),
+  ('qwerty', '.', 'R-ring', 'bottom'), ('qwerty', '>', 'R-ring', 'bottom'), ('qwerty', '/', 'R-pinky', 'bottom'), ('qwerty', '?', 'R-pinky', 'bottom'),
+  ('qwerty', ' ', 'thumb', 'space'),
+  -- Dvorak
+  ('dvorak', '`', 'L-pinky', 'number'), ('dvorak', '~', 'L-pinky', 'number'), ('dvorak', '1', 'L-pinky', 'number'), ('dvorak', '!', 'L-pinky', 'number'),
+  ('dvorak', '2', 'L-ring', 'number'), ('dvorak', '@', 'L-ring', 'number'), ('dvorak', '3', 'L-middle', 'number'), ('dvorak', '#', 'L-middle', 'number'),
+  ('dvorak', '4', 'L-index', 'number'), ('dvorak', '$', 'L-index', 'number'), ('dvorak', '5', 'L-index', 'number'), ('dvorak', '%', 'L-index', 'number'),
+  ('dvorak', '6', 'R-index', 'number'), ('dvorak', '^', 'R-index', 'number'), ('dvorak', '7', 'R-index', 'number'), ('dvorak', '&', 'R-index', 'number'),
+  ('dvorak', '8', 'R-middle', 'number'), ('dvorak', '*', 'R-middle', 'number'), ('dvorak', '9', 'R-ring', 'number'), ('dvorak', '(', 'R-ring', 'number'),
+  ('dvorak', '0', 'R-pinky', 'number'), ('dvorak', ')', 'R-pinky', 'number'), ('dvorak', '[', 'R-pinky', 'number'), ('dvorak', '{', 'R-pinky', 'number'),
+  ('dvorak', ']', 'R-pinky', 'number'), ('dvorak', '}', 'R-pinky', 'number'),
+  ('dvorak', '''', 'L-pinky', 'top'), ('dvorak', '"', 'L-pinky', 'top'), ('dvorak', ',', 'L-ring', 'top'), ('dvorak', '<', 'L-ring', 'top'),
+  ('dvorak', '.', 'L-middle', 'top'), ('dvorak', '>', 'L-middle', 'top'), ('dvorak', 'p', 'L-index', 'top'), ('dvorak', 'P', 'L-index', 'top'),
+  ('dvorak', 'y', 'L-index', 'top'), ('dvorak', 'Y', 'L-index', 'top'), ('dvorak', 'f', 'R-index', 'top'), ('dvorak', 'F', 'R-index', 'top'),
+  ('dvorak', 'g', 'R-index', 'top'), ('dvorak', 'G', 'R-index', 'top'), ('dvorak', 'c', 'R-middle', 'top'), ('dvorak', 'C', 'R-middle', 'top'),
+  ('dvorak', 'r', 'R-ring', 'top'), ('dvorak', 'R', 'R-ring', 'top'), ('dvorak', 'l', 'R-pinky', 'top'), ('dvorak', 'L', 'R-pinky', 'top'),
+  ('dvorak', '/', 'R-pinky', 'top'), ('dvorak', '?', 'R-pinky', 'top'), ('dvorak', '=', 'R-pinky', 'top'), ('dvorak', '+', 'R-pinky', 'top'),
+  ('dvorak', E'\\', 'R-pinky', 'top'), ('dvorak', '|', 'R-pinky', 'top'),
+  ('dvorak', 'a', 'L-pinky', 'home'), ('dvorak', 'A', 'L-pinky', 'home'), ('dvorak', 'o', 'L-ring', 'home'), ('dvorak', 'O', 'L-ring', 'home'),
+  ('dvorak', 'e', 'L-middle', 'home'), ('dvorak', 'E', 'L-middle', 'home'), ('dvorak', 'u', 'L-index', 'home'), ('dvorak', 'U', 'L-index', 'home'),
+  ('dvorak', 'i', 'L-index', 'home'), ('dvorak', 'I', 'L-index', 'home'), ('dvorak', 'd', 'R-index', 'home'), ('dvorak', 'D', 'R-index', 'home'),
+  ('dvorak', 'h', 'R-index', 'home'), ('dvorak', 'H', 'R-index', 'home'), ('dvorak', 't', 'R-middle', 'home'), ('dvorak', 'T', 'R-middle', 'home'),
+  ('dvorak', 'n', 'R-ring', 'home'), ('dvorak', 'N', 'R-ring', 'home'), ('dvorak', 's', 'R-pinky', 'home'), ('dvorak', 'S', 'R-pinky', 'home'),
+  ('dvorak', '-', 'R-pinky', 'home'), ('dvorak', '_', 'R-pinky', 'home'),
+  ('dvorak', ';', 'L-pinky', 'bottom'), ('dvorak', ':', 'L-pinky', 'bottom'), ('dvorak', 'q', 'L-ring', 'bottom'), ('dvorak', 'Q', 'L-ring', 'bottom'),
+  ('dvorak', 'j', 'L-middle', 'bottom'), ('dvorak', 'J', 'L-middle', 'bottom'), ('dvorak', 'k', 'L-index', 'bottom'), ('dvorak', 'K', 'L-index', 'bottom'),
+  ('dvorak', 'x', 'L-index', 'bottom'), ('dvorak', 'X', 'L-index', 'bottom'), ('dvorak', 'b', 'R-index', 'bottom'), ('dvorak', 'B', 'R-index', 'bottom'),
+  ('dvorak', 'm', 'R-index', 'bottom'), ('dvorak', 'M', 'R-index', 'bottom'), ('dvorak', 'w', 'R-middle', 'bottom'), ('dvorak', 'W', 'R-middle', 'bottom'),
+  ('dvorak', 'v', 'R-ring', 'bottom'), ('dvorak', 'V', 'R-ring', 'bottom'), ('dvorak', 'z', 'R-pinky', 'bottom'), ('dvorak', 'Z', 'R-pinky', 'bottom'),
+  ('dvorak', ' ', 'thumb', 'space'),
+  -- Colemak
+  ('colemak', '`', 'L-pinky', 'number'), ('colemak', '~', 'L-pinky', 'number'), ('colemak', '1', 'L-pinky', 'number'), ('colemak', '!', 'L-pinky', 'number'),
+  ('colemak', '2', 'L-ring', 'number'), ('colemak', '@', 'L-ring', 'number'), ('colemak', '3', 'L-middle', 'number'), ('colemak', '#', 'L-middle', 'number'),
+  ('colemak', '4', 'L-index', 'number'), ('colemak', '$', 'L-index', 'number'), ('colemak', '5', 'L-index', 'number'), ('colemak', '%', 'L-index', 'number'),
+  ('colemak', '6', 'R-index', 'number'), ('colemak', '^', 'R-index', 'number'), ('colemak', '7', 'R-index', 'number'), ('colemak', '&', 'R-index', 'number'),
+  ('colemak', '8', 'R-middle', 'number'), ('colemak', '*', 'R-middle', 'number'), ('colemak', '9', 'R-ring', 'number'), ('colemak', '(', 'R-ring', 'number'),
+  ('colemak', '0', 'R-pinky', 'number'), ('colemak', ')', 'R-pinky', 'number'), ('colemak', '-', 'R-pinky', 'number'), ('colemak', '_', 'R-pinky', 'number'),
+  ('colemak', '=', 'R-pinky', 'number'), ('colemak', '+', 'R-pinky', 'number'),
+  ('colemak', 'q', 'L-pinky', 'top'), ('colemak', 'Q', 'L-pinky', 'top'), ('colemak', 'w', 'L-ring', 'top'), ('colemak', 'W', 'L-ring', 'top'),
+  ('colemak', 'f', 'L-middle', 'top'), ('colemak', 'F', 'L-middle', 'top'), ('colemak', 'p', 'L-index', 'top'), ('colemak', 'P', 'L-index', 'top'),
+  ('colemak', 'g', 'L-index', 'top'), ('colemak', 'G', 'L-index', 'top'), ('colemak', 'j', 'R-index', 'top'), ('colemak', 'J', 'R-index', 'top'),
+  ('colemak', 'l', 'R-index', 'top'), ('colemak', 'L', 'R-index', 'top'), ('colemak', 'u', 'R-middle', 'top'), ('colemak', 'U', 'R-middle', 'top'),
+  ('colemak', 'y', 'R-ring', 'top'), ('colemak', 'Y', 'R-ring', 'top'), ('colemak', ';', 'R-pinky', 'top'), ('colemak', ':', 'R-pinky', 'top'),
+  ('colemak', '[', 'R-pinky', 'top'), ('colemak', '{', 'R-pinky', 'top'), ('colemak', ']', 'R-pinky', 'top'), ('colemak', '}', 'R-pinky', 'top'),
+  ('colemak', E'\\', 'R-pinky', 'top'), ('colemak', '|', 'R-pinky', 'top'),
+  ('colemak', 'a', 'L-pinky', 'home'), ('colemak', 'A', 'L-pinky', 'home'), ('colemak', 'r', 'L-ring', 'home'), ('colemak', 'R', 'L-ring', 'home'),
+  ('colemak', 's', 'L-middle', 'home'), ('colemak', 'S', 'L-middle', 'home'), ('colemak', 't', 'L-index', 'home'), ('colemak', 'T', 'L-index', 'home'),
+  ('colemak', 'd', 'L-index', 'home'), ('colemak', 'D', 'L-index', 'home'), ('colemak', 'h', 'R-index', 'home'), ('colemak', 'H', 'R-index', 'home'),
+  ('colemak', 'n', 'R-index', 'home'), ('colemak', 'N', 'R-index', 'home'), ('colemak', 'e', 'R-middle', 'home'), ('colemak', 'E', 'R-middle', 'home'),
+  ('colemak', 'i', 'R-ring', 'home'), ('colemak', 'I', 'R-ring', 'home'), ('colemak', 'o', 'R-pinky', 'home'), ('colemak', 'O', 'R-pinky', 'home'),
+  ('colemak', '''', 'R-pinky', 'home'), ('colemak', '"', 'R-pinky', 'home'),
+  ('colemak', 'z', 'L-pinky', 'bottom'), ('colemak', 'Z', 'L-pinky', 'bottom'), ('colemak', 'x', 'L-ring', 'bottom'), ('colemak', 'X', 'L-ring', 'bottom'),
+  ('colemak', 'c', 'L-middle', 'bottom'), ('colemak', 'C', 'L-middle', 'bottom'), ('colemak', 'v', 'L-index', 'bottom'), ('colemak', 'V', 'L-index', 'bottom'),
+  ('colemak', 'b', 'L-index', 'bottom'), ('colemak', 'B', 'L-index', 'bottom'), ('colemak', 'k', 'R-index', 'bottom'), ('colemak', 'K', 'R-index', 'bottom'),
+  ('colemak', 'm', 'R-index', 'bottom'), ('colemak', 'M', 'R-index', 'bottom'), ('colemak', ',', 'R-middle', 'bottom'), ('colemak', '<', 'R-middle', 'bottom'),
+  ('colemak', '.', 'R-ring', 'bottom'), ('colemak', '>', 'R-ring', 'bottom'), ('colemak', '/', 'R-pinky', 'bottom'), ('colemak', '?', 'R-pinky', 'bottom'),
+  ('colemak', ' ', 'thumb', 'space'),
+  -- Colemak-DH
+  ('colemak-dh', '`', 'L-pinky', 'number'), ('colemak-dh', '~', 'L-pinky', 'number'), ('colemak-dh', '1', 'L-pinky', 'number'), ('colemak-dh', '!', 'L-pinky', 'number'),
+  ('colemak-dh', '2', 'L-ring', 'number'), ('colemak-dh', '@', 'L-ring', 'number'), ('colemak-dh', '3', 'L-middle', 'number'), ('colemak-dh', '#', 'L-middle', 'number'),
+  ('colemak-dh', '4', 'L-index', 'number'), ('colemak-dh', '$', 'L-index', 'number'), ('colemak-dh', '5', 'L-index', 'number'), ('colemak-dh', '%', 'L-index', 'number'),
+  ('colemak-dh', '6', 'R-index', 'number'), ('colemak-dh', '^', 'R-index', 'number'), ('colemak-dh', '7', 'R-index', 'number'), ('colemak-dh', '&', 'R-index', 'number'),
+  ('colemak-dh', '8', 'R-middle', 'number'), ('colemak-dh', '*', 'R-middle', 'number'), ('colemak-dh', '9', 'R-ring', 'number'), ('colemak-dh', '(', 'R-ring', 'number'),
+  ('colemak-dh', '0', 'R-pinky', 'number'), ('colemak-dh', ')', 'R-pinky', 'number'), ('colemak-dh', '-', 'R-pinky', 'number'), ('colemak-dh', '_', 'R-pinky', 'number'),
+  ('colemak-dh', '=', 'R-pinky', 'number'), ('colemak-dh', '+', 'R-pinky', 'number'),
+  ('colemak-dh', 'q', 'L-pinky', 'top'), ('colemak-dh', 'Q', 'L-pinky', 'top'), ('colemak-dh', 'w', 'L-ring', 'top'), ('colemak-dh', 'W', 'L-ring', 'top'),
+  ('colemak-dh', 'f', 'L-middle', 'top'), ('colemak-dh', 'F', 'L-middle', 'top'), ('colemak-dh', 'p', 'L-index', 'top'), ('colemak-dh', 'P', 'L-index', 'top'),
+  ('colemak-dh', 'b', 'L-index', 'top'), ('colemak-dh', 'B', 'L-index', 'top'), ('colemak-dh', 'j', 'R-index', 'top'), ('colemak-dh', 'J', 'R-index', 'top'),
+  ('colemak-dh', 'l', 'R-index', 'top'), ('colemak-dh', 'L', 'R-index', 'top'), ('colemak-dh', 'u', 'R-middle', 'top'), ('colemak-dh', 'U', 'R-middle', 'top'),
+  ('colemak-dh', 'y', 'R-ring', 'top'), ('colemak-dh', 'Y', 'R-ring', 'top'), ('colemak-dh', ';', 'R-pinky', 'top'), ('colemak-dh', ':', 'R-pinky', 'top'),
+  ('colemak-dh', '[', 'R-pinky', 'top'), ('colemak-dh', '{', 'R-pinky', 'top'), ('colemak-dh', ']', 'R-pinky', 'top'), ('colemak-dh', '}', 'R-pinky', 'top'),
+  ('colemak-dh', E'\\', 'R-pinky', 'top'), ('colemak-dh', '|', 'R-pinky', 'top'),
+  ('colemak-dh', 'a', 'L-pinky', 'home'), ('colemak-dh', 'A', 'L-pinky', 'home'), ('colemak-dh', 'r', 'L-ring', 'home'), ('colemak-dh', 'R', 'L-ring', 'home'),
+  ('colemak-dh', 's', 'L-middle', 'home'), ('colemak-dh', 'S', 'L-middle', 'home'), ('colemak-dh', 't', 'L-index', 'home'), ('colemak-dh', 'T', 'L-index', 'home'),
+  ('colemak-dh', 'g', 'L-index', 'home'), ('colemak-dh', 'G', 'L-index', 'home'), ('colemak-dh', 'm', 'R-index', 'home'), ('colemak-dh', 'M', 'R-index', 'home'),
+  ('colemak-dh', 'n', 'R-index', 'home'), ('colemak-dh', 'N', 'R-index', 'home'), ('colemak-dh', 'e', 'R-middle', 'home'), ('colemak-dh', 'E', 'R-middle', 'home'),
+  ('colemak-dh', 'i', 'R-ring', 'home'), ('colemak-dh', 'I', 'R-ring', 'home'), ('colemak-dh', 'o', 'R-pinky', 'home'), ('colemak-dh', 'O', 'R-pinky', 'home'),
+  ('colemak-dh', '''', 'R-pinky', 'home'), ('colemak-dh', '"', 'R-pinky', 'home'),
+  ('colemak-dh', 'z', 'L-pinky', 'bottom'), ('colemak-dh', 'Z', 'L-pinky', 'bottom'), ('colemak-dh', 'x', 'L-ring', 'bottom'), ('colemak-dh', 'X', 'L-ring', 'bottom'),
+  ('colemak-dh', 'c', 'L-middle', 'bottom'), ('colemak-dh', 'C', 'L-middle', 'bottom'), ('colemak-dh', 'd', 'L-index', 'bottom'), ('colemak-dh', 'D', 'L-index', 'bottom'),
+  ('colemak-dh', 'v', 'L-index', 'bottom'), ('colemak-dh', 'V', 'L-index', 'bottom'), ('colemak-dh', 'k', 'R-index', 'bottom'), ('colemak-dh', 'K', 'R-index', 'bottom'),
+  ('colemak-dh', 'h', 'R-index', 'bottom'), ('colemak-dh', 'H', 'R-index', 'bottom'), ('colemak-dh', ',', 'R-middle', 'bottom'), ('colemak-dh', '<', 'R-middle', 'bottom'),
+  ('colemak-dh', '.', 'R-ring', 'bottom'), ('colemak-dh', '>', 'R-ring', 'bottom'), ('colemak-dh', '/', 'R-pinky', 'bottom'), ('colemak-dh', '?', 'R-pinky', 'bottom'),
+  ('colemak-dh', ' ', 'thumb', 'space'),
+  -- Workman
+  ('workman', '`', 'L-pinky', 'number'), ('workman', '~', 'L-pinky', 'number'), ('workman', '1', 'L-pinky', 'number'), ('workman', '!', 'L-pinky', 'number'),
+  ('workman', '2', 'L-ring', 'number'), ('workman', '@', 'L-ring', 'number'), ('workman', '3', 'L-middle', 'number'), ('workman', '#', 'L-middle', 'number'),
+  ('workman', '4', 'L-index', 'number'), ('workman', '$', 'L-index', 'number'), ('workman', '5', 'L-index', 'number'), ('workman', '%', 'L-index', 'number'),
+  ('workman', '6', 'R-index', 'number'), ('workman', '^', 'R-index', 'number'), ('workman', '7', 'R-index', 'number'), ('workman', '&', 'R-index', 'number'),
+  ('workman', '8', 'R-middle', 'number'), ('workman', '*', 'R-middle', 'number'), ('workman', '9', 'R-ring', 'number'), ('workman', '(', 'R-ring', 'number'),
+  ('workman', '0', 'R-pinky', 'number'), ('workman', ')', 'R-pinky', 'number'), ('workman', '-', 'R-pinky', 'number'), ('workman', '_', 'R-pinky', 'number'),
+  ('workman', '=', 'R-pinky', 'number'), ('workman', '+', 'R-pinky', 'number'),
+  ('workman', 'q', 'L-pinky', 'top'), ('workman', 'Q', 'L-pinky', 'top'), ('workman', 'd', 'L-ring', 'top'), ('workman', 'D', 'L-ring', 'top'),
+  ('workman', 'r', 'L-middle', 'top'), ('workman', 'R', 'L-middle', 'top'), ('workman', 'w', 'L-index', 'top'), ('workman', 'W', 'L-index', 'top'),
+  ('workman', 'b', 'L-index', 'top'), ('workman', 'B', 'L-index', 'top'), ('workman', 'j', 'R-index', 'top'), ('workman', 'J', 'R-index', 'top'),
+  ('workman', 'f', 'R-index', 'top'), ('workman', 'F', 'R-index', 'top'), ('workman', 'u', 'R-middle', 'top'), ('workman', 'U', 'R-middle', 'top'),
+  ('workman', 'p', 'R-ring', 'top'), ('workman', 'P', 'R-ring', 'top'), ('workman', ';', 'R-pinky', 'top'), ('workman', ':', 'R-pinky', 'top'),
+  ('workman', '[', 'R-pinky', 'top'), ('workman', '{', 'R-pinky', 'top'), ('workman', ']', 'R-pinky', 'top'), ('workman', '}', 'R-pinky', 'top'),
+  ('workman', E'\\', 'R-pinky', 'top'), ('workman', '|', 'R-pinky', 'top'),
+  ('workman', 'a', 'L-pinky', 'home'), ('workman', 'A', 'L-pinky', 'home'), ('workman', 's', 'L-ring', 'home'), ('workman', 'S', 'L-ring', 'home'),
+  ('workman', 'h', 'L-middle', 'home'), ('workman', 'H', 'L-middle', 'home'), ('workman', 't', 'L-index', 'home'), ('workman', 'T', 'L-index', 'home'),
+  ('workman', 'g', 'L-index', 'home'), ('workman', 'G', 'L-index', 'home'), ('workman', 'y', 'R-index', 'home'), ('workman', 'Y', 'R-index', 'home'),
+  ('workman', 'n', 'R-index', 'home'), ('workman', 'N', 'R-index', 'home'), ('workman', 'e', 'R-middle', 'home'), ('workman', 'E', 'R-middle', 'home'),
+  ('workman', 'o', 'R-ring', 'home'), ('workman', 'O', 'R-ring', 'home'), ('workman', 'i', 'R-pinky', 'home'), ('workman', 'I', 'R-pinky', 'home'),
+  ('workman', '''', 'R-pinky', 'home'), ('workman', '"', 'R-pinky', 'home'),
+  ('workman', 'z', 'L-pinky', 'bottom'), ('workman', 'Z', 'L-pinky', 'bottom'), ('workman', 'x', 'L-ring', 'bottom'), ('workman', 'X', 'L-ring', 'bottom'),
+  ('workman', 'm', 'L-middle', 'bottom'), ('workman', 'M', 'L-middle', 'bottom'), ('workman', 'c', 'L-index', 'bottom'), ('workman', 'C', 'L-index', 'bottom'),
+  ('workman', 'v', 'L-index', 'bottom'), ('workman', 'V', 'L-index', 'bottom'), ('workman', 'k', 'R-index', 'bottom'), ('workman', 'K', 'R-index', 'bottom'),
+  ('workman', 'l', 'R-index', 'bottom'), ('workman', 'L', 'R-index', 'bottom'), ('workman', ',', 'R-middle', 'bottom'), ('workman', '<', 'R-middle', 'bottom'),
+  ('workman', '.', 'R-ring', 'bottom'), ('workman', '>', 'R-ring', 'bottom'), ('workman', '/', 'R-pinky', 'bottom'), ('workman', '?', 'R-pinky', 'bottom'),
+  ('workman', ' ', 'thumb', 'space'),
+  -- AZERTY
+  ('azerty', '²', 'L-pinky', 'number'), ('azerty', '&', 'L-pinky', 'number'), ('azerty', '1', 'L-pinky', 'number'), ('azerty', 'é', 'L-ring', 'number'),
+  ('azerty', '2', 'L-ring', 'number'), ('azerty', '"', 'L-middle', 'number'), ('azerty', '3', 'L-middle', 'number'), ('azerty', '''', 'L-index', 'number'),
+  ('azerty', '4', 'L-index', 'number'), ('azerty', '(', 'L-index', 'number'), ('azerty', '5', 'L-index', 'number'), ('azerty', '-', 'R-index', 'number'),
+  ('azerty', '6', 'R-index', 'number'), ('azerty', 'è', 'R-index', 'number'), ('azerty', '7', 'R-index', 'number'), ('azerty', '_', 'R-middle', 'number'),
+  ('azerty', '8', 'R-middle', 'number'), ('azerty', 'ç', 'R-ring', 'number'), ('azerty', '9', 'R-ring', 'number'), ('azerty', 'à', 'R-pinky', 'number'),
+  ('azerty', '0', 'R-pinky', 'number'), ('azerty', ')', 'R-pinky', 'number'), ('azerty', '°', 'R-pinky', 'number'), ('azerty', '=', 'R-pinky', 'number'),
+  ('azerty', '+', 'R-pinky', 'number'),
+  ('azerty', 'a', 'L-pinky', 'top'), ('azerty', 'A', 'L-pinky', 'top'), ('azerty', 'z', 'L-ring', 'top'), ('azerty', 'Z', 'L-ring', 'top'),
+  ('azerty', 'e', 'L-middle', 'top'), ('azerty', 'E', 'L-middle', 'top'), ('azerty', 'r', 'L-index', 'top'), ('azerty', 'R', 'L-index', 'top'),
+  ('azerty', 't', 'L-index', 'top'), ('azerty', 'T', 'L-index', 'top'), ('azerty', 'y', 'R-index', 'top'), ('azerty', 'Y', 'R-index', 'top'),
+  ('azerty', 'u', 'R-index', 'top'), ('azerty', 'U', 'R-index', 'top'), ('azerty', 'i', 'R-middle', 'top'), ('azerty', 'I', 'R-middle', 'top'),
+  ('azerty', 'o', 'R-ring', 'top'), ('azerty', 'O', 'R-ring', 'top'), ('azerty', 'p', 'R-pinky', 'top'), ('azerty', 'P', 'R-pinky', 'top'),
+  ('azerty', '^', 'R-pinky', 'top'), ('azerty', '¨', 'R-pinky', 'top'), ('azerty', '$', 'R-pinky', 'top'), ('azerty', '£', 'R-pinky', 'top'),
+  ('azerty', 'q', 'L-pinky', 'home'), ('azerty', 'Q', 'L-pinky', 'home'), ('azerty', 's', 'L-ring', 'home'), ('azerty', 'S', 'L-ring', 'home'),
+  ('azerty', 'd', 'L-middle', 'home'), ('azerty', 'D', 'L-middle', 'home'), ('azerty', 'f', 'L-index', 'home'), ('azerty', 'F', 'L-index', 'home'),
+  ('azerty', 'g', 'L-index', 'home'), ('azerty', 'G', 'L-index', 'home'), ('azerty', 'h', 'R-index', 'home'), ('azerty', 'H', 'R-index', 'home'),
+  ('azerty', 'j', 'R-index', 'home'), ('azerty', 'J', 'R-index', 'home'), ('azerty', 'k', 'R-middle', 'home'), ('azerty', 'K', 'R-middle', 'home'),
+  ('azerty', 'l', 'R-ring', 'home'), ('azerty', 'L', 'R-ring', 'home'), ('azerty', 'm', 'R-pinky', 'home'), ('azerty', 'M', 'R-pinky', 'home'),
+  ('azerty', 'ù', 'R-pinky', 'home'), ('azerty', '%', 'R-pinky', 'home'), ('azerty', '*', 'R-pinky', 'home'), ('azerty', 'µ', 'R-pinky', 'home'),
+  ('azerty', '<', 'L-pinky', 'bottom'), ('azerty', '>', 'L-pinky', 'bottom'), ('azerty', 'w', 'L-pinky', 'bottom'), ('azerty', 'W', 'L-pinky', 'bottom'),
+  ('azerty', 'x', 'L-ring', 'bottom'), ('azerty', 'X', 'L-ring', 'bottom'), ('azerty', 'c', 'L-middle', 'bottom'), ('azerty', 'C', 'L-middle', 'bottom'),
+  ('azerty', 'v', 'L-index', 'bottom'), ('azerty', 'V', 'L-index', 'bottom'), ('azerty', 'b', 'L-index', 'bottom'), ('azerty', 'B', 'L-index', 'bottom'),
+  ('azerty', 'n', 'R-index', 'bottom'), ('azerty', 'N', 'R-index', 'bottom'), ('azerty', ',', 'R-index', 'bottom'), ('azerty', '?', 'R-index', 'bottom'),
+  ('azerty', ';', 'R-middle', 'bottom'), ('azerty', '.', 'R-middle', 'bottom'), ('azerty', ':', 'R-ring', 'bottom'), ('azerty', '/', 'R-ring', 'bottom'),
+  ('azerty', '!', 'R-pinky', 'bottom'), ('azerty', '§', 'R-pinky', 'bottom'),
+  ('azerty', ' ', 'thumb', 'space'),
+  -- QWERTZ
+  ('qwertz', '^', 'L-pinky', 'number'), ('qwertz', '°', 'L-pinky', 'number'), ('qwertz', '1', 'L-pinky', 'number'), ('qwertz', '!', 'L-pinky', 'number'),
+  ('qwertz', '2', 'L-ring', 'number'), ('qwertz', '"', 'L-ring', 'number'), ('qwertz', '3', 'L-middle', 'number'), ('qwertz', '§', 'L-middle', 'number'),
+  ('qwertz', '4', 'L-index', 'number'), ('qwertz', '$', 'L-index', 'number'), ('qwertz', '5', 'L-index', 'number'), ('qwertz', '%', 'L-index', 'number'),
+  ('qwertz', '6', 'R-index', 'number'), ('qwertz', '&', 'R-index', 'number'), ('qwertz', '7', 'R-index', 'number'), ('qwertz', '/', 'R-index', 'number'),
+  ('qwertz', '8', 'R-middle', 'number'), ('qwertz', '(', 'R-middle', 'number'), ('qwertz', '9', 'R-ring', 'number'), ('qwertz', ')', 'R-ring', 'number'),
+  ('qwertz', '0', 'R-pinky', 'number'), ('qwertz', '=', 'R-pinky', 'number'), ('qwertz', 'ß', 'R-pinky', 'number'), ('qwertz', '?', 'R-pinky', 'number'),
+  ('qwertz', '´', 'R-pinky', 'number'), ('qwertz', '`', 'R-pinky', 'number'),
+  ('qwertz', 'q', 'L-pinky', 'top'), ('qwertz', 'Q', 'L-pinky', 'top'), ('qwertz', 'w', 'L-ring', 'top'), ('qwertz', 'W', 'L-ring', 'top'),
+  ('qwertz', 'e', 'L-middle', 'top'), ('qwertz', 'E', 'L-middle', 'top'), ('qwertz', 'r', 'L-index', 'top'), ('qwertz', 'R', 'L-index', 'top'),
+  ('qwertz', 't', 'L-index', 'top'), ('qwertz', 'T', 'L-index', 'top'), ('qwertz', 'z', 'R-index', 'top'), ('qwertz', 'Z', 'R-index', 'top'),
+  ('qwertz', 'u', 'R-index', 'top'), ('qwertz', 'U', 'R-index', 'top'), ('qwertz', 'i', 'R-middle', 'top'), ('qwertz', 'I', 'R-middle', 'top'),
+  ('qwertz', 'o', 'R-ring', 'top'), ('qwertz', 'O', 'R-ring', 'top'), ('qwertz', 'p', 'R-pinky', 'top'), ('qwertz', 'P', 'R-pinky', 'top'),
+  ('qwertz', 'ü', 'R-pinky', 'top'), ('qwertz', 'Ü', 'R-pinky', 'top'), ('qwertz', '+', 'R-pinky', 'top'), ('qwertz', '*', 'R-pinky', 'top'),
+  ('qwertz', 'a', 'L-pinky', 'home'), ('qwertz', 'A', 'L-pinky', 'home'), ('qwertz', 's', 'L-ring', 'home'), ('qwertz', 'S', 'L-ring', 'home'),
+  ('qwertz', 'd', 'L-middle', 'home'), ('qwertz', 'D', 'L-middle', 'home'), ('qwertz', 'f', 'L-index', 'home'), ('qwertz', 'F', 'L-index', 'home'),
+  ('qwertz', 'g', 'L-index', 'home'), ('qwertz', 'G', 'L-index', 'home'), ('qwertz', 'h', 'R-index', 'home'), ('qwertz', 'H', 'R-index', 'home'),
+  ('qwertz', 'j', 'R-index', 'home'), ('qwertz', 'J', 'R-index', 'home'), ('qwertz', 'k', 'R-middle', 'home'), ('qwertz', 'K', 'R-middle', 'home'),
+  ('qwertz', 'l', 'R-ring', 'home'), ('qwertz', 'L', 'R-ring', 'home'), ('qwertz', 'ö', 'R-pinky', 'home'), ('qwertz', 'Ö', 'R-pinky', 'home'),
+  ('qwertz', 'ä', 'R-pinky', 'home'), ('qwertz', 'Ä', 'R-pinky', 'home'), ('qwertz', '#', 'R-pinky', 'home'), ('qwertz', '''', 'R-pinky', 'home'),
+  ('qwertz', '<', 'L-pinky', 'bottom'), ('qwertz', '>', 'L-pinky', 'bottom'), ('qwertz', 'y', 'L-pinky', 'bottom'), ('qwertz', 'Y', 'L-pinky', 'bottom'),
+  ('qwertz', 'x', 'L-ring', 'bottom'), ('qwertz', 'X', 'L-ring', 'bottom'), ('qwertz', 'c', 'L-middle', 'bottom'), ('qwertz', 'C', 'L-middle', 'bottom'),
+  ('qwertz', 'v', 'L-index', 'bottom'), ('qwertz', 'V', 'L-index', 'bottom'), ('qwertz', 'b', 'L-index', 'bottom'), ('qwertz', 'B', 'L-index', 'bottom'),
+  ('qwertz', 'n', 'R-index', 'bottom'), ('qwertz', 'N', 'R-index', 'bottom'), ('qwertz', 'm', 'R-index', 'bottom'), ('qwertz', 'M', 'R-index', 'bottom'),
+  ('qwertz', ',', 'R-middle', 'bottom'), ('qwertz', ';', 'R-middle', 'bottom'), ('qwertz', '.', 'R-ring', 'bottom'), ('qwertz', ':', 'R-ring', 'bottom'),
+  ('qwertz', '-', 'R-pinky', 'bottom'), ('qwertz', '_', 'R-pinky', 'bottom'),
+  ('qwertz', ' ', 'thumb', 'space');
 
 -- ============================================================
 -- STEP 3: CREATE RUNNING STATS TABLE
@@ -136,7 +302,8 @@ INSERT INTO key_finger_map (key_char, finger) VALUES
 -- Categories: 'global', 'bigram', 'finger', 'finger_transition', 
 --             'behavioral', 'user', 'key', 'counts', 'lifetime',
 --             'records', 'error_confusion', 'accuracy_breakdown', 
---             'speed_breakdown', 'sessions'
+--             'speed_breakdown', 'sessions', 'language',
+--             'language_bigram', 'language_user', 'trigram', 'quadgram'
 -- ============================================================
 
 CREATE TABLE running_stats (
@@ -176,6 +343,8 @@ CREATE TABLE running_stats (
 );
 
 CREATE INDEX idx_running_stats_category ON running_stats(category);
+-- Case-insensitive lookups (bigrams of the n-gram view)
+CREATE INDEX idx_running_stats_lower_key ON running_stats(LOWER(stat_key));
 
 -- ============================================================
 -- STEP 4: CREATE KEYSTROKE SESSIONS TABLE (MINIMAL RAW DATA)
@@ -186,6 +355,8 @@ CREATE TABLE keystroke_sessions (
   user_id TEXT NOT NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   sentence_id INTEGER,
+  layout TEXT NOT NULL DEFAULT 'qwerty',  -- keyboard layout, see key_finger_map
+  language TEXT NOT NULL DEFAULT 'en',    -- prompt language (ISO 639-1), splits the 'lang:' stats
   
   -- The raw keystroke data - everything else is derived
   keystrokes JSONB NOT NULL,
@@ -274,6 +445,24 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Count an attempt towards a stat's accuracy without a timing sample
+-- (n-grams are only timed when typed cleanly, but every attempt counts)
+CREATE OR REPLACE FUNCTION update_running_accuracy(
+  p_stat_key TEXT,
+  p_category TEXT,
+  p_correct INTEGER,
+  p_total INTEGER
+) RETURNS void AS $$
+BEGIN
+  INSERT INTO running_stats (stat_key, category, correct_count, total_count, updated_at)
+  VALUES (p_stat_key, p_category, p_correct, p_total, NOW())
+  ON CONFLICT (stat_key) DO UPDATE SET
+    correct_count = running_stats.correct_count + p_correct,
+    total_count = running_stats.total_count + p_total,
+    updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql;
+
 -- Update histogram bucket
 CREATE OR REPLACE FUNCTION update_histogram(
   p_stat_key TEXT,
@@ -296,11 +485,19 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- Get finger for a key
-CREATE OR REPLACE FUNCTION get_finger(p_key TEXT)
+-- Get finger for a key on a layout
+CREATE OR REPLACE FUNCTION get_finger(p_key TEXT, p_layout TEXT DEFAULT 'qwerty')
+RETURNS TEXT AS $$
+BEGIN
+  RETURN (SELECT finger FROM key_finger_map WHERE layout = p_layout AND key_char = p_key LIMIT 1);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Get keyboard row ('number', 'top', 'home', 'bottom', 'space') for a key on a layout
+CREATE OR REPLACE FUNCTION get_key_row(p_key TEXT, p_layout TEXT DEFAULT 'qwerty')
 RETURNS TEXT AS $$
 BEGIN
-  RETURN (SELECT finger FROM key_finger_map WHERE key_char = p_key LIMIT 1);
+  RETURN (SELECT key_row FROM key_finger_map WHERE layout = p_layout AND key_char = p_key LIMIT 1);
 END;
 $$ LANGUAGE plpgsql STABLE;
 
@@ -337,6 +534,21 @@ DECLARE
   v_bigram_time DECIMAL;
   v_bigram_correct BOOLEAN;
   
+  -- For trigrams and 4-grams: the first attempts at the last (up to) 4
+  -- consecutive text positions since the last backspace, their correctness
+  -- and intervals (NULL when not timeable), and the furthest position typed
+  v_run_chars TEXT[] := '{}';
+  v_run_correct BOOLEAN[] := '{}';
+  v_run_times DECIMAL[] := '{}';
+  v_run_position INTEGER;
+  v_position INTEGER;
+  v_max_position INTEGER := -1;
+  v_run_len INTEGER;
+  v_ngram_size INTEGER;
+  v_ngram TEXT;
+  v_ngram_correct BOOLEAN;
+  v_ngram_time DECIMAL;
+  
   -- For fingers and keys
   v_finger TEXT;
   v_prev_finger TEXT;
@@ -443,6 +655,9 @@ DECLARE
   -- Current interval for reuse
   v_current_interval DECIMAL;
   
+  -- Stat key prefix for this session's language, e.g. 'lang:de:'
+  v_lang TEXT;
+  
 BEGIN
   -- Get the session
   SELECT * INTO session_rec FROM keystroke_sessions WHERE id = p_session_id;
@@ -451,6 +666,7 @@ BEGIN
   
   ks_arr := session_rec.keystrokes;
   ks_len := jsonb_array_length(ks_arr);
+  v_lang := 'lang:' || COALESCE(session_rec.language, 'en') || ':';
   
   IF ks_len = 0 THEN
     UPDATE keystroke_sessions SET processed = TRUE, processed_at = NOW() WHERE id = p_session_id;
@@ -479,6 +695,11 @@ BEGIN
       v_backspace_count := v_backspace_count + 1;
       v_current_streak := 0;
       v_prev_was_correct := FALSE;
+      -- A correction breaks every n-gram running through it
+      v_run_chars := '{}';
+      v_run_correct := '{}';
+      v_run_times := '{}';
+      v_run_position := NULL;
       CONTINUE;
     END IF;
     
@@ -621,6 +842,64 @@ BEGIN
         v_fastest_interval := LEAST(v_fastest_interval, v_current_interval);
         v_slowest_interval := GREATEST(v_slowest_interval, v_current_interval);
       END IF;
+      
+      -- === TRIGRAMS AND 4-GRAMS ===
+      -- Only the first attempt at each text position counts, as in the
+      -- client, and a run only grows by the next position: retyping after
+      -- a backspace never builds n-grams that aren't in the text. Every
+      -- first attempt counts towards accuracy; only runs typed without a
+      -- mistake are timed, from the first keypress to the last. Newlines
+      -- and tabs break a run. Keys are lowercased, as in the client.
+      -- Intervals are capped like the bigrams' (see v_current_interval).
+      v_position := (curr->>'position')::integer;
+      IF v_position IS NULL OR v_position <= v_max_position THEN
+        NULL;
+      ELSIF v_expected_char IN (E'\n', E'\t') THEN
+        v_max_position := v_position;
+        v_run_chars := '{}';
+        v_run_correct := '{}';
+        v_run_times := '{}';
+        v_run_position := NULL;
+      ELSE
+        v_max_position := v_position;
+        IF v_run_position IS NULL OR v_position <> v_run_position + 1 THEN
+          v_run_chars := '{}';
+          v_run_correct := '{}';
+          v_run_times := '{}';
+        END IF;
+        v_run_position := v_position;
+        v_run_chars := (v_run_chars || v_expected_char)[GREATEST(1, array_length(v_run_chars, 1) - 2):];
+        v_run_correct := (v_run_correct || (curr->>'correct')::boolean)[GREATEST(1, array_length(v_run_correct, 1) - 2):];
+        v_run_times := (v_run_times || v_current_interval)[GREATEST(1, array_length(v_run_times, 1) - 2):];
+        v_run_len := array_length(v_run_chars, 1);
+        
+        FOREACH v_ngram_size IN ARRAY ARRAY[3, 4] LOOP
+          IF v_run_len >= v_ngram_size THEN
+            v_ngram := LOWER(array_to_string(v_run_chars[(v_run_len - v_ngram_size + 1):v_run_len], ''));
+            v_ngram_correct := NOT (FALSE = ANY(v_run_correct[(v_run_len - v_ngram_size + 1):v_run_len]));
+            PERFORM update_running_accuracy(
+              CASE v_ngram_size WHEN 3 THEN 'trigram:' ELSE 'quadgram:' END || v_ngram,
+              CASE v_ngram_size WHEN 3 THEN 'trigram' ELSE 'quadgram' END,
+              CASE WHEN v_ngram_correct THEN 1 ELSE 0 END,
+              1
+            );
+            
+            -- Timed from the intervals of every key after the first
+            IF v_ngram_correct THEN
+              SELECT SUM(t) INTO v_ngram_time
+              FROM unnest(v_run_times[(v_run_len - v_ngram_size + 2):v_run_len]) AS t
+              HAVING COUNT(t) = v_ngram_size - 1;
+              IF v_ngram_time IS NOT NULL THEN
+                PERFORM update_running_stat(
+                  CASE v_ngram_size WHEN 3 THEN 'trigram:' ELSE 'quadgram:' END || v_ngram,
+                  CASE v_ngram_size WHEN 3 THEN 'trigram' ELSE 'quadgram' END,
+                  v_ngram_time
+                );
+              END IF;
+            END IF;
+          END IF;
+        END LOOP;
+      END IF;
     END IF;
     
     -- Collect intervals
@@ -652,7 +931,7 @@ BEGIN
     END IF;
     
     -- Finger stats with timing for hand balance
-    v_finger := get_finger(curr->>'expected');
+    v_finger := get_finger(curr->>'expected', session_rec.layout);
     IF v_finger IS NOT NULL THEN
       v_total_keys := v_total_keys + 1;
       
@@ -669,7 +948,7 @@ BEGIN
       END IF;
       
       -- Home row tracking with timing
-      IF curr->>'expected' IN ('a','s','d','f','g','h','j','k','l',';','A','S','D','F','G','H','J','K','L',':') THEN
+      IF get_key_row(curr->>'expected', session_rec.layout) = 'home' THEN
         v_home_row := v_home_row + 1;
         IF curr->>'interval' IS NOT NULL THEN
           v_home_row_time := v_home_row_time + (curr->>'interval')::decimal;
@@ -680,16 +959,16 @@ BEGIN
         END IF;
       END IF;
       
-      -- Top row tracking (qwertyuiop and their shifts)
-      IF curr->>'expected' IN ('q','w','e','r','t','y','u','i','o','p','Q','W','E','R','T','Y','U','I','O','P') THEN
+      -- Top row tracking
+      IF get_key_row(curr->>'expected', session_rec.layout) = 'top' THEN
         v_top_row_count := v_top_row_count + 1;
         IF curr->>'interval' IS NOT NULL THEN
           v_top_row_time := v_top_row_time + (curr->>'interval')::decimal;
         END IF;
       END IF;
       
-      -- Bottom row tracking (zxcvbnm and their shifts)
-      IF curr->>'expected' IN ('z','x','c','v','b','n','m','Z','X','C','V','B','N','M') THEN
+      -- Bottom row tracking
+      IF get_key_row(curr->>'expected', session_rec.layout) = 'bottom' THEN
         v_bottom_row_count := v_bottom_row_count + 1;
         IF curr->>'interval' IS NOT NULL THEN
           v_bottom_row_time := v_bottom_row_time + (curr->>'interval')::decimal;
@@ -738,7 +1017,7 @@ BEGIN
       -- Finger transitions (ONLY if both current and previous were correct - clean data)
       IF i > 0 AND v_prev_was_correct AND (curr->>'correct')::boolean THEN
         prev := ks_arr->(i-1);
-        v_prev_finger := get_finger(prev->>'expected');
+        v_prev_finger := get_finger(prev->>'expected', session_rec.layout);
         
         IF v_prev_finger IS NOT NULL AND v_finger IS NOT NULL AND v_prev_finger != v_finger THEN
           v_transition_key := v_prev_finger || '→' || v_finger;
@@ -770,6 +1049,13 @@ BEGIN
               1,  -- Both correct, so bigram is correct
               1
             );
+            PERFORM update_running_stat_with_accuracy(
+              v_lang || 'bigram:' || v_bigram,
+              'language_bigram',
+              (curr->>'interval')::decimal,
+              1,
+              1
+            );
           END IF;
         END IF;
       END IF;
@@ -902,6 +1188,54 @@ BEGIN
       PERFORM update_histogram('global:homeRowAdvantage', v_home_row_advantage + 50, 1);
     END IF;
     
+    -- ============================================================
+    -- UPDATE PER-LANGUAGE STATS
+    -- The core metrics again under 'lang:<language>:', so averages and
+    -- histograms compare sessions typed in the same language
+    -- ============================================================
+    
+    IF v_wpm IS NOT NULL AND v_wpm > 0 AND v_wpm < 300 THEN
+      PERFORM update_running_stat(v_lang || 'wpm', 'language', v_wpm);
+      PERFORM update_histogram(v_lang || 'wpm', v_wpm, 1);
+    END IF;
+    
+    IF v_accuracy IS NOT NULL THEN
+      PERFORM update_running_stat(v_lang || 'accuracy', 'language', v_accuracy);
+      PERFORM update_histogram(v_lang || 'accuracy', v_accuracy, 1);
+    END IF;
+    
+    IF v_avg_interval IS NOT NULL AND v_avg_interval > 0 AND v_avg_interval < 1000 THEN
+      PERFORM update_running_stat(v_lang || 'avgInterval', 'language', v_avg_interval);
+      PERFORM update_histogram(v_lang || 'avgInterval', v_avg_interval, 5);
+    END IF;
+    
+    IF v_consistency IS NOT NULL THEN
+      PERFORM update_running_stat(v_lang || 'consistency', 'language', v_consistency);
+      PERFORM update_histogram(v_lang || 'consistency', v_consistency, 1);
+    END IF;
+    
+    IF v_flow_ratio IS NOT NULL THEN
+      PERFORM update_running_stat(v_lang || 'flowRatio', 'language', v_flow_ratio);
+      PERFORM update_histogram(v_lang || 'flowRatio', v_flow_ratio, 1);
+    END IF;
+    
+    IF v_rhythm_score IS NOT NULL THEN
+      PERFORM update_running_stat(v_lang || 'rhythmScore', 'language', v_rhythm_score);
+      PERFORM update_histogram(v_lang || 'rhythmScore', v_rhythm_score, 1);
+    END IF;
+    
+    IF v_hand_balance IS NOT NULL THEN
+      PERFORM update_running_stat(v_lang || 'handBalance', 'language', v_hand_balance);
+      PERFORM update_histogram(v_lang || 'handBalance', v_hand_balance + 50, 1);
+    END IF;
+    
+    IF v_home_row_advantage IS NOT NULL THEN
+      PERFORM update_running_stat(v_lang || 'homeRowAdvantage', 'language', v_home_row_advantage);
+      PERFORM update_histogram(v_lang || 'homeRowAdvantage', v_home_row_advantage + 50, 1);
+    END IF;
+    
+    PERFORM update_running_stat(v_lang || 'user:' || session_rec.user_id, 'language_user', 1);
+    
     -- Character breakdown totals
     PERFORM update_running_stat('counts:words', 'counts', v_word_count);
     PERFORM update_running_stat('counts:correctWords', 'counts', v_correct_words);
@@ -1300,6 +1634,41 @@ FROM running_stats
 WHERE category = 'bigram'
 ORDER BY count DESC;
 
+-- N-gram stats view: trigrams and 4-grams, with the time their bigrams
+-- take on average (NULL when one of them has no stats, e.g. a double
+-- letter) and chunking, the percentage of that time saved by typing the
+-- run as a whole. Bigrams are stored as typed and n-grams lowercased, so
+-- every case of a bigram ('Th', 'th') counts towards its average.
+CREATE OR REPLACE VIEW ngram_stats_view AS
+SELECT 
+  n.category as ngram_type,
+  SUBSTRING(n.stat_key FROM POSITION(':' IN n.stat_key) + 1) as ngram,
+  n.count as total_occurrences,
+  n.avg_value as avg_time,
+  n.std_dev,
+  n.min_value as min_time,
+  n.max_value as max_time,
+  n.accuracy as avg_accuracy,
+  parts.bigram_time,
+  CASE WHEN parts.bigram_time > 0 AND n.avg_value IS NOT NULL
+    THEN ROUND((1 - n.avg_value / parts.bigram_time) * 100, 1)
+  END as chunking,
+  n.updated_at
+FROM running_stats n
+CROSS JOIN LATERAL (
+  SELECT CASE WHEN COUNT(p.avg_time) = LENGTH(g.ngram) - 1 THEN SUM(p.avg_time) END as bigram_time
+  FROM (SELECT SUBSTRING(n.stat_key FROM POSITION(':' IN n.stat_key) + 1) as ngram) g
+  CROSS JOIN generate_series(1, LENGTH(g.ngram) - 1) AS i
+  CROSS JOIN LATERAL (
+    SELECT SUM(b.sum_value) / NULLIF(SUM(b.count), 0) as avg_time
+    FROM running_stats b
+    WHERE LOWER(b.stat_key) = 'bigram:' || SUBSTRING(g.ngram FROM i FOR 2)
+  ) p
+  GROUP BY g.ngram
+) parts
+WHERE n.category IN ('trigram', 'quadgram')
+ORDER BY n.total_count DESC;
+
 -- Finger stats view
 CREATE OR REPLACE VIEW finger_stats_view AS
 SELECT 
@@ -1383,6 +1752,59 @@ SELECT
 FROM running_stats
 WHERE category = 'global' AND histogram IS NOT NULL AND histogram != '{}';
 
+-- Per-language session stats view (same columns as session_stats)
+CREATE OR REPLACE VIEW language_stats_view AS
+SELECT 
+  SPLIT_PART(w.stat_key, ':', 2) as language,
+  w.count as total_sessions,
+  (SELECT COUNT(*) FROM running_stats u
+    WHERE u.category = 'language_user'
+      AND u.stat_key LIKE 'lang:' || SPLIT_PART(w.stat_key, ':', 2) || ':user:%') as total_users,
+  w.avg_value as avg_wpm,
+  (SELECT avg_value FROM running_stats WHERE stat_key = 'lang:' || SPLIT_PART(w.stat_key, ':', 2) || ':accuracy') as avg_accuracy,
+  (SELECT avg_value FROM running_stats WHERE stat_key = 'lang:' || SPLIT_PART(w.stat_key, ':', 2) || ':avgInterval') as avg_interval,
+  (SELECT avg_value FROM running_stats WHERE stat_key = 'lang:' || SPLIT_PART(w.stat_key, ':', 2) || ':consistency') as avg_consistency,
+  w.std_dev as wpm_std_dev,
+  w.min_value as min_wpm,
+  w.max_value as max_wpm,
+  get_percentile_from_histogram(w.stat_key, 0.10) as p10_wpm,
+  get_percentile_from_histogram(w.stat_key, 0.25) as p25_wpm,
+  get_percentile_from_histogram(w.stat_key, 0.50) as median_wpm,
+  get_percentile_from_histogram(w.stat_key, 0.75) as p75_wpm,
+  get_percentile_from_histogram(w.stat_key, 0.90) as p90_wpm
+FROM running_stats w
+WHERE w.category = 'language' AND w.stat_key LIKE 'lang:%:wpm';
+
+-- Per-language bigram stats view
+CREATE OR REPLACE VIEW language_bigram_stats_view AS
+SELECT 
+  SPLIT_PART(stat_key, ':', 2) as language,
+  SUBSTRING(stat_key FROM POSITION(':bigram:' IN stat_key) + 8) as bigram,
+  count as total_occurrences,
+  avg_value as avg_time,
+  std_dev,
+  min_value as min_time,
+  max_value as max_time,
+  accuracy as avg_accuracy,
+  updated_at
+FROM running_stats
+WHERE category = 'language_bigram'
+ORDER BY count DESC;
+
+-- Per-language histograms view
+CREATE OR REPLACE VIEW language_histograms_view AS
+SELECT 
+  SPLIT_PART(stat_key, ':', 2) as language,
+  SPLIT_PART(stat_key, ':', 3) as metric,
+  histogram,
+  count as total_sessions,
+  avg_value,
+  std_dev,
+  min_value,
+  max_value
+FROM running_stats
+WHERE category = 'language' AND histogram IS NOT NULL AND histogram != '{}';
+
 -- Character breakdown view
 CREATE OR REPLACE VIEW character_breakdown_view AS
 SELECT 
@@ -1513,6 +1935,7 @@ ORDER BY stat_key;
 
 GRANT SELECT ON session_stats TO anon;
 GRANT SELECT ON bigram_stats_view TO anon;
+GRANT SELECT ON ngram_stats_view TO anon;
 GRANT SELECT ON finger_stats_view TO anon;
 GRANT SELECT ON finger_transition_stats_view TO anon;
 GRANT SELECT ON behavioral_stats_view TO anon;
@@ -1528,6 +1951,9 @@ GRANT SELECT ON speed_by_type_view TO anon;
 GRANT SELECT ON row_performance_view TO anon;
 GRANT SELECT ON typing_patterns_view TO anon;
 GRANT SELECT ON time_patterns_view TO anon;
+GRANT SELECT ON language_stats_view TO anon;
+GRANT SELECT ON language_bigram_stats_view TO anon;
+GRANT SELECT ON language_histograms_view TO anon;
 GRANT SELECT ON running_stats TO anon;
 GRANT SELECT ON key_finger_map TO anon;
 GRANT INSERT, SELECT ON keystroke_sessions TO anon;
@@ -1543,6 +1969,7 @@ SELECT COUNT(*) as finger_mappings FROM key_finger_map;
 SELECT 'Available views:' as info
 UNION ALL SELECT '  - session_stats: core global averages and percentiles'
 UNION ALL SELECT '  - bigram_stats_view: two-letter combination stats'
+UNION ALL SELECT '  - ngram_stats_view: trigram and 4-gram timing, accuracy and chunking'
 UNION ALL SELECT '  - finger_stats_view: per-finger performance'
 UNION ALL SELECT '  - finger_transition_stats_view: finger-to-finger transitions'
 UNION ALL SELECT '  - behavioral_stats_view: bursts, hesitations, etc.'
@@ -1556,4 +1983,7 @@ UNION ALL SELECT '  - accuracy_by_type_view: accuracy by character type'
 UNION ALL SELECT '  - speed_by_type_view: speed by character type'
 UNION ALL SELECT '  - row_performance_view: speed by keyboard row (top/home/bottom)'
 UNION ALL SELECT '  - typing_patterns_view: double letters, hand alternation'
-UNION ALL SELECT '  - time_patterns_view: performance by hour and day of week';
+UNION ALL SELECT '  - time_patterns_view: performance by hour and day of week'
+UNION ALL SELECT '  - language_stats_view: core averages and percentiles per language'
+UNION ALL SELECT '  - language_bigram_stats_view: bigram stats per language'
+UNION ALL SELECT '  - language_histograms_view: distribution histograms per language';
@@ -0,0 +1,325 @@
+import { useMemo, useState } from 'react'
+import { Tooltip, TipTitle, TipText, TipHint } from './Tooltip'
+import HistoryFilters from './HistoryFilters'
+import { KeyboardHeatmap } from './KeyboardViz'
+import SkillRadar from './SkillRadar'
+import { EMPTY_FILTERS, filterSessions } from './historyFilter'
+import { compareSides, summarizeSide } from './compare'
+
+const COMPARE_TIP = (
+  <>
+    <TipTitle>A/B Comparison</TipTitle>
+    <TipText>
+      Pick a session or a filtered group of history for each side and see
+      how B differs from A: every metric, each key, finger and bigram.
+    </TipText>
+    <TipText>
+      The dot next to a difference tells whether it's likely to be real:
+      <strong> bright</strong> is significant (p &lt; 0.01),
+      <strong> dim</strong> probably real (p &lt; 0.05), <strong>hollow</strong>{' '}
+      within noise. No dot means too few samples to tell.
+    </TipText>
+    <TipText>
+      Groups are compared session by session. Two single sessions can only be
+      told apart by their keystrokes, so per-session metrics like consistency
+      go untested.
+    </TipText>
+    <TipHint>Keys whose difference is noise are dimmed on the keyboard</TipHint>
+  </>
+)
+
+// Bigrams listed, biggest differences first
+const BIGRAM_ROWS = 12
+
+const FINGER_LABELS = {
+  'L-pinky': 'left pinky',
+  'L-ring': 'left ring',
+  'L-middle': 'left middle',
+  'L-index': 'left index',
+  'R-index': 'right index',
+  'R-middle': 'right middle',
+  'R-ring': 'right ring',
+  'R-pinky': 'right pinky',
+  thumb: 'thumbs',
+}
+
+const DEFAULT_A = { kind: 'group', timestamp: null, filters: EMPTY_FILTERS }
+const DEFAULT_B = { kind: 'session', timestamp: null, filters: EMPTY_FILTERS }
+
+const formatValue = (value, digits = 0, unit = '') =>
+  value == null ? '–' : `${value.toFixed(digits)}${unit}`
+
+const formatDelta = (delta, digits = 0, unit = '') => {
+  if (delta == null) return '–'
+  const rounded = Number(delta.toFixed(digits))
+  return `${rounded > 0 ? '+' : ''}${rounded.toFixed(digits)}${unit}`
+}
+
+const deltaClass = (better) => (better == null ? '' : better ? 'better' : 'worse')
+
+const SignificanceDot = ({ significance }) => (
+  <span
+    className={`ab-sig ${significance?.level ?? 'untested'}`}
+    title={significance?.label ?? 'too few samples to test'}
+  />
+)
+
+// Sessions a side stands for. A picked session that's gone from history
+// falls back to the latest one.
+const resolveSide = (side, history, paragraphs) => {
+  if (side.kind === 'group') return filterSessions(history, side.filters, paragraphs)
+  const entry =
+    history.find((e) => e.timestamp === side.timestamp) ?? history[history.length - 1]
+  return entry ? [entry] : []
+}
+
+const sessionLabel = (entry, paragraphs) => {
+  const date = new Date(entry.timestamp).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  })
+  const text = entry.paragraph || paragraphs[entry.paragraphIndex] || ''
+  return `${date} · ${Math.round(entry.wpm)} wpm · ${text.slice(0, 30)}${text.length > 30 ? '…' : ''}`
+}
+
+// One side's picker: a single session from a list, or a group of history
+// narrowed down with the history filters
+const SidePicker = ({ name, side, sessions, history, paragraphs, modes, tags, onChange }) => (
+  <div className="ab-side">
+    <div className="ab-side-header">
+      <span className="ab-side-name">{name}</span>
+      <div className="mini-toggle-group">
+        <button
+          className={`mini-toggle ${side.kind === 'session' ? 'active' : ''}`}
+          onClick={() => onChange({ ...side, kind: 'session' })}
+        >
+          session
+        </button>
+        <button
+          className={`mini-toggle ${side.kind === 'group' ? 'active' : ''}`}
+          onClick={() => onChange({ ...side, kind: 'group' })}
+        >
+          group
+        </button>
+      </div>
+      <span className="ab-side-count">
+        {sessions.length} session{sessions.length !== 1 ? 's' : ''}
+      </span>
+    </div>
+    {side.kind === 'session' ? (
+      <select
+        className="ab-side-select"
+        value={sessions[0]?.timestamp ?? ''}
+        onChange={(e) => onChange({ ...side, timestamp: Number(e.target.value) })}
+      >
+        {history.slice().reverse().map((entry) => (
+          <option key={entry.timestamp} value={entry.timestamp}>
+            {sessionLabel(entry, paragraphs)}
+          </option>
+        ))}
+      </select>
+    ) : (
+      <HistoryFilters
+        filters={side.filters}
+        onChange={(filters) => onChange({ ...side, filters })}
+        modes={modes}
+        tags={tags}
+      />
+    )}
+  </div>
+)
+
+// A/B Comparison - full diff of two sessions or groups of history, with
+// significance of every difference
+const ABComparison = ({ history, paragraphs = [], modes = [], tags = [], layout }) => {
+  const [sideA, setSideA] = useState(DEFAULT_A)
+  const [sideB, setSideB] = useState(DEFAULT_B)
+  const [mode, setMode] = useState('speed') // 'speed' | 'accuracy'
+
+  const sessionsA = useMemo(() => resolveSide(sideA, history, paragraphs), [sideA, history, paragraphs])
+  const sessionsB = useMemo(() => resolveSide(sideB, history, paragraphs), [sideB, history, paragraphs])
+  const summaryA = useMemo(() => summarizeSide(sessionsA), [sessionsA])
+  const summaryB = useMemo(() => summarizeSide(sessionsB), [sessionsB])
+  const comparison = useMemo(
+    () => (summaryA && summaryB ? compareSides(summaryA, summaryB) : null),
+    [summaryA, summaryB]
+  )
+
+  const keySignificance = useMemo(
+    () =>
+      comparison &&
+      Object.fromEntries(
+        comparison.keys.map((key) => [
+          key.id,
+          mode === 'speed' ? key.significance : key.accuracySignificance,
+        ])
+      ),
+    [comparison, mode]
+  )
+
+  if (history.length < 2) {
+    return (
+      <div className="history-empty">
+        <p>nothing to compare yet</p>
+        <p className="hint">complete a few more paragraphs first</p>
+      </div>
+    )
+  }
+
+  // Bigrams with enough samples to test come first; short lists fall back to all
+  const tested = comparison?.bigrams.filter((bigram) => bigram.significance) ?? []
+  const bigrams = (tested.length > 0 ? tested : comparison?.bigrams ?? []).slice(0, BIGRAM_ROWS)
+
+  const fingerRows = (comparison?.fingers ?? []).map((finger) =>
+    mode === 'speed'
+      ? {
+          id: finger.id,
+          a: formatValue(finger.a, 0, 'ms'),
+          b: formatValue(finger.b, 0, 'ms'),
+          delta: formatDelta(finger.delta, 0, 'ms'),
+          better: finger.delta ? finger.delta < 0 : null,
+          significance: finger.significance,
+        }
+      : {
+          id: finger.id,
+          a: formatValue(finger.accuracyA != null ? finger.accuracyA * 100 : null, 1, '%'),
+          b: formatValue(finger.accuracyB != null ? finger.accuracyB * 100 : null, 1, '%'),
+          delta: formatDelta(finger.accuracyDelta != null ? finger.accuracyDelta * 100 : null, 1, '%'),
+          better: finger.accuracyDelta ? finger.accuracyDelta > 0 : null,
+          significance: finger.accuracySignificance,
+        }
+  )
+
+  const pickerProps = { history, paragraphs, modes, tags }
+
+  return (
+    <div className="ab-comparison">
+      <div className="ab-header">
+        <div className="ab-header-left">
+          <span className="ab-title">A/B Comparison</span>
+          <span className="ab-subtitle">
+            {comparison
+              ? comparison.bySession
+                ? 'compared session by session'
+                : 'compared keystroke by keystroke'
+              : 'B relative to A'}
+          </span>
+        </div>
+        <div className="ab-header-right">
+          <div className="mini-toggle-group">
+            <button
+              className={`mini-toggle ${mode === 'speed' ? 'active' : ''}`}
+              onClick={() => setMode('speed')}
+            >
+              speed
+            </button>
+            <button
+              className={`mini-toggle ${mode === 'accuracy' ? 'active' : ''}`}
+              onClick={() => setMode('accuracy')}
+            >
+              accuracy
+            </button>
+          </div>
+          <Tooltip content={COMPARE_TIP}>
+            <button className="help-btn" type="button" aria-label="Help">?</button>
+          </Tooltip>
+        </div>
+      </div>
+
+      <div className="ab-sides">
+        <SidePicker name="A" side={sideA} sessions={sessionsA} onChange={setSideA} {...pickerProps} />
+        <SidePicker name="B" side={sideB} sessions={sessionsB} onChange={setSideB} {...pickerProps} />
+      </div>
+
+      {!comparison ? (
+        <div className="history-empty">
+          <p>no matching sessions</p>
+          <p className="hint">both sides need at least one session</p>
+        </div>
+      ) : (
+        <>
+          <div className="ab-table">
+            <div className="ab-row ab-head">
+              <span />
+              <span className="ab-value">A</span>
+              <span className="ab-value">B</span>
+              <span className="ab-value">B − A</span>
+              <span />
+            </div>
+            {comparison.metrics.map((metric) => (
+              <div key={metric.key} className={`ab-row ${metric.behavioral ? 'behavioral' : ''}`}>
+                <span className="ab-label">{metric.label}</span>
+                <span className="ab-value">{formatValue(metric.a, metric.digits, metric.unit)}</span>
+                <span className="ab-value">{formatValue(metric.b, metric.digits, metric.unit)}</span>
+                <span className={`ab-value ab-delta ${deltaClass(metric.better)}`}>
+                  {formatDelta(metric.delta, metric.digits, metric.unit)}
+                </span>
+                <SignificanceDot significance={metric.significance} />
+              </div>
+            ))}
+          </div>
+
+          <div className="ab-section">
+            <h4>keys</h4>
+            <KeyboardHeatmap
+              keyStats={summaryB.stats.keyStats}
+              comparisonStats={summaryA.stats.keyStats}
+              comparisonLabel="in A"
+              significance={keySignificance}
+              mode={mode}
+              layout={layout}
+            />
+          </div>
+
+          <div className="ab-columns">
+            <div className="ab-section">
+              <h4>fingers</h4>
+              <div className="ab-table">
+                {fingerRows.map((row) => (
+                  <div key={row.id} className="ab-row">
+                    <span className="ab-label">{FINGER_LABELS[row.id] ?? row.id}</span>
+                    <span className="ab-value">{row.a}</span>
+                    <span className="ab-value">{row.b}</span>
+                    <span className={`ab-value ab-delta ${deltaClass(row.better)}`}>{row.delta}</span>
+                    <SignificanceDot significance={row.significance} />
+                  </div>
+                ))}
+              </div>
+            </div>
+            {bigrams.length > 0 && (
+              <div className="ab-section">
+                <h4>bigram speed</h4>
+                <div className="ab-table">
+                  {bigrams.map((bigram) => (
+                    <div key={bigram.id} className="ab-row">
+                      <span className="ab-label ab-bigram">{bigram.id.replace(/ /g, '␣')}</span>
+                      <span className="ab-value">{formatValue(bigram.a, 0, 'ms')}</span>
+                      <span className="ab-value">{formatValue(bigram.b, 0, 'ms')}</span>
+                      <span className={`ab-value ab-delta ${deltaClass(bigram.delta ? bigram.delta < 0 : null)}`}>
+                        {formatDelta(bigram.delta, 0, 'ms')}
+                      </span>
+                      <SignificanceDot significance={bigram.significance} />
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="ab-section ab-radar">
+            <SkillRadar
+              stats={summaryB.stats}
+              compareStats={summaryA.stats}
+              currentLabel="B"
+              compareLabel="A"
+            />
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ABComparison
@@ -1,6 +1,11 @@
 import { useState, useEffect, useCallback, useRef, useMemo } from "react";
 import sentences from "./sentences.json";
-import { getKeyDistance } from "./keyboard";
+import {
+  STAT_ROUND,
+  analyzeSession,
+  calculateCumulativeStats,
+  createHistoryEntry,
+} from "./analytics";
 import { KeyboardHeatmap, KeyboardFlowMap } from "./KeyboardViz";
 import { Tooltip, TipTitle, TipText, TipHint } from "./Tooltip";
 import { useGlobalStats } from "./useGlobalStats";
@@ -16,9 +21,92 @@ import {
 } from "./RaceMode";
 import HandBalance from "./HandBalance";
 import RhythmConsistency from "./RhythmConsistency";
+import KeyTiming from "./KeyTiming";
 import SpeedSegments from "./SpeedSegments";
 import SkillRadar from "./SkillRadar";
 import KeyboardRowSpeed from "./KeyboardRowSpeed";
+import ReplayPlayer from "./ReplayPlayer";
+import Sparkline from "./Sparkline";
+import ProgressDashboard from "./ProgressDashboard";
+import SessionNotes from "./SessionNotes";
+import TagComparison from "./TagComparison";
+import ABComparison from "./ABComparison";
+import { getEntryTags, getTagCounts } from "./tags";
+import { MODIFIERS, encodeRecording, getModifiers, isRecording } from "./recording";
+import { HISTOGRAM_CONFIG, addSessionToHistograms } from "./histograms";
+import { needsStatsMigration, migrateStoredStats } from "./migrate";
+import {
+  MAX_RACES,
+  loadRaces,
+  loadSessions,
+  putRace,
+  mergeByTimestamp,
+  putSession,
+  putSessions,
+  replaceRaces,
+  replaceSessions,
+} from "./storage";
+import {
+  DEFAULT_LAYOUT,
+  getFingerKeys,
+  getLayoutOptions,
+  registerCustomLayouts,
+  resolveLayout,
+} from "./layouts";
+import LayoutEditor from "./LayoutEditor";
+import TextLibrary from "./TextLibrary";
+import DataBackup from "./DataBackup";
+import HistoryFilters from "./HistoryFilters";
+import { EMPTY_FILTERS, filterRaces, filterSessions, isFilterActive } from "./historyFilter";
+import { createBackup, mergeBackup } from "./backup";
+import CodeTiming from "./CodeTiming";
+import { INDENT, NEWLINE, backspace, displayChar, typeKey } from "./code";
+import { SNIPPET_PACKS, getPackName, pickSnippet } from "./snippets";
+import {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  getLanguageName,
+  getPromptSource,
+  pickPrompt,
+} from "./languages";
+import TokenBreakdown from "./TokenBreakdown";
+import NgramTiming from "./NgramTiming";
+import FingerPatterns from "./FingerPatterns";
+import Composition from "./Composition";
+import { findCollection, getTextSource, isCodeText, pickLibraryText } from "./library";
+import {
+  CODE_MODE,
+  DRILL_MODE,
+  LESSON_MODE,
+  PARAGRAPH_MODE,
+  STREAM_BUFFER,
+  TEST_MODES,
+  extendStream,
+  getEntryMode,
+  getModeLabel,
+  getTimedSeconds,
+  getWordCount,
+} from "./modes";
+import {
+  DEFAULT_WORD_LIST,
+  WORD_LISTS,
+  buildWordTest,
+  createSeed,
+  getWordList,
+} from "./wordlists";
+import { buildDrill, describeDrillTargets, findWeaknesses, getDrillTargets } from "./drill";
+import DrillTargets from "./DrillTargets";
+import { buildReviewDeck, getReviewTargets } from "./review";
+import ReviewQueue from "./ReviewQueue";
+import {
+  EMPTY_CURRICULUM,
+  buildLessonText,
+  getLayoutProgress,
+  getLesson,
+  recordLessonResult,
+  selectLesson,
+} from "./curriculum";
+import LessonProgress from "./LessonProgress";
 
 
 // Number formatting utilities
@@ -75,23 +163,6 @@ const fmt = {
   dec: (n, d = 1) => formatNumber(n, { decimals: d }),
 };
 
-// Unified stat rounding - use these everywhere for consistency
-// This ensures local stats and global stats match when comparing
-const STAT_ROUND = {
-  wpm: (v) => Math.round(v), // integer
-  accuracy: (v) => Math.round(v * 10) / 10, // 1 decimal
-  consistency: (v) => Math.round(v * 10) / 10, // 1 decimal
-  avgInterval: (v) => Math.round(v), // integer ms
-  flowRatio: (v) => Math.round(v), // integer %
-  rhythmScore: (v) => Math.round(v), // integer %
-  handBalance: (v) => Math.round(v), // integer %
-  homeRowAdvantage: (v) => Math.round(v), // integer %
-  stdDev: (v) => Math.round(v), // integer
-  backspaceEfficiency: (v) => Math.round(v * 10) / 10, // 1 decimal
-  distance: (v) => Math.round(v * 100) / 100, // 2 decimals
-  time: (v) => Math.round(v * 10) / 10, // 1 decimal seconds
-};
-
 // Flatten all paragraphs into one pool with indices
 const ALL_PARAGRAPHS = Object.values(sentences).flat();
 
@@ -105,237 +176,24 @@ const RACE_PARAGRAPHS = [
   ...(sentences.questions || []),
 ];
 
-// localStorage keys
+// localStorage keys (session and race history are in IndexedDB, see
+// storage.js)
 const STORAGE_KEYS = {
   COMPLETED: "typometry_completed",
-  HISTORY: "typometry_history",
   HISTOGRAMS: "typometry_histograms",
   HISTOGRAM_ZOOM: "typometry_histogram_zoom",
-  RACE_HISTORY: "typometry_race_history",
   WIN_STREAK: "typometry_win_streak",
-};
-
-// Histogram bucket configurations - fine granularity for smooth distributions
-const HISTOGRAM_CONFIG = {
-  wpm: {
-    label: "WPM",
-    min: 0,
-    max: 300,
-    step: 1,
-    unit: "",
-    get buckets() {
-      return this.generateBuckets();
-    },
-    generateBuckets() {
-      const b = [];
-      for (let i = this.min; i < this.max; i += this.step) b.push(i);
-      b.push(Infinity);
-      return b;
-    },
-    getBucketCount() {
-      return Math.ceil((this.max - this.min) / this.step);
-    },
-  },
-  accuracy: {
-    label: "Accuracy",
-    min: 0,
-    max: 100,
-    step: 1,
-    unit: "%",
-    get buckets() {
-      return this.generateBuckets();
-    },
-    generateBuckets() {
-      const b = [];
-      for (let i = this.min; i < this.max; i += this.step) b.push(i);
-      b.push(100.1);
-      return b;
-    },
-    getBucketCount() {
-      return Math.ceil((this.max - this.min) / this.step);
-    },
-  },
-  consistency: {
-    label: "Consistency",
-    min: 0,
-    max: 100,
-    step: 1,
-    unit: "%",
-    get buckets() {
-      return this.generateBuckets();
-    },
-    generateBuckets() {
-      const b = [];
-      for (let i = this.min; i < this.max; i += this.step) b.push(i);
-      b.push(100.1);
-      return b;
-    },
-    getBucketCount() {
-      return Math.ceil((this.max - this.min) / this.step);
-    },
-  },
-  avgInterval: {
-    label: "Keystroke",
-    min: 50,
-    max: 350,
-    step: 5,
-    unit: "ms",
-    lowerIsBetter: true,
-    get buckets() {
-      return this.generateBuckets();
-    },
-    generateBuckets() {
-      const b = [];
-      for (let i = this.min; i < this.max; i += this.step) b.push(i);
-      b.push(Infinity);
-      return b;
-    },
-    getBucketCount() {
-      return Math.ceil((this.max - this.min) / this.step);
-    },
-  },
-  flowRatio: {
-    label: "Flow State",
-    min: 0,
-    max: 100,
-    step: 1,
-    unit: "%",
-    get buckets() {
-      return this.generateBuckets();
-    },
-    generateBuckets() {
-      const b = [];
-      for (let i = this.min; i < this.max; i += this.step) b.push(i);
-      b.push(100.1);
-      return b;
-    },
-    getBucketCount() {
-      return Math.ceil((this.max - this.min) / this.step);
-    },
-  },
-  rhythmScore: {
-    label: "Rhythm",
-    min: 0,
-    max: 100,
-    step: 1,
-    unit: "%",
-    get buckets() {
-      return this.generateBuckets();
-    },
-    generateBuckets() {
-      const b = [];
-      for (let i = this.min; i < this.max; i += this.step) b.push(i);
-      b.push(100.1);
-      return b;
-    },
-    getBucketCount() {
-      return Math.ceil((this.max - this.min) / this.step);
-    },
-  },
-  handBalance: {
-    label: "Hand Balance",
-    min: -50,
-    max: 50,
-    step: 1,
-    unit: "%",
-    centered: true, // 0% is balanced
-    get buckets() {
-      return this.generateBuckets();
-    },
-    generateBuckets() {
-      const b = [];
-      for (let i = this.min; i < this.max; i += this.step) b.push(i);
-      b.push(Infinity);
-      return b;
-    },
-    getBucketCount() {
-      return Math.ceil((this.max - this.min) / this.step);
-    },
-  },
-  homeRowAdvantage: {
-    label: "Home Row",
-    min: -50,
-    max: 50,
-    step: 1,
-    unit: "%",
-    centered: true, // 0 is neutral
-    get buckets() {
-      return this.generateBuckets();
-    },
-    generateBuckets() {
-      const b = [];
-      for (let i = this.min; i < this.max; i += this.step) b.push(i);
-      b.push(Infinity);
-      return b;
-    },
-    getBucketCount() {
-      return Math.ceil((this.max - this.min) / this.step);
-    },
-  },
-};
-
-// Finger assignments for conventional touch typing
-const FINGER_MAP = {
-  "`": "L-pinky",
-  1: "L-pinky",
-  q: "L-pinky",
-  a: "L-pinky",
-  z: "L-pinky",
-  2: "L-ring",
-  w: "L-ring",
-  s: "L-ring",
-  x: "L-ring",
-  3: "L-middle",
-  e: "L-middle",
-  d: "L-middle",
-  c: "L-middle",
-  4: "L-index",
-  5: "L-index",
-  r: "L-index",
-  t: "L-index",
-  f: "L-index",
-  g: "L-index",
-  v: "L-index",
-  b: "L-index",
-  6: "R-index",
-  7: "R-index",
-  y: "R-index",
-  u: "R-index",
-  h: "R-index",
-  j: "R-index",
-  n: "R-index",
-  m: "R-index",
-  8: "R-middle",
-  i: "R-middle",
-  k: "R-middle",
-  ",": "R-middle",
-  9: "R-ring",
-  o: "R-ring",
-  l: "R-ring",
-  ".": "R-ring",
-  0: "R-pinky",
-  "-": "R-pinky",
-  "=": "R-pinky",
-  p: "R-pinky",
-  "[": "R-pinky",
-  "]": "R-pinky",
-  ";": "R-pinky",
-  "'": "R-pinky",
-  "/": "R-pinky",
-  "\\": "R-pinky",
-  " ": "thumb",
-};
-
-const FINGER_KEYS = {
-  "L-pinky": ["`", "1", "Q", "A", "Z"],
-  "L-ring": ["2", "W", "S", "X"],
-  "L-middle": ["3", "E", "D", "C"],
-  "L-index": ["4", "5", "R", "T", "F", "G", "V", "B"],
-  "R-index": ["6", "7", "Y", "U", "H", "J", "N", "M"],
-  "R-middle": ["8", "I", "K", ","],
-  "R-ring": ["9", "O", "L", "."],
-  "R-pinky": ["0", "-", "=", "P", "[", "]", ";", "'", "/", "\\"],
-  thumb: ["space"],
+  LAYOUT: "typometry_layout",
+  CUSTOM_LAYOUTS: "typometry_custom_layouts",
+  TEST_MODE: "typometry_test_mode",
+  MODE_HISTOGRAMS: "typometry_mode_histograms",
+  WORD_LIST: "typometry_word_list",
+  LIBRARY: "typometry_library",
+  TEXT_COLLECTION: "typometry_text_collection",
+  AUTO_INDENT: "typometry_auto_indent",
+  SNIPPET_PACK: "typometry_snippet_pack",
+  LANGUAGE: "typometry_language",
+  CURRICULUM: "typometry_curriculum",
 };
 
 const FINGER_NAMES = {
@@ -1116,8 +974,76 @@ const saveToStorage = (key, value) => {
   }
 };
 
-// Get next paragraph (avoiding completed ones)
-const getNextParagraph = (completedIndices, forRace = false) => {
+// Custom layouts must be registered before any stored session is analyzed
+registerCustomLayouts(loadFromStorage(STORAGE_KEYS.CUSTOM_LAYOUTS, {}));
+
+// Local histograms of every test mode, keyed by mode. Paragraph histograms
+// keep their original storage key; the other modes share one.
+const loadHistograms = () => ({
+  ...loadFromStorage(STORAGE_KEYS.MODE_HISTOGRAMS, {}),
+  [PARAGRAPH_MODE]: loadFromStorage(STORAGE_KEYS.HISTOGRAMS, {}),
+});
+
+const saveHistograms = (byMode) => {
+  const { [PARAGRAPH_MODE]: paragraph = {}, ...modes } = byMode;
+  saveToStorage(STORAGE_KEYS.HISTOGRAMS, paragraph);
+  saveToStorage(STORAGE_KEYS.MODE_HISTOGRAMS, modes);
+};
+
+// Summary of paragraph all-time stats that racers can request
+const saveSharedStats = (stats) => {
+  localStorage.setItem('typometry_cumulative_stats', JSON.stringify({
+    wpm: stats.wpm,
+    accuracy: stats.accuracy,
+    consistency: stats.consistency,
+    sessions: stats.sessions,
+    avgInterval: stats.avgInterval,
+    behavioral: {
+      maxBurst: stats.behavioral?.maxBurst,
+      flowRatio: stats.behavioral?.flowRatio,
+      rhythmScore: stats.behavioral?.rhythmScore,
+    },
+  }));
+};
+
+// Get next paragraph (avoiding completed ones). With a custom `collection`
+// the text comes from the user's library instead (its prose, not its
+// code), and with a `language`
+// other than English from that language's prompts. Neither is tracked as
+// completed, so only the previous text (from `previousSource`) is avoided.
+const getNextParagraph = (
+  completedIndices,
+  forRace = false,
+  collection = null,
+  previousSource = null,
+  language = DEFAULT_LANGUAGE
+) => {
+  const libraryText = collection && pickLibraryText(
+    collection,
+    previousSource?.type === "custom" ? previousSource.text : null
+  );
+  if (libraryText) {
+    return {
+      text: libraryText.text,
+      index: -1,
+      reset: false,
+      source: getTextSource(collection, libraryText),
+    };
+  }
+
+  const prompt = forRace ? null : pickPrompt(
+    language,
+    previousSource?.type === "prompt" ? previousSource.index : null
+  );
+  if (prompt) {
+    return {
+      text: prompt.text,
+      index: -1,
+      reset: false,
+      source: getPromptSource(language, prompt),
+    };
+  }
+
   // For races, use filtered paragraphs (no technical/coding)
   const paragraphs = forRace ? RACE_PARAGRAPHS : ALL_PARAGRAPHS;
   
@@ -1136,29 +1062,6 @@ const getNextParagraph = (completedIndices, forRace = false) => {
   return { text: choice.text, index: choice.index, reset: false };
 };
 
-// Mini sparkline component
-const Sparkline = ({ data, width = 200, height = 40, color = "#e2b714" }) => {
-  if (!data || data.length < 2) return null;
-
-  const max = Math.max(...data);
-  const min = Math.min(...data);
-  const range = max - min || 1;
-
-  const points = data
-    .map((val, i) => {
-      const x = (i / (data.length - 1)) * width;
-      const y = height - ((val - min) / range) * (height - 4) - 2;
-      return `${x},${y}`;
-    })
-    .join(" ");
-
-  return (
-    <svg width={width} height={height} className="sparkline">
-      <polyline fill="none" stroke={color} strokeWidth="2" points={points} />
-    </svg>
-  );
-};
-
 // Sentence Flow - color-coded word-by-word speed visualization
 const SentenceFlow = ({ wordSpeeds, avgWpm, showTooltips = true }) => {
   const [hoveredWord, setHoveredWord] = useState(null);
@@ -1249,10 +1152,120 @@ const SentenceFlow = ({ wordSpeeds, avgWpm, showTooltips = true }) => {
 };
 
 // History Browser - clickable list of past sessions
+// Short description of a session that isn't a built-in paragraph
+// ("30s", "25 words · top 1k", or a library text's title)
+const getSessionLabel = (entry) => {
+  if (entry.source?.type === "custom") return entry.source.title;
+  if (entry.source?.type === "prompt") return getLanguageName(entry.source.language);
+  const mode = getEntryMode(entry);
+  if (mode === PARAGRAPH_MODE) return null;
+  const label = getModeLabel(mode);
+  if (entry.source?.type === "words") {
+    return `${label} · ${getWordList(entry.source.list).name}`;
+  }
+  if (entry.source?.language) return `${label} · ${getPackName(entry.source.language)}`;
+  if (entry.source?.type === "lesson") return `${label} · ${getLesson(entry.source.lesson).name}`;
+  return label;
+};
+
+// Aggregates of the sessions a history filter left: averages, histograms
+// and the key heatmap, as in the all-time view
+const FilteredSessionSummary = ({ sessions, layout }) => {
+  const stats = useMemo(() => calculateCumulativeStats(sessions), [sessions]);
+  const histograms = useMemo(
+    () => sessions.reduce((acc, entry) => addSessionToHistograms(acc, entry), {}),
+    [sessions]
+  );
+  if (!stats) return null;
+  const bestWpm = Math.max(...sessions.map((entry) => entry.wpm));
+
+  return (
+    <div className="filtered-summary">
+      <div className="stat-grid primary">
+        <div className="stat">
+          <span className="stat-value">{stats.wpm}</span>
+          <span className="stat-label">avg wpm</span>
+        </div>
+        <div className="stat">
+          <span className="stat-value">{formatNumber(stats.accuracy, { decimals: 1 })}%</span>
+          <span className="stat-label">accuracy</span>
+        </div>
+        <div className="stat">
+          <span className="stat-value">{Math.round(stats.consistency)}%</span>
+          <span className="stat-label">consistency</span>
+        </div>
+        <div className="stat">
+          <span className="stat-value">{Math.round(bestWpm)}</span>
+          <span className="stat-label">best wpm</span>
+        </div>
+      </div>
+      {sessions.length > 1 && (
+        <div className="histograms-grid">
+          {[
+            ["wpm", "WPM"],
+            ["accuracy", "Accuracy"],
+            ["consistency", "Consistency"],
+          ].map(([key, title]) => (
+            <div key={key} className="histogram-item">
+              <Tooltip content={TIPS[key]}>
+                <span className="histogram-title">{title}</span>
+              </Tooltip>
+              <SessionHistogram
+                data={histograms[key]}
+                configKey={key}
+                average={stats[key]}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+      {stats.keyStats && (
+        <KeyboardHeatmap keyStats={stats.keyStats} mode="speed" layout={layout} />
+      )}
+    </div>
+  );
+};
+
+// Averages of the races a history filter left, from the player's results
+const FilteredRaceSummary = ({ races }) => {
+  const results = races.map((race) => race.myResult).filter(Boolean);
+  if (results.length === 0) return null;
+  const average = (key) =>
+    results.reduce((sum, result) => sum + (result[key] || 0), 0) / results.length;
+
+  return (
+    <div className="filtered-summary">
+      <div className="stat-grid primary">
+        <div className="stat">
+          <span className="stat-value">{Math.round(average("wpm"))}</span>
+          <span className="stat-label">avg wpm</span>
+        </div>
+        <div className="stat">
+          <span className="stat-value">{formatNumber(average("accuracy"), { decimals: 1 })}%</span>
+          <span className="stat-label">accuracy</span>
+        </div>
+        <div className="stat">
+          <span className="stat-value">
+            {results.filter((result) => result.position === 1).length}
+          </span>
+          <span className="stat-label">wins</span>
+        </div>
+        <div className="stat">
+          <span className="stat-value">
+            {formatNumber(average("position"), { decimals: 1 })}
+          </span>
+          <span className="stat-label">avg place</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 const CombinedHistoryBrowser = ({ 
   history, 
   raceHistory, 
   paragraphs, 
+  layout,
   onSelectSession, 
   onSelectRace, 
   selectedSessionId, 
@@ -1260,7 +1273,27 @@ const CombinedHistoryBrowser = ({
   onClearSessions,
   onClearRaces,
 }) => {
-  const [tab, setTab] = useState('sessions'); // 'sessions' | 'races'
+  const [tab, setTab] = useState('sessions'); // 'sessions' | 'races' | 'compare'
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const filtering = isFilterActive(filters);
+
+  const sessions = useMemo(
+    () => (filtering ? filterSessions(history || [], filters, paragraphs) : history || []),
+    [history, filters, filtering, paragraphs]
+  );
+  const races = useMemo(
+    () => (filtering ? filterRaces(raceHistory || [], filters) : raceHistory || []),
+    [raceHistory, filters, filtering]
+  );
+  // Test modes that appear in history, in menu order
+  const modes = useMemo(() => {
+    const present = new Set((history || []).map(getEntryMode));
+    return TEST_MODES.filter((mode) => present.has(mode));
+  }, [history]);
+  const tags = useMemo(
+    () => getTagCounts(history || []).map(({ tag }) => tag),
+    [history]
+  );
   
   const formatDate = (ts) => {
     const date = new Date(ts);
@@ -1294,6 +1327,10 @@ const CombinedHistoryBrowser = ({
   const sessionCount = history?.length || 0;
   const raceCount = raceHistory?.length || 0;
 
+  // "12 sessions", or "3 of 12 sessions" while filtering
+  const listCount = (shown, total, noun) =>
+    `${filtering ? `${shown} of ` : ''}${total} ${noun}${total !== 1 ? 's' : ''}`;
+
   return (
     <div className="combined-history-browser">
       {/* Tab Header */}
@@ -1320,6 +1357,19 @@ const CombinedHistoryBrowser = ({
           </svg>
           Races {raceCount > 0 && <span className="tab-count">{raceCount}</span>}
         </button>
+        {sessionCount > 1 && (
+          <button 
+            className={`history-tab ${tab === 'compare' ? 'active' : ''}`}
+            onClick={() => setTab('compare')}
+          >
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="12" y1="3" x2="12" y2="21"/>
+              <polyline points="8 8 4 12 8 16"/>
+              <polyline points="16 8 20 12 16 16"/>
+            </svg>
+            Compare
+          </button>
+        )}
       </div>
 
       {/* Sessions Tab */}
@@ -1332,14 +1382,26 @@ const CombinedHistoryBrowser = ({
             </div>
           ) : (
             <>
+              <HistoryFilters filters={filters} onChange={setFilters} modes={modes} tags={tags} />
               <div className="history-list-header">
-                <span className="list-count">{sessionCount} session{sessionCount !== 1 ? 's' : ''}</span>
-                {onClearSessions && (
+                <span className="list-count">{listCount(sessions.length, sessionCount, 'session')}</span>
+                {onClearSessions && !filtering && (
                   <button className="clear-btn" onClick={onClearSessions}>clear all</button>
                 )}
               </div>
+              {filtering && <FilteredSessionSummary sessions={sessions} layout={layout} />}
+              {tags.length > 1 && (
+                <div className="history-tag-comparison">
+                  <TagComparison history={sessions} />
+                </div>
+              )}
+              {filtering && sessions.length === 0 && (
+                <div className="history-empty">
+                  <p>no matching sessions</p>
+                </div>
+              )}
               <div className="history-list">
-                {history.slice().reverse().map((entry) => (
+                {sessions.slice().reverse().map((entry) => (
                   <div 
                     key={entry.timestamp} 
                     className={`history-item ${selectedSessionId === entry.timestamp ? 'selected' : ''}`}
@@ -1350,9 +1412,15 @@ const CombinedHistoryBrowser = ({
                       <span className="history-date">{formatDate(entry.timestamp)}</span>
                     </div>
                     <div className="history-item-stats">
+                      {getSessionLabel(entry) && (
+                        <span className="history-mode">{getSessionLabel(entry)}</span>
+                      )}
                       <span className="history-wpm">{Math.round(entry.wpm)} wpm</span>
                       <span className="history-acc">{Math.round(entry.accuracy)}%</span>
                       <span className="history-time">{(entry.totalTime / 1000).toFixed(1)}s</span>
+                      {getEntryTags(entry).length > 0 && (
+                        <span className="history-tags">{getEntryTags(entry).join(" · ")}</span>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -1362,6 +1430,17 @@ const CombinedHistoryBrowser = ({
         </>
       )}
 
+      {/* Compare Tab */}
+      {tab === 'compare' && (
+        <ABComparison
+          history={history || []}
+          paragraphs={paragraphs}
+          modes={modes}
+          tags={tags}
+          layout={layout}
+        />
+      )}
+
       {/* Races Tab */}
       {tab === 'races' && (
         <>
@@ -1372,14 +1451,21 @@ const CombinedHistoryBrowser = ({
             </div>
           ) : (
             <>
+              <HistoryFilters filters={filters} onChange={setFilters} />
               <div className="history-list-header">
-                <span className="list-count">{raceCount} race{raceCount !== 1 ? 's' : ''}</span>
-                {onClearRaces && (
+                <span className="list-count">{listCount(races.length, raceCount, 'race')}</span>
+                {onClearRaces && !filtering && (
                   <button className="clear-btn" onClick={onClearRaces}>clear all</button>
                 )}
               </div>
+              {filtering && <FilteredRaceSummary races={races} />}
+              {filtering && races.length === 0 && (
+                <div className="history-empty">
+                  <p>no matching races</p>
+                </div>
+              )}
               <div className="history-list">
-                {raceHistory.map((race) => (
+                {races.map((race) => (
                   <div 
                     key={race.raceId} 
                     className={`history-item race-item ${selectedRaceId === race.raceId ? 'selected' : ''}`}
@@ -1444,7 +1530,15 @@ const RaceHistoryBrowser = ({ races, onSelect, selectedId, onClose, onClearAll }
 };
 
 // History Detail View - shows full stats for a past session
-const HistoryDetailView = ({ entry, paragraph, onBack, onPracticeAgain, fmt }) => {
+const HistoryDetailView = ({
+  entry,
+  paragraph,
+  onBack,
+  onPracticeAgain,
+  onChange,
+  tagSuggestions,
+  fmt,
+}) => {
   if (!entry) return null;
 
   const formatTime = (ms) => {
@@ -1460,17 +1554,41 @@ const HistoryDetailView = ({ entry, paragraph, onBack, onPracticeAgain, fmt }) =
       <div className="history-detail-header">
         <button className="back-btn" onClick={onBack}>← back</button>
         <div className="header-actions">
-          {onPracticeAgain && (
+          {onPracticeAgain &&
+            (getEntryMode(entry) === PARAGRAPH_MODE ||
+              getEntryMode(entry) === CODE_MODE ||
+              getEntryMode(entry) === DRILL_MODE ||
+              getEntryMode(entry) === LESSON_MODE ||
+              entry.source?.type === "words") && (
             <button className="practice-again-btn" onClick={() => onPracticeAgain(entry)}>
               practice again
             </button>
           )}
+          {getSessionLabel(entry) && (
+            <span className="detail-mode">
+              {getSessionLabel(entry)}
+              {entry.source?.type === "words" && ` · seed ${entry.source.seed}`}
+              {entry.source?.type === "drill" &&
+                describeDrillTargets(entry.source.targets) &&
+                ` · ${describeDrillTargets(entry.source.targets)}`}
+            </span>
+          )}
           <span className="detail-date">
             {new Date(entry.timestamp).toLocaleString()}
           </span>
         </div>
       </div>
 
+      {/* Tags and note */}
+      {onChange && (
+        <SessionNotes
+          key={entry.timestamp}
+          entry={entry}
+          suggestions={tagSuggestions}
+          onChange={onChange}
+        />
+      )}
+
       {/* Paragraph with sentence flow */}
       <div className="history-paragraph-section">
         <h4>paragraph</h4>
@@ -1481,6 +1599,9 @@ const HistoryDetailView = ({ entry, paragraph, onBack, onPracticeAgain, fmt }) =
         )}
       </div>
 
+      {/* Keystroke replay (sessions recorded since replays were added) */}
+      {isRecording(entry.recording) && <ReplayPlayer recording={entry.recording} />}
+
       {/* Key Stats */}
       <div className="history-stats-grid">
         <div className="history-stat hero">
@@ -2494,43 +2615,13 @@ const SessionHistogram = ({
   );
 };
 
-// Helper function to update histogram data
-const updateHistogram = (histograms, key, value) => {
-  const config = HISTOGRAM_CONFIG[key];
-  if (!config || value === null || value === undefined || isNaN(value))
-    return histograms;
-
-  const newHistograms = { ...histograms };
-  const bucketCount = config.getBucketCount();
-
-  // Reset if bucket count doesn't match (data from old format)
-  if (
-    !newHistograms[key] ||
-    !Array.isArray(newHistograms[key]) ||
-    newHistograms[key].length !== bucketCount
-  ) {
-    newHistograms[key] = new Array(bucketCount).fill(0);
-  }
-
-  // Find the bucket for this value using Math.round for proper alignment
-  const bucketIdx = Math.round((value - config.min) / config.step);
-  const clampedIdx = Math.max(0, Math.min(bucketIdx, bucketCount - 1));
-
-  newHistograms[key] = [...newHistograms[key]];
-  newHistograms[key][clampedIdx]++;
-
-  return newHistograms;
-};
-
 // Mini keyboard for tooltip
-const MiniKeyboard = ({ highlightKeys, color }) => {
-  const rows = [
-    ["`", "1", "2", "3", "4", "5", "6", "7", "8", "9", "0", "-", "="],
-    ["Q", "W", "E", "R", "T", "Y", "U", "I", "O", "P", "[", "]", "\\"],
-    ["A", "S", "D", "F", "G", "H", "J", "K", "L", ";", "'"],
-    ["Z", "X", "C", "V", "B", "N", "M", ",", ".", "/"],
-  ];
-  const offsets = [0, 8, 12, 20];
+const MiniKeyboard = ({ highlightKeys, color, layout }) => {
+  const kb = resolveLayout(layout);
+  const rows = kb.rows
+    .slice(0, 4)
+    .map((row) => row.map((key) => key.toUpperCase()));
+  const offsets = kb.offsets.map((offset) => Math.round(offset * 16));
   const isSpace = highlightKeys.includes("space");
 
   return (
@@ -2565,7 +2656,7 @@ const MiniKeyboard = ({ highlightKeys, color }) => {
 };
 
 // Finger performance visualization with elegant hand outlines
-const FingerHands = ({ fingerStats }) => {
+const FingerHands = ({ fingerStats, layout }) => {
   const [hovered, setHovered] = useState(null);
   const [tooltipPos, setTooltipPos] = useState({ x: 0, y: 0 });
   const [mode, setMode] = useState('speed'); // 'speed' or 'accuracy'
@@ -2871,8 +2962,9 @@ const FingerHands = ({ fingerStats }) => {
           </div>
           <div className="ft-keys">
             <MiniKeyboard
-              highlightKeys={FINGER_KEYS[hovered]}
+              highlightKeys={getFingerKeys(layout)[hovered]}
               color={hoveredColor}
+              layout={layout}
             />
           </div>
         </div>
@@ -3473,32 +3565,59 @@ function App() {
   const [clearHoldProgress, setClearHoldProgress] = useState(0);
   const [showHistory, setShowHistory] = useState(false);
   const [showFixedHint, setShowFixedHint] = useState(false);
-  const [raceHistory, setRaceHistory] = useState(() => 
-    loadFromStorage(STORAGE_KEYS.RACE_HISTORY, [])
+  // Stored sessions (oldest first) and races (newest first), loaded on mount
+  const [history, setHistory] = useState([]);
+  const [raceHistory, setRaceHistory] = useState([]);
+  const [testMode, setTestMode] = useState(() =>
+    loadFromStorage(STORAGE_KEYS.TEST_MODE, PARAGRAPH_MODE)
   );
-  const [histograms, setHistograms] = useState(() => {
-    const stored = loadFromStorage(STORAGE_KEYS.HISTOGRAMS, {});
-    // Validate histogram data matches current bucket counts
-    const validated = {};
-    let needsReset = false;
-    for (const key of Object.keys(HISTOGRAM_CONFIG)) {
-      const config = HISTOGRAM_CONFIG[key];
-      const expectedLength = config.getBucketCount();
-      if (
-        stored[key] &&
-        Array.isArray(stored[key]) &&
-        stored[key].length === expectedLength
-      ) {
-        validated[key] = stored[key];
-      } else if (stored[key]) {
-        needsReset = true; // Old format detected
-      }
-    }
-    if (needsReset) {
-      // Clear old histogram data
-      saveToStorage(STORAGE_KEYS.HISTOGRAMS, validated);
-    }
-    return validated;
+  const [timeLeft, setTimeLeft] = useState(null); // ms left in a timed test
+  const [wordList, setWordList] = useState(() =>
+    loadFromStorage(STORAGE_KEYS.WORD_LIST, DEFAULT_WORD_LIST)
+  );
+  // Stats saved by an older algorithm are migrated once history has loaded
+  const [histogramsByMode, setHistogramsByMode] = useState(loadHistograms);
+  // Histograms and all-time stats follow the selected test mode
+  const histograms = histogramsByMode[testMode] || {};
+  // Sessions of the selected mode, oldest first, for the progress dashboard
+  const modeHistory = useMemo(
+    () => history.filter((entry) => getEntryMode(entry) === testMode),
+    [history, testMode]
+  );
+  const tagSuggestions = useMemo(
+    () => getTagCounts(history).map(({ tag }) => tag),
+    [history]
+  );
+  // Spaced repetition deck of problem words and bigrams, replayed from history
+  const reviewDeck = useMemo(() => buildReviewDeck(history), [history]);
+  const [layout, setLayout] = useState(() =>
+    loadFromStorage(STORAGE_KEYS.LAYOUT, DEFAULT_LAYOUT)
+  );
+  const [customLayouts, setCustomLayouts] = useState(() =>
+    loadFromStorage(STORAGE_KEYS.CUSTOM_LAYOUTS, {})
+  );
+  const [showLayoutEditor, setShowLayoutEditor] = useState(false);
+  const [library, setLibrary] = useState(() =>
+    loadFromStorage(STORAGE_KEYS.LIBRARY, [])
+  );
+  // Custom collection paragraphs are drawn from, null for the built-in texts
+  const [textCollection, setTextCollection] = useState(() =>
+    loadFromStorage(STORAGE_KEYS.TEXT_COLLECTION, null)
+  );
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [showBackup, setShowBackup] = useState(false);
+  // Code mode: fill in leading indentation after each newline
+  const [autoIndent, setAutoIndent] = useState(() =>
+    loadFromStorage(STORAGE_KEYS.AUTO_INDENT, true)
+  );
+  // Code mode: snippet pack (language) to draw from, null for all of them
+  const [snippetPack, setSnippetPack] = useState(() =>
+    loadFromStorage(STORAGE_KEYS.SNIPPET_PACK, null)
+  );
+  // Language of the built-in paragraphs; global comparisons follow it
+  const [language, setLanguage] = useState(() => {
+    const stored = loadFromStorage(STORAGE_KEYS.LANGUAGE, DEFAULT_LANGUAGE);
+    return LANGUAGES.some((l) => l.id === stored) ? stored : DEFAULT_LANGUAGE;
   });
   const [histogramZoom, setHistogramZoom] = useState(() =>
     loadFromStorage(STORAGE_KEYS.HISTOGRAM_ZOOM, true)
@@ -3530,7 +3649,7 @@ function App() {
     compareToGlobal,
     sessionCount: globalSessionCount,
     loading: globalStatsLoading,
-  } = useGlobalStats();
+  } = useGlobalStats(language);
 
   // Race mode
   const {
@@ -3570,6 +3689,29 @@ function App() {
   const clearHoldInterval = useRef(null);
   const completeHintRef = useRef(null);
   const restartHintRef = useRef(null);
+  // Keyup tracking for dwell/flight/rollover: physical key -> index of the
+  // keystroke it is holding down, and keystroke index -> release time
+  const pressedKeys = useRef({});
+  const releaseTimes = useRef({});
+  // Where the current text came from when it isn't a built-in paragraph:
+  // { type: 'words', list, seed }, { type: 'snippet', language },
+  // { type: 'drill', seed, targets }, { type: 'lesson', lesson, layout, seed }
+  // or a library text (see getTextSource).
+  // Saved with the result, so it can be retyped exactly.
+  const textSource = useRef(null);
+  // What the drill on screen is aimed at (see drill.js)
+  const [drillTargets, setDrillTargets] = useState(null);
+  // Lesson progress of the touch-typing curriculum, per layout (see
+  // curriculum.js)
+  const [curriculum, setCurriculum] = useState(() =>
+    loadFromStorage(STORAGE_KEYS.CURRICULUM, EMPTY_CURRICULUM)
+  );
+  // IME and dead-key input: the hidden textarea that receives it, when the
+  // current composition started, and when a dead key was pressed
+  const imeInputRef = useRef(null);
+  const compositionStart = useRef(null);
+  const deadKeyTime = useRef(null);
+  const [composing, setComposing] = useState(""); // text being composed
 
   // Load completed indices on mount
   const [completedIndices, setCompletedIndices] = useState(() =>
@@ -3577,7 +3719,7 @@ function App() {
   );
 
   const resetTest = useCallback(
-    (forceNew = false) => {
+    (forceNew = false, mode = testMode, options = {}) => {
       // Don't reset during any active race state
       if (isInRace) {
         return;
@@ -3588,21 +3730,96 @@ function App() {
         indices = [];
         setCompletedIndices([]);
         saveToStorage(STORAGE_KEYS.COMPLETED, []);
-        saveToStorage(STORAGE_KEYS.HISTORY, []);
-        saveToStorage(STORAGE_KEYS.HISTOGRAMS, {});
-        setHistograms({});
+        replaceSessions([]);
+        setHistory([]);
+        saveHistograms({});
+        setHistogramsByMode({});
       }
 
-      const { text, index, reset } = getNextParagraph(indices);
+      const seconds = getTimedSeconds(mode);
+      const wordCount = getWordCount(mode);
+      const previousSource = textSource.current;
+      textSource.current = null;
+      if (seconds) {
+        // Timed tests type an endless stream, not a tracked paragraph
+        setCurrentText(extendStream("", RACE_PARAGRAPHS, STREAM_BUFFER * 2));
+        setCurrentIndex(-1);
+      } else if (mode === CODE_MODE) {
+        const snippet = options.text
+          ? { language: options.language ?? null, text: options.text }
+          : pickSnippet(
+              currentText,
+              options.pack !== undefined ? options.pack : snippetPack
+            );
+        // Library code keeps its custom source
+        textSource.current = options.source ?? { type: "snippet", language: snippet.language };
+        setCurrentText(snippet.text);
+        setCurrentIndex(-1);
+      } else if (wordCount) {
+        // Word tests are rebuilt from a seed, so a stored seed replays them
+        const list = options.wordList ?? wordList;
+        const seed = options.seed ?? createSeed();
+        textSource.current = { type: "words", list, seed };
+        setCurrentText(buildWordTest(list, wordCount, seed));
+        setCurrentIndex(-1);
+      } else if (mode === DRILL_MODE) {
+        // Drills aim at the weak spots of the latest sessions, so every new
+        // one is built from history as it stands now. A past drill is
+        // retyped as it was.
+        if (options.text) {
+          textSource.current = options.source ?? null;
+          setCurrentText(options.text);
+        } else {
+          const weaknesses = findWeaknesses(options.history ?? history);
+          // Words and bigrams due for review come back in the drill
+          const review = getReviewTargets(
+            options.history ? buildReviewDeck(options.history) : reviewDeck
+          );
+          const seed = createSeed();
+          textSource.current = { type: "drill", seed, targets: getDrillTargets(weaknesses, review) };
+          setCurrentText(buildDrill(weaknesses, layout, seed, review));
+        }
+        setDrillTargets(textSource.current?.targets ?? null);
+        setCurrentIndex(-1);
+      } else if (mode === LESSON_MODE) {
+        // The lesson picked (or the current one) typed with the keys learned
+        // so far. A past lesson is retyped as it was.
+        if (options.text) {
+          textSource.current = options.source ?? null;
+          setCurrentText(options.text);
+        } else {
+          const lessonLayout = options.layout ?? layout;
+          const lesson =
+            options.lesson ?? getLayoutProgress(curriculum, lessonLayout).current;
+          const seed = createSeed();
+          textSource.current = { type: "lesson", lesson, layout: lessonLayout, seed };
+          setCurrentText(buildLessonText(lesson, lessonLayout, seed));
+        }
+        setCurrentIndex(-1);
+      } else {
+        const collection = findCollection(
+          library,
+          options.collection !== undefined ? options.collection : textCollection
+        );
+        const { text, index, reset, source } = getNextParagraph(
+          indices,
+          false,
+          collection,
+          previousSource,
+          options.language ?? language
+        );
+        textSource.current = source ?? null;
+
+        if (reset && !forceNew) {
+          // All paragraphs completed - clear and restart
+          setCompletedIndices([]);
+          saveToStorage(STORAGE_KEYS.COMPLETED, []);
+        }
 
-      if (reset && !forceNew) {
-        // All paragraphs completed - clear and restart
-        setCompletedIndices([]);
-        saveToStorage(STORAGE_KEYS.COMPLETED, []);
+        setCurrentText(text);
+        setCurrentIndex(index);
       }
-
-      setCurrentText(text);
-      setCurrentIndex(index);
+      setTimeLeft(seconds ? seconds * 1000 : null);
       setTyped("");
       setIsActive(false);
       setIsComplete(false);
@@ -3611,34 +3828,62 @@ function App() {
       setStats(null);
       setViewingPastStats(false);
       lastKeystrokeTime.current = null;
+      deadKeyTime.current = null;
       startTime.current = null;
       containerRef.current?.focus();
     },
-    [completedIndices, isInRace, raceState.status]
+    [
+      completedIndices,
+      isInRace,
+      raceState.status,
+      testMode,
+      wordList,
+      library,
+      textCollection,
+      currentText,
+      snippetPack,
+      language,
+      history,
+      reviewDeck,
+      layout,
+      curriculum,
+    ]
   );
 
-  // Load cumulative stats on mount
+  // Load stored sessions and races on mount. Stats saved by an older
+  // algorithm or histogram layout are recomputed before the all-time stats
+  // are built from them.
   useEffect(() => {
-    const history = loadFromStorage(STORAGE_KEYS.HISTORY, []);
     setCompletedCount(completedIndices.length);
-    if (history.length > 0) {
-      const stats = calculateCumulativeStats(history);
-      setCumulativeStats(stats);
-      // Save for sharing via race stats request
-      localStorage.setItem('typometry_cumulative_stats', JSON.stringify({
-        wpm: stats.wpm,
-        accuracy: stats.accuracy,
-        consistency: stats.consistency,
-        sessions: stats.sessions,
-        avgInterval: stats.avgInterval,
-        behavioral: {
-          maxBurst: stats.behavioral?.maxBurst,
-          flowRatio: stats.behavioral?.flowRatio,
-          rhythmScore: stats.behavioral?.rhythmScore,
-        },
-      }));
-    }
     resetTest();
+    // A race finished before the stored ones load stays in the list
+    loadRaces().then((stored) =>
+      setRaceHistory((current) => [
+        ...current.filter((race) => !stored.some((r) => r.timestamp === race.timestamp)),
+        ...stored,
+      ].slice(0, MAX_RACES))
+    );
+    loadSessions().then(async (stored) => {
+      const { [PARAGRAPH_MODE]: paragraphHistograms, ...modeHistograms } = loadHistograms();
+      let sessions = stored;
+      if (needsStatsMigration(stored, paragraphHistograms, modeHistograms)) {
+        const migrated = migrateStoredStats(stored, paragraphHistograms, modeHistograms);
+        const byMode = {
+          ...migrated.modeHistograms,
+          [PARAGRAPH_MODE]: migrated.histograms,
+        };
+        sessions = migrated.history;
+        // Put rather than replace, so a session saved meanwhile stays
+        await putSessions(sessions);
+        saveHistograms(byMode);
+        setHistogramsByMode(byMode);
+      }
+      // A session finished or imported before they load stays in the list
+      setHistory((current) => mergeByTimestamp(sessions, current));
+      refreshCumulativeStats();
+      // The drill put up before history loaded had nothing to aim at
+      if (testMode === DRILL_MODE) resetTest(false, DRILL_MODE, { history: sessions });
+    });
   }, []);
 
   // Handle race URL parameter
@@ -3746,7 +3991,7 @@ function App() {
   // Save race to history when finished
   useEffect(() => {
     if (raceState.status === 'finished' && raceState.raceStats) {
-      const existingHistory = loadFromStorage(STORAGE_KEYS.RACE_HISTORY, []);
+      const existingHistory = raceHistory;
       
       // Check if this round is already saved (by roundId for unique per-round saving)
       const roundId = raceState.raceStats.roundId || raceState.raceStats.raceId;
@@ -3797,9 +4042,9 @@ function App() {
         wordCount: Math.round((raceState.raceStats.paragraph?.length || 0) / 5),
       };
       
-      const newRaceHistory = [raceEntry, ...existingHistory].slice(0, 50); // Keep last 50 races
-      saveToStorage(STORAGE_KEYS.RACE_HISTORY, newRaceHistory);
-      setRaceHistory(newRaceHistory);
+      // Stored on its own, so races still loading from storage are kept
+      putRace(raceEntry);
+      setRaceHistory((current) => [raceEntry, ...current].slice(0, MAX_RACES));
       
       // Track win streak
       const myPosition = raceState.raceStats.myResult?.position || 999;
@@ -3816,7 +4061,7 @@ function App() {
         saveToStorage(STORAGE_KEYS.WIN_STREAK, { current: 0, best: currentStreak.best });
       }
     }
-  }, [raceState.status, raceState.raceStats]);
+  }, [raceState.status, raceState.raceStats, raceHistory]);
 
   useEffect(() => {
     containerRef.current?.focus();
@@ -3868,1404 +4113,547 @@ function App() {
     };
   }, [isComplete]);
 
-  const calculateCumulativeStats = (history) => {
-    if (history.length === 0) return null;
-
-    const allIntervals = history.flatMap((h) => h.intervals);
-    const allWordIntervals = history.flatMap((h) => h.wordIntervals || []);
-    const allDistances = history.flatMap((h) => h.distances || []);
-
-    const totalChars = history.reduce((sum, h) => sum + h.charCount, 0);
-    const totalTime = history.reduce((sum, h) => sum + h.totalTime, 0);
-    const totalErrors = history.reduce((sum, h) => sum + h.errorCount, 0);
-
-    const avgInterval =
-      allIntervals.length > 0
-        ? allIntervals.reduce((a, b) => a + b, 0) / allIntervals.length
-        : 0;
-
-    const avgWordInterval =
-      allWordIntervals.length > 0
-        ? allWordIntervals.reduce((a, b) => a + b, 0) / allWordIntervals.length
-        : 0;
-
-    const avgDistance =
-      allDistances.length > 0
-        ? allDistances.reduce((a, b) => a + b, 0) / allDistances.length
-        : 0;
+  // Track raw key events for momentum calculation
+  const [rawKeyEvents, setRawKeyEvents] = useState([]);
 
-    const minutes = totalTime / 60000;
-    const wpm = minutes > 0 ? Math.round(totalChars / 5 / minutes) : 0;
-    const accuracy =
-      totalChars > 0 ? ((totalChars - totalErrors) / totalChars) * 100 : 0;
-
-    // Aggregate counts
-    const counts = {
-      words: history.reduce((sum, h) => sum + (h.counts?.words || 0), 0),
-      correctWords: history.reduce(
-        (sum, h) => sum + (h.counts?.correctWords || 0),
-        0
-      ),
-      letters: history.reduce((sum, h) => sum + (h.counts?.letters || 0), 0),
-      correctLetters: history.reduce(
-        (sum, h) => sum + (h.counts?.correctLetters || 0),
-        0
-      ),
-      numbers: history.reduce((sum, h) => sum + (h.counts?.numbers || 0), 0),
-      correctNumbers: history.reduce(
-        (sum, h) => sum + (h.counts?.correctNumbers || 0),
-        0
-      ),
-      punctuation: history.reduce(
-        (sum, h) => sum + (h.counts?.punctuation || 0),
-        0
-      ),
-      correctPunctuation: history.reduce(
-        (sum, h) => sum + (h.counts?.correctPunctuation || 0),
-        0
-      ),
-      capitals: history.reduce((sum, h) => sum + (h.counts?.capitals || 0), 0),
-      correctCapitals: history.reduce(
-        (sum, h) => sum + (h.counts?.correctCapitals || 0),
-        0
-      ),
-      spaces: history.reduce((sum, h) => sum + (h.counts?.spaces || 0), 0),
-      correctSpaces: history.reduce(
-        (sum, h) => sum + (h.counts?.correctSpaces || 0),
-        0
-      ),
+  // Races are always paragraph races, whatever mode is selected
+  const timedSeconds = isInRace ? null : getTimedSeconds(testMode);
+
+  // All-time stats cover the selected test mode only. The summary shared
+  // with racers always comes from paragraph sessions.
+  // All-time stats of a mode, from its stored sessions. Only the latest
+  // request is applied, so switching modes quickly can't show a stale mode.
+  const cumulativeRequest = useRef(0);
+  const refreshCumulativeStats = async (mode = testMode) => {
+    const request = ++cumulativeRequest.current;
+    const statsFor = async (key) => {
+      const entries = await loadSessions({ mode: key });
+      return entries.length > 0 ? calculateCumulativeStats(entries) : null;
     };
+    const stats = await statsFor(mode);
+    if (request !== cumulativeRequest.current) return;
+    setCumulativeStats(stats);
+    const paragraphStats =
+      mode === PARAGRAPH_MODE ? stats : await statsFor(PARAGRAPH_MODE);
+    if (paragraphStats) saveSharedStats(paragraphStats);
+  };
 
-    // Aggregate keyStats for keyboard heatmap
-    const keyStats = {};
-    history.forEach((h) => {
-      if (h.keyStats) {
-        Object.entries(h.keyStats).forEach(([key, data]) => {
-          if (!keyStats[key]) {
-            keyStats[key] = { times: [], count: 0, correct: 0, errors: 0 };
-          }
-          // Add all times and count from this session
-          if (data.times) {
-            keyStats[key].times.push(...data.times);
-          }
-          keyStats[key].count += data.count || 0;
-          keyStats[key].correct += data.correct || 0;
-          keyStats[key].errors += data.errors || 0;
-        });
-      }
-    });
-    // Calculate averages and accuracy for aggregated keyStats
-    Object.keys(keyStats).forEach((key) => {
-      const times = keyStats[key].times;
-      keyStats[key].avgInterval =
-        times.length > 0 ? times.reduce((a, b) => a + b, 0) / times.length : 0;
-      keyStats[key].accuracy =
-        keyStats[key].count > 0
-          ? keyStats[key].correct / keyStats[key].count
-          : 1;
-    });
-
-    // Aggregate fingerStats
-    const fingerStats = {};
-    const fingerOrder = [
-      "L-pinky",
-      "L-ring",
-      "L-middle",
-      "L-index",
-      "R-index",
-      "R-middle",
-      "R-ring",
-      "R-pinky",
-      "thumb",
-    ];
-    fingerOrder.forEach((f) => {
-      fingerStats[f] = { times: [], correct: 0, total: 0 };
-    });
-    history.forEach((h) => {
-      if (h.fingerStats) {
-        Object.entries(h.fingerStats).forEach(([finger, data]) => {
-          if (fingerStats[finger]) {
-            if (data.times) fingerStats[finger].times.push(...data.times);
-            fingerStats[finger].correct += data.correct || 0;
-            fingerStats[finger].total += data.total || 0;
-          }
-        });
-      }
-    });
-    Object.keys(fingerStats).forEach((f) => {
-      const times = fingerStats[f].times;
-      fingerStats[f].avgInterval =
-        times.length > 0
-          ? Math.round(times.reduce((a, b) => a + b, 0) / times.length)
-          : 0;
-      fingerStats[f].accuracy =
-        fingerStats[f].total > 0
-          ? Math.round((fingerStats[f].correct / fingerStats[f].total) * 1000) / 10
-          : 100;
-    });
-
-    // Aggregate fingerTransitions
-    const fingerTransitions = {};
-    history.forEach((h) => {
-      if (h.fingerTransitions) {
-        Object.entries(h.fingerTransitions).forEach(([key, data]) => {
-          if (!fingerTransitions[key]) {
-            fingerTransitions[key] = {
-              times: [],
-              from: data.from,
-              to: data.to,
-            };
-          }
-          if (data.times) {
-            fingerTransitions[key].times.push(...data.times);
-          }
-        });
-      }
-    });
-    // Calculate averages for transitions
-    Object.keys(fingerTransitions).forEach((key) => {
-      const t = fingerTransitions[key];
-      t.avg =
-        t.times.length > 0
-          ? Math.round(t.times.reduce((a, b) => a + b, 0) / t.times.length)
-          : 0;
-      t.count = t.times.length;
-    });
-
-    // Aggregate behavioral stats (weighted averages by char count)
-    const behavioralHistory = history.filter((h) => h.behavioral);
-    const totalBehavioralChars = behavioralHistory.reduce(
-      (sum, h) => sum + h.charCount,
-      0
+  // Save a history entry edited after the fact (its tags and note)
+  const updateSession = (entry) => {
+    setHistory((prev) =>
+      prev.map((e) => (e.timestamp === entry.timestamp ? entry : e))
     );
+    setSelectedHistoryEntry(entry);
+    putSession(entry);
+  };
 
-    const weightedAvg = (key) => {
-      if (totalBehavioralChars === 0) return 0;
-      return (
-        behavioralHistory.reduce(
-          (sum, h) => sum + (h.behavioral?.[key] || 0) * h.charCount,
-          0
-        ) / totalBehavioralChars
-      );
-    };
-
-    const avgMomentum = weightedAvg("momentum");
-    const avgFlowRatio = Math.round(weightedAvg("flowRatio"));
-    const avgRhythmScore = Math.round(weightedAvg("rhythmScore"));
-    const avgFatiguePercent = Math.round(weightedAvg("fatiguePercent"));
-    const avgRecoveryPenalty = Math.round(weightedAvg("recoveryPenalty"));
-    const avgCapitalPenalty = Math.round(weightedAvg("capitalPenalty"));
-    const avgPunctuationPenalty = Math.round(weightedAvg("punctuationPenalty"));
-    const avgHandBalance = STAT_ROUND.handBalance(weightedAvg("handBalance"));
-    const avgHomeRowAdvantage = STAT_ROUND.homeRowAdvantage(
-      weightedAvg("homeRowAdvantage")
-    );
-    const avgNumberRowPenalty = Math.round(weightedAvg("numberRowPenalty"));
-    const avgBackspaceEfficiency =
-      Math.round(weightedAvg("backspaceEfficiency") * 10) / 10;
+  // Everything a backup file holds (see backup.js)
+  const exportBackup = () =>
+    createBackup({
+      history,
+      raceHistory,
+      cumulativeStats: loadFromStorage("typometry_cumulative_stats", null),
+      histograms: histogramsByMode,
+      completed: completedIndices,
+      winStreak: loadFromStorage(STORAGE_KEYS.WIN_STREAK, { current: 0, best: 0 }),
+    });
 
-    const totalBursts = behavioralHistory.reduce(
-      (sum, h) => sum + (h.behavioral?.burstCount || 0),
-      0
-    );
-    const maxBurstEver = Math.max(
-      ...behavioralHistory.map((h) => h.behavioral?.maxBurst || 0),
-      0
-    );
-    const totalHesitations = behavioralHistory.reduce(
-      (sum, h) => sum + (h.behavioral?.hesitationCount || 0),
-      0
+  // Merge a parsed backup into stored data. Imported sessions saved by an
+  // older algorithm are recomputed, as on load. Returns how many sessions
+  // and races were new.
+  const importBackup = async (backup) => {
+    // Stored sessions too, in case they haven't loaded yet
+    const merged = mergeBackup(
+      {
+        history: mergeByTimestamp(await loadSessions(), history),
+        raceHistory,
+        histograms: histogramsByMode,
+        completed: completedIndices,
+        winStreak: loadFromStorage(STORAGE_KEYS.WIN_STREAK, { current: 0, best: 0 }),
+      },
+      backup
     );
+    let sessions = merged.history;
+    let byMode = merged.histograms;
+    const { [PARAGRAPH_MODE]: paragraphHistograms = {}, ...modeHistograms } = byMode;
+    if (needsStatsMigration(sessions, paragraphHistograms, modeHistograms)) {
+      const migrated = migrateStoredStats(sessions, paragraphHistograms, modeHistograms);
+      sessions = migrated.history;
+      byMode = { ...migrated.modeHistograms, [PARAGRAPH_MODE]: migrated.histograms };
+    }
+    await replaceSessions(sessions);
+    await replaceRaces(merged.raceHistory);
+    setHistory(sessions);
+    setRaceHistory(merged.raceHistory);
+    saveHistograms(byMode);
+    setHistogramsByMode(byMode);
+    setCompletedIndices(merged.completed);
+    setCompletedCount(merged.completed.length);
+    saveToStorage(STORAGE_KEYS.COMPLETED, merged.completed);
+    saveToStorage(STORAGE_KEYS.WIN_STREAK, merged.winStreak);
+    refreshCumulativeStats();
+    return merged.added;
+  };
 
-    // --- New metrics aggregation (with backfill from raw history) ---
-    // Old sessions don't have these fields, so we recompute them from each
-    // session's stored intervals/keyStats when missing.
-    const backfillSustainability = (h) => {
-      if (h.behavioral?.sustainabilityScore > 0) {
-        return h.behavioral.sustainabilityScore;
-      }
-      const intervals = h.intervals || [];
-      if (intervals.length < 8) return 0;
-      const quarterLen = Math.floor(intervals.length / 4);
-      const firstQuarter = intervals.slice(0, quarterLen);
-      const lastQuarter = intervals.slice(-quarterLen);
-      const firstAvg =
-        firstQuarter.reduce((a, b) => a + b, 0) / firstQuarter.length;
-      const lastAvg =
-        lastQuarter.reduce((a, b) => a + b, 0) / lastQuarter.length;
-      return lastAvg > 0 ? Math.round((firstAvg / lastAvg) * 100) : 100;
-    };
+  const selectTestMode = (mode, options) => {
+    setTestMode(mode);
+    saveToStorage(STORAGE_KEYS.TEST_MODE, mode);
+    refreshCumulativeStats(mode);
+    resetTest(false, mode, options);
+  };
 
-    const backfillBurstWpm = (h) => {
-      if (h.behavioral?.burstWpm > 0) return h.behavioral.burstWpm;
-      const intervals = h.intervals || [];
-      if (intervals.length < 2) return 0;
-      // Build relative timestamps from cumulative intervals
-      const timestamps = [0];
-      for (let i = 0; i < intervals.length; i++) {
-        timestamps.push(timestamps[i] + intervals[i]);
-      }
-      let burst = 0;
-      const WINDOW_MS = 5000;
-      let left = 0;
-      for (let right = 1; right < timestamps.length; right++) {
-        while (left < right && timestamps[right] - timestamps[left] > WINDOW_MS) {
-          left++;
-        }
-        const windowMs = timestamps[right] - timestamps[left];
-        if (windowMs >= WINDOW_MS * 0.6) {
-          const windowChars = right - left + 1;
-          const windowMinutes = windowMs / 60000;
-          if (windowMinutes > 0) {
-            const w = windowChars / 5 / windowMinutes;
-            if (w > burst) burst = w;
-          }
-        }
-      }
-      return Math.round(burst);
-    };
+  const selectWordList = (list) => {
+    setWordList(list);
+    saveToStorage(STORAGE_KEYS.WORD_LIST, list);
+    resetTest(false, testMode, { wordList: list });
+  };
 
-    const numberRowKeys = "1234567890";
-    const topRowKeys = "qwertyuiop";
-    const homeRowKeys = "asdfghjkl";
-    const bottomRowKeys = "zxcvbnm";
-    const backfillRowSpeeds = (h) => {
-      if (h.behavioral?.rowSpeeds && h.behavioral?.rowCounts) {
-        return { speeds: h.behavioral.rowSpeeds, counts: h.behavioral.rowCounts };
-      }
-      const speeds = { number: 0, top: 0, home: 0, bottom: 0 };
-      const counts = { number: 0, top: 0, home: 0, bottom: 0 };
-      const totals = { number: 0, top: 0, home: 0, bottom: 0 };
-      if (!h.keyStats) return { speeds, counts };
-      Object.entries(h.keyStats).forEach(([key, data]) => {
-        const lower = (key || "").toLowerCase();
-        let row = null;
-        if (numberRowKeys.includes(lower)) row = "number";
-        else if (topRowKeys.includes(lower)) row = "top";
-        else if (homeRowKeys.includes(lower)) row = "home";
-        else if (bottomRowKeys.includes(lower)) row = "bottom";
-        // weight by count of correct keystrokes that produced the avgInterval
-        const weight = (data && data.correct) || 0;
-        if (row && data && data.avgInterval > 0 && weight > 0) {
-          totals[row] += data.avgInterval * weight;
-          counts[row] += weight;
-        }
-      });
-      Object.keys(speeds).forEach((row) => {
-        speeds[row] = counts[row] > 0 ? Math.round(totals[row] / counts[row]) : 0;
+  // Retype a past session: its paragraph, or the same seeded word test.
+  // Returns false when the entry's text is no longer available.
+  const practiceAgain = (entry) => {
+    if (getEntryMode(entry) === CODE_MODE) {
+      if (!entry.paragraph) return false;
+      selectTestMode(CODE_MODE, {
+        text: entry.paragraph,
+        language: entry.source?.language,
+        source: entry.source?.type === "custom" ? entry.source : undefined,
       });
-      return { speeds, counts };
-    };
+      return true;
+    }
+    if (getEntryMode(entry) === DRILL_MODE || getEntryMode(entry) === LESSON_MODE) {
+      if (!entry.paragraph) return false;
+      selectTestMode(getEntryMode(entry), { text: entry.paragraph, source: entry.source });
+      return true;
+    }
+    if (entry.source?.type === "words") {
+      const { list, seed } = entry.source;
+      setWordList(list);
+      saveToStorage(STORAGE_KEYS.WORD_LIST, list);
+      selectTestMode(getEntryMode(entry), { wordList: list, seed });
+      return true;
+    }
 
-    // Burst WPM: best ever + weighted average (with backfill)
-    const burstWpms = behavioralHistory.map((h) => backfillBurstWpm(h));
-    const bestBurstWpm = burstWpms.length > 0 ? Math.max(...burstWpms, 0) : 0;
-    let burstSum = 0;
-    let burstWeight = 0;
-    behavioralHistory.forEach((h, i) => {
-      if (burstWpms[i] > 0) {
-        burstSum += burstWpms[i] * h.charCount;
-        burstWeight += h.charCount;
-      }
-    });
-    const avgBurstWpm = burstWeight > 0 ? Math.round(burstSum / burstWeight) : 0;
-
-    // Sustainability: weighted average across sessions (with backfill)
-    let sustainSum = 0;
-    let sustainWeight = 0;
-    behavioralHistory.forEach((h) => {
-      const score = backfillSustainability(h);
-      if (score > 0) {
-        sustainSum += score * h.charCount;
-        sustainWeight += h.charCount;
-      }
-    });
-    const avgSustainabilityScore =
-      sustainWeight > 0 ? Math.round(sustainSum / sustainWeight) : 100;
-
-    // Words per error: recompute from cumulative totals (most accurate)
-    const cumulativeWordsPerError =
-      totalErrors > 0
-        ? Math.round(((totalChars - totalErrors) / 5 / totalErrors) * 10) / 10
-        : null;
-
-    // Row speeds: weighted average by sample count per row (with backfill)
-    const rowAggregates = {
-      number: { sum: 0, count: 0 },
-      top: { sum: 0, count: 0 },
-      home: { sum: 0, count: 0 },
-      bottom: { sum: 0, count: 0 },
-    };
-    behavioralHistory.forEach((h) => {
-      const { speeds, counts } = backfillRowSpeeds(h);
-      Object.keys(rowAggregates).forEach((row) => {
-        const speed = speeds[row] || 0;
-        const count = counts[row] || 0;
-        if (speed > 0 && count > 0) {
-          rowAggregates[row].sum += speed * count;
-          rowAggregates[row].count += count;
-        }
-      });
-    });
-    const cumulativeRowSpeeds = {};
-    const cumulativeRowCounts = {};
-    Object.keys(rowAggregates).forEach((row) => {
-      cumulativeRowSpeeds[row] =
-        rowAggregates[row].count > 0
-          ? Math.round(rowAggregates[row].sum / rowAggregates[row].count)
-          : 0;
-      cumulativeRowCounts[row] = rowAggregates[row].count;
-    });
+    const para = entry.paragraph || ALL_PARAGRAPHS[entry.paragraphIndex];
+    if (!para) return false;
+    // Library texts and other-language prompts keep their source
+    const source = ["custom", "prompt"].includes(entry.source?.type) ? entry.source : null;
+    startParagraph(para, source ? -1 : entry.paragraphIndex, source);
+    return true;
+  };
 
-    // Determine overall archetype from most common or weighted
-    let momentumLabel = "balanced";
-    if (avgMomentum < 0.5) momentumLabel = "perfectionist";
-    else if (avgMomentum < 1.5) momentumLabel = "quick corrector";
-    else if (avgMomentum < 3) momentumLabel = "steady";
-    else if (avgMomentum < 5) momentumLabel = "flow typer";
-    else momentumLabel = "bulldozer";
-
-    let fatigueLabel = "steady";
-    if (avgFatiguePercent < -10) fatigueLabel = "warming up";
-    else if (avgFatiguePercent < -5) fatigueLabel = "accelerating";
-    else if (avgFatiguePercent > 15) fatigueLabel = "fatigued";
-    else if (avgFatiguePercent > 8) fatigueLabel = "slowing";
-
-    let dominantHand = "balanced";
-    if (avgHandBalance > 15) dominantHand = "left faster";
-    else if (avgHandBalance < -15) dominantHand = "right faster";
-
-    let speedProfile = "steady";
-    const avgConsistency =
-      history.reduce((sum, h) => sum + (h.consistency || 0), 0) /
-      history.length;
-    if (avgConsistency > 80) speedProfile = "metronome";
-    else if (avgConsistency > 65) speedProfile = "consistent";
-    else if (avgConsistency > 50) speedProfile = "variable";
-    else speedProfile = "erratic";
-
-    let backspaceLabel = "efficient";
-    if (avgBackspaceEfficiency > 2) backspaceLabel = "over-corrector";
-    else if (avgBackspaceEfficiency > 1.5) backspaceLabel = "cautious";
-    else if (avgBackspaceEfficiency < 1 && totalErrors > 0)
-      backspaceLabel = "incomplete fixes";
-
-    // Generate overall archetype
-    let archetype = "The Typist";
-    let archetypeDesc = "";
-
-    if (avgRhythmScore > 70 && avgConsistency > 70) {
-      archetype = "The Metronome";
-      archetypeDesc = "Steady, rhythmic, predictable timing";
-    } else if (avgMomentum < 1 && accuracy > 95) {
-      archetype = "The Surgeon";
-      archetypeDesc = "Precise, careful, catches every error instantly";
-    } else if (avgMomentum > 4 && wpm > 60) {
-      archetype = "The Steamroller";
-      archetypeDesc = "Powers through mistakes, prioritizes speed";
-    } else if (maxBurstEver > 15 && avgFlowRatio > 60) {
-      archetype = "The Sprinter";
-      archetypeDesc = "Explosive bursts of speed, then regroups";
-    } else if (avgFatiguePercent < -10) {
-      archetype = "The Slow Starter";
-      archetypeDesc = "Warms up over time, finishes strong";
-    } else if (avgFatiguePercent > 15) {
-      archetype = "The Fader";
-      archetypeDesc = "Strong start, loses steam as they go";
-    } else if (avgFlowRatio > 70 && avgConsistency > 60) {
-      archetype = "The Flow State";
-      archetypeDesc = "Locked in, consistent rhythm, in the zone";
-    } else if (avgRecoveryPenalty > 90) {
-      archetype = "The Rattled";
-      archetypeDesc = "Errors throw off their groove";
-    } else if (avgRecoveryPenalty < 60 && totalErrors > 0) {
-      archetype = "The Unfazed";
-      archetypeDesc = "Errors don't break their stride";
-    } else if (wpm > 80) {
-      archetype = "The Speedster";
-      archetypeDesc = "Raw speed is the name of the game";
-    } else if (accuracy > 98) {
-      archetype = "The Perfectionist";
-      archetypeDesc = "Accuracy above all else";
+  // Type a library text next, whatever collection is selected
+  const practiceLibraryText = (collection, text) => {
+    if (isCodeText(text)) {
+      selectTestMode(CODE_MODE, { text: text.text, source: getTextSource(collection, text) });
+    } else {
+      startParagraph(text.text, -1, getTextSource(collection, text));
     }
+    setShowLibrary(false);
+  };
 
-    // Use stored confidenceScore if available, otherwise recalculate
-    const avgConfidenceScore = Math.round(weightedAvg("confidenceScore"));
-    const confidenceScore = avgConfidenceScore > 0 ? avgConfidenceScore : Math.round(
-      avgFlowRatio * 0.3 +
-        avgRhythmScore * 0.2 +
-        accuracy * 0.3 +
-        (100 - Math.min(avgRecoveryPenalty, 100)) * 0.2
-    );
-
-    // Aggregate bigrams across all sessions
-    const bigramMap = {};
-    history.forEach((h) => {
-      if (h.bigrams) {
-        h.bigrams.forEach(({ bigram, avg, distance, accuracy, errors }) => {
-          const lowerBigram = bigram.toLowerCase();
-          if (!bigramMap[lowerBigram]) {
-            bigramMap[lowerBigram] = {
-              times: [],
-              distance,
-              correct: 0,
-              total: 0,
-            };
-          }
-          bigramMap[lowerBigram].times.push(avg);
-          // Accumulate accuracy data
-          if (accuracy !== undefined && errors !== undefined) {
-            // Reverse calculate: if we have count and errors, we can get correct
-            const count = 1; // Each bigram entry represents one occurrence
-            bigramMap[lowerBigram].total += count;
-            bigramMap[lowerBigram].correct += accuracy * count;
-          }
-        });
-      }
-    });
+  // Put a specific paragraph up, switching to paragraph mode if needed
+  const startParagraph = (text, index, source = null) => {
+    if (testMode !== PARAGRAPH_MODE) {
+      setTestMode(PARAGRAPH_MODE);
+      saveToStorage(STORAGE_KEYS.TEST_MODE, PARAGRAPH_MODE);
+      refreshCumulativeStats(PARAGRAPH_MODE);
+    }
+    textSource.current = source;
+    setTimeLeft(null);
+    setCurrentText(text);
+    setCurrentIndex(index);
+    setTyped('');
+    setIsComplete(false);
+    setIsActive(false);
+    setStats(null);
+    setKeystrokeData([]);
+    setRawKeyEvents([]);
+    startTime.current = null;
+    lastKeystrokeTime.current = null;
+    containerRef.current?.focus();
+  };
 
-    const aggregatedBigrams = Object.entries(bigramMap).map(
-      ([bigram, data]) => ({
-        bigram,
-        avg: data.times.reduce((a, b) => a + b, 0) / data.times.length,
-        count: data.times.length,
-        distance: data.distance,
-        accuracy: data.total > 0 ? data.correct / data.total : 1,
-        errors: data.total - data.correct,
-      })
-    );
+  const selectCollection = (collectionId) => {
+    setTextCollection(collectionId);
+    saveToStorage(STORAGE_KEYS.TEXT_COLLECTION, collectionId);
+    resetTest(false, testMode, { collection: collectionId });
+  };
 
-    const slowestBigrams = [...aggregatedBigrams]
-      .sort((a, b) => b.avg - a.avg)
-      .slice(0, 5);
-    const fastestBigrams = [...aggregatedBigrams]
-      .sort((a, b) => a.avg - b.avg)
-      .slice(0, 5);
-
-    // Accuracy-sorted bigrams for accuracy mode
-    const mostAccurateBigrams = [...aggregatedBigrams]
-      .filter((b) => b.count >= 2)
-      .sort((a, b) => b.accuracy - a.accuracy)
-      .slice(0, 5);
-    const leastAccurateBigrams = [...aggregatedBigrams]
-      .filter((b) => b.count >= 2 && b.errors > 0)
-      .sort((a, b) => a.accuracy - b.accuracy)
-      .slice(0, 5);
-
-    // Impressive bigrams: fast but far (distance > 3, time < median)
-    const medianTime =
-      allIntervals.length > 0
-        ? [...allIntervals].sort((a, b) => a - b)[
-            Math.floor(allIntervals.length / 2)
-          ]
-        : 100;
-
-    const impressiveBigrams = aggregatedBigrams
-      .filter((b) => b.distance && b.distance > 3 && b.avg < medianTime)
-      .sort((a, b) => b.distance / b.avg - a.distance / a.avg)
-      .slice(0, 5);
-
-    // Average errors per session
-    const avgErrors = totalErrors / history.length;
+  const selectLanguage = (languageId) => {
+    setLanguage(languageId);
+    saveToStorage(STORAGE_KEYS.LANGUAGE, languageId);
+    resetTest(false, testMode, { language: languageId });
+  };
 
-    return {
-      sessions: history.length,
-      totalChars,
-      totalErrors,
-      totalTime: STAT_ROUND.time(totalTime / 1000),
-      wpm: STAT_ROUND.wpm(wpm),
-      accuracy: STAT_ROUND.accuracy(accuracy),
-      consistency: STAT_ROUND.consistency(avgConsistency),
-      avgErrors: Math.round(avgErrors * 10) / 10,
-      avgInterval: STAT_ROUND.avgInterval(avgInterval),
-      avgWordInterval: Math.round(avgWordInterval),
-      avgDistance: STAT_ROUND.distance(avgDistance),
-      slowestBigrams,
-      fastestBigrams,
-      mostAccurateBigrams,
-      leastAccurateBigrams,
-      impressiveBigrams,
-      counts,
-      keyStats,
-      fingerStats,
-      fingerTransitions,
-      history, // Include history for review
-      behavioral: {
-        momentum: Math.round(avgMomentum * 10) / 10,
-        momentumLabel,
-        flowRatio: STAT_ROUND.flowRatio(avgFlowRatio),
-        rhythmScore: STAT_ROUND.rhythmScore(avgRhythmScore),
-        fatiguePercent: avgFatiguePercent,
-        fatigueLabel,
-        maxBurst: maxBurstEver,
-        totalBursts,
-        totalHesitations,
-        recoveryPenalty: avgRecoveryPenalty,
-        capitalPenalty: avgCapitalPenalty,
-        punctuationPenalty: avgPunctuationPenalty,
-        handBalance: avgHandBalance,
-        dominantHand,
-        homeRowAdvantage: avgHomeRowAdvantage,
-        numberRowPenalty: avgNumberRowPenalty,
-        backspaceEfficiency: avgBackspaceEfficiency,
-        backspaceLabel,
-        speedProfile,
-        archetype,
-        archetypeDesc,
-        confidenceScore,
-        // New metrics
-        burstWpm: avgBurstWpm,
-        bestBurstWpm,
-        sustainabilityScore: avgSustainabilityScore,
-        wordsPerError: cumulativeWordsPerError,
-        rowSpeeds: cumulativeRowSpeeds,
-        rowCounts: cumulativeRowCounts,
-      },
-    };
+  const selectSnippetPack = (pack) => {
+    setSnippetPack(pack);
+    saveToStorage(STORAGE_KEYS.SNIPPET_PACK, pack);
+    resetTest(false, testMode, { pack });
   };
 
-  const calculateStats = useCallback((data, totalTime, rawEvents = []) => {
-    const intervals = data.map((d) => d.interval).filter((i) => i !== null);
-    const avgInterval =
-      intervals.length > 0
-        ? intervals.reduce((a, b) => a + b, 0) / intervals.length
-        : 0;
+  const toggleAutoIndent = () => {
+    setAutoIndent(!autoIndent);
+    saveToStorage(STORAGE_KEYS.AUTO_INDENT, !autoIndent);
+    containerRef.current?.focus();
+  };
 
-    // Standard deviation
-    const variance =
-      intervals.length > 0
-        ? intervals.reduce(
-            (sum, val) => sum + Math.pow(val - avgInterval, 2),
-            0
-          ) / intervals.length
-        : 0;
-    const stdDev = Math.sqrt(variance);
+  const saveLibrary = (next) => {
+    setLibrary(next);
+    saveToStorage(STORAGE_KEYS.LIBRARY, next);
+  };
 
-    // Consistency score
-    const cv = avgInterval > 0 ? stdDev / avgInterval : 0;
-    const consistency = STAT_ROUND.consistency(
-      Math.max(0, (1 - Math.min(cv, 1)) * 100)
+  // Attach the release times collected by handleKeyUp
+  const withReleaseTimes = (keystrokes) =>
+    keystrokes.map((k, i) =>
+      releaseTimes.current[i] !== undefined
+        ? { ...k, releaseTime: releaseTimes.current[i] }
+        : k
     );
 
-    const correctChars = data.filter((d) => d.correct).length;
-    // Exclude backspaces from character count
-    const charCount = data.filter((d) => !d.isBackspace).length;
-    const accuracy = charCount > 0 ? (correctChars / charCount) * 100 : 0;
-
-    const minutes = totalTime / 60000;
-    const wpm = minutes > 0 ? Math.round(charCount / 5 / minutes) : 0;
-    const cpm = minutes > 0 ? Math.round(charCount / minutes) : 0;
-
-    // ============ BEHAVIORAL STATS ============
+  // Analyze a finished session, show its stats and save it to history and
+  // the histograms of the current test mode
+  const finishSession = ({ text, typed, keystrokes, rawEvents, totalTime, strict }) => {
+    const mode = isInRace ? PARAGRAPH_MODE : testMode;
+    const source = isInRace ? null : textSource.current;
+    // Built-in paragraphs are tracked as completed and feed the global stats,
+    // as do the prompts of other languages
+    const builtIn = mode === PARAGRAPH_MODE && !source;
+    const prompt = mode === PARAGRAPH_MODE && source?.type === "prompt";
+    const finalStats = analyzeSession({
+      text,
+      typed,
+      keystrokes,
+      rawEvents,
+      totalTime,
+      layout,
+    });
+    finalStats.recording = encodeRecording({
+      text,
+      keystrokes,
+      totalTime,
+      strict,
+      layout,
+      autoIndent: mode === CODE_MODE && autoIndent,
+    });
 
-    // --- Momentum: letters typed after error before first backspace ---
-    // High momentum = you power through mistakes, low = immediate corrector
-    const momentumValues = [];
-    let charsSinceError = 0;
-    let inErrorState = false;
+    setIsComplete(true);
+    setStats(finalStats);
 
-    for (const event of rawEvents) {
-      if (event.isBackspace) {
-        if (inErrorState && charsSinceError > 0) {
-          momentumValues.push(charsSinceError);
-        }
-        charsSinceError = 0;
-        inErrorState = false;
-      } else {
-        // Check if this keystroke was an error
-        const keystroke = data.find(
-          (d) => Math.abs(d.timestamp - event.timestamp) < 5
-        );
-        if (keystroke && !keystroke.correct) {
-          inErrorState = true;
-          charsSinceError = 1;
-        } else if (inErrorState) {
-          charsSinceError++;
-        }
+    // Scroll to show complete hint after a brief delay
+    setTimeout(() => {
+      const completeHint = document.querySelector(
+        ".complete-hint-container"
+      );
+      if (completeHint) {
+        completeHint.scrollIntoView({
+          behavior: "smooth",
+          block: "center",
+        });
       }
+    }, 100);
+
+    // Only built-in paragraphs count towards completed paragraphs
+    if (builtIn) {
+      const newCompleted = [...completedIndices, currentIndex];
+      setCompletedIndices(newCompleted);
+      setCompletedCount(newCompleted.length);
+      saveToStorage(STORAGE_KEYS.COMPLETED, newCompleted);
     }
 
-    const avgMomentum =
-      momentumValues.length > 0
-        ? momentumValues.reduce((a, b) => a + b, 0) / momentumValues.length
-        : 0;
+    // Save stats to history
+    const historyEntry = createHistoryEntry(finalStats, {
+      timestamp: Date.now(),
+      paragraphIndex: builtIn ? currentIndex : null,
+      paragraph: text, // Store the actual text typed
+      totalTime,
+      recording: finalStats.recording,
+      mode,
+      source,
+    });
+    setHistory((prev) => [...prev, historyEntry]);
 
-    // Momentum personality label
-    let momentumLabel = "balanced";
-    if (avgMomentum < 0.5) momentumLabel = "perfectionist";
-    else if (avgMomentum < 1.5) momentumLabel = "quick corrector";
-    else if (avgMomentum < 3) momentumLabel = "steady";
-    else if (avgMomentum < 5) momentumLabel = "flow typer";
-    else momentumLabel = "bulldozer";
-
-    // --- Burst detection: longest streak of fast correct keystrokes ---
-    const burstThreshold = avgInterval * 0.8; // faster than 80% of average
-    let currentBurst = 0;
-    let maxBurst = 0;
-    let bursts = [];
-
-    for (let i = 0; i < data.length; i++) {
-      if (
-        data[i].correct &&
-        data[i].interval &&
-        data[i].interval < burstThreshold
-      ) {
-        currentBurst++;
-      } else {
-        if (currentBurst > 2) bursts.push(currentBurst);
-        maxBurst = Math.max(maxBurst, currentBurst);
-        currentBurst = 0;
-      }
+    // Lessons count towards mastering them on the layout they were built for
+    if (source?.type === "lesson") {
+      const next = recordLessonResult(curriculum, source.layout, source.lesson, finalStats);
+      setCurriculum(next);
+      saveToStorage(STORAGE_KEYS.CURRICULUM, next);
     }
-    if (currentBurst > 2) bursts.push(currentBurst);
-    maxBurst = Math.max(maxBurst, currentBurst);
-
-    const avgBurstLength =
-      bursts.length > 0 ? bursts.reduce((a, b) => a + b, 0) / bursts.length : 0;
-
-    // --- Flow state: % of keystrokes within tight timing band ---
-    const flowBandLow = avgInterval * 0.7;
-    const flowBandHigh = avgInterval * 1.3;
-    const flowKeystrokes = intervals.filter(
-      (i) => i >= flowBandLow && i <= flowBandHigh
-    );
-    const flowRatio =
-      intervals.length > 0
-        ? STAT_ROUND.flowRatio((flowKeystrokes.length / intervals.length) * 100)
-        : 0;
 
-    // --- Fatigue: speed difference between first and second half ---
-    const halfPoint = Math.floor(intervals.length / 2);
-    const firstHalfAvg =
-      halfPoint > 0
-        ? intervals.slice(0, halfPoint).reduce((a, b) => a + b, 0) / halfPoint
-        : avgInterval;
-    const secondHalfAvg =
-      halfPoint > 0
-        ? intervals.slice(halfPoint).reduce((a, b) => a + b, 0) /
-          (intervals.length - halfPoint)
-        : avgInterval;
-    const fatigueRatio = firstHalfAvg > 0 ? secondHalfAvg / firstHalfAvg : 1;
-    const fatiguePercent = Math.round((fatigueRatio - 1) * 100);
-
-    let fatigueLabel = "steady";
-    if (fatiguePercent < -10) fatigueLabel = "warming up";
-    else if (fatiguePercent < -5) fatigueLabel = "accelerating";
-    else if (fatiguePercent > 15) fatigueLabel = "fatigued";
-    else if (fatiguePercent > 8) fatigueLabel = "slowing";
-
-    // --- Hesitation points: pauses > 500ms ---
-    const hesitationThreshold = 500;
-    const hesitations = intervals.filter((i) => i > hesitationThreshold);
-    const hesitationCount = hesitations.length;
-    const avgHesitation =
-      hesitations.length > 0
-        ? hesitations.reduce((a, b) => a + b, 0) / hesitations.length
-        : 0;
-
-    // --- Recovery time: average interval of 3 keystrokes after an error ---
-    const recoveryTimes = [];
-    for (let i = 0; i < data.length; i++) {
-      if (!data[i].correct && i + 3 < data.length) {
-        const nextThree = data
-          .slice(i + 1, i + 4)
-          .map((d) => d.interval)
-          .filter((i) => i !== null);
-        if (nextThree.length > 0) {
-          recoveryTimes.push(
-            nextThree.reduce((a, b) => a + b, 0) / nextThree.length
-          );
-        }
-      }
+    // Update this mode's histograms with the new session
+    const storedHistograms = loadHistograms();
+    const newHistograms = {
+      ...storedHistograms,
+      [mode]: addSessionToHistograms(storedHistograms[mode] || {}, finalStats),
+    };
+    saveHistograms(newHistograms);
+    setHistogramsByMode(newHistograms);
+
+    // Submit to Supabase - only keystrokes needed!
+    // The database trigger derives everything else. Global stats are
+    // per paragraph, so timed streams stay local - and custom texts are
+    // private, so they never leave the browser.
+    if (builtIn || prompt) {
+      submitToSupabase({
+        sentenceId: prompt ? source.index : currentIndex,
+        keystrokes,
+        layout,
+        language: prompt ? source.language : DEFAULT_LANGUAGE,
+      });
     }
-    const avgRecoveryTime =
-      recoveryTimes.length > 0
-        ? recoveryTimes.reduce((a, b) => a + b, 0) / recoveryTimes.length
-        : avgInterval;
-    const recoveryPenalty =
-      avgInterval > 0
-        ? Math.round((avgRecoveryTime / avgInterval - 1) * 100)
-        : 0;
-
-    // --- Capital letter penalty ---
-    const capitalIntervals = data
-      .filter(
-        (d) =>
-          d.expected &&
-          d.expected === d.expected.toUpperCase() &&
-          d.expected !== d.expected.toLowerCase()
-      )
-      .map((d) => d.interval)
-      .filter((i) => i !== null);
-    const avgCapitalInterval =
-      capitalIntervals.length > 0
-        ? capitalIntervals.reduce((a, b) => a + b, 0) / capitalIntervals.length
-        : avgInterval;
-    const capitalPenalty =
-      avgInterval > 0
-        ? Math.round((avgCapitalInterval / avgInterval - 1) * 100)
-        : 0;
 
-    // --- Punctuation penalty ---
-    const punctuation = ".,;:!?'\"-()[]{}/";
-    const punctIntervals = data
-      .filter((d) => d.expected && punctuation.includes(d.expected))
-      .map((d) => d.interval)
-      .filter((i) => i !== null);
-    const avgPunctInterval =
-      punctIntervals.length > 0
-        ? punctIntervals.reduce((a, b) => a + b, 0) / punctIntervals.length
-        : avgInterval;
-    const punctuationPenalty =
-      avgInterval > 0
-        ? Math.round((avgPunctInterval / avgInterval - 1) * 100)
-        : 0;
+    // Update cumulative stats once the session is stored
+    putSession(historyEntry).then(() => refreshCumulativeStats(mode));
 
-    // --- Error clustering: do errors come in bursts? ---
-    const errorPositions = data
-      .map((d, i) => (d.correct ? null : i))
-      .filter((i) => i !== null);
+    return finalStats;
+  };
 
-    let errorGaps = [];
-    for (let i = 1; i < errorPositions.length; i++) {
-      errorGaps.push(errorPositions[i] - errorPositions[i - 1]);
-    }
-    const avgErrorGap =
-      errorGaps.length > 0
-        ? errorGaps.reduce((a, b) => a + b, 0) / errorGaps.length
-        : charCount;
-    const errorClustering =
-      errorGaps.length > 0
-        ? Math.round((charCount / errorPositions.length / avgErrorGap) * 10) /
-          10
-        : 1;
-
-    let errorPattern = "random";
-    if (errorClustering > 1.5) errorPattern = "clustered";
-    else if (errorClustering < 0.7) errorPattern = "spread out";
-
-    // --- Backspace efficiency: backspaces per error ---
-    const backspaceCount = rawEvents.filter((e) => e.isBackspace).length;
-    // Exclude backspaces from error count (they have correct: false but aren't typing errors)
-    const errorCount = data.filter((d) => !d.correct && !d.isBackspace).length;
-    const backspaceEfficiency =
-      errorCount > 0 ? Math.round((backspaceCount / errorCount) * 10) / 10 : 1;
-
-    let backspaceLabel = "efficient";
-    if (backspaceEfficiency > 2) backspaceLabel = "over-corrector";
-    else if (backspaceEfficiency > 1.5) backspaceLabel = "cautious";
-    else if (backspaceEfficiency < 1 && errorCount > 0)
-      backspaceLabel = "incomplete fixes";
-
-    // --- Rhythm regularity (autocorrelation-like measure) ---
-    let rhythmScore = 0;
-    if (intervals.length > 10) {
-      const diffs = [];
-      for (let i = 1; i < intervals.length; i++) {
-        diffs.push(Math.abs(intervals[i] - intervals[i - 1]));
-      }
-      const avgDiff = diffs.reduce((a, b) => a + b, 0) / diffs.length;
-      rhythmScore =
-        avgInterval > 0
-          ? STAT_ROUND.rhythmScore(
-              Math.max(0, (1 - avgDiff / avgInterval) * 100)
-            )
-          : 0;
+  // Time's up: analyze what was typed against the stream so far
+  const finishTimedTest = () => {
+    if (typed.length === 0) {
+      resetTest();
+      return;
     }
-
-    // --- Hand balance (left vs right side of keyboard) ---
-    const leftKeys = "qwertasdfgzxcvb`12345";
-    const rightKeys = "yuiophjklnm67890-=[];'\\,./";
-    let leftTotal = 0,
-      leftCount = 0,
-      rightTotal = 0,
-      rightCount = 0;
-
-    data.forEach((d) => {
-      if (d.correct && d.interval && d.expected) {
-        const key = d.expected.toLowerCase();
-        if (leftKeys.includes(key)) {
-          leftTotal += d.interval;
-          leftCount++;
-        } else if (rightKeys.includes(key)) {
-          rightTotal += d.interval;
-          rightCount++;
-        }
-      }
-    });
-
-    const leftAvg = leftCount > 0 ? leftTotal / leftCount : avgInterval;
-    const rightAvg = rightCount > 0 ? rightTotal / rightCount : avgInterval;
-    const handBalance =
-      leftAvg > 0 && rightAvg > 0
-        ? STAT_ROUND.handBalance((rightAvg / leftAvg) * 100 - 100)
-        : 0;
-
-    let dominantHand = "balanced";
-    if (handBalance > 15) dominantHand = "left faster";
-    else if (handBalance < -15) dominantHand = "right faster";
-
-    // --- Home row affinity ---
-    const homeRow = "asdfghjkl;'";
-    let homeTotal = 0,
-      homeCount = 0;
-    data.forEach((d) => {
-      if (d.correct && d.interval && d.expected) {
-        if (homeRow.includes(d.expected.toLowerCase())) {
-          homeTotal += d.interval;
-          homeCount++;
-        }
-      }
-    });
-    const homeRowAvg = homeCount > 0 ? homeTotal / homeCount : avgInterval;
-    const homeRowAdvantage =
-      avgInterval > 0
-        ? STAT_ROUND.homeRowAdvantage((1 - homeRowAvg / avgInterval) * 100)
-        : 0;
-
-    // --- Number row comfort ---
-    const numberRow = "1234567890";
-    let numTotal = 0,
-      numCount = 0;
-    data.forEach((d) => {
-      if (d.correct && d.interval && d.expected) {
-        if (numberRow.includes(d.expected)) {
-          numTotal += d.interval;
-          numCount++;
-        }
-      }
-    });
-    const numberRowAvg = numCount > 0 ? numTotal / numCount : avgInterval;
-    const numberRowPenalty =
-      avgInterval > 0 ? Math.round((numberRowAvg / avgInterval - 1) * 100) : 0;
-
-    // --- Top row and bottom row speeds (full per-row breakdown) ---
-    const topRow = "qwertyuiop";
-    const bottomRow = "zxcvbnm";
-    let topTotal = 0,
-      topCount = 0,
-      bottomTotal = 0,
-      bottomCount = 0;
-    data.forEach((d) => {
-      if (d.correct && d.interval && d.expected) {
-        const key = d.expected.toLowerCase();
-        if (topRow.includes(key)) {
-          topTotal += d.interval;
-          topCount++;
-        } else if (bottomRow.includes(key)) {
-          bottomTotal += d.interval;
-          bottomCount++;
-        }
-      }
+    finishSession({
+      text: currentText.slice(0, typed.length),
+      typed,
+      keystrokes: withReleaseTimes(keystrokeData),
+      rawEvents: rawKeyEvents,
+      totalTime: timedSeconds * 1000,
+      strict: false,
     });
-    const topRowAvg = topCount > 0 ? topTotal / topCount : 0;
-    const bottomRowAvg = bottomCount > 0 ? bottomTotal / bottomCount : 0;
-
-    // --- Speed variance analysis ---
-    const speedVariance = stdDev / avgInterval;
-    let speedProfile = "steady";
-    if (speedVariance < 0.3) speedProfile = "metronome";
-    else if (speedVariance < 0.5) speedProfile = "consistent";
-    else if (speedVariance < 0.7) speedProfile = "variable";
-    else speedProfile = "erratic";
-
-    // --- Generate typing archetype ---
-    let archetype = "The Typist";
-    let archetypeDesc = "";
-
-    // Determine primary archetype based on key characteristics
-    if (rhythmScore > 70 && consistency > 70) {
-      archetype = "The Metronome";
-      archetypeDesc = "Steady, rhythmic, predictable timing";
-    } else if (avgMomentum < 1 && accuracy > 95) {
-      archetype = "The Surgeon";
-      archetypeDesc = "Precise, careful, catches every error instantly";
-    } else if (avgMomentum > 4 && wpm > 60) {
-      archetype = "The Steamroller";
-      archetypeDesc = "Powers through mistakes, prioritizes speed";
-    } else if (maxBurst > 15 && flowRatio > 60) {
-      archetype = "The Sprinter";
-      archetypeDesc = "Explosive bursts of speed, then regroups";
-    } else if (fatiguePercent < -10) {
-      archetype = "The Slow Starter";
-      archetypeDesc = "Warms up over time, finishes strong";
-    } else if (fatiguePercent > 15) {
-      archetype = "The Fader";
-      archetypeDesc = "Strong start, loses steam as they go";
-    } else if (hesitationCount > charCount / 50) {
-      archetype = "The Thinker";
-      archetypeDesc = "Pauses to consider, deliberate approach";
-    } else if (flowRatio > 70 && consistency > 60) {
-      archetype = "The Flow State";
-      archetypeDesc = "Locked in, consistent rhythm, in the zone";
-    } else if (recoveryPenalty > 90) {
-      archetype = "The Rattled";
-      archetypeDesc = "Errors throw off their groove";
-    } else if (recoveryPenalty < 60 && errorCount > 0) {
-      archetype = "The Unfazed";
-      archetypeDesc = "Errors don't break their stride";
-    } else if (wpm > 80) {
-      archetype = "The Speedster";
-      archetypeDesc = "Raw speed is the name of the game";
-    } else if (accuracy > 98) {
-      archetype = "The Perfectionist";
-      archetypeDesc = "Accuracy above all else";
-    }
+  };
+  const finishTimedTestRef = useRef(finishTimedTest);
+  finishTimedTestRef.current = finishTimedTest;
 
-    // --- Confidence score (composite metric) ---
-    const confidenceScore = Math.round(
-      flowRatio * 0.3 +
-        rhythmScore * 0.2 +
-        accuracy * 0.3 +
-        (100 - Math.min(recoveryPenalty, 100)) * 0.2
-    );
+  // Timed tests: run the clock from the first keystroke and stop at zero
+  useEffect(() => {
+    if (!timedSeconds || !isActive || isComplete) return;
+    const tick = () => {
+      const left = timedSeconds * 1000 - (performance.now() - startTime.current);
+      setTimeLeft(Math.max(0, left));
+      if (left <= 0) finishTimedTestRef.current();
+    };
+    tick();
+    const interval = setInterval(tick, 100);
+    return () => clearInterval(interval);
+  }, [timedSeconds, isActive, isComplete]);
+
+  // Record when a tracked key comes back up. Matched by physical key, so
+  // overlapping presses (rollover) each get their own release.
+  const handleKeyUp = useCallback((e) => {
+    const id = e.code || e.key;
+    const index = pressedKeys.current[id];
+    if (index === undefined || startTime.current === null) return;
+    delete pressedKeys.current[id];
+    releaseTimes.current[index] = performance.now() - startTime.current;
+  }, []);
 
-    // --- Burst WPM: peak 5-second sliding window WPM ---
-    let burstWpm = 0;
-    if (data.length > 1 && data[0].timestamp !== undefined) {
-      const WINDOW_MS = 5000;
-      let left = 0;
-      for (let right = 1; right < data.length; right++) {
-        // Shrink window from the left while it exceeds 5s
-        while (left < right && data[right].timestamp - data[left].timestamp > WINDOW_MS) {
-          left++;
-        }
-        const windowMs = data[right].timestamp - data[left].timestamp;
-        // Only consider windows that are at least 60% full (3+ seconds) to avoid noise
-        if (windowMs >= WINDOW_MS * 0.6) {
-          let windowChars = 0;
-          for (let k = left; k <= right; k++) {
-            if (!data[k].isBackspace) windowChars++;
-          }
-          const windowMinutes = windowMs / 60000;
-          if (windowMinutes > 0) {
-            const windowWpm = (windowChars / 5) / windowMinutes;
-            if (windowWpm > burstWpm) burstWpm = windowWpm;
-          }
-        }
-      }
-    }
-    burstWpm = Math.round(burstWpm);
-
-    // --- Sustainability score: ratio of last-quarter speed to first-quarter speed (% of pace held) ---
-    // 100 = held pace exactly; >100 = sped up; <100 = slowed down
-    let sustainabilityScore = 100;
-    if (intervals.length >= 8) {
-      const quarterLen = Math.floor(intervals.length / 4);
-      const firstQuarter = intervals.slice(0, quarterLen);
-      const lastQuarter = intervals.slice(-quarterLen);
-      const firstAvg = firstQuarter.reduce((a, b) => a + b, 0) / firstQuarter.length;
-      const lastAvg = lastQuarter.reduce((a, b) => a + b, 0) / lastQuarter.length;
-      // Lower interval = faster. ratio = firstAvg / lastAvg (>1 means held or improved)
-      if (lastAvg > 0) {
-        sustainabilityScore = Math.round((firstAvg / lastAvg) * 100);
-      }
+  const startSession = (at) => {
+    if (isActive) return;
+    setIsActive(true);
+    pressedKeys.current = {};
+    releaseTimes.current = {};
+    // In realtime race mode, timer already started at GO
+    // Only set startTime if not already set (non-realtime mode)
+    if (!startTime.current) {
+      startTime.current = at;
     }
+  };
 
-    // --- Words per error: how many words between typos ---
-    // null = perfect (no errors)
-    const wordsPerError =
-      errorCount > 0
-        ? Math.round((correctChars / 5 / errorCount) * 10) / 10
-        : null;
-
-    // ============ END BEHAVIORAL STATS ============
-
-    // Word intervals (time from space to space)
-    const wordIntervals = [];
-    let lastSpaceTime = null;
-    data.forEach((d, i) => {
-      if (d.expected === " " && d.timestamp !== undefined) {
-        if (lastSpaceTime !== null) {
-          wordIntervals.push(d.timestamp - lastSpaceTime);
-        }
-        lastSpaceTime = d.timestamp;
-      }
-    });
-
-    const avgWordInterval =
-      wordIntervals.length > 0
-        ? wordIntervals.reduce((a, b) => a + b, 0) / wordIntervals.length
-        : 0;
+  // Type `text` at the cursor, one keystroke per character. A keydown types
+  // one character; an IME commit can type several at once, spread evenly
+  // over the time since the previous keystroke. `compose` is how long the
+  // composition took: stored on the first character it committed, -1 on
+  // the rest, absent for plain keystrokes. Raw events are made here unless
+  // the caller already recorded them.
+  const enterText = (
+    text,
+    now,
+    { code = null, modifiers = 0, compose = null, rawEvents: recordedRaw = null } = {}
+  ) => {
+    const chars = [...text];
+    const useStrictMode = isInRace && raceState.strictMode;
+    const indenting = !isInRace && testMode === CODE_MODE && autoIndent;
+    const previousTime = lastKeystrokeTime.current;
+    const from = previousTime ?? startTime.current ?? now;
+    const step = (now - from) / chars.length;
+
+    const added = [];
+    let nextTyped = typed;
+    let blocked = null;
+    for (let i = 0; i < chars.length; i++) {
+      const key = chars[i];
+      const expected = currentText[nextTyped.length];
+      const keystroke = {
+        key,
+        expected,
+        correct: key === expected,
+        interval: i === 0 && previousTime === null ? null : step,
+        timestamp: from + step * (i + 1) - startTime.current,
+        position: nextTyped.length,
+        code: chars.length === 1 ? code : null,
+        modifiers: chars.length === 1 ? modifiers : 0,
+      };
+      if (compose !== null) keystroke.compose = i === 0 ? compose : -1;
+      added.push(keystroke);
 
-    // Keyboard distances - only track CORRECT consecutive keystrokes
-    const distances = [];
-    const bigramsWithDistance = [];
-
-    // Track bigram accuracy (correct vs total for each bigram)
-    const bigramAccuracyMap = {};
-
-    // Build list of correct keystrokes only for speed/distance
-    // Only count bigrams where BOTH keystrokes are consecutive AND correct
-    // (no errors or corrections between them)
-    for (let i = 1; i < data.length; i++) {
-      const prev = data[i - 1];
-      const curr = data[i];
-
-      // Both must be correct for a valid bigram timing
-      if (!prev.correct || !curr.correct) continue;
-
-      if (curr.interval && curr.expected && prev.expected) {
-        // Skip same-character transitions (not meaningful for speed)
-        if (curr.expected.toLowerCase() === prev.expected.toLowerCase())
-          continue;
-
-        const distance = getKeyDistance(prev.expected, curr.expected);
-        if (distance !== null) {
-          distances.push(distance);
-          bigramsWithDistance.push({
-            bigram: prev.expected + curr.expected,
-            interval: curr.interval,
-            distance,
-          });
-        }
+      // In strict mode (for races), only advance if correct
+      if (useStrictMode && !keystroke.correct) {
+        blocked = keystroke;
+        break;
       }
+      nextTyped = typeKey(currentText, nextTyped, key, indenting);
     }
 
-    // Track all bigrams (including errors) for accuracy mode
-    for (let i = 1; i < data.length; i++) {
-      const prev = data[i - 1];
-      const curr = data[i];
-
-      // Skip same-character bigrams (case-insensitive)
-      if (
-        curr.expected &&
-        prev.expected &&
-        prev.expected.toLowerCase() !== curr.expected.toLowerCase()
-      ) {
-        const bigram = (prev.expected + curr.expected).toLowerCase();
-        if (!bigramAccuracyMap[bigram]) {
-          bigramAccuracyMap[bigram] = {
-            correct: 0,
-            total: 0,
-            distance: getKeyDistance(prev.expected, curr.expected),
-          };
-        }
-        bigramAccuracyMap[bigram].total++;
-        // Bigram is correct if BOTH characters were typed correctly
-        if (prev.correct && curr.correct) {
-          bigramAccuracyMap[bigram].correct++;
-        }
-      }
-    }
+    const newRawEvents =
+      recordedRaw ??
+      added.map((k) => ({
+        key: k.key,
+        code: null,
+        timestamp: k.timestamp,
+        isBackspace: false,
+      }));
+    if (!recordedRaw) setRawKeyEvents((prev) => [...prev, ...newRawEvents]);
 
-    const avgDistance =
-      distances.length > 0
-        ? distances.reduce((a, b) => a + b, 0) / distances.length
-        : 0;
+    lastKeystrokeTime.current = now;
+    setKeystrokeData((prev) => [...prev, ...added]);
+    setTyped(nextTyped);
 
-    // Per-key statistics for heatmap (preserve case for capitals)
-    const keyStats = {};
-    data.forEach((d) => {
-      if (d.expected && d.interval) {
-        const key = d.expected; // Preserve original case
-        if (!keyStats[key]) {
-          keyStats[key] = { times: [], count: 0, correct: 0, errors: 0 };
-        }
-        keyStats[key].count++;
-        if (d.correct) {
-          keyStats[key].times.push(d.interval);
-          keyStats[key].correct++;
-        } else {
-          keyStats[key].errors++;
-        }
-      }
-    });
+    if (blocked) {
+      // Don't advance - user must backspace and correct
+      // Clear any existing timeouts from rapid presses
+      if (shakeTimeoutRef.current) clearTimeout(shakeTimeoutRef.current);
+      if (blockedCharTimeoutRef.current) clearTimeout(blockedCharTimeoutRef.current);
 
-    // Calculate averages and accuracy per key
-    Object.keys(keyStats).forEach((key) => {
-      const times = keyStats[key].times;
-      keyStats[key].avgInterval =
-        times.length > 0 ? times.reduce((a, b) => a + b, 0) / times.length : 0;
-      keyStats[key].accuracy =
-        keyStats[key].count > 0
-          ? keyStats[key].correct / keyStats[key].count
-          : 1;
-    });
+      // Show blocked character immediately
+      setBlockedChar({ char: blocked.key, position: nextTyped.length, id: Date.now() });
+      blockedCharTimeoutRef.current = setTimeout(() => setBlockedChar(null), 600);
 
-    // Finger statistics
-    const fingerStats = {};
-    const fingerOrder = [
-      "L-pinky",
-      "L-ring",
-      "L-middle",
-      "L-index",
-      "R-index",
-      "R-middle",
-      "R-ring",
-      "R-pinky",
-      "thumb",
-    ];
-    fingerOrder.forEach((f) => {
-      fingerStats[f] = { times: [], correct: 0, total: 0 };
-    });
+      // Restart shake animation by toggling off then on
+      setShakeKey(0);
+      requestAnimationFrame(() => {
+        setShakeKey(k => k + 1);
+        shakeTimeoutRef.current = setTimeout(() => setShakeKey(0), 200);
+      });
+      return;
+    }
 
-    // Track finger-to-finger transitions
-    const fingerTransitions = {};
-    let prevFinger = null;
-    let prevWasCorrect = false;
-
-    data.forEach((d) => {
-      if (d.expected) {
-        const finger =
-          FINGER_MAP[d.expected.toLowerCase()] || FINGER_MAP[d.expected];
-        if (finger && fingerStats[finger]) {
-          fingerStats[finger].total++;
-          if (d.correct) {
-            fingerStats[finger].correct++;
-            if (d.interval) fingerStats[finger].times.push(d.interval);
-
-            // Track transition from previous finger ONLY if previous was also correct
-            // This ensures we're measuring real consecutive transitions, not corrections
-            if (
-              prevFinger &&
-              prevWasCorrect &&
-              d.interval &&
-              prevFinger !== finger
-            ) {
-              const key = `${prevFinger}->${finger}`;
-              if (!fingerTransitions[key]) {
-                fingerTransitions[key] = {
-                  times: [],
-                  from: prevFinger,
-                  to: finger,
-                };
-              }
-              fingerTransitions[key].times.push(d.interval);
-            }
-            prevFinger = finger;
-            prevWasCorrect = true;
-          } else {
-            // Reset on error - next correct keystroke won't form a valid transition
-            prevWasCorrect = false;
-          }
-        }
-      }
-    });
+    // Update race progress if in a race
+    if (isInRace && raceState.status === "racing") {
+      const newTypedLength = nextTyped.length;
+      const progress = (newTypedLength / currentText.length) * 100;
+      const elapsedMinutes = (now - startTime.current) / 60000;
+      const sessionKeystrokes = [...keystrokeData, ...added];
+      const correctChars = sessionKeystrokes.filter((k) => k.correct && !k.isBackspace).length;
+      const totalChars = sessionKeystrokes.filter((k) => !k.isBackspace).length;
+      const currentWpm = elapsedMinutes > 0 ? (correctChars / 5) / elapsedMinutes : 0;
+      const currentAccuracy = totalChars > 0 ? (correctChars / totalChars) * 100 : 100;
+      updateRaceProgress(progress, currentWpm, currentAccuracy, newTypedLength);
+    }
 
-    // Calculate average transition times
-    Object.keys(fingerTransitions).forEach((key) => {
-      const t = fingerTransitions[key];
-      t.avg =
-        t.times.length > 0
-          ? Math.round(t.times.reduce((a, b) => a + b, 0) / t.times.length)
-          : 0;
-      t.count = t.times.length;
-    });
+    // Timed tests: keep the stream ahead of the cursor
+    if (timedSeconds && currentText.length - nextTyped.length < STREAM_BUFFER) {
+      setCurrentText((prev) =>
+        extendStream(prev, RACE_PARAGRAPHS, prev.length + STREAM_BUFFER)
+      );
+    }
 
-    Object.keys(fingerStats).forEach((f) => {
-      const times = fingerStats[f].times;
-      fingerStats[f].avgInterval =
-        times.length > 0
-          ? Math.round(times.reduce((a, b) => a + b, 0) / times.length)
-          : 0;
-      fingerStats[f].accuracy =
-        fingerStats[f].total > 0
-          ? Math.round((fingerStats[f].correct / fingerStats[f].total) * 1000) / 10
-          : 100;
-    });
+    // Check completion (timed tests end on the clock instead)
+    if (!timedSeconds && nextTyped.length === currentText.length) {
+      const totalTime = now - startTime.current;
+      const allKeystrokes = withReleaseTimes([...keystrokeData, ...added]);
+
+      const finalStats = finishSession({
+        text: currentText,
+        typed: nextTyped, // Full typed string including this keystroke
+        keystrokes: allKeystrokes,
+        rawEvents: [...rawKeyEvents, ...newRawEvents],
+        totalTime,
+        strict: useStrictMode,
+      });
 
-    // Aggregate bigrams
-    const bigramMap = {};
-    bigramsWithDistance.forEach(({ bigram, interval, distance }) => {
-      if (!bigramMap[bigram]) {
-        bigramMap[bigram] = { times: [], distance };
+      // Finish race if in a race
+      if (isInRace && raceState.status === "racing") {
+        // In realtime mode, time is from race start (GO signal)
+        // In non-realtime mode, time is from first keystroke
+        const raceTime = raceState.realtimeMode 
+          ? Date.now() - raceState.raceStartTime
+          : totalTime; // totalTime is already calculated from startTime.current
+        
+        // Use simple array of WPM values for race broadcast (smaller payload)
+        const wordSpeedsSimple = finalStats.wordSpeeds.map(w => w.wpm);
+        
+        // Simplified keystroke data for keyboard viz (key, correct, time)
+        const keystrokeSimple = allKeystrokes.map(k => ({
+          key: k.key,
+          correct: k.correct,
+          time: k.interval, // Use interval (time between keystrokes)
+        }));
+        
+        // In strict mode, use raw WPM (no errors possible)
+        // In non-strict mode, use adjusted WPM (factors in uncorrected errors)
+        const raceWpm = raceState.strictMode ? finalStats.wpm : finalStats.adjustedWpm;
+        
+        finishRace(raceWpm, finalStats.accuracy, raceTime, wordSpeedsSimple, keystrokeSimple);
       }
-      bigramMap[bigram].times.push(interval);
-    });
-
-    const bigramAvgs = Object.entries(bigramMap).map(([bigram, data]) => {
-      const lowerBigram = bigram.toLowerCase();
-      const accuracyData = bigramAccuracyMap[lowerBigram];
-      return {
-        bigram,
-        avg: data.times.reduce((a, b) => a + b, 0) / data.times.length,
-        count: data.times.length,
-        distance: data.distance,
-        accuracy: accuracyData ? accuracyData.correct / accuracyData.total : 1,
-        errors: accuracyData ? accuracyData.total - accuracyData.correct : 0,
-      };
-    });
+    }
+  };
 
-    const slowestBigrams = [...bigramAvgs]
-      .sort((a, b) => b.avg - a.avg)
-      .slice(0, 5);
-    const fastestBigrams = [...bigramAvgs]
-      .sort((a, b) => a.avg - b.avg)
-      .slice(0, 5);
-
-    // Accuracy-sorted bigrams for accuracy mode
-    const mostAccurateBigrams = [...bigramAvgs]
-      .filter((b) => b.count >= 2)
-      .sort((a, b) => b.accuracy - a.accuracy)
-      .slice(0, 5);
-    const leastAccurateBigrams = [...bigramAvgs]
-      .filter((b) => b.count >= 2 && b.errors > 0)
-      .sort((a, b) => a.accuracy - b.accuracy)
-      .slice(0, 5);
-
-    // Impressive bigrams: fast relative to distance
-    const medianInterval =
-      intervals.length > 0
-        ? [...intervals].sort((a, b) => a - b)[Math.floor(intervals.length / 2)]
-        : 100;
-
-    const impressiveBigrams = bigramAvgs
-      .filter((b) => b.distance > 3 && b.avg < medianInterval)
-      .sort((a, b) => b.distance / b.avg - a.distance / a.avg)
-      .slice(0, 5);
-
-    // Speed over time
-    const windowSize = 20;
-    const speedOverTime = [];
-    for (let i = windowSize; i < intervals.length; i++) {
-      const window = intervals.slice(i - windowSize, i);
-      const avgMs = window.reduce((a, b) => a + b, 0) / window.length;
-      speedOverTime.push(avgMs > 0 ? 1000 / avgMs : 0);
+  // Typing is paused while stats are shown, during a race countdown and for
+  // spectators - the same rules handleKeyDown applies to keys
+  const canType = () =>
+    !isComplete &&
+    !viewingPastStats &&
+    !raceState.isSpectator &&
+    !(isInRace && (raceState.status === 'countdown' || raceState.status === 'connecting'));
+
+  // Type text committed by an IME or dead-key composition that began at
+  // `startedAt`, or by a virtual keyboard (startedAt null)
+  const commitText = (text, startedAt) => {
+    const now = performance.now();
+    // Timed tests: input after the clock ran out doesn't count
+    if (
+      timedSeconds &&
+      startTime.current &&
+      now - startTime.current >= timedSeconds * 1000
+    ) {
+      return;
     }
+    startSession(startedAt ?? now);
+    enterText(text.normalize("NFC"), now, {
+      compose: startedAt !== null ? Math.round(now - startedAt) : null,
+    });
+  };
 
-    // Percentiles
-    const sortedIntervals = [...intervals].sort((a, b) => a - b);
-    const p50 = sortedIntervals[Math.floor(sortedIntervals.length * 0.5)] || 0;
-    const p90 = sortedIntervals[Math.floor(sortedIntervals.length * 0.9)] || 0;
-    const p99 = sortedIntervals[Math.floor(sortedIntervals.length * 0.99)] || 0;
-    const fastest = sortedIntervals[0] || 0;
+  const handleCompositionStart = () => {
+    compositionStart.current = deadKeyTime.current ?? performance.now();
+    deadKeyTime.current = null;
+  };
 
-    return {
-      wpm: STAT_ROUND.wpm(wpm),
-      cpm,
-      accuracy: STAT_ROUND.accuracy(accuracy),
-      avgInterval: STAT_ROUND.avgInterval(avgInterval),
-      stdDev: STAT_ROUND.stdDev(stdDev),
-      consistency,
-      slowestBigrams,
-      fastestBigrams,
-      mostAccurateBigrams,
-      leastAccurateBigrams,
-      impressiveBigrams,
-      totalTime: STAT_ROUND.time(totalTime / 1000),
-      charCount,
-      errorCount,
-      intervals,
-      speedOverTime,
-      percentiles: {
-        p50: Math.round(p50),
-        p90: Math.round(p90),
-        p99: Math.round(p99),
-        fastest: Math.round(fastest),
-      },
-      wordIntervals,
-      avgWordInterval: Math.round(avgWordInterval),
-      distances,
-      avgDistance: STAT_ROUND.distance(avgDistance),
-      bigrams: bigramAvgs,
-      // Counts
-      counts: {
-        words: wordIntervals.length + 1,
-        correctWords:
-          data.filter((d, i) => {
-            // A word is correct if all chars up to the next space are correct
-            if (d.expected !== " ") return false;
-            let wordStart = i - 1;
-            while (wordStart >= 0 && data[wordStart].expected !== " ")
-              wordStart--;
-            wordStart++;
-            return data.slice(wordStart, i).every((k) => k.correct);
-          }).length +
-          (data.length > 0 && data[data.length - 1].correct ? 1 : 0),
-        letters: data.filter((d) => d.expected && /[a-zA-Z]/.test(d.expected))
-          .length,
-        correctLetters: data.filter(
-          (d) => d.correct && d.expected && /[a-zA-Z]/.test(d.expected)
-        ).length,
-        numbers: data.filter((d) => d.expected && /[0-9]/.test(d.expected))
-          .length,
-        correctNumbers: data.filter(
-          (d) => d.correct && d.expected && /[0-9]/.test(d.expected)
-        ).length,
-        punctuation: data.filter(
-          (d) => d.expected && /[.,;:!?'"()\-]/.test(d.expected)
-        ).length,
-        correctPunctuation: data.filter(
-          (d) => d.correct && d.expected && /[.,;:!?'"()\-]/.test(d.expected)
-        ).length,
-        capitals: data.filter(
-          (d) =>
-            d.expected &&
-            d.expected === d.expected.toUpperCase() &&
-            d.expected !== d.expected.toLowerCase()
-        ).length,
-        correctCapitals: data.filter(
-          (d) =>
-            d.correct &&
-            d.expected &&
-            d.expected === d.expected.toUpperCase() &&
-            d.expected !== d.expected.toLowerCase()
-        ).length,
-        spaces: data.filter((d) => d.expected === " ").length,
-        correctSpaces: data.filter((d) => d.correct && d.expected === " ")
-          .length,
-      },
-      // Behavioral stats
-      behavioral: {
-        momentum: Math.round(avgMomentum * 10) / 10,
-        momentumLabel,
-        maxBurst,
-        avgBurstLength: Math.round(avgBurstLength * 10) / 10,
-        flowRatio,
-        fatiguePercent,
-        fatigueLabel,
-        hesitationCount,
-        avgHesitation: Math.round(avgHesitation),
-        recoveryPenalty,
-        capitalPenalty,
-        punctuationPenalty,
-        errorPattern,
-        errorClustering,
-        backspaceEfficiency,
-        backspaceLabel,
-        rhythmScore,
-        // New stats
-        handBalance,
-        dominantHand,
-        homeRowAdvantage,
-        numberRowPenalty,
-        speedProfile,
-        archetype,
-        archetypeDesc,
-        confidenceScore,
-        burstCount: bursts.length,
-        // New metrics
-        burstWpm,
-        sustainabilityScore,
-        wordsPerError,
-        // Row-by-row speed breakdown (avg interval ms; 0 if no samples)
-        rowSpeeds: {
-          number: Math.round(numCount > 0 ? numberRowAvg : 0),
-          top: Math.round(topRowAvg),
-          home: Math.round(homeCount > 0 ? homeRowAvg : 0),
-          bottom: Math.round(bottomRowAvg),
-        },
-        rowCounts: {
-          number: numCount,
-          top: topCount,
-          home: homeCount,
-          bottom: bottomCount,
-        },
-      },
-      keyStats,
-      fingerStats,
-      fingerTransitions,
-    };
-  }, []);
+  const handleCompositionEnd = (e) => {
+    const startedAt = compositionStart.current;
+    compositionStart.current = null;
+    setComposing("");
+    e.currentTarget.value = "";
+    if (e.data && canType()) commitText(e.data, startedAt);
+  };
 
-  // Track raw key events for momentum calculation
-  const [rawKeyEvents, setRawKeyEvents] = useState([]);
+  // Text that reached the hidden input without a composition or a keydown
+  // we could read - virtual keyboards report keys as "Unidentified"
+  const handleImeInput = (e) => {
+    if (e.nativeEvent.isComposing || compositionStart.current !== null) return;
+    const text = e.currentTarget.value;
+    e.currentTarget.value = "";
+    if (text && canType()) commitText(text, null);
+  };
 
   const handleKeyDown = useCallback(
     (e) => {
       // Ignore keystrokes from input fields (chat, name editing, etc.)
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+      if (
+        (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') &&
+        e.target !== imeInputRef.current
+      ) {
         return;
       }
 
@@ -5304,25 +4692,51 @@ function App() {
         return;
       }
 
-      if (e.ctrlKey || e.metaKey || e.altKey) return;
-      if (["Shift", "CapsLock", "Tab", "Escape"].includes(e.key)) return;
+      // AltGr arrives as Ctrl+Alt on some platforms but types characters
+      const modifiers = getModifiers(e);
+      const altGraph = (modifiers & MODIFIERS.altGraph) !== 0;
+      if (!altGraph && (e.ctrlKey || e.metaKey || e.altKey)) return;
+      // IME input arrives through the composition events instead (see
+      // commitText), so leave these keys to the browser. A dead key only
+      // starts the clock on the character it composes.
+      if (
+        e.nativeEvent.isComposing ||
+        e.keyCode === 229 ||
+        e.key === "Process" ||
+        e.key === "Unidentified"
+      ) {
+        return;
+      }
+      if (e.key === "Dead") {
+        if (deadKeyTime.current === null) deadKeyTime.current = performance.now();
+        return;
+      }
+
+      // Code mode types Enter and Tab; elsewhere Tab keeps moving focus
+      const codeMode = !isInRace && testMode === CODE_MODE;
+      const indenting = codeMode && autoIndent;
+      if (["Shift", "CapsLock", "Control", "Alt", "AltGraph", "Escape"].includes(e.key)) return;
+      if (e.key === "Tab" && !codeMode) return;
 
       e.preventDefault();
 
       const now = performance.now();
 
-      if (!isActive) {
-        setIsActive(true);
-        // In realtime race mode, timer already started at GO
-        // Only set startTime if not already set (non-realtime mode)
-        if (!startTime.current) {
-          startTime.current = now;
-        }
+      // Timed tests: keystrokes after the clock ran out don't count
+      if (
+        timedSeconds &&
+        startTime.current &&
+        now - startTime.current >= timedSeconds * 1000
+      ) {
+        return;
       }
 
+      startSession(now);
+
       // Track ALL key events including backspaces for momentum analysis
       const rawEvent = {
         key: e.key,
+        code: e.code || null,
         timestamp: now - (startTime.current || now),
         isBackspace: e.key === "Backspace",
       };
@@ -5341,317 +4755,35 @@ function App() {
           timestamp: now - startTime.current,
           position: typed.length,
           isBackspace: true,
+          code: e.code || null,
+          modifiers,
         };
         setKeystrokeData((prev) => [...prev, backspaceKeystroke]);
+        pressedKeys.current[e.code || e.key] = keystrokeData.length;
         lastKeystrokeTime.current = now;
-        setTyped((prev) => prev.slice(0, -1));
+        deadKeyTime.current = null;
+        setTyped((prev) => backspace(prev, indenting));
         return;
       }
 
-      if (e.key.length !== 1) return;
+      let key = e.key;
+      if (codeMode && key === "Enter") key = NEWLINE;
+      if (codeMode && key === "Tab") key = INDENT;
+      if (key.length !== 1) return;
 
-      const expectedChar = currentText[typed.length];
-      const isCorrect = e.key === expectedChar;
-      const interval =
-        lastKeystrokeTime.current !== null
-          ? now - lastKeystrokeTime.current
-          : null;
+      pressedKeys.current[e.code || e.key] = keystrokeData.length;
 
-      lastKeystrokeTime.current = now;
+      // A character composed with a dead key is timed from the dead key
+      const compose =
+        deadKeyTime.current !== null ? Math.round(now - deadKeyTime.current) : null;
+      deadKeyTime.current = null;
 
-      const keystroke = {
-        key: e.key,
-        expected: expectedChar,
-        correct: isCorrect,
-        interval,
-        timestamp: now - startTime.current,
-        position: typed.length,
-      };
-
-      setKeystrokeData((prev) => [...prev, keystroke]);
-      
-      // In strict mode (for races), only advance if correct
-      const useStrictMode = isInRace && raceState.strictMode;
-      if (useStrictMode && !isCorrect) {
-        // Don't advance - user must backspace and correct
-        // Clear any existing timeouts from rapid presses
-        if (shakeTimeoutRef.current) clearTimeout(shakeTimeoutRef.current);
-        if (blockedCharTimeoutRef.current) clearTimeout(blockedCharTimeoutRef.current);
-        
-        // Show blocked character immediately
-        setBlockedChar({ char: e.key, position: typed.length, id: Date.now() });
-        blockedCharTimeoutRef.current = setTimeout(() => setBlockedChar(null), 600);
-        
-        // Restart shake animation by toggling off then on
-        setShakeKey(0);
-        requestAnimationFrame(() => {
-          setShakeKey(k => k + 1);
-          shakeTimeoutRef.current = setTimeout(() => setShakeKey(0), 200);
-        });
-        return;
-      }
-      
-      setTyped((prev) => prev + e.key);
-
-      // Update race progress if in a race
-      if (isInRace && raceState.status === "racing") {
-        const newTypedLength = typed.length + 1;
-        const progress = (newTypedLength / currentText.length) * 100;
-        const elapsedMinutes = (now - startTime.current) / 60000;
-        const correctChars = keystrokeData.filter((k) => k.correct && !k.isBackspace).length + (isCorrect ? 1 : 0);
-        const totalChars = keystrokeData.filter((k) => !k.isBackspace).length + 1;
-        const currentWpm = elapsedMinutes > 0 ? (correctChars / 5) / elapsedMinutes : 0;
-        const currentAccuracy = totalChars > 0 ? (correctChars / totalChars) * 100 : 100;
-        updateRaceProgress(progress, currentWpm, currentAccuracy, newTypedLength);
-      }
-
-      // Check completion
-      if (typed.length + 1 === currentText.length) {
-        const totalTime = now - startTime.current;
-        const allRawEvents = [...rawKeyEvents, rawEvent];
-        const allKeystrokes = [...keystrokeData, keystroke];
-        
-        // Compute word-level speeds
-        const words = currentText.split(/(\s+)/); // Split keeping spaces
-        const wordSpeedsData = [];
-        let charIdx = 0;
-        let prevWordEndTime = startTime.current; // Start from typing start time
-        
-        for (const word of words) {
-          if (word.trim().length === 0) {
-            charIdx += word.length;
-            continue;
-          }
-          
-          const wordStart = charIdx;
-          const wordEnd = charIdx + word.length - 1;
-          const wordKeystrokes = allKeystrokes.filter(k => 
-            k.position >= wordStart && k.position <= wordEnd && !k.isBackspace
-          );
-          
-          let wordWpm = 0;
-          let wordTime = 0;
-          let wordErrors = wordKeystrokes.filter(k => !k.correct).length;
-          
-          if (wordKeystrokes.length >= 2) {
-            // Multi-char word: time between first and last keystroke
-            const firstTs = wordKeystrokes[0].timestamp;
-            const lastTs = wordKeystrokes[wordKeystrokes.length - 1].timestamp;
-            wordTime = lastTs - firstTs;
-            if (wordTime > 0) {
-              wordWpm = ((word.length / 5) / (wordTime / 60000));
-            }
-          } else if (wordKeystrokes.length === 1) {
-            // Single-char word (like "a", "I"): use time from previous word end
-            // For first word, prevWordEndTime is startTime.current
-            wordTime = wordKeystrokes[0].timestamp - prevWordEndTime;
-            if (wordTime > 0 && wordTime < 5000) { // Sanity check: less than 5 seconds
-              // For single char + space, measure as if it were a 2-char sequence
-              // This gives more reasonable WPM for short words
-              wordWpm = ((word.length / 5) / (wordTime / 60000));
-            }
-          }
-          
-          // Update prevWordEndTime for next iteration (include space after word)
-          if (wordKeystrokes.length > 0) {
-            prevWordEndTime = wordKeystrokes[wordKeystrokes.length - 1].timestamp;
-          }
-          
-          wordSpeedsData.push({
-            word,
-            wpm: Math.round(wordWpm),
-            time: Math.round(wordTime),
-            errors: wordErrors,
-            startPos: wordStart,
-            endPos: wordEnd,
-          });
-          
-          charIdx += word.length;
-        }
-        
-        const finalStats = calculateStats(
-          allKeystrokes,
-          totalTime,
-          allRawEvents
-        );
-        
-        // Add wordSpeeds to finalStats
-        finalStats.wordSpeeds = wordSpeedsData;
-        
-        // Calculate adjusted WPM for non-strict mode (factors in uncorrected errors)
-        const typedFinal = typed + e.key; // Full typed string including this keystroke
-        const expectedWords = currentText.split(/\s+/).filter(w => w.length > 0);
-        const typedWords = typedFinal.split(/\s+/).filter(w => w.length > 0);
-        let correctWordCount = 0;
-        for (let i = 0; i < expectedWords.length; i++) {
-          if (typedWords[i] === expectedWords[i]) {
-            correctWordCount++;
-          }
-        }
-        const wordAccuracyRatio = expectedWords.length > 0 ? correctWordCount / expectedWords.length : 1;
-        const adjustedWpm = Math.round(finalStats.wpm * wordAccuracyRatio);
-        finalStats.adjustedWpm = adjustedWpm;
-        finalStats.correctWords = correctWordCount;
-        finalStats.totalWords = expectedWords.length;
-        finalStats.wordAccuracyRatio = wordAccuracyRatio;
-        
-        setIsComplete(true);
-        setStats(finalStats);
-
-        // Finish race if in a race
-        if (isInRace && raceState.status === "racing") {
-          // In realtime mode, time is from race start (GO signal)
-          // In non-realtime mode, time is from first keystroke
-          const raceTime = raceState.realtimeMode 
-            ? Date.now() - raceState.raceStartTime
-            : totalTime; // totalTime is already calculated from startTime.current
-          
-          // Use simple array of WPM values for race broadcast (smaller payload)
-          const wordSpeedsSimple = wordSpeedsData.map(w => w.wpm);
-          
-          // Simplified keystroke data for keyboard viz (key, correct, time)
-          const keystrokeSimple = allKeystrokes.map(k => ({
-            key: k.key,
-            correct: k.correct,
-            time: k.interval, // Use interval (time between keystrokes)
-          }));
-          
-          // In strict mode, use raw WPM (no errors possible)
-          // In non-strict mode, use adjusted WPM (factors in uncorrected errors)
-          const raceWpm = raceState.strictMode ? finalStats.wpm : adjustedWpm;
-          
-          finishRace(raceWpm, finalStats.accuracy, raceTime, wordSpeedsSimple, keystrokeSimple);
-        }
-
-        // Scroll to show complete hint after a brief delay
-        setTimeout(() => {
-          const completeHint = document.querySelector(
-            ".complete-hint-container"
-          );
-          if (completeHint) {
-            completeHint.scrollIntoView({
-              behavior: "smooth",
-              block: "center",
-            });
-          }
-        }, 100);
-
-        // Save to history
-        const newCompleted = [...completedIndices, currentIndex];
-        setCompletedIndices(newCompleted);
-        setCompletedCount(newCompleted.length);
-        saveToStorage(STORAGE_KEYS.COMPLETED, newCompleted);
-
-        // Save stats to history
-        const history = loadFromStorage(STORAGE_KEYS.HISTORY, []);
-        const historyEntry = {
-          timestamp: Date.now(),
-          paragraphIndex: currentIndex,
-          paragraph: currentText, // Store the actual paragraph text
-          charCount: finalStats.charCount,
-          errorCount: finalStats.errorCount,
-          totalTime,
-          wpm: finalStats.wpm,
-          accuracy: finalStats.accuracy,
-          consistency: finalStats.consistency,
-          intervals: finalStats.intervals,
-          wordIntervals: finalStats.wordIntervals,
-          wordSpeeds: finalStats.wordSpeeds, // Use already computed wordSpeeds
-          distances: finalStats.distances,
-          bigrams: finalStats.bigrams,
-          counts: finalStats.counts,
-          keyStats: finalStats.keyStats,
-          fingerStats: finalStats.fingerStats,
-          fingerTransitions: finalStats.fingerTransitions,
-          behavioral: {
-            momentum: finalStats.behavioral.momentum,
-            flowRatio: finalStats.behavioral.flowRatio,
-            maxBurst: finalStats.behavioral.maxBurst,
-            burstCount: finalStats.behavioral.burstCount,
-            rhythmScore: finalStats.behavioral.rhythmScore,
-            fatiguePercent: finalStats.behavioral.fatiguePercent,
-            hesitationCount: finalStats.behavioral.hesitationCount,
-            recoveryPenalty: finalStats.behavioral.recoveryPenalty,
-            capitalPenalty: finalStats.behavioral.capitalPenalty,
-            punctuationPenalty: finalStats.behavioral.punctuationPenalty,
-            handBalance: finalStats.behavioral.handBalance,
-            homeRowAdvantage: finalStats.behavioral.homeRowAdvantage,
-            numberRowPenalty: finalStats.behavioral.numberRowPenalty,
-            backspaceEfficiency: finalStats.behavioral.backspaceEfficiency,
-            confidenceScore: finalStats.behavioral.confidenceScore,
-          },
-        };
-        const newHistory = [...history, historyEntry];
-        saveToStorage(STORAGE_KEYS.HISTORY, newHistory);
-
-        // Update histograms with new session data
-        let newHistograms = loadFromStorage(STORAGE_KEYS.HISTOGRAMS, {});
-        newHistograms = updateHistogram(newHistograms, "wpm", finalStats.wpm);
-        newHistograms = updateHistogram(
-          newHistograms,
-          "accuracy",
-          finalStats.accuracy
-        );
-        newHistograms = updateHistogram(
-          newHistograms,
-          "consistency",
-          finalStats.consistency
-        );
-        newHistograms = updateHistogram(
-          newHistograms,
-          "avgInterval",
-          finalStats.avgInterval
-        );
-        // Behavioral histograms - flowRatio and rhythmScore are already 0-100
-        if (finalStats.behavioral) {
-          newHistograms = updateHistogram(
-            newHistograms,
-            "flowRatio",
-            finalStats.behavioral.flowRatio
-          );
-          newHistograms = updateHistogram(
-            newHistograms,
-            "rhythmScore",
-            finalStats.behavioral.rhythmScore
-          );
-          newHistograms = updateHistogram(
-            newHistograms,
-            "handBalance",
-            Math.round(finalStats.behavioral.handBalance)
-          );
-          newHistograms = updateHistogram(
-            newHistograms,
-            "homeRowAdvantage",
-            Math.round(finalStats.behavioral.homeRowAdvantage)
-          );
-        }
-        saveToStorage(STORAGE_KEYS.HISTOGRAMS, newHistograms);
-        setHistograms(newHistograms);
-
-        // Submit to Supabase - only keystrokes needed!
-        // The database trigger derives everything else
-        submitToSupabase({
-          sentenceId: currentIndex,
-          keystrokes: [...keystrokeData, keystroke],
-        });
-
-        // Update cumulative stats
-        const stats = calculateCumulativeStats(newHistory);
-        setCumulativeStats(stats);
-        // Save for sharing via race stats request
-        localStorage.setItem('typometry_cumulative_stats', JSON.stringify({
-          wpm: stats.wpm,
-          accuracy: stats.accuracy,
-          consistency: stats.consistency,
-          sessions: stats.sessions,
-          avgInterval: stats.avgInterval,
-          behavioral: {
-            maxBurst: stats.behavioral?.maxBurst,
-            flowRatio: stats.behavioral?.flowRatio,
-            rhythmScore: stats.behavioral?.rhythmScore,
-          },
-        }));
-      }
+      enterText(key, now, {
+        code: e.code || null,
+        modifiers,
+        compose,
+        rawEvents: [rawEvent],
+      });
     },
     [
       isActive,
@@ -5662,11 +4794,19 @@ function App() {
       currentIndex,
       keystrokeData,
       rawKeyEvents,
-      calculateStats,
       resetTest,
       completedIndices,
       isInRace,
       raceState.status,
+      raceState.isSpectator,
+      raceState.strictMode,
+      raceState.realtimeMode,
+      raceState.raceStartTime,
+      layout,
+      testMode,
+      autoIndent,
+      timedSeconds,
+      curriculum,
     ]
   );
 
@@ -5755,6 +4895,8 @@ function App() {
 
       if (char === " ") {
         className += " space";
+      } else if (char === NEWLINE) {
+        className += " newline";
       }
 
       // Check if opponents' cursors are at this position
@@ -5785,7 +4927,10 @@ function App() {
             '--ghost-color-2': secondaryColor || primaryColor,
           } : undefined}
         >
-          {char}
+          {i === typed.length && composing && (
+            <span className="composition">{composing}</span>
+          )}
+          {displayChar(char)}
           {isBlocked && (
             <span key={blockedChar.id} className="blocked-char">{blockedChar.char}</span>
           )}
@@ -5863,6 +5008,29 @@ function App() {
 
   const compBase = getComparisonBase();
 
+  const selectLayout = (id) => {
+    setLayout(id);
+    saveToStorage(STORAGE_KEYS.LAYOUT, id);
+    // Lessons are made of the layout's keys, so the text changes with it
+    if (testMode === LESSON_MODE) resetTest(false, LESSON_MODE, { layout: id });
+    containerRef.current?.focus();
+  };
+
+  // Practise a lesson of the curriculum (locked lessons can't be picked)
+  const practiceLesson = (lessonId) => {
+    const next = selectLesson(curriculum, layout, lessonId);
+    if (next === curriculum) return;
+    setCurriculum(next);
+    saveToStorage(STORAGE_KEYS.CURRICULUM, next);
+    resetTest(false, LESSON_MODE, { lesson: lessonId });
+  };
+
+  const saveCustomLayouts = (definitions) => {
+    registerCustomLayouts(definitions);
+    setCustomLayouts(definitions);
+    saveToStorage(STORAGE_KEYS.CUSTOM_LAYOUTS, definitions);
+  };
+
   const clearHistory = () => {
     resetTest(true);
     setCumulativeStats(null);
@@ -5913,6 +5081,13 @@ function App() {
         ref={containerRef}
         tabIndex={0}
         onKeyDown={handleKeyDown}
+        onKeyUp={handleKeyUp}
+        onFocus={(e) => {
+          // Typing goes through the hidden input so IMEs can compose
+          if (e.target === e.currentTarget) {
+            imeInputRef.current?.focus({ preventScroll: true });
+          }
+        }}
       >
         {/* Stats icon button - positioned absolutely */}
         {!isActive &&
@@ -5989,6 +5164,20 @@ function App() {
             >
               {renderText()}
             </div>
+            <textarea
+              ref={imeInputRef}
+              className="ime-input"
+              onCompositionStart={handleCompositionStart}
+              onCompositionUpdate={(e) => setComposing(e.data || "")}
+              onCompositionEnd={handleCompositionEnd}
+              onInput={handleImeInput}
+              autoComplete="off"
+              autoCorrect="off"
+              autoCapitalize="off"
+              spellCheck={false}
+              tabIndex={-1}
+              aria-label="Typing input"
+            />
             {viewingPastStats && (
               <div className="text-lock-overlay">
                 <div className="lock-icon">
@@ -6026,7 +5215,9 @@ function App() {
             {isActive && !isComplete && !isInRace && (
               <div className="live-stats">
                 <span>
-                  {typed.length} / {currentText.length}
+                  {timedSeconds
+                    ? `${Math.ceil((timeLeft ?? 0) / 1000)}s`
+                    : `${typed.length} / ${currentText.length}`}
                 </span>
               </div>
             )}
@@ -6632,11 +5823,14 @@ function App() {
                   />
                 )}
 
+                {/* Keystroke replay */}
+                {stats.recording && <ReplayPlayer recording={stats.recording} />}
+
                 {/* Rhythm and Speed Segments */}
                 {stats.intervals && stats.intervals.length > 10 && (
                   <div className="rhythm-segments-row">
                     <RhythmConsistency intervals={stats.intervals} />
-                    <SpeedSegments intervals={stats.intervals} text={currentText} />
+                    <SpeedSegments intervals={stats.intervals} text={stats.recording?.text ?? currentText} />
                   </div>
                 )}
 
@@ -6677,10 +5871,12 @@ function App() {
                   <KeyboardHeatmap
                     keyStats={stats.keyStats}
                     mode={heatmapMode}
+                    layout={stats.layout}
                   />
 
                   <div className="keyboard-flows">
                     <KeyboardFlowMap
+                      layout={stats.layout}
                       topBigrams={
                         heatmapMode === "accuracy"
                           ? stats.mostAccurateBigrams
@@ -6690,6 +5886,7 @@ function App() {
                       mode={heatmapMode}
                     />
                     <KeyboardFlowMap
+                      layout={stats.layout}
                       topBigrams={
                         heatmapMode === "accuracy"
                           ? stats.leastAccurateBigrams
@@ -6703,7 +5900,7 @@ function App() {
 
                 {/* Finger Performance */}
                 {stats.fingerStats && (
-                  <FingerHands fingerStats={stats.fingerStats} />
+                  <FingerHands fingerStats={stats.fingerStats} layout={stats.layout} />
                 )}
 
                 {/* Hand Balance */}
@@ -6720,6 +5917,28 @@ function App() {
                     />
                   )}
 
+                {/* Same-finger bigrams, scissors, stretches, rolls and alternation */}
+                {stats.fingerPatterns && (
+                  <FingerPatterns fingerPatterns={stats.fingerPatterns} />
+                )}
+
+                {/* Hold, flight and rollover (keyup timing) */}
+                {stats.keyTiming && <KeyTiming keyTiming={stats.keyTiming} />}
+
+                {/* Newline, indent and line-start timing (code mode) */}
+                {stats.codeTiming && <CodeTiming codeTiming={stats.codeTiming} />}
+
+                {/* Speed and accuracy per code token class */}
+                {testMode === CODE_MODE && stats.tokenStats && (
+                  <TokenBreakdown tokenStats={stats.tokenStats} />
+                )}
+
+                {/* Trigram and 4-gram timing, accuracy and chunking */}
+                {stats.ngramStats && <NgramTiming ngramStats={stats.ngramStats} />}
+
+                {/* IME and dead-key composition timing */}
+                {stats.composition && <Composition composition={stats.composition} />}
+
                 <div className="graphs-section">
                   <div className="graph-card">
                     <Tooltip content={TIPS.speedOverTime}>
@@ -6937,6 +6156,7 @@ function App() {
                     <KeyboardRowSpeed
                       keyAverages={stats.keyStats}
                       title="Keyboard Row Speed"
+                      layout={stats.layout}
                     />
 
                     <h3 className="behavioral-header">Typing Profile</h3>
@@ -7528,6 +6748,21 @@ function App() {
                   </Tooltip>
                 </div>
 
+                {/* Progress over time */}
+                <ProgressDashboard history={modeHistory} />
+
+                {/* Spaced repetition of problem words and bigrams */}
+                <ReviewQueue
+                  deck={reviewDeck}
+                  onPractice={() => {
+                    selectTestMode(DRILL_MODE);
+                    window.scrollTo({ top: 0, behavior: "smooth" });
+                  }}
+                />
+
+                {/* Tagged sessions side by side */}
+                <TagComparison history={modeHistory} />
+
                 {/* Session Distribution Histograms */}
                 {histograms && Object.keys(histograms).length > 0 && (
                   <div className="histograms-section">
@@ -8069,10 +7304,12 @@ function App() {
                       <KeyboardHeatmap
                         keyStats={cumulativeStats.keyStats}
                         mode={heatmapMode}
+                        layout={layout}
                       />
 
                       <div className="keyboard-flows">
                         <KeyboardFlowMap
+                          layout={layout}
                           topBigrams={
                             heatmapMode === "accuracy"
                               ? cumulativeStats.mostAccurateBigrams
@@ -8082,6 +7319,7 @@ function App() {
                           mode={heatmapMode}
                         />
                         <KeyboardFlowMap
+                          layout={layout}
                           topBigrams={
                             heatmapMode === "accuracy"
                               ? cumulativeStats.leastAccurateBigrams
@@ -8096,7 +7334,7 @@ function App() {
 
                 {/* Finger Performance for All Time */}
                 {cumulativeStats.fingerStats && (
-                  <FingerHands fingerStats={cumulativeStats.fingerStats} />
+                  <FingerHands fingerStats={cumulativeStats.fingerStats} layout={layout} />
                 )}
 
                 {/* Hand Balance for All Time */}
@@ -8113,6 +7351,36 @@ function App() {
                     />
                   )}
 
+                {/* Finger patterns for All Time */}
+                {cumulativeStats.fingerPatterns && (
+                  <FingerPatterns fingerPatterns={cumulativeStats.fingerPatterns} />
+                )}
+
+                {/* Hold, flight and rollover for All Time */}
+                {cumulativeStats.keyTiming && (
+                  <KeyTiming keyTiming={cumulativeStats.keyTiming} />
+                )}
+
+                {/* Newline, indent and line-start timing for All Time */}
+                {cumulativeStats.codeTiming && (
+                  <CodeTiming codeTiming={cumulativeStats.codeTiming} />
+                )}
+
+                {/* Code token classes for All Time */}
+                {testMode === CODE_MODE && cumulativeStats.tokenStats && (
+                  <TokenBreakdown tokenStats={cumulativeStats.tokenStats} />
+                )}
+
+                {/* N-gram timing for All Time */}
+                {cumulativeStats.ngramStats && (
+                  <NgramTiming ngramStats={cumulativeStats.ngramStats} />
+                )}
+
+                {/* Composition timing for All Time */}
+                {cumulativeStats.composition && (
+                  <Composition composition={cumulativeStats.composition} />
+                )}
+
                 <div className="bigrams-container">
                   <div className="bigrams">
                     <div className="section-header-row compact">
@@ -8371,6 +7639,7 @@ function App() {
                     <KeyboardRowSpeed
                       keyAverages={cumulativeStats.keyStats}
                       title="Keyboard Row Speed (All Time)"
+                      layout={layout}
                     />
 
                     <h3 className="behavioral-header">
@@ -8773,7 +8042,8 @@ function App() {
                   <h3>Global Statistics</h3>
                   <p className="global-stats-subtitle">
                     Based on {fmt.count(globalAverages.total_sessions)} sessions
-                    from {fmt.count(globalAverages.total_users)} users
+                    from {fmt.count(globalAverages.total_users)} users typing{" "}
+                    {getLanguageName(language)}
                   </p>
                 </div>
 
@@ -9016,6 +8286,27 @@ function App() {
                   </Tooltip>
                 </div>
 
+                {/* Tagged sessions side by side, against everyone's averages */}
+                <TagComparison
+                  history={modeHistory}
+                  reference={{
+                    label: "global",
+                    sessions: globalAverages.total_sessions,
+                    stats: {
+                      wpm: globalAverages.avg_wpm,
+                      accuracy: globalAverages.avg_accuracy,
+                      consistency: globalAverages.avg_consistency,
+                      avgInterval: globalAverages.avg_interval,
+                      fingerStats: Object.fromEntries(
+                        Object.entries(fingerAverages || {}).map(([finger, data]) => [
+                          finger,
+                          { avgInterval: data.avg_interval },
+                        ])
+                      ),
+                    },
+                  }}
+                />
+
                 {/* Global Session Distribution Histograms */}
                 {globalHistograms &&
                   Object.keys(globalHistograms).length > 0 && (
@@ -9583,12 +8874,14 @@ function App() {
                     <KeyboardHeatmap
                       keyStats={keyAverages}
                       mode={heatmapMode}
+                      layout={layout}
                       comparisonStats={
                         comparisonBase === "alltime" &&
                         cumulativeStats?.keyStats
                           ? cumulativeStats.keyStats
                           : null
                       }
+                      comparisonLabel="your avg"
                     />
                   </div>
                 )}
@@ -9597,6 +8890,7 @@ function App() {
                 {fingerAverages && Object.keys(fingerAverages).length > 0 && (
                   <div className="finger-section">
                     <FingerHands
+                      layout={layout}
                       fingerStats={Object.fromEntries(
                         Object.entries(fingerAverages).map(([finger, data]) => [
                           finger,
@@ -10295,6 +9589,7 @@ function App() {
                 <KeyboardRowSpeed
                   keyAverages={keyAverages}
                   title="Keyboard Row Speed"
+                  layout={layout}
                 />
 
                 {/* Error Confusion (Most Common Typos) */}
@@ -10616,19 +9911,10 @@ function App() {
                   entry={selectedHistoryEntry}
                   paragraph={selectedHistoryEntry.paragraph || ALL_PARAGRAPHS[selectedHistoryEntry.paragraphIndex]}
                   onBack={() => setSelectedHistoryEntry(null)}
+                  onChange={updateSession}
+                  tagSuggestions={tagSuggestions}
                   onPracticeAgain={(entry) => {
-                    const para = entry.paragraph || ALL_PARAGRAPHS[entry.paragraphIndex];
-                    if (para) {
-                      setCurrentText(para);
-                      setCurrentIndex(entry.paragraphIndex);
-                      setTyped('');
-                      setIsComplete(false);
-                      setIsActive(false);
-                      setStats(null);
-                      setKeystrokeData([]);
-                      setRawKeyEvents([]);
-                      startTime.current = null;
-                      lastKeystrokeTime.current = null;
+                    if (practiceAgain(entry)) {
                       setSelectedHistoryEntry(null);
                       setStatsView("current");
                     }
@@ -10643,18 +9929,20 @@ function App() {
                 />
               ) : (
                 <CombinedHistoryBrowser
-                  history={loadFromStorage(STORAGE_KEYS.HISTORY, [])}
+                  history={history}
                   raceHistory={raceHistory}
                   paragraphs={ALL_PARAGRAPHS}
+                  layout={layout}
                   onSelectSession={(entry) => setSelectedHistoryEntry(entry)}
                   onSelectRace={(race) => setSelectedRaceEntry(race)}
                   selectedSessionId={selectedHistoryEntry?.timestamp}
                   selectedRaceId={selectedRaceEntry?.raceId}
                   onClearSessions={() => {
-                    saveToStorage(STORAGE_KEYS.HISTORY, []);
+                    replaceSessions([]);
+                    setHistory([]);
                   }}
                   onClearRaces={() => {
-                    saveToStorage(STORAGE_KEYS.RACE_HISTORY, []);
+                    replaceRaces([]);
                     setRaceHistory([]);
                   }}
                 />
@@ -10783,6 +10071,20 @@ function App() {
           />
         )}
 
+        {!isInRace && testMode === DRILL_MODE && !isComplete && (
+          <DrillTargets targets={drillTargets} />
+        )}
+
+        {!isInRace && testMode === LESSON_MODE && (
+          <LessonProgress
+            curriculum={curriculum}
+            layout={layout}
+            lesson={textSource.current?.type === "lesson" ? textSource.current.lesson : null}
+            result={isComplete ? stats : null}
+            onSelect={practiceLesson}
+          />
+        )}
+
         <footer>
           {!isInRace && (
             <button
@@ -10793,6 +10095,124 @@ function App() {
               next
             </button>
           )}
+          {!isInRace && (
+            <select
+              className="reset-btn layout-select"
+              value={layout}
+              disabled={isActive && !isComplete}
+              onChange={(e) => {
+                if (e.target.value === "edit") {
+                  setShowLayoutEditor(true);
+                  return;
+                }
+                selectLayout(e.target.value);
+              }}
+              title="Keyboard layout - fingers, rows and key distances follow it"
+            >
+              {getLayoutOptions().map(({ id, name }) => (
+                <option key={id} value={id}>
+                  {name}
+                </option>
+              ))}
+              <option value="edit">custom layout…</option>
+            </select>
+          )}
+          {!isInRace && (
+            <select
+              className="reset-btn layout-select"
+              value={testMode}
+              disabled={isActive && !isComplete}
+              onChange={(e) => selectTestMode(e.target.value)}
+              title="Test mode - type one paragraph, a code snippet, a drill of your weak spots, a lesson of the touch-typing curriculum, a set number of random words, or as much as you can before the clock runs out"
+            >
+              {TEST_MODES.map((mode) => (
+                <option key={mode} value={mode}>
+                  {getTimedSeconds(mode) ? `time ${getModeLabel(mode)}` : getModeLabel(mode)}
+                </option>
+              ))}
+            </select>
+          )}
+          {!isInRace && getWordCount(testMode) && (
+            <select
+              className="reset-btn layout-select"
+              value={wordList}
+              disabled={isActive && !isComplete}
+              onChange={(e) => selectWordList(e.target.value)}
+              title="Word list - random words drawn from the most common English words"
+            >
+              {WORD_LISTS.map(({ id, name }) => (
+                <option key={id} value={id}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          )}
+          {!isInRace && testMode === CODE_MODE && (
+            <select
+              className="reset-btn layout-select"
+              value={snippetPack ?? ""}
+              disabled={isActive && !isComplete}
+              onChange={(e) => selectSnippetPack(e.target.value || null)}
+              title="Snippet pack - the language code snippets are drawn from"
+            >
+              <option value="">all languages</option>
+              {SNIPPET_PACKS.map(({ id, name }) => (
+                <option key={id} value={id}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          )}
+          {!isInRace && testMode === CODE_MODE && (
+            <button
+              className="reset-btn"
+              onClick={toggleAutoIndent}
+              disabled={isActive && !isComplete}
+              title="Auto-indent - a newline fills in the next line's leading indentation, like an editor"
+            >
+              {autoIndent ? "auto-indent on" : "auto-indent off"}
+            </button>
+          )}
+          {!isInRace && testMode === PARAGRAPH_MODE && (
+            <select
+              className="reset-btn layout-select"
+              value={findCollection(library, textCollection)?.id ?? ""}
+              disabled={isActive && !isComplete}
+              onChange={(e) => {
+                if (e.target.value === "library") {
+                  setShowLibrary(true);
+                  return;
+                }
+                selectCollection(e.target.value || null);
+              }}
+              title="Texts - the built-in paragraphs or one of your own collections"
+            >
+              <option value="">built-in texts</option>
+              {library.map(({ id, name, texts }) => (
+                <option key={id} value={id} disabled={texts.length === 0}>
+                  {name}
+                </option>
+              ))}
+              <option value="library">text library…</option>
+            </select>
+          )}
+          {!isInRace &&
+            testMode === PARAGRAPH_MODE &&
+            !findCollection(library, textCollection)?.texts.length && (
+              <select
+                className="reset-btn layout-select"
+                value={language}
+                disabled={isActive && !isComplete}
+                onChange={(e) => selectLanguage(e.target.value)}
+                title="Language - the built-in paragraphs to type, and the global stats you're compared with"
+              >
+                {LANGUAGES.map(({ id, name }) => (
+                  <option key={id} value={id}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            )}
           {!isInRace && !isComplete && (
             <button
               className="reset-btn pvp-btn"
@@ -10818,6 +10238,16 @@ function App() {
               race a friend
             </button>
           )}
+          {!isInRace && (
+            <button
+              className="reset-btn"
+              onClick={() => setShowBackup(true)}
+              disabled={isActive && !isComplete}
+              title="Backup - export your history as JSON or CSV, or import a backup"
+            >
+              backup
+            </button>
+          )}
           {isInRace && (raceState.status === 'countdown' || raceState.status === 'racing') && (
             <span className="race-lock-indicator">
               racing...
@@ -10862,6 +10292,102 @@ function App() {
           )}
         </footer>
 
+        {/* Text Library Modal */}
+        {showLibrary && (
+          <div className="modal-overlay" onClick={() => setShowLibrary(false)}>
+            <div
+              className="modal text-library-modal"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <div className="modal-header">
+                <h2>Text Library</h2>
+                <button
+                  className="modal-close"
+                  onClick={() => setShowLibrary(false)}
+                >
+                  ×
+                </button>
+              </div>
+              <div className="modal-body">
+                <TextLibrary
+                  library={library}
+                  initialCollection={textCollection}
+                  onChange={saveLibrary}
+                  onPractice={practiceLibraryText}
+                  onClose={() => setShowLibrary(false)}
+                />
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Data Backup Modal */}
+        {showBackup && (
+          <div className="modal-overlay" onClick={() => setShowBackup(false)}>
+            <div
+              className="modal data-backup-modal"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <div className="modal-header">
+                <h2>Backup</h2>
+                <button
+                  className="modal-close"
+                  onClick={() => setShowBackup(false)}
+                >
+                  ×
+                </button>
+              </div>
+              <div className="modal-body">
+                <DataBackup
+                  history={history}
+                  raceCount={raceHistory.length}
+                  createBackup={exportBackup}
+                  onImport={importBackup}
+                  onClose={() => setShowBackup(false)}
+                />
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Layout Editor Modal */}
+        {showLayoutEditor && (
+          <div className="modal-overlay" onClick={() => setShowLayoutEditor(false)}>
+            <div
+              className="modal layout-editor-modal"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <div className="modal-header">
+                <h2>Keyboard Layout</h2>
+                <button
+                  className="modal-close"
+                  onClick={() => setShowLayoutEditor(false)}
+                >
+                  ×
+                </button>
+              </div>
+              <div className="modal-body">
+                <LayoutEditor
+                  customLayouts={customLayouts}
+                  initialLayout={layout}
+                  onSave={(id, definition) => {
+                    saveCustomLayouts({ ...customLayouts, [id]: definition });
+                    selectLayout(id);
+                    setShowLayoutEditor(false);
+                  }}
+                  onDelete={(id) => {
+                    const { [id]: _removed, ...rest } = customLayouts;
+                    saveCustomLayouts(rest);
+                    if (layout === id) selectLayout(DEFAULT_LAYOUT);
+                    setShowLayoutEditor(false);
+                  }}
+                  onClose={() => setShowLayoutEditor(false)}
+                />
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* History Modal */}
         {showHistory && (
           <div className="modal-overlay" onClick={() => setShowHistory(false)}>
@@ -10884,19 +10410,10 @@ function App() {
                     entry={selectedHistoryEntry}
                     paragraph={selectedHistoryEntry.paragraph || ALL_PARAGRAPHS[selectedHistoryEntry.paragraphIndex]}
                     onBack={() => setSelectedHistoryEntry(null)}
+                    onChange={updateSession}
+                    tagSuggestions={tagSuggestions}
                     onPracticeAgain={(entry) => {
-                      const para = entry.paragraph || ALL_PARAGRAPHS[entry.paragraphIndex];
-                      if (para) {
-                        setCurrentText(para);
-                        setCurrentIndex(entry.paragraphIndex);
-                        setTyped('');
-                        setIsComplete(false);
-                        setIsActive(false);
-                        setStats(null);
-                        setKeystrokeData([]);
-                        setRawKeyEvents([]);
-                        startTime.current = null;
-                        lastKeystrokeTime.current = null;
+                      if (practiceAgain(entry)) {
                         setSelectedHistoryEntry(null);
                         setShowHistory(false);
                       }
@@ -10911,18 +10428,20 @@ function App() {
                   />
                 ) : (
                   <CombinedHistoryBrowser
-                    history={loadFromStorage(STORAGE_KEYS.HISTORY, [])}
+                    history={history}
                     raceHistory={raceHistory}
                     paragraphs={ALL_PARAGRAPHS}
+                    layout={layout}
                     onSelectSession={(entry) => setSelectedHistoryEntry(entry)}
                     onSelectRace={(race) => setSelectedRaceEntry(race)}
                     selectedSessionId={selectedHistoryEntry?.timestamp}
                     selectedRaceId={selectedRaceEntry?.raceId}
                     onClearSessions={() => {
-                      saveToStorage(STORAGE_KEYS.HISTORY, []);
+                      replaceSessions([]);
+                      setHistory([]);
                     }}
                     onClearRaces={() => {
-                      saveToStorage(STORAGE_KEYS.RACE_HISTORY, []);
+                      replaceRaces([]);
                       setRaceHistory([]);
                     }}
                   />
@@ -0,0 +1,83 @@
+import { Tooltip, TipTitle, TipText, TipHint } from './Tooltip'
+
+const CODE_TIMING_TIP = (
+  <>
+    <TipTitle>Line Timing</TipTitle>
+    <TipText>
+      • <strong>Enter</strong> — time to press Enter at the end of a line
+    </TipText>
+    <TipText>
+      • <strong>Indent</strong> — time per Tab when typing indentation yourself
+    </TipText>
+    <TipText>
+      • <strong>Line start</strong> — the first key of each line, which
+      includes reading the next line
+    </TipText>
+    <TipText>
+      • <strong>In line</strong> — everything else, for comparison
+    </TipText>
+    <TipHint>Enter and Tab are left out of the key and bigram stats</TipHint>
+  </>
+)
+
+// Slower (+) or faster (-) than typing within a line, in percent
+const relativeTo = (group, inline) =>
+  group.avgInterval > 0 && inline.avgInterval > 0
+    ? Math.round((group.avgInterval / inline.avgInterval - 1) * 100)
+    : null
+
+// Code Timing - newline, indent and line-start timing for code mode
+const CodeTiming = ({ codeTiming }) => {
+  if (!codeTiming) return null
+
+  const { newline, indent, lineStart, inline, skippedIndent } = codeTiming
+  const autoIndented = indent.count === 0 && skippedIndent > 0
+
+  const cells = [
+    { label: 'enter', group: newline },
+    { label: 'indent', group: indent, auto: autoIndented },
+    { label: 'line start', group: lineStart },
+    { label: 'in line', group: inline, base: true },
+  ]
+
+  return (
+    <div className="code-timing">
+      <div className="code-timing-header">
+        <div className="code-timing-header-left">
+          <span className="code-timing-title">Line Timing</span>
+          <span className="code-timing-subtitle">
+            newlines, indentation and line starts
+          </span>
+        </div>
+        <Tooltip content={CODE_TIMING_TIP}>
+          <button className="help-btn" type="button" aria-label="Help">
+            ?
+          </button>
+        </Tooltip>
+      </div>
+
+      <div className="code-timing-grid">
+        {cells.map(({ label, group, auto, base }) => {
+          const delta = base ? null : relativeTo(group, inline)
+          return (
+            <div key={label} className="ct-stat">
+              <span className="ct-stat-value">
+                {auto ? 'auto' : group.count > 0 ? `${group.avgInterval}ms` : '—'}
+              </span>
+              <span className="ct-stat-label">{label}</span>
+              <span className="ct-stat-detail">
+                {auto
+                  ? `${skippedIndent} skipped`
+                  : group.count > 0
+                    ? `${group.accuracy}% acc${delta !== null ? ` · ${delta > 0 ? '+' : ''}${delta}%` : ''}`
+                    : 'none typed'}
+              </span>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default CodeTiming
@@ -0,0 +1,63 @@
+import { Tooltip, TipTitle, TipText, TipHint } from './Tooltip'
+
+const COMPOSITION_TIP = (
+  <>
+    <TipTitle>Composition</TipTitle>
+    <TipText>
+      Text entered through an input method (Japanese, Chinese, Korean) or with
+      a dead key (é, ü, ñ) is composed first and then committed, often several
+      characters at once.
+    </TipText>
+    <TipText>
+      • <strong>Per commit</strong> — from starting a composition to
+      committing it, including picking candidates
+    </TipText>
+    <TipText>
+      • <strong>Per char</strong> — composition time spread over the
+      characters it produced
+    </TipText>
+    <TipHint>Committed characters still count toward speed and accuracy</TipHint>
+  </>
+)
+
+// Composition - time spent composing IME and dead-key input
+const Composition = ({ composition }) => {
+  if (!composition) return null
+
+  const cells = [
+    { label: 'commits', value: composition.count, detail: `${composition.chars} chars` },
+    { label: 'per commit', value: `${composition.avgDuration}ms` },
+    { label: 'per char', value: `${composition.avgPerChar}ms` },
+    { label: 'accuracy', value: `${composition.accuracy}%`, detail: `${composition.errors} wrong` },
+  ]
+
+  return (
+    <div className="composition-stats">
+      <div className="composition-stats-header">
+        <div className="composition-stats-header-left">
+          <span className="composition-stats-title">Composition</span>
+          <span className="composition-stats-subtitle">
+            input method and dead-key timing
+          </span>
+        </div>
+        <Tooltip content={COMPOSITION_TIP}>
+          <button className="help-btn" type="button" aria-label="Help">
+            ?
+          </button>
+        </Tooltip>
+      </div>
+
+      <div className="composition-stats-grid">
+        {cells.map(({ label, value, detail }) => (
+          <div key={label} className="cs-stat">
+            <span className="cs-stat-value">{value}</span>
+            <span className="cs-stat-label">{label}</span>
+            {detail && <span className="cs-stat-detail">{detail}</span>}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default Composition
@@ -0,0 +1,167 @@
+import { useRef, useState } from 'react'
+import { Tooltip, TipTitle, TipText, TipHint } from './Tooltip'
+import { keystrokesToCsv, parseBackup, sessionsToCsv } from './backup'
+
+const BACKUP_TIP = (
+  <>
+    <TipTitle>Backup</TipTitle>
+    <TipText>
+      The JSON backup holds your session and race history, histograms,
+      completed paragraphs and win streak. Import it in another browser, or
+      after clearing this one, to pick up where you left off.
+    </TipText>
+    <TipText>
+      Importing merges: sessions and races you already have are skipped, so
+      the same backup can be imported twice.
+    </TipText>
+    <TipHint>CSV tables are for spreadsheets and can't be imported</TipHint>
+  </>
+)
+
+// Save `content` as a file through a temporary download link
+const download = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+const dateStamp = () => new Date().toISOString().slice(0, 10)
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`
+
+// Data Backup - export history as JSON or CSV, and merge a JSON backup back in
+const DataBackup = ({ history, raceCount, createBackup, onImport, onClose }) => {
+  const [pending, setPending] = useState(null) // parsed backup awaiting confirmation
+  const [message, setMessage] = useState(null)
+  const [error, setError] = useState(null)
+  const [importing, setImporting] = useState(false)
+  const fileInputRef = useRef(null)
+
+  const withRecordings = history.filter((entry) => entry.recording).length
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    const reader = new FileReader()
+    reader.onload = () => {
+      const result = parseBackup(String(reader.result))
+      setMessage(null)
+      if (result.error) {
+        setPending(null)
+        setError(result.error)
+        return
+      }
+      setError(null)
+      setPending({ ...result, name: file.name })
+    }
+    reader.readAsText(file)
+  }
+
+  const handleImport = async () => {
+    setImporting(true)
+    const added = await onImport(pending.backup)
+    setImporting(false)
+    setPending(null)
+    setMessage(
+      `Imported ${plural(added.sessions, 'new session')} and ${plural(added.races, 'new race')}.`
+    )
+  }
+
+  return (
+    <div className="data-backup">
+      <div className="data-backup-section">
+        <div className="data-backup-heading">
+          <span className="data-backup-title">Export</span>
+          <Tooltip content={BACKUP_TIP}>
+            <button className="help-btn" type="button" aria-label="Help">?</button>
+          </Tooltip>
+        </div>
+        <p className="data-backup-hint">
+          {plural(history.length, 'session')} and {plural(raceCount, 'race')} stored
+          in this browser
+        </p>
+        <div className="data-backup-actions">
+          <button
+            className="data-backup-btn primary"
+            onClick={() =>
+              download(
+                `typometry-backup-${dateStamp()}.json`,
+                JSON.stringify(createBackup()),
+                'application/json'
+              )
+            }
+          >
+            JSON backup
+          </button>
+          <button
+            className="data-backup-btn"
+            onClick={() =>
+              download(`typometry-sessions-${dateStamp()}.csv`, sessionsToCsv(history), 'text/csv')
+            }
+            disabled={history.length === 0}
+          >
+            sessions CSV
+          </button>
+          <button
+            className="data-backup-btn"
+            onClick={() =>
+              download(`typometry-keystrokes-${dateStamp()}.csv`, keystrokesToCsv(history), 'text/csv')
+            }
+            disabled={withRecordings === 0}
+            title="One row per keystroke, from sessions that kept a recording"
+          >
+            keystrokes CSV
+          </button>
+        </div>
+      </div>
+
+      <div className="data-backup-section">
+        <span className="data-backup-title">Import</span>
+        {pending ? (
+          <p className="data-backup-hint">
+            {pending.name}: {plural(pending.backup.history.length, 'session')} and{' '}
+            {plural(pending.backup.raceHistory.length, 'race')}
+            {pending.backup.exportedAt &&
+              `, exported ${new Date(pending.backup.exportedAt).toLocaleDateString()}`}
+            {pending.skipped > 0 && ` (${pending.skipped} unreadable entries skipped)`}
+          </p>
+        ) : (
+          <p className="data-backup-hint">
+            Merge a JSON backup into this browser's data
+          </p>
+        )}
+        {error && <p className="data-backup-error">{error}</p>}
+        {message && <p className="data-backup-message">{message}</p>}
+        <div className="data-backup-actions">
+          <button className="data-backup-btn" onClick={() => fileInputRef.current?.click()}>
+            choose file
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFile}
+            hidden
+          />
+          <span className="data-backup-spacer" />
+          <button className="data-backup-btn" onClick={onClose}>close</button>
+          {pending && (
+            <button
+              className="data-backup-btn primary"
+              onClick={handleImport}
+              disabled={importing}
+            >
+              {importing ? 'importing…' : 'import'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default DataBackup
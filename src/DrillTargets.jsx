@@ -0,0 +1,59 @@
+import { Tooltip, TipTitle, TipText, TipHint } from './Tooltip'
+import { RECENT_SESSIONS } from './drill'
+
+const DRILL_TIP = (
+  <>
+    <TipTitle>Weak-spot Drill</TipTitle>
+    <TipText>
+      Real words picked for what you're slowest or least accurate at over
+      your last {RECENT_SESSIONS} sessions: bigrams, letters and moves from
+      one finger to another, each compared with your own average.
+    </TipText>
+    <TipText>
+      Every new drill is rebuilt from your latest results, so targets you
+      improve on make way for the next weakest ones.
+    </TipText>
+    <TipText>
+      Words and bigrams due in your review queue are mixed in too.
+    </TipText>
+    <TipHint>Press next for a fresh drill</TipHint>
+  </>
+)
+
+const showSpaces = (id) => id.replace(/ /g, '␣')
+
+// Drill Targets - the bigrams, keys and finger transitions the drill on
+// screen is aimed at
+const DrillTargets = ({ targets }) => {
+  const groups = [
+    { label: 'bigrams', ids: targets?.bigrams ?? [], format: showSpaces },
+    { label: 'keys', ids: targets?.keys ?? [], format: (id) => id },
+    { label: 'fingers', ids: targets?.transitions ?? [], format: (id) => id.replace('->', ' → ') },
+    { label: 'review', ids: targets?.review ?? [], format: showSpaces },
+  ].filter((group) => group.ids.length > 0)
+
+  return (
+    <div className="drill-targets">
+      <span className="drill-targets-title">drilling</span>
+      {groups.length === 0 ? (
+        <span className="drill-targets-empty">
+          common words - weak spots show up after a few sessions
+        </span>
+      ) : (
+        groups.map((group) => (
+          <span key={group.label} className="drill-targets-group">
+            <span className="drill-targets-label">{group.label}</span>
+            {group.ids.map((id) => (
+              <span key={id} className="drill-target">{group.format(id)}</span>
+            ))}
+          </span>
+        ))
+      )}
+      <Tooltip content={DRILL_TIP}>
+        <button className="help-btn" type="button" aria-label="Help">?</button>
+      </Tooltip>
+    </div>
+  )
+}
+
+export default DrillTargets
@@ -0,0 +1,111 @@
+import { Tooltip, TipTitle, TipText, TipHint } from './Tooltip'
+import { BIGRAM_PATTERNS } from './keyboard'
+
+const PATTERNS_TIP = (
+  <>
+    <TipTitle>Finger Patterns</TipTitle>
+    <TipText>
+      Every bigram you typed, sorted by how your layout makes your fingers
+      move - the metrics layout designers compare layouts on.
+    </TipText>
+    <TipText>
+      • <strong>SFB</strong> — same finger, two different keys<br />
+      • <strong>Scissor</strong> — neighbouring fingers, two or more rows apart<br />
+      • <strong>Lateral stretch</strong> — neighbouring fingers, two or more columns apart<br />
+      • <strong>Rolls</strong> — one hand, towards the index finger (in) or away from it (out)<br />
+      • <strong>Alternation</strong> — one hand, then the other
+    </TipText>
+    <TipText>
+      Cost is how much slower than your average bigram a pattern is, per
+      occurrence and over every time it came up.
+    </TipText>
+    <TipHint>Hover an example for its count and speed</TipHint>
+  </>
+)
+
+const PATTERN_LABELS = {
+  sfb: 'same finger (SFB)',
+  scissor: 'scissors',
+  lateral: 'lateral stretches',
+  inroll: 'inward rolls',
+  outroll: 'outward rolls',
+  alternate: 'hand alternation',
+}
+
+const formatCost = (ms) => `${ms > 0 ? '+' : ''}${ms}ms`
+
+const formatTotalCost = (ms) => {
+  const seconds = Math.round(ms / 100) / 10
+  return `${seconds > 0 ? '+' : ''}${seconds}s`
+}
+
+// Finger Patterns - share, speed and time cost of same-finger bigrams,
+// scissors, lateral stretches, rolls and hand alternation
+const FingerPatterns = ({ fingerPatterns }) => {
+  if (!fingerPatterns || fingerPatterns.total === 0) return null
+
+  const rows = BIGRAM_PATTERNS
+    .map((name) => ({ name, ...fingerPatterns.patterns[name] }))
+    .filter((row) => row.count > 0)
+
+  return (
+    <div className="finger-patterns">
+      <div className="finger-patterns-header">
+        <div className="finger-patterns-header-left">
+          <span className="finger-patterns-title">Finger Patterns</span>
+          <span className="finger-patterns-subtitle">
+            {fingerPatterns.total} bigrams · {fingerPatterns.avgTime}ms on average
+          </span>
+        </div>
+        <div className="finger-patterns-header-right">
+          <Tooltip content={PATTERNS_TIP}>
+            <button className="help-btn" type="button" aria-label="Help">?</button>
+          </Tooltip>
+        </div>
+      </div>
+
+      <div className="fp-table">
+        <div className="fp-row fp-head">
+          <span />
+          <span className="fp-value">share</span>
+          <span className="fp-value">avg</span>
+          <span className="fp-value">accuracy</span>
+          <span className="fp-value">cost each</span>
+          <span className="fp-value">cost total</span>
+        </div>
+        {rows.map((row) => (
+          <div key={row.name} className="fp-pattern">
+            <div className="fp-row">
+              <span className="fp-label">{PATTERN_LABELS[row.name]}</span>
+              <span className="fp-value">{row.share}%</span>
+              <span className="fp-value">{row.timed > 0 ? `${row.avgTime}ms` : '—'}</span>
+              <span className="fp-value">{row.accuracy}%</span>
+              <span className={`fp-value ${row.cost > 0 ? 'slower' : 'faster'}`}>
+                {row.timed > 0 ? formatCost(row.cost) : '—'}
+              </span>
+              <span className={`fp-value ${row.totalCost > 0 ? 'slower' : 'faster'}`}>
+                {row.timed > 0 ? formatTotalCost(row.totalCost) : '—'}
+              </span>
+            </div>
+            <div className="fp-examples">
+              {row.examples.map((example) => (
+                <span
+                  key={example.bigram}
+                  className="fp-example"
+                  title={`${example.count}×${example.avgTime !== null ? ` · ${example.avgTime}ms` : ''}`}
+                >
+                  <span className="fp-example-bigram">{example.bigram}</span>
+                  {example.word && example.word !== example.bigram && (
+                    <span className="fp-example-word">{example.word}</span>
+                  )}
+                </span>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default FingerPatterns
@@ -0,0 +1,130 @@
+import { useState } from 'react'
+import { Tooltip, TipTitle, TipText, TipHint } from './Tooltip'
+import { getModeLabel } from './modes'
+import {
+  CATEGORIES,
+  EMPTY_FILTERS,
+  LIBRARY_CATEGORY,
+  PROMPT_CATEGORY,
+  isFilterActive,
+} from './historyFilter'
+
+const FILTER_TIP = (
+  <>
+    <TipTitle>Filters</TipTitle>
+    <TipText>
+      Narrow history down by date, text category, test mode, speed,
+      accuracy and tag, or search the text you typed and your notes.
+    </TipText>
+    <TipText>
+      The summary below the filters is recomputed for the matching sessions:
+      averages, histograms and the key heatmap.
+    </TipText>
+    <TipHint>Races are filtered by your own result</TipHint>
+  </>
+)
+
+const CATEGORY_LABELS = {
+  [LIBRARY_CATEGORY]: 'text library',
+  [PROMPT_CATEGORY]: 'other languages',
+}
+
+// History Filters - search box plus an expandable panel of filter fields
+const HistoryFilters = ({ filters, onChange, modes = [], tags = [] }) => {
+  const [expanded, setExpanded] = useState(false)
+  const active = isFilterActive(filters)
+  const fieldCount = Object.entries(filters).filter(
+    ([key, value]) => key !== 'query' && String(value).trim() !== ''
+  ).length
+
+  const set = (key) => (e) => onChange({ ...filters, [key]: e.target.value })
+
+  return (
+    <div className="history-filters">
+      <div className="history-filters-bar">
+        <input
+          className="history-filters-search"
+          type="search"
+          value={filters.query}
+          onChange={set('query')}
+          placeholder="search text…"
+          spellCheck={false}
+        />
+        <button
+          className={`history-filters-toggle ${expanded ? 'active' : ''}`}
+          onClick={() => setExpanded(!expanded)}
+        >
+          filters{fieldCount > 0 && <span className="tab-count">{fieldCount}</span>}
+        </button>
+        {active && (
+          <button className="clear-btn" onClick={() => onChange(EMPTY_FILTERS)}>
+            reset
+          </button>
+        )}
+        <Tooltip content={FILTER_TIP}>
+          <button className="help-btn" type="button" aria-label="Help">?</button>
+        </Tooltip>
+      </div>
+
+      {expanded && (
+        <div className="history-filters-fields">
+          <label className="history-filters-field">
+            <span>from</span>
+            <input type="date" value={filters.from} max={filters.to || undefined} onChange={set('from')} />
+          </label>
+          <label className="history-filters-field">
+            <span>to</span>
+            <input type="date" value={filters.to} min={filters.from || undefined} onChange={set('to')} />
+          </label>
+          <label className="history-filters-field">
+            <span>category</span>
+            <select value={filters.category} onChange={set('category')}>
+              <option value="">any</option>
+              {CATEGORIES.map((category) => (
+                <option key={category} value={category}>
+                  {CATEGORY_LABELS[category] ?? category}
+                </option>
+              ))}
+            </select>
+          </label>
+          {modes.length > 1 && (
+            <label className="history-filters-field">
+              <span>mode</span>
+              <select value={filters.mode} onChange={set('mode')}>
+                <option value="">any</option>
+                {modes.map((mode) => (
+                  <option key={mode} value={mode}>{getModeLabel(mode)}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          {tags.length > 0 && (
+            <label className="history-filters-field">
+              <span>tag</span>
+              <select value={filters.tag} onChange={set('tag')}>
+                <option value="">any</option>
+                {tags.map((tag) => (
+                  <option key={tag} value={tag}>{tag}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label className="history-filters-field">
+            <span>wpm</span>
+            <span className="history-filters-range">
+              <input type="number" min="0" value={filters.minWpm} onChange={set('minWpm')} placeholder="min" />
+              –
+              <input type="number" min="0" value={filters.maxWpm} onChange={set('maxWpm')} placeholder="max" />
+            </span>
+          </label>
+          <label className="history-filters-field">
+            <span>accuracy ≥</span>
+            <input type="number" min="0" max="100" value={filters.minAccuracy} onChange={set('minAccuracy')} placeholder="%" />
+          </label>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default HistoryFilters
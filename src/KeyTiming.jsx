@@ -0,0 +1,176 @@
+import { useMemo, useState } from 'react'
+import { Tooltip, TipTitle, TipText, TipHint } from './Tooltip'
+
+const KEY_TIMING_TIP = (
+  <>
+    <TipTitle>Key Timing</TipTitle>
+    <TipText>
+      • <strong>Hold</strong> — how long each key stays down (dwell time)
+    </TipText>
+    <TipText>
+      • <strong>Flight</strong> — gap from releasing one key to pressing the next
+    </TipText>
+    <TipText>
+      • <strong>Rollover</strong> — the next key goes down before the previous
+      one comes up. Fast typists roll over a lot; a negative flight means overlap.
+    </TipText>
+    <TipHint>Flights are counted for the finger pressing the next key</TipHint>
+  </>
+)
+
+const FINGERS = [
+  ['L-pinky', 'L pinky'],
+  ['L-ring', 'L ring'],
+  ['L-middle', 'L middle'],
+  ['L-index', 'L index'],
+  ['thumb', 'thumbs'],
+  ['R-index', 'R index'],
+  ['R-middle', 'R middle'],
+  ['R-ring', 'R ring'],
+  ['R-pinky', 'R pinky'],
+]
+
+const MIN_BIGRAM_SAMPLES = 2
+const BIGRAM_LIMIT = 6
+
+// Key Timing - hold, flight and rollover from keyup data, per finger and bigram
+const KeyTiming = ({ keyTiming }) => {
+  const [view, setView] = useState('fingers')
+
+  const fingerRows = useMemo(() => {
+    if (!keyTiming?.fingers) return []
+    return FINGERS
+      .filter(([finger]) => keyTiming.fingers[finger]?.dwells > 0)
+      .map(([finger, label]) => ({ finger, label, ...keyTiming.fingers[finger] }))
+  }, [keyTiming])
+
+  const bigramLists = useMemo(() => {
+    const bigrams = Object.entries(keyTiming?.bigrams || {})
+      .map(([bigram, data]) => ({ bigram, ...data }))
+      .filter((b) => b.flights >= MIN_BIGRAM_SAMPLES)
+    return {
+      rolled: [...bigrams]
+        .filter((b) => b.rollovers > 0)
+        .sort((a, b) => b.rolloverRate - a.rolloverRate || a.avgFlight - b.avgFlight)
+        .slice(0, BIGRAM_LIMIT),
+      gaps: [...bigrams]
+        .sort((a, b) => b.avgFlight - a.avgFlight)
+        .slice(0, BIGRAM_LIMIT),
+    }
+  }, [keyTiming])
+
+  if (!keyTiming || keyTiming.samples === 0) return null
+
+  const maxDwell = Math.max(1, ...fingerRows.map((f) => f.avgDwell))
+
+  const renderBigram = (b) => (
+    <div key={b.bigram} className="kt-bigram">
+      <span className="kt-bigram-keys">{b.bigram.replace(/ /g, '␣')}</span>
+      <span className={`kt-bigram-flight ${b.avgFlight < 0 ? 'overlap' : ''}`}>
+        {b.avgFlight}ms
+      </span>
+      <span className="kt-bigram-rate">{b.rolloverRate}%</span>
+    </div>
+  )
+
+  return (
+    <div className="key-timing">
+      <div className="key-timing-header">
+        <div className="key-timing-header-left">
+          <span className="key-timing-title">Key Timing</span>
+          <span className="key-timing-subtitle">hold, flight and rollover</span>
+        </div>
+        <div className="key-timing-header-right">
+          <div className="mini-toggle-group">
+            <button
+              className={`mini-toggle ${view === 'fingers' ? 'active' : ''}`}
+              onClick={() => setView('fingers')}
+            >
+              fingers
+            </button>
+            <button
+              className={`mini-toggle ${view === 'bigrams' ? 'active' : ''}`}
+              onClick={() => setView('bigrams')}
+            >
+              bigrams
+            </button>
+          </div>
+          <Tooltip content={KEY_TIMING_TIP}>
+            <button className="help-btn" type="button" aria-label="Help">
+              ?
+            </button>
+          </Tooltip>
+        </div>
+      </div>
+
+      <div className="key-timing-summary">
+        <div className="kt-stat">
+          <span className="kt-stat-value">{keyTiming.avgDwell}ms</span>
+          <span className="kt-stat-label">avg hold</span>
+        </div>
+        <div className="kt-stat">
+          <span className="kt-stat-value">{keyTiming.avgFlight}ms</span>
+          <span className="kt-stat-label">avg flight</span>
+        </div>
+        <div className="kt-stat">
+          <span className="kt-stat-value">{keyTiming.rolloverRate}%</span>
+          <span className="kt-stat-label">rollover</span>
+        </div>
+        <div className="kt-stat">
+          <span className="kt-stat-value">{keyTiming.avgOverlap}ms</span>
+          <span className="kt-stat-label">avg overlap</span>
+        </div>
+      </div>
+
+      {view === 'fingers' ? (
+        <div className="kt-fingers">
+          <div className="kt-finger-row kt-finger-head">
+            <span>finger</span>
+            <span>hold</span>
+            <span>flight</span>
+            <span>rollover</span>
+          </div>
+          {fingerRows.map((f) => (
+            <div key={f.finger} className="kt-finger-row">
+              <span className="kt-finger-name">{f.label}</span>
+              <span className="kt-finger-dwell">
+                <span
+                  className="kt-dwell-bar"
+                  style={{ width: `${(f.avgDwell / maxDwell) * 100}%` }}
+                />
+                <span className="kt-dwell-value">{f.avgDwell}ms</span>
+              </span>
+              <span className={`kt-finger-flight ${f.avgFlight < 0 ? 'overlap' : ''}`}>
+                {f.flights > 0 ? `${f.avgFlight}ms` : '—'}
+              </span>
+              <span className="kt-finger-rate">
+                {f.flights > 0 ? `${f.rolloverRate}%` : '—'}
+              </span>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="kt-bigrams">
+          <div className="kt-bigram-list">
+            <p className="kt-bigram-label">most rolled over</p>
+            {bigramLists.rolled.length > 0 ? (
+              bigramLists.rolled.map(renderBigram)
+            ) : (
+              <p className="kt-empty">no rollovers yet</p>
+            )}
+          </div>
+          <div className="kt-bigram-list">
+            <p className="kt-bigram-label">longest flights</p>
+            {bigramLists.gaps.length > 0 ? (
+              bigramLists.gaps.map(renderBigram)
+            ) : (
+              <p className="kt-empty">not enough repeats yet</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default KeyTiming
@@ -1,41 +1,41 @@
 import React, { useState } from 'react';
 import { Tooltip, TipTitle, TipText, TipHint } from './Tooltip';
+import { resolveLayout } from './layouts';
 
-const ROW_DEFS = {
-  numberRow: {
-    label: 'Number Row',
-    baseKeys: '`1234567890-=',
-    shiftedKeys: '~!@#$%^&*()_+',
-    baseDisplay: ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'],
-    shiftedDisplay: ['!', '@', '#', '$', '%', '^', '&', '*', '(', ')'],
-    offset: 0,
-  },
-  topRow: {
-    label: 'Top Row',
-    baseKeys: 'qwertyuiop[]\\',
-    shiftedKeys: 'QWERTYUIOP{}|',
-    baseDisplay: ['q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p'],
-    shiftedDisplay: ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
-    offset: 0.5,
-  },
-  homeRow: {
-    label: 'Home Row',
-    baseKeys: "asdfghjkl;'",
-    shiftedKeys: 'ASDFGHJKL:"',
-    baseDisplay: ['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l'],
-    shiftedDisplay: ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L'],
-    offset: 0.75,
-  },
-  bottomRow: {
-    label: 'Bottom Row',
-    baseKeys: 'zxcvbnm,./',
-    shiftedKeys: 'ZXCVBNM<>?',
-    baseDisplay: ['z', 'x', 'c', 'v', 'b', 'n', 'm'],
-    shiftedDisplay: ['Z', 'X', 'C', 'V', 'B', 'N', 'M'],
-    offset: 1.25,
-  },
+const ROW_LABELS = {
+  numberRow: 'Number Row',
+  topRow: 'Top Row',
+  homeRow: 'Home Row',
+  bottomRow: 'Bottom Row',
 };
 
+// Row definitions for a layout. Every key in a row counts towards its speed;
+// the display shows the number keys of the number row and the letters of
+// the others.
+const rowDefsCache = new WeakMap();
+function getRowDefs(kb) {
+  if (rowDefsCache.has(kb)) return rowDefsCache.get(kb);
+  const defs = {};
+  Object.keys(ROW_LABELS).forEach((rowName, rowIndex) => {
+    const baseKeys = kb.rows[rowIndex];
+    const shiftedKeys = baseKeys.map((k) => kb.shiftMap[k] || k);
+    const shown =
+      rowName === 'numberRow'
+        ? (k, i) => i >= 1 && i <= 10
+        : (k) => /\p{L}/u.test(k);
+    defs[rowName] = {
+      label: ROW_LABELS[rowName],
+      baseKeys: baseKeys.join(''),
+      shiftedKeys: shiftedKeys.join(''),
+      baseDisplay: baseKeys.filter(shown),
+      shiftedDisplay: shiftedKeys.filter(shown),
+      offset: kb.offsets[rowIndex],
+    };
+  });
+  rowDefsCache.set(kb, defs);
+  return defs;
+}
+
 const HELP_CONTENT = (
   <>
     <TipTitle>Keyboard Row Speed</TipTitle>
@@ -47,9 +47,9 @@ const HELP_CONTENT = (
   </>
 );
 
-function calculateRowSpeeds(keyAverages, useShifted) {
+function calculateRowSpeeds(keyAverages, useShifted, rowDefs) {
   const speeds = {};
-  Object.entries(ROW_DEFS).forEach(([rowName, def]) => {
+  Object.entries(rowDefs).forEach(([rowName, def]) => {
     let totalTime = 0;
     let totalCount = 0;
     const keys = useShifted ? def.shiftedKeys : def.baseKeys;
@@ -71,18 +71,20 @@ function calculateRowSpeeds(keyAverages, useShifted) {
 }
 
 /**
- * KeyboardRowSpeed — visualizes typing speed per QWERTY row, with shift toggle.
+ * KeyboardRowSpeed — visualizes typing speed per keyboard row, with shift toggle.
  *
+ * `layout` is a layout id (see layouts.js); defaults to QWERTY.
  * Shape of keyAverages: { [char]: { avgInterval, count, ... } }
  * Same shape works for global, all-time, or per-session keyStats.
  */
-export default function KeyboardRowSpeed({ keyAverages, title = 'Keyboard Row Speed' }) {
+export default function KeyboardRowSpeed({ keyAverages, title = 'Keyboard Row Speed', layout }) {
   const [shiftMode, setShiftMode] = useState(false);
 
   if (!keyAverages || Object.keys(keyAverages).length === 0) return null;
 
-  const baseSpeeds = calculateRowSpeeds(keyAverages, false);
-  const shiftedSpeeds = calculateRowSpeeds(keyAverages, true);
+  const rowDefs = getRowDefs(resolveLayout(layout));
+  const baseSpeeds = calculateRowSpeeds(keyAverages, false, rowDefs);
+  const shiftedSpeeds = calculateRowSpeeds(keyAverages, true, rowDefs);
 
   const rowSpeeds = shiftMode ? shiftedSpeeds : baseSpeeds;
   const hasShiftedData = Object.keys(shiftedSpeeds).length > 0;
@@ -143,7 +145,7 @@ export default function KeyboardRowSpeed({ keyAverages, title = 'Keyboard Row Sp
         {validRows.length > 0 ? (
           validRows.map((rowName) => {
             const data = rowSpeeds[rowName];
-            const def = ROW_DEFS[rowName];
+            const def = rowDefs[rowName];
             const displayKeys = shiftMode ? def.shiftedDisplay : def.baseDisplay;
 
             return (
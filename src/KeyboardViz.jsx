@@ -1,46 +1,49 @@
 import { useMemo, useState } from 'react'
+import { resolveLayout } from './layouts'
 
-// Keyboard layout for rendering
-const KEYBOARD_ROWS = [
-  ['`', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '='],
-  ['q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p', '[', ']', '\\'],
-  ['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', ';', "'"],
-  ['z', 'x', 'c', 'v', 'b', 'n', 'm', ',', '.', '/'],
-  [' ']
-]
-
-// Shift mapping - base key -> shifted key
-const SHIFT_MAP = {
-  '`': '~', '1': '!', '2': '@', '3': '#', '4': '$', '5': '%',
-  '6': '^', '7': '&', '8': '*', '9': '(', '0': ')', '-': '_', '=': '+',
-  '[': '{', ']': '}', '\\': '|', ';': ':', "'": '"',
-  ',': '<', '.': '>', '/': '?'
-}
-
-const ROW_OFFSETS = [0, 0.5, 0.75, 1.25, 3.5]
 const KEY_WIDTH = 32
 const KEY_HEIGHT = 32
 const KEY_GAP = 4
 
-// Key coordinates for arrow drawing
-const KEY_COORDS = {}
-KEYBOARD_ROWS.forEach((row, rowIndex) => {
-  let x = ROW_OFFSETS[rowIndex] * (KEY_WIDTH + KEY_GAP)
-  row.forEach((key) => {
-    const width = key === ' ' ? KEY_WIDTH * 6 + KEY_GAP * 5 : KEY_WIDTH
-    KEY_COORDS[key] = {
-      x: x + width / 2,
-      y: rowIndex * (KEY_HEIGHT + KEY_GAP) + KEY_HEIGHT / 2,
-      width
-    }
-    KEY_COORDS[key.toUpperCase()] = KEY_COORDS[key]
-    // Also map shifted symbols to their base key position
-    if (SHIFT_MAP[key]) {
-      KEY_COORDS[SHIFT_MAP[key]] = KEY_COORDS[key]
+// Pixel rectangle of every key, per layout. Keys sit at their layout
+// coordinates; the space bar spans six keys under the bottom row.
+const keyRectsCache = new WeakMap()
+export const getKeyRects = (kb) => {
+  if (keyRectsCache.has(kb)) return keyRectsCache.get(kb)
+  const rects = []
+  kb.rows.forEach((row, rowIndex) => {
+    row.forEach((key, keyIndex) => {
+      const isSpace = key === ' '
+      const [keyX, keyY] = isSpace ? [kb.offsets[rowIndex], rowIndex] : kb.coords[key]
+      rects.push({
+        key,
+        rowIndex,
+        keyIndex,
+        x: keyX * (KEY_WIDTH + KEY_GAP),
+        y: keyY * (KEY_HEIGHT + KEY_GAP),
+        width: isSpace ? KEY_WIDTH * 6 + KEY_GAP * 5 : KEY_WIDTH
+      })
+    })
+  })
+  keyRectsCache.set(kb, rects)
+  return rects
+}
+
+// Key centers in pixels for arrow drawing, per layout
+const keyCoordsCache = new WeakMap()
+const getKeyCoords = (kb) => {
+  if (keyCoordsCache.has(kb)) return keyCoordsCache.get(kb)
+  const coords = {}
+  getKeyRects(kb).forEach(({ key, x, y, width }) => {
+    coords[key] = { x: x + width / 2, y: y + KEY_HEIGHT / 2, width }
+    // Also map shifted characters to their base key position
+    if (kb.shiftMap[key]) {
+      coords[kb.shiftMap[key]] = coords[key]
     }
-    x += width + KEY_GAP
   })
-})
+  keyCoordsCache.set(kb, coords)
+  return coords
+}
 
 // Color interpolation
 const interpolateColor = (value, min, max, coldColor, hotColor) => {
@@ -53,44 +56,80 @@ const interpolateColor = (value, min, max, coldColor, hotColor) => {
   return `rgb(${r}, ${g}, ${b})`
 }
 
-export const KeyboardHeatmap = ({ keyStats, mode = 'speed', comparisonStats = null }) => {
-  const [hoveredKey, setHoveredKey] = useState(null)
-  const [mousePos, setMousePos] = useState({ x: 0, y: 0 })
-  const [showShiftLayer, setShowShiftLayer] = useState(false)
-
-  // Organize stats by base key with shifted variants
-  const organizedStats = useMemo(() => {
-    if (!keyStats || Object.keys(keyStats).length === 0) return {}
+// Organize stats by base key with shifted variants
+const organizeKeyStats = (keyStats, kb) => {
+  if (!keyStats || Object.keys(keyStats).length === 0) return {}
 
-    const organized = {}
+  const organized = {}
 
-    KEYBOARD_ROWS.flat().forEach(baseKey => {
-      if (baseKey === ' ') {
-        const spaceStats = keyStats[' '] || keyStats['space']
-        if (spaceStats) {
-          organized[' '] = { base: spaceStats, shifted: null, shiftedChar: null }
-        }
-        return
+  kb.rows.flat().forEach(baseKey => {
+    if (baseKey === ' ') {
+      const spaceStats = keyStats[' '] || keyStats['space']
+      if (spaceStats) {
+        organized[' '] = { base: spaceStats, shifted: null, shiftedChar: null }
       }
+      return
+    }
 
-      const isLetter = /^[a-z]$/.test(baseKey)
-      const shiftedChar = isLetter ? baseKey.toUpperCase() : SHIFT_MAP[baseKey]
+    const shiftedChar = kb.shiftMap[baseKey]
 
-      const baseStats = keyStats[baseKey] || keyStats[baseKey.toLowerCase()]
-      // For letters, check for uppercase version; for symbols, check shifted symbol
-      const shiftedStats = shiftedChar ? keyStats[shiftedChar] : null
+    const baseStats = keyStats[baseKey] || keyStats[baseKey.toLowerCase()]
+    // For letters, check for uppercase version; for symbols, check shifted symbol
+    const shiftedStats = shiftedChar ? keyStats[shiftedChar] : null
 
-      if (baseStats || shiftedStats) {
-        organized[baseKey] = {
-          base: baseStats,
-          shifted: shiftedStats,
-          shiftedChar
-        }
+    if (baseStats || shiftedStats) {
+      organized[baseKey] = {
+        base: baseStats,
+        shifted: shiftedStats,
+        shiftedChar
       }
-    })
+    }
+  })
 
-    return organized
-  }, [keyStats])
+  return organized
+}
+
+// Value a key is colored by in each mode
+const heatValue = (stats, mode) =>
+  mode === 'speed' ? stats.avgInterval : (stats.accuracy !== undefined ? stats.accuracy : 1)
+
+// With `comparisonStats`, keys are colored by how they differ from it:
+// green where `keyStats` is faster (or more accurate), red where slower.
+// `significance` optionally maps characters to a compare.js significance
+// level; keys whose difference is noise (or untested) are dimmed.
+// Signed difference of a key from its comparison, for the tooltip
+const formatKeyDelta = (stats, base, mode) => {
+  if (mode === 'speed') {
+    const delta = Math.round((stats.avgInterval || 0) - (base.avgInterval || 0))
+    return `${delta > 0 ? '+' : ''}${delta}ms`
+  }
+  const delta = Math.round(((stats.accuracy ?? 1) - (base.accuracy ?? 1)) * 1000) / 10
+  return `${delta > 0 ? '+' : ''}${delta}%`
+}
+
+export const KeyboardHeatmap = ({
+  keyStats,
+  mode = 'speed',
+  comparisonStats = null,
+  comparisonLabel = 'comparison',
+  significance = null,
+  layout
+}) => {
+  const kb = resolveLayout(layout)
+  const [hoveredKey, setHoveredKey] = useState(null)
+  const [mousePos, setMousePos] = useState({ x: 0, y: 0 })
+  const [showShiftLayer, setShowShiftLayer] = useState(false)
+
+  const organizedStats = useMemo(() => organizeKeyStats(keyStats, kb), [keyStats, kb])
+  const organizedComparison = useMemo(
+    () => (comparisonStats ? organizeKeyStats(comparisonStats, kb) : null),
+    [comparisonStats, kb]
+  )
+  const comparing = !!organizedComparison && Object.keys(organizedComparison).length > 0
+
+  // Stats of a key on the layer shown (space uses base stats in both layers)
+  const layerStats = (data, key) =>
+    data ? ((!showShiftLayer || key === ' ') ? data.base : data.shifted) : null
 
   // Check if any shifted data exists
   const hasAnyShiftedData = useMemo(() => {
@@ -115,6 +154,26 @@ export const KeyboardHeatmap = ({ keyStats, mode = 'speed', comparisonStats = nu
 
     if (Object.keys(currentLayerStats).length === 0) return { colors: {} }
 
+    if (comparing) {
+      // Signed improvement of each key over the comparison, positive = better
+      const gains = {}
+      Object.entries(currentLayerStats).forEach(([key, stats]) => {
+        const base = layerStats(organizedComparison[key], key)
+        if (!base) return
+        const delta = heatValue(stats, mode) - heatValue(base, mode)
+        if (Number.isFinite(delta)) gains[key] = mode === 'speed' ? -delta : delta
+      })
+      const maxGain = Math.max(0, ...Object.values(gains).map(Math.abs))
+
+      const cols = {}
+      Object.entries(gains).forEach(([key, gain]) => {
+        cols[key] = gain >= 0
+          ? interpolateColor(gain, 0, maxGain, 'rgb(82, 82, 82)', 'rgb(110, 207, 110)')
+          : interpolateColor(-gain, 0, maxGain, 'rgb(82, 82, 82)', 'rgb(232, 92, 92)')
+      })
+      return { colors: cols }
+    }
+
     const values = Object.values(currentLayerStats).map(s =>
       mode === 'speed' ? s.avgInterval : (s.accuracy !== undefined ? s.accuracy : 1)
     ).filter(v => v > 0)
@@ -139,7 +198,7 @@ export const KeyboardHeatmap = ({ keyStats, mode = 'speed', comparisonStats = nu
     })
 
     return { colors: cols }
-  }, [organizedStats, mode, showShiftLayer])
+  }, [organizedStats, organizedComparison, comparing, mode, showShiftLayer])
 
   const totalWidth = 14 * (KEY_WIDTH + KEY_GAP)
   const totalHeight = 5 * (KEY_HEIGHT + KEY_GAP)
@@ -182,9 +241,20 @@ export const KeyboardHeatmap = ({ keyStats, mode = 'speed', comparisonStats = nu
   }
 
   const hoveredData = hoveredKey ? organizedStats[hoveredKey] : null
-  const hoveredStats = hoveredData
-    ? ((!showShiftLayer || hoveredKey === ' ') ? hoveredData.base : hoveredData.shifted)
-    : null
+  const hoveredStats = layerStats(hoveredData, hoveredKey)
+  const hoveredBase = comparing ? layerStats(organizedComparison[hoveredKey], hoveredKey) : null
+  const hoveredChar = hoveredKey === ' '
+    ? ' '
+    : (showShiftLayer ? hoveredData?.shiftedChar : hoveredKey)
+  const hoveredSignificance = significance && hoveredChar ? significance[hoveredChar] : null
+
+  // Dim keys whose difference isn't significant
+  const keyOpacity = (key) => {
+    if (!significance) return 1
+    const char = key === ' ' ? ' ' : (showShiftLayer ? kb.shiftMap[key] : key)
+    const level = significance[char]?.level
+    return level === 'strong' || level === 'likely' ? 1 : 0.45
+  }
 
   return (
     <div className="keyboard-viz">
@@ -195,70 +265,61 @@ export const KeyboardHeatmap = ({ keyStats, mode = 'speed', comparisonStats = nu
         onMouseMove={handleMouseMove}
         onMouseLeave={() => setHoveredKey(null)}
       >
-        {KEYBOARD_ROWS.map((row, rowIndex) => {
-          let x = ROW_OFFSETS[rowIndex] * (KEY_WIDTH + KEY_GAP)
-          return row.map((key, keyIndex) => {
-            const width = key === ' ' ? KEY_WIDTH * 6 + KEY_GAP * 5 : KEY_WIDTH
-            const keyX = x
-            x += width + KEY_GAP
-
-            const keyY = rowIndex * (KEY_HEIGHT + KEY_GAP)
-            const keyData = organizedStats[key]
-            const isLetter = /^[a-z]$/.test(key)
-            const shiftedChar = isLetter ? key.toUpperCase() : SHIFT_MAP[key]
-
-            // Get stats and color for current layer
-            // Space uses base stats in both layers (same key)
-            const useBaseStats = !showShiftLayer || key === ' '
-            const currentStats = keyData ? (useBaseStats ? keyData.base : keyData.shifted) : null
-            const bgColor = currentStats ? (colors[key] || 'var(--bg-tertiary)') : 'var(--bg-tertiary)'
-            const hasData = !!currentStats
-
-            // Display character based on layer
-            // Now letters show uppercase in shift layer (capitals are tracked)
-            // Space shows on both layers
-            let label = key === ' ' ? 'space' : key
-            if (showShiftLayer && key !== ' ') {
-              label = shiftedChar || key
-            }
-
-            // Keys without shift data show dimmed
-            const noShiftData = showShiftLayer && !keyData?.shifted && key !== ' '
-
-            return (
-              <g
-                key={`${rowIndex}-${keyIndex}`}
-                onMouseEnter={() => setHoveredKey(key)}
-                style={{ cursor: 'default' }}
-              >
-                <rect
-                  x={keyX}
-                  y={keyY}
-                  width={width}
-                  height={KEY_HEIGHT}
-                  rx={4}
-                  fill={bgColor}
-                  stroke="var(--bg-secondary)"
-                  strokeWidth={1}
-                  opacity={noShiftData ? 0.3 : (hasData ? 1 : 0.5)}
-                />
-                {label && (
-                  <text
-                    x={keyX + width / 2}
-                    y={keyY + KEY_HEIGHT / 2 + 1}
-                    textAnchor="middle"
-                    dominantBaseline="middle"
-                    fontSize={key === ' ' ? 10 : 12}
-                    fill="var(--text)"
-                    opacity={hasData ? 0.9 : 0.4}
-                    style={{ pointerEvents: 'none' }}
-                  >
-                    {label}
-                  </text>
-                )}
-              </g>
-            )
-          })
+        {getKeyRects(kb).map(({ key, rowIndex, keyIndex, x: keyX, y: keyY, width }) => {
+          const keyData = organizedStats[key]
+          const shiftedChar = kb.shiftMap[key]
+
+          // Get stats and color for current layer
+          // Space uses base stats in both layers (same key)
+          const useBaseStats = !showShiftLayer || key === ' '
+          const currentStats = keyData ? (useBaseStats ? keyData.base : keyData.shifted) : null
+          const bgColor = currentStats ? (colors[key] || 'var(--bg-tertiary)') : 'var(--bg-tertiary)'
+          const hasData = !!currentStats
+
+          // Display character based on layer
+          // Now letters show uppercase in shift layer (capitals are tracked)
+          // Space shows on both layers
+          let label = key === ' ' ? 'space' : key
+          if (showShiftLayer && key !== ' ') {
+            label = shiftedChar || key
+          }
+
+          // Keys without shift data show dimmed
+          const noShiftData = showShiftLayer && !keyData?.shifted && key !== ' '
+
+          return (
+            <g
+              key={`${rowIndex}-${keyIndex}`}
+              onMouseEnter={() => setHoveredKey(key)}
+              style={{ cursor: 'default' }}
+            >
+              <rect
+                x={keyX}
+                y={keyY}
+                width={width}
+                height={KEY_HEIGHT}
+                rx={4}
+                fill={bgColor}
+                stroke="var(--bg-secondary)"
+                strokeWidth={1}
+                opacity={noShiftData ? 0.3 : (hasData ? keyOpacity(key) : 0.5)}
+              />
+              {label && (
+                <text
+                  x={keyX + width / 2}
+                  y={keyY + KEY_HEIGHT / 2 + 1}
+                  textAnchor="middle"
+                  dominantBaseline="middle"
+                  fontSize={key === ' ' ? 10 : 12}
+                  fill="var(--text)"
+                  opacity={hasData ? 0.9 : 0.4}
+                  style={{ pointerEvents: 'none' }}
+                >
+                  {label}
+                </text>
+              )}
+            </g>
+          )
         })}
       </svg>
 
@@ -288,16 +349,42 @@ export const KeyboardHeatmap = ({ keyStats, mode = 'speed', comparisonStats = nu
             <span><span style={{ color: getSpeedColor(hoveredStats.avgInterval || 0), fontWeight: 500 }}>{Math.round(hoveredStats.avgInterval || 0)}ms</span> avg</span>
             <span><span style={{ color: getAccuracyColor(hoveredStats.accuracy || 1), fontWeight: 500 }}>{Math.round((hoveredStats.accuracy || 1) * 100)}%</span> accuracy</span>
             <span style={{ opacity: 0.7 }}>{hoveredStats.count || 0} presses</span>
+            {hoveredBase && (
+              <span style={{ marginTop: '0.2rem' }}>
+                {mode === 'speed'
+                  ? `${Math.round(hoveredBase.avgInterval || 0)}ms`
+                  : `${Math.round((hoveredBase.accuracy ?? 1) * 100)}%`}{' '}
+                {comparisonLabel}{' '}
+                <span style={{ color: 'var(--text)', fontWeight: 500 }}>
+                  ({formatKeyDelta(hoveredStats, hoveredBase, mode)})
+                </span>
+              </span>
+            )}
+            {hoveredSignificance && (
+              <span style={{ opacity: 0.7 }}>{hoveredSignificance.label}</span>
+            )}
           </div>
         </div>
       )}
 
       <div className="keyboard-legend">
-        <span className="legend-label">{mode === 'speed' ? 'fast' : 'accurate'}</span>
-        <div className="legend-gradient" style={{
-          background: 'linear-gradient(to right, rgb(110, 207, 110), rgb(232, 92, 92))'
-        }} />
-        <span className="legend-label">{mode === 'speed' ? 'slow' : 'error-prone'}</span>
+        {comparing ? (
+          <>
+            <span className="legend-label">{mode === 'speed' ? 'faster' : 'more accurate'}</span>
+            <div className="legend-gradient" style={{
+              background: 'linear-gradient(to right, rgb(110, 207, 110), rgb(82, 82, 82), rgb(232, 92, 92))'
+            }} />
+            <span className="legend-label">{mode === 'speed' ? 'slower' : 'less accurate'}</span>
+          </>
+        ) : (
+          <>
+            <span className="legend-label">{mode === 'speed' ? 'fast' : 'accurate'}</span>
+            <div className="legend-gradient" style={{
+              background: 'linear-gradient(to right, rgb(110, 207, 110), rgb(232, 92, 92))'
+            }} />
+            <span className="legend-label">{mode === 'speed' ? 'slow' : 'error-prone'}</span>
+          </>
+        )}
 
         {/* Shift layer toggle */}
         {hasAnyShiftedData && (
@@ -315,7 +402,8 @@ export const KeyboardHeatmap = ({ keyStats, mode = 'speed', comparisonStats = nu
   )
 }
 
-export const KeyboardFlowMap = ({ topBigrams = [], flowType = 'slow', mode = 'speed' }) => {
+export const KeyboardFlowMap = ({ topBigrams = [], flowType = 'slow', mode = 'speed', layout }) => {
+  const kb = resolveLayout(layout)
   // Original dimensions (will be scaled via viewBox and CSS)
   const fullWidth = 14 * (KEY_WIDTH + KEY_GAP)
   const fullHeight = 5 * (KEY_HEIGHT + KEY_GAP)
@@ -326,6 +414,7 @@ export const KeyboardFlowMap = ({ topBigrams = [], flowType = 'slow', mode = 'sp
 
   const arrows = useMemo(() => {
     if (!topBigrams || topBigrams.length === 0) return []
+    const KEY_COORDS = getKeyCoords(kb)
 
     return topBigrams
       .filter(({ bigram }) => {
@@ -366,7 +455,7 @@ export const KeyboardFlowMap = ({ topBigrams = [], flowType = 'slow', mode = 'sp
           opacity: 1 - (index * 0.15)
         }
       })
-  }, [topBigrams])
+  }, [topBigrams, kb])
 
   // Colors: green for good (fast/accurate), red for bad (slow/error-prone)
   const color = flowType === 'slow' ? 'var(--incorrect)' : 'var(--fast)'
@@ -383,29 +472,20 @@ export const KeyboardFlowMap = ({ topBigrams = [], flowType = 'slow', mode = 'sp
     <div className="keyboard-viz flow-viz">
       <svg width={displayWidth} height={displayHeight} viewBox={`0 0 ${fullWidth} ${fullHeight}`} preserveAspectRatio="xMidYMid meet">
         {/* Draw keys first */}
-        {KEYBOARD_ROWS.map((row, rowIndex) => {
-          let x = ROW_OFFSETS[rowIndex] * (KEY_WIDTH + KEY_GAP)
-          return row.map((key, keyIndex) => {
-            const width = key === ' ' ? KEY_WIDTH * 6 + KEY_GAP * 5 : KEY_WIDTH
-            const keyX = x
-            x += width + KEY_GAP
-
-            return (
-              <rect
-                key={`${rowIndex}-${keyIndex}`}
-                x={keyX}
-                y={rowIndex * (KEY_HEIGHT + KEY_GAP)}
-                width={width}
-                height={KEY_HEIGHT}
-                rx={4}
-                fill="var(--bg-tertiary)"
-                stroke="var(--bg-secondary)"
-                strokeWidth={1}
-                opacity={0.5}
-              />
-            )
-          })
-        })}
+        {getKeyRects(kb).map(({ rowIndex, keyIndex, x, y, width }) => (
+          <rect
+            key={`${rowIndex}-${keyIndex}`}
+            x={x}
+            y={y}
+            width={width}
+            height={KEY_HEIGHT}
+            rx={4}
+            fill="var(--bg-tertiary)"
+            stroke="var(--bg-secondary)"
+            strokeWidth={1}
+            opacity={0.5}
+          />
+        ))}
 
         {/* Draw arrows */}
         <defs>
@@ -442,4 +522,65 @@ export const KeyboardFlowMap = ({ topBigrams = [], flowType = 'slow', mode = 'sp
   )
 }
 
+// Plain rendering of a layout's keys, with each key's shifted character in
+// the corner. Used by the layout editor to show and pick keys.
+export const KeyboardLayoutView = ({ layout, keyColors = {}, selectedKey = null, onKeyClick }) => {
+  const kb = resolveLayout(layout)
+  const totalWidth = 14 * (KEY_WIDTH + KEY_GAP)
+  const totalHeight = 5 * (KEY_HEIGHT + KEY_GAP)
+
+  return (
+    <div className="keyboard-viz">
+      <svg width={totalWidth} height={totalHeight} viewBox={`0 0 ${totalWidth} ${totalHeight}`}>
+        {getKeyRects(kb).map(({ key, rowIndex, keyIndex, x, y, width }) => {
+          const isSpace = key === ' '
+          const selected = key === selectedKey
+          return (
+            <g
+              key={`${rowIndex}-${keyIndex}`}
+              onClick={isSpace || !onKeyClick ? undefined : () => onKeyClick(key)}
+              style={{ cursor: isSpace || !onKeyClick ? 'default' : 'pointer' }}
+            >
+              <rect
+                x={x}
+                y={y}
+                width={width}
+                height={KEY_HEIGHT}
+                rx={4}
+                fill={keyColors[key] || 'var(--bg-tertiary)'}
+                stroke={selected ? 'var(--accent)' : 'var(--bg-secondary)'}
+                strokeWidth={selected ? 2 : 1}
+              />
+              {kb.shiftMap[key] && kb.shiftMap[key] !== key.toUpperCase() && (
+                <text
+                  x={x + 5}
+                  y={y + 10}
+                  fontSize={8}
+                  fill="var(--text)"
+                  opacity={0.6}
+                  style={{ pointerEvents: 'none' }}
+                >
+                  {kb.shiftMap[key]}
+                </text>
+              )}
+              <text
+                x={x + width / 2}
+                y={y + KEY_HEIGHT / 2 + 2}
+                textAnchor="middle"
+                dominantBaseline="middle"
+                fontSize={isSpace ? 10 : 12}
+                fill="var(--text)"
+                opacity={0.9}
+                style={{ pointerEvents: 'none' }}
+              >
+                {isSpace ? 'space' : key}
+              </text>
+            </g>
+          )
+        })}
+      </svg>
+    </div>
+  )
+}
+
 export default KeyboardHeatmap
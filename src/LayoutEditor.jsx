@@ -0,0 +1,282 @@
+import { useMemo, useRef, useState } from 'react'
+import { KeyboardLayoutView } from './KeyboardViz'
+import { Tooltip, TipTitle, TipText, TipHint } from './Tooltip'
+import {
+  CUSTOM_LAYOUT_PREFIX,
+  FINGERS,
+  buildLayout,
+  exportLayoutJson,
+  getKeyList,
+  getLayoutOptions,
+  importLayoutJson,
+  isCustomLayout,
+  resolveLayout,
+  validateLayoutDefinition,
+} from './layouts'
+
+const EDITOR_TIP = (
+  <>
+    <TipTitle>Custom Layouts</TipTitle>
+    <TipText>
+      Start from any layout, then click a key to change its character, its
+      shifted character, the finger that types it and where it sits.
+    </TipText>
+    <TipText>
+      Positions are in key widths, like a real keyboard: rows are 1 apart and
+      each row is staggered. Key distances and row stats use them directly.
+    </TipText>
+    <TipHint>Export to share a layout as JSON; import to load one</TipHint>
+  </>
+)
+
+const FINGER_COLORS = {
+  'L-pinky': 'rgb(142, 110, 207)',
+  'L-ring': 'rgb(92, 140, 232)',
+  'L-middle': 'rgb(72, 182, 196)',
+  'L-index': 'rgb(110, 207, 110)',
+  'R-index': 'rgb(196, 207, 92)',
+  'R-middle': 'rgb(226, 183, 20)',
+  'R-ring': 'rgb(232, 140, 60)',
+  'R-pinky': 'rgb(232, 92, 92)',
+}
+
+const FINGER_LABELS = {
+  'L-pinky': 'left pinky',
+  'L-ring': 'left ring',
+  'L-middle': 'left middle',
+  'L-index': 'left index',
+  'R-index': 'right index',
+  'R-middle': 'right middle',
+  'R-ring': 'right ring',
+  'R-pinky': 'right pinky',
+}
+
+// Last character typed into a one-character field
+const lastChar = (value) => [...value].pop() || ''
+
+// Layout Editor - define, import and export custom keyboard layouts
+const LayoutEditor = ({ customLayouts, initialLayout, onSave, onDelete, onClose }) => {
+  const startFrom = (id) => {
+    const kb = resolveLayout(id)
+    return {
+      editingId: isCustomLayout(id) && customLayouts[id] ? id : null,
+      name: isCustomLayout(id) ? kb.name : `${kb.name} (custom)`,
+      keys: getKeyList(kb),
+    }
+  }
+
+  const [draft, setDraft] = useState(() => startFrom(initialLayout))
+  const [selectedIndex, setSelectedIndex] = useState(null)
+  const [error, setError] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const { editingId, name, keys } = draft
+  const preview = useMemo(() => buildLayout('draft', { name, keys }), [name, keys])
+  const selected = selectedIndex !== null ? keys[selectedIndex] : null
+
+  const keyColors = useMemo(() => {
+    const colors = {}
+    keys.forEach((k) => {
+      colors[k.char] = FINGER_COLORS[k.finger]
+    })
+    return colors
+  }, [keys])
+
+  const updateDraft = (changes) => {
+    setDraft((prev) => ({ ...prev, ...changes }))
+    setError(null)
+  }
+
+  const updateKey = (changes) => {
+    updateDraft({
+      keys: keys.map((k, i) => (i === selectedIndex ? { ...k, ...changes } : k)),
+    })
+  }
+
+  const addKey = () => {
+    const y = selected ? selected.y : 2
+    const rowKeys = keys.filter((k) => Math.round(k.y) === Math.round(y))
+    const x = rowKeys.length > 0 ? Math.max(...rowKeys.map((k) => k.x)) + 1 : 0
+    updateDraft({ keys: [...keys, { char: '', shifted: null, x, y, finger: 'R-pinky' }] })
+    setSelectedIndex(keys.length)
+  }
+
+  const removeKey = () => {
+    updateDraft({ keys: keys.filter((_, i) => i !== selectedIndex) })
+    setSelectedIndex(null)
+  }
+
+  const definition = { name: name.trim(), keys }
+
+  const handleSave = () => {
+    const problem = validateLayoutDefinition(definition)
+    if (problem) {
+      setError(problem)
+      return
+    }
+    onSave(editingId || `${CUSTOM_LAYOUT_PREFIX}${Date.now()}`, definition)
+  }
+
+  const handleExport = () => {
+    const problem = validateLayoutDefinition(definition)
+    if (problem) {
+      setError(problem)
+      return
+    }
+    const blob = new Blob([exportLayoutJson(definition)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `${definition.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`
+    a.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const handleImport = (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    const reader = new FileReader()
+    reader.onload = () => {
+      const result = importLayoutJson(String(reader.result))
+      if (result.error) {
+        setError(result.error)
+        return
+      }
+      setDraft({ editingId: null, name: result.definition.name, keys: result.definition.keys })
+      setSelectedIndex(null)
+      setError(null)
+    }
+    reader.readAsText(file)
+  }
+
+  return (
+    <div className="layout-editor">
+      <div className="layout-editor-toolbar">
+        <input
+          className="layout-editor-name"
+          value={name}
+          onChange={(e) => updateDraft({ name: e.target.value })}
+          placeholder="layout name"
+          aria-label="Layout name"
+        />
+        <select
+          className="layout-editor-select"
+          value=""
+          onChange={(e) => {
+            setDraft(startFrom(e.target.value))
+            setSelectedIndex(null)
+            setError(null)
+          }}
+          aria-label="Start from layout"
+        >
+          <option value="" disabled>start from…</option>
+          {getLayoutOptions().map(({ id, name: optionName }) => (
+            <option key={id} value={id}>{optionName}</option>
+          ))}
+        </select>
+        <Tooltip content={EDITOR_TIP}>
+          <button className="help-btn" type="button" aria-label="Help">?</button>
+        </Tooltip>
+      </div>
+
+      <KeyboardLayoutView
+        layout={preview}
+        keyColors={keyColors}
+        selectedKey={selected?.char}
+        onKeyClick={(char) => setSelectedIndex(keys.findIndex((k) => k.char === char))}
+      />
+
+      <div className="layout-editor-legend">
+        {FINGERS.map((finger) => (
+          <span key={finger} className="layout-editor-legend-item">
+            <span className="layout-editor-swatch" style={{ background: FINGER_COLORS[finger] }} />
+            {FINGER_LABELS[finger]}
+          </span>
+        ))}
+      </div>
+
+      {selected ? (
+        <div className="layout-editor-key">
+          <label>
+            <span>key</span>
+            <input
+              value={selected.char}
+              onChange={(e) => updateKey({ char: lastChar(e.target.value) })}
+            />
+          </label>
+          <label>
+            <span>shifted</span>
+            <input
+              value={selected.shifted || ''}
+              onChange={(e) => updateKey({ shifted: lastChar(e.target.value) || null })}
+            />
+          </label>
+          <label>
+            <span>finger</span>
+            <select
+              value={selected.finger}
+              onChange={(e) => updateKey({ finger: e.target.value })}
+            >
+              {FINGERS.map((finger) => (
+                <option key={finger} value={finger}>{FINGER_LABELS[finger]}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            <span>x</span>
+            <input
+              type="number"
+              step={0.25}
+              value={selected.x}
+              onChange={(e) => updateKey({ x: Number(e.target.value) })}
+            />
+          </label>
+          <label>
+            <span>y</span>
+            <input
+              type="number"
+              step={0.25}
+              value={selected.y}
+              onChange={(e) => updateKey({ y: Number(e.target.value) })}
+            />
+          </label>
+          <button className="layout-editor-btn danger" onClick={removeKey}>
+            remove key
+          </button>
+        </div>
+      ) : (
+        <p className="layout-editor-hint">click a key to edit it</p>
+      )}
+
+      {error && <p className="layout-editor-error">{error}</p>}
+
+      <div className="layout-editor-actions">
+        <button className="layout-editor-btn" onClick={addKey}>add key</button>
+        <button className="layout-editor-btn" onClick={handleExport}>export json</button>
+        <button className="layout-editor-btn" onClick={() => fileInputRef.current?.click()}>
+          import json
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          hidden
+        />
+        <span className="layout-editor-spacer" />
+        {editingId && (
+          <button className="layout-editor-btn danger" onClick={() => onDelete(editingId)}>
+            delete
+          </button>
+        )}
+        <button className="layout-editor-btn" onClick={onClose}>cancel</button>
+        <button className="layout-editor-btn primary" onClick={handleSave}>
+          {editingId ? 'save' : 'save as new'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default LayoutEditor
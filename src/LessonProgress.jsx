@@ -0,0 +1,149 @@
+import { useMemo } from 'react'
+import { Tooltip, TipTitle, TipText, TipHint } from './Tooltip'
+import { KeyboardLayoutView } from './KeyboardViz'
+import { getLanguageName } from './languages'
+import { resolveLayout } from './layouts'
+import {
+  LESSONS,
+  MASTERY_PASSES,
+  getLayoutProgress,
+  getLessonKeys,
+  getLessonLanguage,
+  isLessonUnlocked,
+  meetsGate,
+} from './curriculum'
+
+const LESSON_TIP = (
+  <>
+    <TipTitle>Touch-typing Lessons</TipTitle>
+    <TipText>
+      The keyboard a row at a time: the keys your fingers rest on, the rest
+      of the home row, the top row, the bottom row, numbers and symbols.
+      Every lesson is typed with only the keys learned so far, in words of
+      the layout's language: French on AZERTY, German on QWERTZ and English
+      on the rest.
+    </TipText>
+    <TipText>
+      Meet a lesson's speed and accuracy gate in {MASTERY_PASSES} sessions to
+      master it and unlock the next. Progress is kept for each keyboard
+      layout.
+    </TipText>
+    <TipHint>Press next for a fresh text of the same lesson</TipHint>
+  </>
+)
+
+// Key fills: keys the lesson brings in, and keys of earlier lessons
+const NEW_KEY_COLOR = 'rgb(226, 183, 20)'
+const LEARNED_KEY_COLOR = 'rgb(62, 92, 62)'
+
+const formatGate = (lesson) => `${lesson.wpm} wpm · ${lesson.accuracy}%`
+
+// How a finished lesson measured up against its gate
+const ResultLine = ({ lesson, result, progress }) => {
+  const passed = meetsGate(lesson, result.wpm, result.accuracy)
+  const left = MASTERY_PASSES - progress.passes
+  return (
+    <div className={`lesson-result ${passed ? 'passed' : 'missed'}`}>
+      {Math.round(result.wpm)} wpm · {result.accuracy}% -{' '}
+      {!passed
+        ? `below the ${formatGate(lesson)} gate`
+        : progress.passed
+          ? 'lesson mastered'
+          : `gate met, ${left} more to master`}
+    </div>
+  )
+}
+
+// Lesson Progress - the curriculum's lessons with their gates and progress,
+// beside the keyboard with the lesson on screen's keys lit up
+const LessonProgress = ({ curriculum, layout, lesson: lessonId, result, onSelect }) => {
+  const kb = resolveLayout(layout)
+  const progress = getLayoutProgress(curriculum, layout)
+  const lessonKeys = useMemo(() => getLessonKeys(kb), [kb])
+  const shown = lessonId ?? progress.current
+  const shownIndex = Math.max(0, LESSONS.findIndex((lesson) => lesson.id === shown))
+  const lesson = LESSONS[shownIndex]
+  const mastered = LESSONS.filter((l) => progress.lessons[l.id]?.passed).length
+
+  // Shifted characters light up the key they're on
+  const keyColors = useMemo(() => {
+    const baseOf = Object.fromEntries(
+      Object.entries(kb.shiftMap).map(([base, shifted]) => [shifted, base])
+    )
+    const colors = {}
+    lessonKeys.slice(0, shownIndex + 1).forEach(({ keys }, i) => {
+      keys.forEach((key) => {
+        const base = baseOf[key] ?? key
+        if (!colors[base] || i === shownIndex) {
+          colors[base] = i === shownIndex ? NEW_KEY_COLOR : LEARNED_KEY_COLOR
+        }
+      })
+    })
+    return colors
+  }, [kb, lessonKeys, shownIndex])
+
+  return (
+    <div className="lesson-progress">
+      <div className="lesson-progress-header">
+        <div className="lesson-progress-header-left">
+          <span className="lesson-progress-title">Lessons</span>
+          <span className="lesson-progress-subtitle">
+            {mastered}/{LESSONS.length} mastered on {kb.name} · {getLanguageName(getLessonLanguage(kb))} words
+          </span>
+        </div>
+        <div className="lesson-progress-header-right">
+          <Tooltip content={LESSON_TIP}>
+            <button className="help-btn" type="button" aria-label="Help">?</button>
+          </Tooltip>
+        </div>
+      </div>
+
+      <div className="lesson-progress-body">
+        <div className="lesson-keyboard">
+          <KeyboardLayoutView layout={kb} keyColors={keyColors} />
+          <div className="lesson-keyboard-legend">
+            <span><span className="lesson-swatch new" />{lesson.name}</span>
+            {shownIndex > 0 && <span><span className="lesson-swatch learned" />learned</span>}
+          </div>
+          {result && (
+            <ResultLine
+              lesson={lesson}
+              result={result}
+              progress={progress.lessons[lesson.id] ?? { passes: 0, passed: false }}
+            />
+          )}
+        </div>
+
+        <div className="lesson-list">
+          {LESSONS.map((l) => {
+            const stats = progress.lessons[l.id]
+            const unlocked = isLessonUnlocked(curriculum, layout, l.id)
+            const status = stats?.passed ? 'mastered' : unlocked ? 'open' : 'locked'
+            return (
+              <button
+                key={l.id}
+                className={`lesson-item ${status} ${l.id === lesson.id ? 'active' : ''}`}
+                disabled={!unlocked}
+                onClick={() => onSelect(l.id)}
+                title={l.description}
+              >
+                <span className="lesson-status">
+                  {status === 'mastered' ? '✓' : status === 'locked' ? '–' : '○'}
+                </span>
+                <span className="lesson-name">{l.name}</span>
+                <span className="lesson-gate">{formatGate(l)}</span>
+                <span className="lesson-passes">
+                  {stats?.passed
+                    ? `best ${Math.round(stats.bestWpm)} wpm`
+                    : `${stats?.passes ?? 0}/${MASTERY_PASSES}`}
+                </span>
+              </button>
+            )
+          })}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default LessonProgress
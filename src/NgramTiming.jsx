@@ -0,0 +1,132 @@
+import { useMemo, useState } from 'react'
+import { Tooltip, TipTitle, TipText, TipHint } from './Tooltip'
+import { NGRAM_SIZES, getNgramList } from './analytics'
+
+// Times an n-gram has to be typed before it is ranked
+const MIN_NGRAM_COUNT = 2
+const LIST_LIMIT = 8
+
+const NGRAM_TIP = (
+  <>
+    <TipTitle>N-grams</TipTitle>
+    <TipText>
+      Runs of three or four keys like <code>ing</code>, <code>tion</code> or{' '}
+      <code>the␣</code>, timed from the first keypress to the last. A run
+      with a typo in it counts against its accuracy and isn't timed.
+    </TipText>
+    <TipText>
+      • <strong>Chunking</strong> — how much faster a run is than its
+      bigrams take on average. Well-practiced sequences are typed as one
+      motion and come out well ahead; negative means you stumble on the
+      sequence more than on its parts.
+    </TipText>
+    <TipHint>Only runs typed at least {MIN_NGRAM_COUNT} times are ranked</TipHint>
+  </>
+)
+
+const MODES = ['speed', 'accuracy', 'chunking']
+
+const showSpaces = (ngram) => ngram.replace(/ /g, '␣')
+
+const formatChunking = (chunking) => `${chunking > 0 ? '+' : ''}${chunking}%`
+
+// Two ranked lists for the mode: [title, items, value formatter]
+const buildColumns = (list, mode) => {
+  if (mode === 'speed') {
+    const timed = list.filter((n) => n.timed > 0)
+    return [
+      ['slowest', [...timed].sort((a, b) => b.avgTime - a.avgTime), (n) => `${n.avgTime}ms`],
+      ['fastest', [...timed].sort((a, b) => a.avgTime - b.avgTime), (n) => `${n.avgTime}ms`],
+    ]
+  }
+  if (mode === 'accuracy') {
+    return [
+      [
+        'least accurate',
+        list.filter((n) => n.errors > 0).sort((a, b) => a.accuracy - b.accuracy || b.count - a.count),
+        (n) => `${n.accuracy}%`,
+      ],
+      ['most typed', [...list].sort((a, b) => b.count - a.count), (n) => `${n.accuracy}%`],
+    ]
+  }
+  const chunked = list.filter((n) => n.chunking !== null)
+  return [
+    ['typed as a chunk', [...chunked].sort((a, b) => b.chunking - a.chunking), (n) => formatChunking(n.chunking)],
+    ['broken up', [...chunked].sort((a, b) => a.chunking - b.chunking), (n) => formatChunking(n.chunking)],
+  ]
+}
+
+// N-gram Timing - slowest, fastest, least accurate and most chunked
+// trigrams and 4-grams
+const NgramTiming = ({ ngramStats }) => {
+  const [size, setSize] = useState(NGRAM_SIZES[0])
+  const [mode, setMode] = useState('speed')
+
+  const list = useMemo(() => getNgramList(ngramStats, size, MIN_NGRAM_COUNT), [ngramStats, size])
+  const columns = useMemo(() => buildColumns(list, mode), [list, mode])
+
+  if (!ngramStats) return null
+
+  return (
+    <div className="ngram-timing">
+      <div className="ngram-timing-header">
+        <div className="ngram-timing-header-left">
+          <span className="ngram-timing-title">N-grams</span>
+          <span className="ngram-timing-subtitle">
+            {list.length} {size}-key sequences typed {MIN_NGRAM_COUNT}+ times
+          </span>
+        </div>
+        <div className="ngram-timing-header-right">
+          <div className="mini-toggle-group">
+            {NGRAM_SIZES.map((n) => (
+              <button
+                key={n}
+                className={`mini-toggle ${size === n ? 'active' : ''}`}
+                onClick={() => setSize(n)}
+              >
+                {n} keys
+              </button>
+            ))}
+          </div>
+          <div className="mini-toggle-group">
+            {MODES.map((m) => (
+              <button
+                key={m}
+                className={`mini-toggle ${mode === m ? 'active' : ''}`}
+                onClick={() => setMode(m)}
+              >
+                {m}
+              </button>
+            ))}
+          </div>
+          <Tooltip content={NGRAM_TIP}>
+            <button className="help-btn" type="button" aria-label="Help">?</button>
+          </Tooltip>
+        </div>
+      </div>
+
+      <div className="ngram-columns">
+        {columns.map(([title, items, format]) => (
+          <div key={title} className="ngram-column">
+            <p className="ngram-column-label">{title}</p>
+            {items.length > 0 ? (
+              items.slice(0, LIST_LIMIT).map((n) => (
+                <div key={n.ngram} className="ngram-row">
+                  <span className="ngram-text">{showSpaces(n.ngram)}</span>
+                  <span className="ngram-value">{format(n)}</span>
+                  <span className="ngram-count">×{n.count}</span>
+                </div>
+              ))
+            ) : (
+              <p className="ngram-empty">
+                {mode === 'accuracy' && list.length > 0 ? 'no mistakes' : 'not enough repeats yet'}
+              </p>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default NgramTiming
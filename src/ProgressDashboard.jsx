@@ -0,0 +1,233 @@
+import { useMemo, useState } from 'react'
+import { Tooltip, TipTitle, TipText, TipHint } from './Tooltip'
+import Sparkline from './Sparkline'
+import {
+  PROGRESS_METRICS,
+  calendarSeries,
+  curveSeries,
+  detectPlateau,
+  fitLearningCurve,
+  getProgressMetric,
+  movingAverage,
+  sessionSeries,
+} from './progress'
+
+const PROGRESS_TIP = (
+  <>
+    <TipTitle>Progress</TipTitle>
+    <TipText>
+      Each metric over your sessions (or calendar days) in this mode. The
+      bright line is a moving average, the thin line the raw values.
+    </TipText>
+    <TipText>
+      • <strong>Learning curve</strong> — a power law fitted to your sessions,
+      the usual shape of practice: quick early gains that slow down. The
+      dashed line extends it to project where you are heading
+    </TipText>
+    <TipText>
+      • <strong>Plateau</strong> — the last 20+ sessions all within 2% of
+      your recent level
+    </TipText>
+    <TipHint>Projections assume you keep practicing the way you have</TipHint>
+  </>
+)
+
+// Sessions the moving average spans, and days (or weeks) on the calendar
+const SESSION_WINDOW = 10
+const CALENDAR_WINDOW = 7
+// How far ahead the learning curve is projected, in sessions
+const PROJECTION = 50
+// Sessions the trend compares the moving average across
+const TREND_SPAN = 20
+// Sessions needed before the dashboard is worth showing
+const MIN_SESSIONS = 5
+
+const CHART_WIDTH = 560
+const CHART_HEIGHT = 120
+
+const format = (metric, value) =>
+  value == null ? '–' : `${value.toFixed(metric.digits)}${metric.unit ?? ''}`
+
+const lastValue = (values) => {
+  for (let i = values.length - 1; i >= 0; i--) {
+    if (values[i] !== null) return values[i]
+  }
+  return null
+}
+
+const firstValue = (values) => values.find((value) => value !== null) ?? null
+
+// Progress Dashboard - metrics over time with moving averages, a fitted
+// learning curve and plateau detection
+const ProgressDashboard = ({ history }) => {
+  const [metricKey, setMetricKey] = useState('wpm')
+  const [calendar, setCalendar] = useState(false)
+  const metric = getProgressMetric(metricKey)
+
+  const rows = useMemo(
+    () =>
+      PROGRESS_METRICS.map((m) => {
+        const values = sessionSeries(history, m)
+        const average = movingAverage(values, SESSION_WINDOW)
+        return { metric: m, values, average }
+      }).filter((row) => row.values.some((value) => value !== null)),
+    [history]
+  )
+
+  const chart = useMemo(() => {
+    if (calendar) {
+      const { values, period } = calendarSeries(history, metric)
+      return { values, average: movingAverage(values, CALENDAR_WINDOW), period }
+    }
+    const values = sessionSeries(history, metric)
+    const fit = fitLearningCurve(values)
+    return {
+      values,
+      average: movingAverage(values, SESSION_WINDOW),
+      fit,
+      curve: fit ? curveSeries(fit, values.length + PROJECTION) : null,
+      plateau: detectPlateau(values),
+    }
+  }, [history, metric, calendar])
+
+  if (history.length < MIN_SESSIONS || rows.length === 0) return null
+
+  const current = lastValue(chart.average)
+  const start = firstValue(chart.average)
+  const best = Math.max(...chart.values.filter((value) => value !== null))
+  const projected = chart.fit?.predict(history.length + PROJECTION)
+  const trend =
+    chart.average.length > TREND_SPAN
+      ? current - chart.average[chart.average.length - 1 - TREND_SPAN]
+      : null
+  // x positions run over the projection too
+  const span = (chart.curve?.length ?? chart.values.length) - 1
+
+  return (
+    <div className="progress-dashboard">
+      <div className="progress-header">
+        <div className="progress-header-left">
+          <span className="progress-title">Progress</span>
+          <span className="progress-subtitle">
+            {history.length} sessions
+            {calendar && chart.period === 'week' && ' · by week'}
+          </span>
+        </div>
+        <div className="progress-header-right">
+          <div className="mini-toggle-group">
+            <button
+              className={`mini-toggle ${!calendar ? 'active' : ''}`}
+              onClick={() => setCalendar(false)}
+            >
+              sessions
+            </button>
+            <button
+              className={`mini-toggle ${calendar ? 'active' : ''}`}
+              onClick={() => setCalendar(true)}
+            >
+              calendar
+            </button>
+          </div>
+          <Tooltip content={PROGRESS_TIP}>
+            <button className="help-btn" type="button" aria-label="Help">
+              ?
+            </button>
+          </Tooltip>
+        </div>
+      </div>
+
+      <div className="progress-chart">
+        <Sparkline
+          data={chart.values}
+          width={CHART_WIDTH}
+          height={CHART_HEIGHT}
+          color="#525252"
+          strokeWidth={1}
+          length={chart.curve?.length}
+          overlays={[
+            { data: chart.average, color: '#e2b714', strokeWidth: 2 },
+            ...(chart.curve
+              ? [{ data: chart.curve, color: '#a3a3a3', dashed: true }]
+              : []),
+          ]}
+        />
+        {chart.plateau && (
+          <div
+            className="progress-plateau-band"
+            style={{
+              left: `${(chart.plateau.since / span) * 100}%`,
+              right: `${(1 - (chart.values.length - 1) / span) * 100}%`,
+            }}
+          />
+        )}
+      </div>
+
+      <div className="progress-stats">
+        <div className="progress-stat">
+          <span className="progress-stat-value">{format(metric, current)}</span>
+          <span className="progress-stat-label">recent avg</span>
+          <span className="progress-stat-detail">
+            {start != null && current != null &&
+              `${current >= start ? '+' : ''}${(current - start).toFixed(metric.digits)} since start`}
+          </span>
+        </div>
+        <div className="progress-stat">
+          <span className="progress-stat-value">{format(metric, best)}</span>
+          <span className="progress-stat-label">best</span>
+        </div>
+        {!calendar && (
+          <div className="progress-stat">
+            <span className="progress-stat-value">
+              {projected != null ? `~${format(metric, projected)}` : '–'}
+            </span>
+            <span className="progress-stat-label">in {PROJECTION} sessions</span>
+            <span className="progress-stat-detail">
+              {chart.fit
+                ? `fit r² ${chart.fit.r2.toFixed(2)}`
+                : 'needs more sessions'}
+            </span>
+          </div>
+        )}
+        {!calendar && (
+          <div className={`progress-stat ${chart.plateau ? 'plateau' : ''}`}>
+            <span className="progress-stat-value">
+              {chart.plateau
+                ? 'plateau'
+                : trend == null
+                ? '–'
+                : trend >= 0
+                ? 'improving'
+                : 'declining'}
+            </span>
+            <span className="progress-stat-label">trend</span>
+            <span className="progress-stat-detail">
+              {chart.plateau
+                ? `${chart.plateau.sessions} sessions at ~${format(metric, chart.plateau.level)}`
+                : trend == null
+                ? `shows after ${TREND_SPAN} sessions`
+                : `${trend >= 0 ? '+' : ''}${trend.toFixed(metric.digits)} over ${TREND_SPAN} sessions`}
+            </span>
+          </div>
+        )}
+      </div>
+
+      <div className="progress-metrics">
+        {rows.map((row) => (
+          <button
+            key={row.metric.key}
+            className={`progress-metric ${row.metric.key === metricKey ? 'active' : ''}`}
+            onClick={() => setMetricKey(row.metric.key)}
+          >
+            <span className="progress-metric-label">{row.metric.label}</span>
+            <Sparkline data={row.average} width={120} height={24} strokeWidth={1.5} />
+            <span className="progress-metric-value">
+              {format(row.metric, lastValue(row.average))}
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default ProgressDashboard
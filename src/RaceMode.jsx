@@ -4,6 +4,7 @@ import { KeyboardHeatmap } from './KeyboardViz';
 import { Tooltip } from './Tooltip';
 import RhythmConsistency from './RhythmConsistency';
 import SpeedSegments from './SpeedSegments';
+import { calculateRaceKeyStats } from './analytics';
 
 // Editable name component
 function EditableName({ name, isYou, onNameChange }) {
@@ -816,50 +817,6 @@ function RaceKeyboards({ results, myId }) {
   const hasKeystrokeData = results.some(r => r.keystrokeData && r.keystrokeData.length > 0);
   if (!hasKeystrokeData) return null;
   
-  // Convert keystrokeData to keyStats format for KeyboardHeatmap
-  const convertToKeyStats = (keystrokeData) => {
-    if (!keystrokeData || keystrokeData.length === 0) return null;
-    
-    const keyStats = {};
-    keystrokeData.forEach(k => {
-      // Normalize key to lowercase, skip backspace and modifier keys
-      const rawKey = k.key;
-      if (!rawKey) return;
-      const key = rawKey.toLowerCase();
-      if (key === 'backspace' || key === 'shift' || key === 'control' || key === 'alt' || key === 'meta') return;
-      
-      if (!keyStats[key]) {
-        keyStats[key] = { times: [], count: 0, correct: 0, errors: 0 };
-      }
-      
-      if (k.time && k.time > 0) {
-        keyStats[key].times.push(k.time);
-      }
-      keyStats[key].count++;
-      
-      // Handle both boolean and string representations of correct
-      const isCorrect = k.correct === true || k.correct === 'true';
-      if (isCorrect) {
-        keyStats[key].correct++;
-      } else {
-        keyStats[key].errors++;
-      }
-    });
-    
-    // Compute avgInterval and accuracy for each key
-    Object.keys(keyStats).forEach(key => {
-      const times = keyStats[key].times;
-      keyStats[key].avgInterval = times.length > 0 
-        ? times.reduce((a, b) => a + b, 0) / times.length 
-        : 0;
-      keyStats[key].accuracy = keyStats[key].count > 0 
-        ? keyStats[key].correct / keyStats[key].count 
-        : 1;
-    });
-    
-    return keyStats;
-  };
-  
   return (
     <div className="race-keyboards">
       <div className="race-keyboards-header">
@@ -867,7 +824,7 @@ function RaceKeyboards({ results, myId }) {
       </div>
       <div className="race-keyboards-grid">
         {results.map(racer => {
-          const keyStats = convertToKeyStats(racer.keystrokeData);
+          const keyStats = calculateRaceKeyStats(racer.keystrokeData);
           if (!keyStats) return null;
           
           const colorIndex = getRacerColorIndex(racer.id, results);
@@ -0,0 +1,193 @@
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { Tooltip, TipTitle, TipText, TipHint } from './Tooltip'
+import { replayTo, getRecordingDuration, BACKSPACE } from './recording'
+import { NEWLINE, displayChar } from './code'
+
+const REPLAY_TIP = (
+  <>
+    <TipTitle>Replay</TipTitle>
+    <TipText>
+      Re-runs this session keystroke by keystroke, with the original timing.
+    </TipText>
+    <TipText>
+      Pauses longer than half a second are marked on the timeline so you can
+      jump straight to where you stumbled.
+    </TipText>
+    <TipHint>Click the timeline to seek</TipHint>
+  </>
+)
+
+const SPEEDS = [0.5, 1, 2, 4]
+const HESITATION_MS = 500
+
+const formatClock = (ms) => {
+  const seconds = Math.max(0, ms) / 1000
+  const mins = Math.floor(seconds / 60)
+  const secs = (seconds % 60).toFixed(1).padStart(4, '0')
+  return `${mins}:${secs}`
+}
+
+// Replay Player - re-runs a recorded session on a copy of the typing surface
+const ReplayPlayer = ({ recording }) => {
+  const [playing, setPlaying] = useState(false)
+  const [speed, setSpeed] = useState(1)
+  const [elapsed, setElapsed] = useState(0)
+  const frameRef = useRef(null)
+  const lastFrameRef = useRef(null)
+
+  const duration = useMemo(() => getRecordingDuration(recording), [recording])
+
+  // Long pauses, as fractions of the timeline, for the stumble markers
+  const hesitations = useMemo(() => {
+    if (!recording || duration === 0) return []
+    const marks = []
+    for (let i = 1; i < recording.events.length; i++) {
+      const gap = recording.events[i][0] - recording.events[i - 1][0]
+      if (gap > HESITATION_MS) {
+        marks.push({ at: recording.events[i][0] / duration, gap: Math.round(gap) })
+      }
+    }
+    return marks
+  }, [recording, duration])
+
+  // Reset when a different recording is shown
+  useEffect(() => {
+    setPlaying(false)
+    setElapsed(0)
+  }, [recording])
+
+  useEffect(() => {
+    if (!playing) return
+
+    const tick = (now) => {
+      const last = lastFrameRef.current ?? now
+      lastFrameRef.current = now
+      setElapsed((prev) => Math.min(duration, prev + (now - last) * speed))
+      frameRef.current = requestAnimationFrame(tick)
+    }
+
+    lastFrameRef.current = null
+    frameRef.current = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(frameRef.current)
+  }, [playing, speed, duration])
+
+  // Stop at the end of the recording
+  useEffect(() => {
+    if (playing && elapsed >= duration) setPlaying(false)
+  }, [playing, elapsed, duration])
+
+  const state = useMemo(
+    () => (recording ? replayTo(recording, elapsed) : null),
+    [recording, elapsed]
+  )
+
+  if (!recording || !state || duration === 0) return null
+
+  const { text } = recording
+  const { typed, lastEvent } = state
+  const correctChars = typed.split('').filter((c, i) => c === text[i]).length
+  const liveWpm = elapsed > 0 ? Math.round((correctChars / 5) / (elapsed / 60000)) : 0
+  // Strict mode: flash the surface briefly after a rejected keystroke
+  const blocked =
+    recording.strict &&
+    lastEvent &&
+    lastEvent[1] !== BACKSPACE &&
+    lastEvent[1] !== lastEvent[2] &&
+    elapsed - lastEvent[0] < 200
+
+  const togglePlay = () => {
+    if (!playing && elapsed >= duration) setElapsed(0)
+    setPlaying(!playing)
+  }
+
+  const handleSeek = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width))
+    setElapsed(ratio * duration)
+  }
+
+  return (
+    <div className="replay-player">
+      <div className="replay-header">
+        <span className="replay-title">Replay</span>
+        <div className="replay-controls">
+          <button className="replay-btn" onClick={togglePlay}>
+            {playing ? 'pause' : elapsed >= duration ? 'replay' : 'play'}
+          </button>
+          <button
+            className="replay-btn"
+            onClick={() => {
+              setPlaying(false)
+              setElapsed(0)
+            }}
+          >
+            restart
+          </button>
+          <div className="mini-toggle-group">
+            {SPEEDS.map((s) => (
+              <button
+                key={s}
+                className={`mini-toggle ${speed === s ? 'active' : ''}`}
+                onClick={() => setSpeed(s)}
+              >
+                {s}×
+              </button>
+            ))}
+          </div>
+          <Tooltip content={REPLAY_TIP}>
+            <button className="help-btn" type="button" aria-label="Help">
+              ?
+            </button>
+          </Tooltip>
+        </div>
+      </div>
+
+      <div className={`text-display replay-surface ${blocked ? 'shake' : ''}`}>
+        <div className="text-content">
+          {text.split('').map((char, i) => {
+            let className = 'char'
+            if (i < typed.length) {
+              className += typed[i] === char ? ' correct' : ' incorrect'
+            } else if (i === typed.length) {
+              className += ' current'
+            } else {
+              className += ' pending'
+            }
+            if (char === ' ') className += ' space'
+            if (char === NEWLINE) className += ' newline'
+            return (
+              <span key={i} className={className}>
+                {displayChar(char)}
+              </span>
+            )
+          })}
+        </div>
+      </div>
+
+      <div className="replay-timeline" onClick={handleSeek}>
+        <div
+          className="replay-progress"
+          style={{ width: `${(elapsed / duration) * 100}%` }}
+        />
+        {hesitations.map((h, i) => (
+          <span
+            key={i}
+            className="replay-hesitation"
+            style={{ left: `${h.at * 100}%` }}
+            title={`${h.gap}ms pause`}
+          />
+        ))}
+      </div>
+
+      <div className="replay-stats">
+        <span>{formatClock(elapsed)} / {formatClock(duration)}</span>
+        <span>·</span>
+        <span>{typed.length} / {text.length}</span>
+        <span>·</span>
+        <span>{liveWpm} wpm</span>
+      </div>
+    </div>
+  )
+}
+
+export default ReplayPlayer
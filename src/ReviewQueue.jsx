@@ -0,0 +1,98 @@
+import { useState } from 'react'
+import { Tooltip, TipTitle, TipText, TipHint } from './Tooltip'
+import { LEARNED_INTERVAL, getDueItems, getQueueCounts } from './review'
+
+const QUEUE_TIP = (
+  <>
+    <TipTitle>Review Queue</TipTitle>
+    <TipText>
+      Words and bigrams that came out slow or error-prone are scheduled to
+      come back, like flashcards: typed well once due, they return after a
+      day, then six, then ever longer gaps. Typed badly, they start over.
+    </TipText>
+    <TipText>
+      Due items are mixed into your drills. They're reviewed whenever you
+      type them once due, in any mode.
+    </TipText>
+    <TipHint>Learned = next review {LEARNED_INTERVAL}+ days away</TipHint>
+  </>
+)
+
+// Due items listed before "show all"
+const SHOWN_ITEMS = 24
+
+const formatItem = (item) => (item.kind === 'bigram' ? item.text.replace(/ /g, '␣') : item.text)
+
+// Review Queue - due counts and items of the spaced repetition deck
+const ReviewQueue = ({ deck, onPractice }) => {
+  const [showAll, setShowAll] = useState(false)
+  const now = Date.now()
+  const counts = getQueueCounts(deck, now)
+  if (counts.total === 0) return null
+
+  const due = getDueItems(deck, now)
+  const shown = showAll ? due : due.slice(0, SHOWN_ITEMS)
+
+  return (
+    <div className="review-queue">
+      <div className="review-queue-header">
+        <div className="review-queue-header-left">
+          <span className="review-queue-title">Review Queue</span>
+          <span className="review-queue-subtitle">
+            {counts.total} words and bigrams
+          </span>
+        </div>
+        <div className="review-queue-header-right">
+          {counts.due > 0 && onPractice && (
+            <button className="mini-toggle active" onClick={onPractice}>
+              practice due
+            </button>
+          )}
+          <Tooltip content={QUEUE_TIP}>
+            <button className="help-btn" type="button" aria-label="Help">?</button>
+          </Tooltip>
+        </div>
+      </div>
+
+      <div className="review-queue-counts">
+        <div className={`review-queue-count ${counts.due > 0 ? 'due' : ''}`}>
+          <span className="review-queue-count-value">{counts.due}</span>
+          <span className="review-queue-count-label">due now</span>
+        </div>
+        <div className="review-queue-count">
+          <span className="review-queue-count-value">{counts.today}</span>
+          <span className="review-queue-count-label">next 24h</span>
+        </div>
+        <div className="review-queue-count">
+          <span className="review-queue-count-value">{counts.week}</span>
+          <span className="review-queue-count-label">this week</span>
+        </div>
+        <div className="review-queue-count">
+          <span className="review-queue-count-value">{counts.learned}</span>
+          <span className="review-queue-count-label">learned</span>
+        </div>
+      </div>
+
+      {due.length > 0 && (
+        <div className="review-queue-items">
+          {shown.map((item) => (
+            <span
+              key={item.id}
+              className={`review-item ${item.kind}`}
+              title={`${item.kind} · ${item.lapses} lapse${item.lapses !== 1 ? 's' : ''} · ease ${item.ease.toFixed(2)}`}
+            >
+              {formatItem(item)}
+            </span>
+          ))}
+          {due.length > SHOWN_ITEMS && (
+            <button className="review-queue-more" onClick={() => setShowAll(!showAll)}>
+              {showAll ? 'show less' : `+${due.length - SHOWN_ITEMS} more`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ReviewQueue
@@ -0,0 +1,104 @@
+import { useState } from 'react'
+import { Tooltip, TipTitle, TipText, TipHint } from './Tooltip'
+import { MAX_NOTE_LENGTH, MAX_TAGS, getEntryTags, parseTags, updateEntryNotes } from './tags'
+
+const NOTES_TIP = (
+  <>
+    <TipTitle>Tags &amp; Notes</TipTitle>
+    <TipText>
+      Label sessions to compare them later: the keyboard or switches you
+      used, your posture, time of day, anything you're experimenting with.
+    </TipText>
+    <TipText>
+      Write a tag as <code>group:value</code> (keyboard:mx-brown,
+      keyboard:gateron-yellow) and the tags of a group are compared side by
+      side in the all-time stats and history.
+    </TipText>
+    <TipHint>Separate several tags with commas</TipHint>
+  </>
+)
+
+// Session Notes - edit the tags and note of a history entry. Changes are
+// saved as they're made (the note when the field loses focus).
+const SessionNotes = ({ entry, suggestions = [], onChange }) => {
+  const [draft, setDraft] = useState('')
+  const [note, setNote] = useState(entry.note ?? '')
+  const tags = getEntryTags(entry)
+
+  const save = (changes) => onChange(updateEntryNotes(entry, { tags, note, ...changes }))
+
+  const addTags = () => {
+    const added = parseTags(draft).filter((tag) => !tags.includes(tag))
+    setDraft('')
+    if (added.length > 0) save({ tags: [...tags, ...added] })
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault()
+      addTags()
+    } else if (e.key === 'Backspace' && draft === '' && tags.length > 0) {
+      save({ tags: tags.slice(0, -1) })
+    }
+  }
+
+  const listId = `session-tags-${entry.timestamp}`
+
+  return (
+    <div className="session-notes">
+      <div className="session-notes-header">
+        <h4>tags &amp; notes</h4>
+        <Tooltip content={NOTES_TIP}>
+          <button className="help-btn" type="button" aria-label="Help">?</button>
+        </Tooltip>
+      </div>
+      <div className="session-tags">
+        {tags.map((tag) => (
+          <span key={tag} className="session-tag">
+            {tag}
+            <button
+              className="session-tag-remove"
+              onClick={() => save({ tags: tags.filter((t) => t !== tag) })}
+              aria-label={`Remove ${tag}`}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        {tags.length < MAX_TAGS && (
+          <input
+            className="session-tag-input"
+            type="text"
+            value={draft}
+            list={listId}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={handleKeyDown}
+            onBlur={addTags}
+            placeholder={tags.length === 0 ? 'add tags, e.g. keyboard:mx-brown' : 'add tag'}
+            spellCheck={false}
+          />
+        )}
+        <datalist id={listId}>
+          {suggestions
+            .filter((tag) => !tags.includes(tag))
+            .map((tag) => (
+              <option key={tag} value={tag} />
+            ))}
+        </datalist>
+      </div>
+      <textarea
+        className="session-note"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        onBlur={() => {
+          if (note.trim() !== (entry.note ?? '')) save({ note })
+        }}
+        maxLength={MAX_NOTE_LENGTH}
+        rows={2}
+        placeholder="notes"
+      />
+    </div>
+  )
+}
+
+export default SessionNotes
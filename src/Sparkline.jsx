@@ -0,0 +1,50 @@
+// Sparkline - a line chart without axes. `overlays` ({ data, color, dashed })
+// are drawn over it on the same scale; null values are skipped. `length`
+// stretches the x axis past the end of `data`, to make room for overlays
+// that extend it (projections).
+const Sparkline = ({
+  data,
+  width = 200,
+  height = 40,
+  color = '#e2b714',
+  strokeWidth = 2,
+  overlays = [],
+  length,
+}) => {
+  if (!data || data.length < 2) return null
+
+  const series = [{ data, color, strokeWidth }, ...overlays]
+  const values = series.flatMap((s) => s.data).filter(Number.isFinite)
+  const max = Math.max(...values)
+  const min = Math.min(...values)
+  const range = max - min || 1
+  const count = Math.max(length ?? 0, ...series.map((s) => s.data.length))
+
+  const points = (values) =>
+    values
+      .map((val, i) => {
+        if (!Number.isFinite(val)) return null
+        const x = (i / (count - 1)) * width
+        const y = height - ((val - min) / range) * (height - 4) - 2
+        return `${x},${y}`
+      })
+      .filter(Boolean)
+      .join(' ')
+
+  return (
+    <svg width={width} height={height} className="sparkline">
+      {series.map((s, i) => (
+        <polyline
+          key={i}
+          fill="none"
+          stroke={s.color}
+          strokeWidth={s.strokeWidth ?? 1.5}
+          strokeDasharray={s.dashed ? '4 3' : undefined}
+          points={points(s.data)}
+        />
+      ))}
+    </svg>
+  )
+}
+
+export default Sparkline
@@ -0,0 +1,182 @@
+import { useMemo, useState } from 'react'
+import { Tooltip, TipTitle, TipText, TipHint } from './Tooltip'
+import { FINGER_ORDER } from './analytics'
+import { compareTags, getTagCounts, getTagGroups } from './tags'
+
+const COMPARISON_TIP = (
+  <>
+    <TipTitle>Tag Comparison</TipTitle>
+    <TipText>
+      Sessions grouped by tag, side by side. Pick a tag group to compare its
+      tags (keyboard:mx-brown vs keyboard:gateron-yellow), or choose tags
+      yourself.
+    </TipText>
+    <TipText>
+      Finger rows are the average time per keystroke of each finger; lower is
+      faster. The best value of each row is highlighted.
+    </TipText>
+    <TipHint>Tag sessions from their page in history</TipHint>
+  </>
+)
+
+// Tags compared at once
+const MAX_COLUMNS = 4
+
+const FINGER_LABELS = {
+  'L-pinky': 'left pinky',
+  'L-ring': 'left ring',
+  'L-middle': 'left middle',
+  'L-index': 'left index',
+  'R-index': 'right index',
+  'R-middle': 'right middle',
+  'R-ring': 'right ring',
+  'R-pinky': 'right pinky',
+  thumb: 'thumbs',
+}
+
+// Rows of the table: label, value of a group's stats, and whether higher is better
+const ROWS = [
+  { label: 'wpm', get: (stats) => stats.wpm, format: (v) => Math.round(v), higher: true },
+  { label: 'accuracy', get: (stats) => stats.accuracy, format: (v) => `${v.toFixed(1)}%`, higher: true },
+  { label: 'consistency', get: (stats) => stats.consistency, format: (v) => `${Math.round(v)}%`, higher: true },
+  { label: 'avg keystroke', get: (stats) => stats.avgInterval, format: (v) => `${Math.round(v)}ms`, higher: false },
+  ...FINGER_ORDER.map((finger) => ({
+    label: FINGER_LABELS[finger] ?? finger,
+    finger: true,
+    get: (stats) => stats.fingerStats?.[finger]?.avgInterval || null,
+    format: (v) => `${Math.round(v)}ms`,
+    higher: false,
+  })),
+]
+
+// Tag Comparison - all-time stats of tag groups side by side. A
+// `reference` ({ label, sessions, stats }, e.g. the global averages) adds a
+// last column to read them against; it never counts as the best.
+const TagComparison = ({ history, reference = null }) => {
+  const tagCounts = useMemo(() => getTagCounts(history), [history])
+  const groups = useMemo(() => getTagGroups(history), [history])
+  // A tag group's name, or '' to compare hand-picked tags
+  const [group, setGroup] = useState(null)
+  const [picked, setPicked] = useState([])
+
+  // Until one is chosen (or when the chosen group's tags are all gone), the
+  // biggest group with something to compare
+  const activeGroup =
+    group === '' || groups.some((g) => g.group === group)
+      ? group
+      : groups.find((g) => g.tags.length > 1)?.group || ''
+  const tags = activeGroup
+    ? groups.find((g) => g.group === activeGroup)?.tags.slice(0, MAX_COLUMNS) ?? []
+    : (picked.length > 0 ? picked : tagCounts.map(({ tag }) => tag)).slice(0, MAX_COLUMNS)
+
+  const tagKey = tags.join('\n')
+  const columns = useMemo(() => compareTags(history, tags), [history, tagKey])
+
+  if (tagCounts.length < 2) return null
+
+  const togglePick = (tag) => {
+    const current = picked.length > 0 ? picked : tags
+    setPicked(
+      current.includes(tag)
+        ? current.filter((t) => t !== tag)
+        : [...current, tag].slice(-MAX_COLUMNS)
+    )
+  }
+
+  const rows = ROWS.map((row) => {
+    const values = columns.map((column) => row.get(column.stats))
+    const present = values.filter((v) => v != null && Number.isFinite(v))
+    const best = present.length > 1
+      ? (row.higher ? Math.max : Math.min)(...present)
+      : null
+    const referenceValue = reference ? row.get(reference.stats) : null
+    return { ...row, values, best, reference: Number.isFinite(referenceValue) ? referenceValue : null }
+  }).filter((row) => row.values.some((v) => v != null))
+  const columnCount = columns.length + (reference ? 1 : 0)
+
+  return (
+    <div className="tag-comparison">
+      <div className="tag-comparison-header">
+        <div className="tag-comparison-header-left">
+          <span className="tag-comparison-title">Tag Comparison</span>
+          <span className="tag-comparison-subtitle">
+            {activeGroup ? `${activeGroup}:…` : 'sessions by tag'}
+          </span>
+        </div>
+        <div className="tag-comparison-header-right">
+          <select
+            className="tag-comparison-select"
+            value={activeGroup}
+            onChange={(e) => setGroup(e.target.value)}
+          >
+            {groups.map((g) => (
+              <option key={g.group} value={g.group}>{g.group}</option>
+            ))}
+            <option value="">pick tags…</option>
+          </select>
+          <Tooltip content={COMPARISON_TIP}>
+            <button className="help-btn" type="button" aria-label="Help">?</button>
+          </Tooltip>
+        </div>
+      </div>
+
+      {!activeGroup && (
+        <div className="tag-comparison-picker">
+          {tagCounts.map(({ tag, count }) => (
+            <button
+              key={tag}
+              className={`tag-comparison-chip ${tags.includes(tag) ? 'active' : ''}`}
+              onClick={() => togglePick(tag)}
+            >
+              {tag} <span className="tag-comparison-chip-count">{count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {columns.length > 0 && (
+        <div className="tag-comparison-table">
+          <div className="tc-row tc-head" style={{ '--tc-columns': columnCount }}>
+            <span />
+            {columns.map((column) => (
+              <span key={column.tag} className="tc-tag" title={column.tag}>
+                {activeGroup ? column.tag.slice(activeGroup.length + 1) : column.tag}
+                <span className="tc-count">{column.sessions} sessions</span>
+              </span>
+            ))}
+            {reference && (
+              <span className="tc-tag reference">
+                {reference.label}
+                <span className="tc-count">{reference.sessions} sessions</span>
+              </span>
+            )}
+          </div>
+          {rows.map((row) => (
+            <div
+              key={row.label}
+              className={`tc-row ${row.finger ? 'finger' : ''}`}
+              style={{ '--tc-columns': columnCount }}
+            >
+              <span className="tc-label">{row.label}</span>
+              {row.values.map((value, i) => (
+                <span
+                  key={columns[i].tag}
+                  className={`tc-value ${value != null && value === row.best ? 'best' : ''}`}
+                >
+                  {value != null ? row.format(value) : '–'}
+                </span>
+              ))}
+              {reference && (
+                <span className="tc-value reference">
+                  {row.reference != null ? row.format(row.reference) : '–'}
+                </span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TagComparison
@@ -0,0 +1,237 @@
+import { useRef, useState } from 'react'
+import { Tooltip, TipTitle, TipText, TipHint } from './Tooltip'
+import {
+  MAX_IMPORT_LENGTH,
+  addCollection,
+  addText,
+  findCollection,
+  removeCollection,
+  removeText,
+  splitCodePassages,
+  splitPassages,
+} from './library'
+
+const LIBRARY_TIP = (
+  <>
+    <TipTitle>Text Library</TipTitle>
+    <TipText>
+      Paste or upload your own text - docs, code, emails - and practice it
+      with the same analytics as the built-in paragraphs.
+    </TipText>
+    <TipText>
+      Long texts are split into paragraph-sized passages. Curly quotes, dashes
+      and line breaks are turned into plain characters you can type.
+    </TipText>
+    <TipText>
+      Code keeps its line breaks and indentation, and is typed in code mode.
+    </TipText>
+    <TipHint>Texts stay in this browser; they are never uploaded</TipHint>
+  </>
+)
+
+// Text files worth offering in the upload dialog
+const TEXT_FILE_TYPES = 'text/*,.txt,.md,.csv,.json,.js,.jsx,.ts,.tsx,.py,.rs,.go,.sql,.sh,.html,.css'
+
+// Uploads with these extensions are imported as code
+const CODE_FILE = /\.(json|jsx?|tsx?|py|rs|go|sql|sh|html|css)$/i
+
+// Text Library - import custom texts into named collections and pick one to practice
+const TextLibrary = ({ library, initialCollection, onChange, onPractice, onClose }) => {
+  const [collectionId, setCollectionId] = useState(
+    () => findCollection(library, initialCollection)?.id ?? library[0]?.id ?? null
+  )
+  const [newCollection, setNewCollection] = useState('')
+  const [title, setTitle] = useState('')
+  const [text, setText] = useState('')
+  const [code, setCode] = useState(false)
+  const [error, setError] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const collection = findCollection(library, collectionId)
+  const split = code ? splitCodePassages : splitPassages
+  const passageCount = text.trim() ? split(text).length : 0
+
+  const handleAddCollection = () => {
+    const name = newCollection.trim()
+    if (!name) return
+    const result = addCollection(library, name)
+    onChange(result.library)
+    setCollectionId(result.collection.id)
+    setNewCollection('')
+    setError(null)
+  }
+
+  const handleDeleteCollection = () => {
+    const next = removeCollection(library, collectionId)
+    onChange(next)
+    setCollectionId(next[0]?.id ?? null)
+  }
+
+  const handleAddText = () => {
+    const result = addText(library, collectionId, { title, text, code })
+    if (result.error) {
+      setError(result.error)
+      return
+    }
+    onChange(result.library)
+    setTitle('')
+    setText('')
+    setError(null)
+  }
+
+  const handleUpload = (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    if (file.size > MAX_IMPORT_LENGTH * 4) {
+      setError(`File is too large (max ${MAX_IMPORT_LENGTH.toLocaleString()} characters)`)
+      return
+    }
+    const reader = new FileReader()
+    reader.onload = () => {
+      setText(String(reader.result))
+      setCode(CODE_FILE.test(file.name))
+      if (!title.trim()) setTitle(file.name.replace(/\.[^.]+$/, ''))
+      setError(null)
+    }
+    reader.readAsText(file)
+  }
+
+  return (
+    <div className="text-library">
+      <div className="text-library-toolbar">
+        <select
+          className="text-library-select"
+          value={collectionId ?? ''}
+          onChange={(e) => {
+            setCollectionId(e.target.value)
+            setError(null)
+          }}
+          disabled={library.length === 0}
+          aria-label="Collection"
+        >
+          {library.length === 0 && <option value="">no collections yet</option>}
+          {library.map(({ id, name }) => (
+            <option key={id} value={id}>{name}</option>
+          ))}
+        </select>
+        <input
+          className="text-library-new"
+          value={newCollection}
+          onChange={(e) => setNewCollection(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleAddCollection()}
+          placeholder="new collection"
+          aria-label="New collection name"
+        />
+        <button className="text-library-btn" onClick={handleAddCollection}>
+          add
+        </button>
+        <Tooltip content={LIBRARY_TIP}>
+          <button className="help-btn" type="button" aria-label="Help">?</button>
+        </Tooltip>
+      </div>
+
+      {collection && (
+        <>
+          <div className="text-library-texts">
+            {collection.texts.length === 0 ? (
+              <p className="text-library-hint">no texts in {collection.name} yet</p>
+            ) : (
+              collection.texts.map((t) => (
+                <div key={t.id} className="text-library-item">
+                  <div className="text-library-item-info">
+                    <span className="text-library-item-title">{t.title}</span>
+                    <span className="text-library-item-preview">{t.text}</span>
+                  </div>
+                  <span className="text-library-item-length">{t.text.length} chars</span>
+                  <button
+                    className="text-library-btn primary"
+                    onClick={() => onPractice(collection, t)}
+                  >
+                    practice
+                  </button>
+                  <button
+                    className="text-library-btn danger"
+                    onClick={() => onChange(removeText(library, collection.id, t.id))}
+                    aria-label={`Delete ${t.title}`}
+                  >
+                    ×
+                  </button>
+                </div>
+              ))
+            )}
+          </div>
+
+          <div className="text-library-add">
+            <input
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              placeholder="title (optional)"
+              aria-label="Text title"
+            />
+            <textarea
+              value={text}
+              onChange={(e) => {
+                setText(e.target.value)
+                setError(null)
+              }}
+              placeholder="paste text here"
+              rows={6}
+              aria-label="Text to import"
+            />
+            <label className="text-library-hint text-library-code">
+              <input
+                type="checkbox"
+                checked={code}
+                onChange={(e) => setCode(e.target.checked)}
+              />
+              code - keep line breaks and indentation
+            </label>
+          </div>
+        </>
+      )}
+
+      {error && <p className="text-library-error">{error}</p>}
+
+      <div className="text-library-actions">
+        {collection && (
+          <>
+            <button className="text-library-btn" onClick={() => fileInputRef.current?.click()}>
+              upload file
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={TEXT_FILE_TYPES}
+              onChange={handleUpload}
+              hidden
+            />
+            {passageCount > 0 && (
+              <span className="text-library-hint">
+                {passageCount} {passageCount === 1 ? 'passage' : 'passages'}
+              </span>
+            )}
+          </>
+        )}
+        <span className="text-library-spacer" />
+        {collection && (
+          <button className="text-library-btn danger" onClick={handleDeleteCollection}>
+            delete collection
+          </button>
+        )}
+        <button className="text-library-btn" onClick={onClose}>close</button>
+        {collection && (
+          <button
+            className="text-library-btn primary"
+            onClick={handleAddText}
+            disabled={!text.trim()}
+          >
+            add text
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default TextLibrary
@@ -0,0 +1,151 @@
+import { useMemo, useState } from 'react'
+import { Tooltip, TipTitle, TipText, TipHint } from './Tooltip'
+
+const TOKEN_TIP = (
+  <>
+    <TipTitle>Code Tokens</TipTitle>
+    <TipText>
+      Every character is sorted into the token it belongs to: plain words,
+      camelCase and snake_case identifiers, numbers, brackets, operators and
+      other punctuation.
+    </TipText>
+    <TipText>
+      • <strong>Symbols</strong> — runs of adjacent symbols like{' '}
+      <code>=&gt;</code>, <code>::</code> or <code>{'{}'}</code>, timed per
+      character so they compare with everything else
+    </TipText>
+    <TipHint>Differences are relative to plain words</TipHint>
+  </>
+)
+
+const CLASS_LABELS = [
+  ['word', 'words'],
+  ['camelCase', 'camelCase'],
+  ['snake_case', 'snake_case'],
+  ['number', 'numbers'],
+  ['bracket', 'brackets'],
+  ['operator', 'operators'],
+  ['punctuation', 'punctuation'],
+]
+
+// Keystrokes a symbol cluster needs before it is worth ranking
+const MIN_CLUSTER_KEYSTROKES = 4
+const CLUSTER_LIMIT = 6
+
+// Token Breakdown - speed and accuracy per token class and symbol cluster
+const TokenBreakdown = ({ tokenStats }) => {
+  const [showSpeed, setShowSpeed] = useState(true)
+
+  const rows = useMemo(() => {
+    if (!tokenStats) return []
+    return CLASS_LABELS
+      .filter(([name]) => tokenStats.classes[name]?.count > 0)
+      .map(([name, label]) => ({ name, label, ...tokenStats.classes[name] }))
+  }, [tokenStats])
+
+  const clusters = useMemo(() => {
+    const ranked = Object.entries(tokenStats?.clusters || {})
+      .map(([cluster, data]) => ({ cluster, ...data }))
+      .filter((c) => c.count >= MIN_CLUSTER_KEYSTROKES)
+    return showSpeed
+      ? ranked
+          .filter((c) => c.timed > 0)
+          .sort((a, b) => b.avgInterval - a.avgInterval)
+          .slice(0, CLUSTER_LIMIT)
+      : ranked
+          .filter((c) => c.errors > 0)
+          .sort((a, b) => a.accuracy - b.accuracy)
+          .slice(0, CLUSTER_LIMIT)
+  }, [tokenStats, showSpeed])
+
+  if (rows.length === 0) return null
+
+  const words = tokenStats.classes.word
+  const maxInterval = Math.max(1, ...rows.map((r) => r.avgInterval))
+
+  const speedDelta = (avgInterval) =>
+    words.avgInterval > 0 && avgInterval > 0
+      ? Math.round((avgInterval / words.avgInterval - 1) * 100)
+      : null
+
+  return (
+    <div className="token-breakdown">
+      <div className="token-breakdown-header">
+        <div className="token-breakdown-header-left">
+          <span className="token-breakdown-title">Code Tokens</span>
+          <span className="token-breakdown-subtitle">
+            speed and accuracy by token class
+          </span>
+        </div>
+        <div className="token-breakdown-header-right">
+          <div className="mini-toggle-group">
+            <button
+              className={`mini-toggle ${showSpeed ? 'active' : ''}`}
+              onClick={() => setShowSpeed(true)}
+            >
+              speed
+            </button>
+            <button
+              className={`mini-toggle ${!showSpeed ? 'active' : ''}`}
+              onClick={() => setShowSpeed(false)}
+            >
+              accuracy
+            </button>
+          </div>
+          <Tooltip content={TOKEN_TIP}>
+            <button className="help-btn" type="button" aria-label="Help">
+              ?
+            </button>
+          </Tooltip>
+        </div>
+      </div>
+
+      <div className="tb-classes">
+        {rows.map((row) => {
+          const delta = row.name === 'word' ? null : speedDelta(row.avgInterval)
+          const width = showSpeed
+            ? (row.avgInterval / maxInterval) * 100
+            : row.accuracy
+          return (
+            <div key={row.name} className="tb-class-row">
+              <span className="tb-class-name">{row.label}</span>
+              <span className="tb-class-bar">
+                <span className="tb-class-fill" style={{ width: `${width}%` }} />
+              </span>
+              <span className="tb-class-value">
+                {showSpeed
+                  ? row.timed > 0 ? `${row.avgInterval}ms` : '—'
+                  : `${row.accuracy}%`}
+              </span>
+              <span className={`tb-class-delta ${delta > 0 ? 'slower' : ''}`}>
+                {showSpeed && delta !== null ? `${delta > 0 ? '+' : ''}${delta}%` : ''}
+              </span>
+            </div>
+          )
+        })}
+      </div>
+
+      <p className="tb-cluster-label">
+        {showSpeed ? 'slowest symbols' : 'least accurate symbols'}
+      </p>
+      {clusters.length > 0 ? (
+        <div className="tb-clusters">
+          {clusters.map((c) => (
+            <div key={c.cluster} className="tb-cluster">
+              <span className="tb-cluster-text">{c.cluster}</span>
+              <span className="tb-cluster-value">
+                {showSpeed ? `${c.avgInterval}ms` : `${c.accuracy}%`}
+              </span>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="tb-empty">
+          {showSpeed ? 'not enough repeats yet' : 'no symbol errors'}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default TokenBreakdown
@@ -0,0 +1,2463 @@
+// Typometry analytics engine
+//
+// Pure, framework-free session analysis. Every function here takes plain
+// keystroke arrays (or stored history entries) and returns plain objects, so
+// the same numbers come out of the live app, race views, stored history and
+// offline scripts.
+//
+// Keystroke shape: { key, expected, correct, interval, timestamp, position, isBackspace? }
+// Raw event shape: { key, timestamp, isBackspace }
+// Timestamps are milliseconds relative to the first keystroke of the session.
+
+import { BIGRAM_PATTERNS, classifyBigram, getKeyDistance } from "./keyboard.js";
+import { DEFAULT_LAYOUT, getLayout, getPhysicalKey } from "./layouts.js";
+import { PARAGRAPH_MODE } from "./modes.js";
+import { INDENT, NEWLINE, isLayoutWhitespace } from "./code.js";
+
+// Version of the stats algorithm. Bump this whenever a metric's definition
+// changes so results produced by different algorithms can be told apart;
+// migrate.js recomputes stored history from its recordings on the next load.
+// v2: fingers, hands, rows and distances follow the session's keyboard layout
+// v3: key timing, code timing, token classes, composition, n-grams, finger
+//     patterns and burst wpm, so entries saved without them get them
+// v4: entries keep key timing as totals, for the most timed bigrams only,
+//     instead of every dwell and flight of every bigram
+// v5: entries keep finger patterns for their most typed bigrams only
+export const ANALYTICS_VERSION = 5;
+
+// Unified stat rounding - use these everywhere for consistency
+// This ensures local stats and global stats match when comparing
+export const STAT_ROUND = {
+  wpm: (v) => Math.round(v), // integer
+  accuracy: (v) => Math.round(v * 10) / 10, // 1 decimal
+  consistency: (v) => Math.round(v * 10) / 10, // 1 decimal
+  avgInterval: (v) => Math.round(v), // integer ms
+  flowRatio: (v) => Math.round(v), // integer %
+  rhythmScore: (v) => Math.round(v), // integer %
+  handBalance: (v) => Math.round(v), // integer %
+  homeRowAdvantage: (v) => Math.round(v), // integer %
+  stdDev: (v) => Math.round(v), // integer
+  backspaceEfficiency: (v) => Math.round(v * 10) / 10, // 1 decimal
+  distance: (v) => Math.round(v * 100) / 100, // 2 decimals
+  time: (v) => Math.round(v * 10) / 10, // 1 decimal seconds
+};
+
+// Finger assignments for conventional touch typing on US QWERTY. Sessions
+// on other layouts use their own map from layouts.js.
+export const FINGER_MAP = getLayout(DEFAULT_LAYOUT).fingers;
+
+// Display/aggregation order for per-finger stats
+export const FINGER_ORDER = [
+  "L-pinky",
+  "L-ring",
+  "L-middle",
+  "L-index",
+  "R-index",
+  "R-middle",
+  "R-ring",
+  "R-pinky",
+  "thumb",
+];
+
+// Per-session stats: speed, accuracy, behavioral patterns, bigrams, keys
+// and fingers. `data` is the keystroke list (backspaces included, each with
+// its physical `code` when recorded), `layoutId` the keyboard layout it was
+// typed on.
+export const calculateStats = (
+  data,
+  totalTime,
+  rawEvents = [],
+  layoutId = DEFAULT_LAYOUT
+) => {
+  const layout = getLayout(layoutId);
+  // Key a keystroke's finger, row and position come from: the physical key
+  // when it was recorded and typed the expected character, otherwise the
+  // expected character itself (an error's physical key is the wrong one)
+  const geometryKey = (d) =>
+    (d.correct && getPhysicalKey(layout, d.code)) || d.expected;
+  const intervals = data.map((d) => d.interval).filter((i) => i !== null);
+  const avgInterval =
+    intervals.length > 0
+      ? intervals.reduce((a, b) => a + b, 0) / intervals.length
+      : 0;
+
+  // Standard deviation
+  const variance =
+    intervals.length > 0
+      ? intervals.reduce(
+          (sum, val) => sum + Math.pow(val - avgInterval, 2),
+          0
+        ) / intervals.length
+      : 0;
+  const stdDev = Math.sqrt(variance);
+
+  // Consistency score
+  const cv = avgInterval > 0 ? stdDev / avgInterval : 0;
+  const consistency = STAT_ROUND.consistency(
+    Math.max(0, (1 - Math.min(cv, 1)) * 100)
+  );
+
+  const correctChars = data.filter((d) => d.correct).length;
+  // Exclude backspaces from character count
+  const charCount = data.filter((d) => !d.isBackspace).length;
+  const accuracy = charCount > 0 ? (correctChars / charCount) * 100 : 0;
+
+  const minutes = totalTime / 60000;
+  const wpm = minutes > 0 ? Math.round(charCount / 5 / minutes) : 0;
+  const cpm = minutes > 0 ? Math.round(charCount / minutes) : 0;
+
+  // ============ BEHAVIORAL STATS ============
+
+  // --- Momentum: letters typed after error before first backspace ---
+  // High momentum = you power through mistakes, low = immediate corrector
+  const momentumValues = [];
+  let charsSinceError = 0;
+  let inErrorState = false;
+
+  for (const event of rawEvents) {
+    if (event.isBackspace) {
+      if (inErrorState && charsSinceError > 0) {
+        momentumValues.push(charsSinceError);
+      }
+      charsSinceError = 0;
+      inErrorState = false;
+    } else {
+      // Check if this keystroke was an error
+      const keystroke = data.find(
+        (d) => Math.abs(d.timestamp - event.timestamp) < 5
+      );
+      if (keystroke && !keystroke.correct) {
+        inErrorState = true;
+        charsSinceError = 1;
+      } else if (inErrorState) {
+        charsSinceError++;
+      }
+    }
+  }
+
+  const avgMomentum =
+    momentumValues.length > 0
+      ? momentumValues.reduce((a, b) => a + b, 0) / momentumValues.length
+      : 0;
+
+  // Momentum personality label
+  let momentumLabel = "balanced";
+  if (avgMomentum < 0.5) momentumLabel = "perfectionist";
+  else if (avgMomentum < 1.5) momentumLabel = "quick corrector";
+  else if (avgMomentum < 3) momentumLabel = "steady";
+  else if (avgMomentum < 5) momentumLabel = "flow typer";
+  else momentumLabel = "bulldozer";
+
+  // --- Burst detection: longest streak of fast correct keystrokes ---
+  const burstThreshold = avgInterval * 0.8; // faster than 80% of average
+  let currentBurst = 0;
+  let maxBurst = 0;
+  let bursts = [];
+
+  for (let i = 0; i < data.length; i++) {
+    if (
+      data[i].correct &&
+      data[i].interval &&
+      data[i].interval < burstThreshold
+    ) {
+      currentBurst++;
+    } else {
+      if (currentBurst > 2) bursts.push(currentBurst);
+      maxBurst = Math.max(maxBurst, currentBurst);
+      currentBurst = 0;
+    }
+  }
+  if (currentBurst > 2) bursts.push(currentBurst);
+  maxBurst = Math.max(maxBurst, currentBurst);
+
+  const avgBurstLength =
+    bursts.length > 0 ? bursts.reduce((a, b) => a + b, 0) / bursts.length : 0;
+
+  // --- Flow state: % of keystrokes within tight timing band ---
+  const flowBandLow = avgInterval * 0.7;
+  const flowBandHigh = avgInterval * 1.3;
+  const flowKeystrokes = intervals.filter(
+    (i) => i >= flowBandLow && i <= flowBandHigh
+  );
+  const flowRatio =
+    intervals.length > 0
+      ? STAT_ROUND.flowRatio((flowKeystrokes.length / intervals.length) * 100)
+      : 0;
+
+  // --- Fatigue: speed difference between first and second half ---
+  const halfPoint = Math.floor(intervals.length / 2);
+  const firstHalfAvg =
+    halfPoint > 0
+      ? intervals.slice(0, halfPoint).reduce((a, b) => a + b, 0) / halfPoint
+      : avgInterval;
+  const secondHalfAvg =
+    halfPoint > 0
+      ? intervals.slice(halfPoint).reduce((a, b) => a + b, 0) /
+        (intervals.length - halfPoint)
+      : avgInterval;
+  const fatigueRatio = firstHalfAvg > 0 ? secondHalfAvg / firstHalfAvg : 1;
+  const fatiguePercent = Math.round((fatigueRatio - 1) * 100);
+
+  let fatigueLabel = "steady";
+  if (fatiguePercent < -10) fatigueLabel = "warming up";
+  else if (fatiguePercent < -5) fatigueLabel = "accelerating";
+  else if (fatiguePercent > 15) fatigueLabel = "fatigued";
+  else if (fatiguePercent > 8) fatigueLabel = "slowing";
+
+  // --- Hesitation points: pauses > 500ms ---
+  const hesitationThreshold = 500;
+  const hesitations = intervals.filter((i) => i > hesitationThreshold);
+  const hesitationCount = hesitations.length;
+  const avgHesitation =
+    hesitations.length > 0
+      ? hesitations.reduce((a, b) => a + b, 0) / hesitations.length
+      : 0;
+
+  // --- Recovery time: average interval of 3 keystrokes after an error ---
+  const recoveryTimes = [];
+  for (let i = 0; i < data.length; i++) {
+    if (!data[i].correct && i + 3 < data.length) {
+      const nextThree = data
+        .slice(i + 1, i + 4)
+        .map((d) => d.interval)
+        .filter((i) => i !== null);
+      if (nextThree.length > 0) {
+        recoveryTimes.push(
+          nextThree.reduce((a, b) => a + b, 0) / nextThree.length
+        );
+      }
+    }
+  }
+  const avgRecoveryTime =
+    recoveryTimes.length > 0
+      ? recoveryTimes.reduce((a, b) => a + b, 0) / recoveryTimes.length
+      : avgInterval;
+  const recoveryPenalty =
+    avgInterval > 0
+      ? Math.round((avgRecoveryTime / avgInterval - 1) * 100)
+      : 0;
+
+  // --- Capital letter penalty ---
+  const capitalIntervals = data
+    .filter(
+      (d) =>
+        d.expected &&
+        d.expected === d.expected.toUpperCase() &&
+        d.expected !== d.expected.toLowerCase()
+    )
+    .map((d) => d.interval)
+    .filter((i) => i !== null);
+  const avgCapitalInterval =
+    capitalIntervals.length > 0
+      ? capitalIntervals.reduce((a, b) => a + b, 0) / capitalIntervals.length
+      : avgInterval;
+  const capitalPenalty =
+    avgInterval > 0
+      ? Math.round((avgCapitalInterval / avgInterval - 1) * 100)
+      : 0;
+
+  // --- Punctuation penalty ---
+  const punctuation = ".,;:!?'\"-()[]{}/";
+  const punctIntervals = data
+    .filter((d) => d.expected && punctuation.includes(d.expected))
+    .map((d) => d.interval)
+    .filter((i) => i !== null);
+  const avgPunctInterval =
+    punctIntervals.length > 0
+      ? punctIntervals.reduce((a, b) => a + b, 0) / punctIntervals.length
+      : avgInterval;
+  const punctuationPenalty =
+    avgInterval > 0
+      ? Math.round((avgPunctInterval / avgInterval - 1) * 100)
+      : 0;
+
+  // --- Error clustering: do errors come in bursts? ---
+  const errorPositions = data
+    .map((d, i) => (d.correct ? null : i))
+    .filter((i) => i !== null);
+
+  let errorGaps = [];
+  for (let i = 1; i < errorPositions.length; i++) {
+    errorGaps.push(errorPositions[i] - errorPositions[i - 1]);
+  }
+  const avgErrorGap =
+    errorGaps.length > 0
+      ? errorGaps.reduce((a, b) => a + b, 0) / errorGaps.length
+      : charCount;
+  const errorClustering =
+    errorGaps.length > 0
+      ? Math.round((charCount / errorPositions.length / avgErrorGap) * 10) /
+        10
+      : 1;
+
+  let errorPattern = "random";
+  if (errorClustering > 1.5) errorPattern = "clustered";
+  else if (errorClustering < 0.7) errorPattern = "spread out";
+
+  // --- Backspace efficiency: backspaces per error ---
+  const backspaceCount = rawEvents.filter((e) => e.isBackspace).length;
+  // Exclude backspaces from error count (they have correct: false but aren't typing errors)
+  const errorCount = data.filter((d) => !d.correct && !d.isBackspace).length;
+  const backspaceEfficiency =
+    errorCount > 0 ? Math.round((backspaceCount / errorCount) * 10) / 10 : 1;
+
+  let backspaceLabel = "efficient";
+  if (backspaceEfficiency > 2) backspaceLabel = "over-corrector";
+  else if (backspaceEfficiency > 1.5) backspaceLabel = "cautious";
+  else if (backspaceEfficiency < 1 && errorCount > 0)
+    backspaceLabel = "incomplete fixes";
+
+  // --- Rhythm regularity (autocorrelation-like measure) ---
+  let rhythmScore = 0;
+  if (intervals.length > 10) {
+    const diffs = [];
+    for (let i = 1; i < intervals.length; i++) {
+      diffs.push(Math.abs(intervals[i] - intervals[i - 1]));
+    }
+    const avgDiff = diffs.reduce((a, b) => a + b, 0) / diffs.length;
+    rhythmScore =
+      avgInterval > 0
+        ? STAT_ROUND.rhythmScore(
+            Math.max(0, (1 - avgDiff / avgInterval) * 100)
+          )
+        : 0;
+  }
+
+  // --- Hand balance (left vs right side of keyboard) ---
+  let leftTotal = 0,
+    leftCount = 0,
+    rightTotal = 0,
+    rightCount = 0;
+
+  data.forEach((d) => {
+    if (d.correct && d.interval && d.expected) {
+      const finger = layout.fingers[geometryKey(d)] || "";
+      if (finger.startsWith("L-")) {
+        leftTotal += d.interval;
+        leftCount++;
+      } else if (finger.startsWith("R-")) {
+        rightTotal += d.interval;
+        rightCount++;
+      }
+    }
+  });
+
+  const leftAvg = leftCount > 0 ? leftTotal / leftCount : avgInterval;
+  const rightAvg = rightCount > 0 ? rightTotal / rightCount : avgInterval;
+  const handBalance =
+    leftAvg > 0 && rightAvg > 0
+      ? STAT_ROUND.handBalance((rightAvg / leftAvg) * 100 - 100)
+      : 0;
+
+  let dominantHand = "balanced";
+  if (handBalance > 15) dominantHand = "left faster";
+  else if (handBalance < -15) dominantHand = "right faster";
+
+  // --- Home row affinity ---
+  let homeTotal = 0,
+    homeCount = 0;
+  data.forEach((d) => {
+    if (d.correct && d.interval && d.expected) {
+      if (layout.rowOf[geometryKey(d)] === "home") {
+        homeTotal += d.interval;
+        homeCount++;
+      }
+    }
+  });
+  const homeRowAvg = homeCount > 0 ? homeTotal / homeCount : avgInterval;
+  const homeRowAdvantage =
+    avgInterval > 0
+      ? STAT_ROUND.homeRowAdvantage((1 - homeRowAvg / avgInterval) * 100)
+      : 0;
+
+  // --- Number row comfort ---
+  let numTotal = 0,
+    numCount = 0;
+  data.forEach((d) => {
+    if (d.correct && d.interval && d.expected) {
+      if (layout.rowOf[geometryKey(d)] === "number") {
+        numTotal += d.interval;
+        numCount++;
+      }
+    }
+  });
+  const numberRowAvg = numCount > 0 ? numTotal / numCount : avgInterval;
+  const numberRowPenalty =
+    avgInterval > 0 ? Math.round((numberRowAvg / avgInterval - 1) * 100) : 0;
+
+  // --- Top row and bottom row speeds (full per-row breakdown) ---
+  let topTotal = 0,
+    topCount = 0,
+    bottomTotal = 0,
+    bottomCount = 0;
+  data.forEach((d) => {
+    if (d.correct && d.interval && d.expected) {
+      const row = layout.rowOf[geometryKey(d)];
+      if (row === "top") {
+        topTotal += d.interval;
+        topCount++;
+      } else if (row === "bottom") {
+        bottomTotal += d.interval;
+        bottomCount++;
+      }
+    }
+  });
+  const topRowAvg = topCount > 0 ? topTotal / topCount : 0;
+  const bottomRowAvg = bottomCount > 0 ? bottomTotal / bottomCount : 0;
+
+  // --- Speed variance analysis ---
+  const speedVariance = stdDev / avgInterval;
+  let speedProfile = "steady";
+  if (speedVariance < 0.3) speedProfile = "metronome";
+  else if (speedVariance < 0.5) speedProfile = "consistent";
+  else if (speedVariance < 0.7) speedProfile = "variable";
+  else speedProfile = "erratic";
+
+  // --- Generate typing archetype ---
+  let archetype = "The Typist";
+  let archetypeDesc = "";
+
+  // Determine primary archetype based on key characteristics
+  if (rhythmScore > 70 && consistency > 70) {
+    archetype = "The Metronome";
+    archetypeDesc = "Steady, rhythmic, predictable timing";
+  } else if (avgMomentum < 1 && accuracy > 95) {
+    archetype = "The Surgeon";
+    archetypeDesc = "Precise, careful, catches every error instantly";
+  } else if (avgMomentum > 4 && wpm > 60) {
+    archetype = "The Steamroller";
+    archetypeDesc = "Powers through mistakes, prioritizes speed";
+  } else if (maxBurst > 15 && flowRatio > 60) {
+    archetype = "The Sprinter";
+    archetypeDesc = "Explosive bursts of speed, then regroups";
+  } else if (fatiguePercent < -10) {
+    archetype = "The Slow Starter";
+    archetypeDesc = "Warms up over time, finishes strong";
+  } else if (fatiguePercent > 15) {
+    archetype = "The Fader";
+    archetypeDesc = "Strong start, loses steam as they go";
+  } else if (hesitationCount > charCount / 50) {
+    archetype = "The Thinker";
+    archetypeDesc = "Pauses to consider, deliberate approach";
+  } else if (flowRatio > 70 && consistency > 60) {
+    archetype = "The Flow State";
+    archetypeDesc = "Locked in, consistent rhythm, in the zone";
+  } else if (recoveryPenalty > 90) {
+    archetype = "The Rattled";
+    archetypeDesc = "Errors throw off their groove";
+  } else if (recoveryPenalty < 60 && errorCount > 0) {
+    archetype = "The Unfazed";
+    archetypeDesc = "Errors don't break their stride";
+  } else if (wpm > 80) {
+    archetype = "The Speedster";
+    archetypeDesc = "Raw speed is the name of the game";
+  } else if (accuracy > 98) {
+    archetype = "The Perfectionist";
+    archetypeDesc = "Accuracy above all else";
+  }
+
+  // --- Confidence score (composite metric) ---
+  const confidenceScore = Math.round(
+    flowRatio * 0.3 +
+      rhythmScore * 0.2 +
+      accuracy * 0.3 +
+      (100 - Math.min(recoveryPenalty, 100)) * 0.2
+  );
+
+  // --- Burst WPM: peak 5-second sliding window WPM ---
+  let burstWpm = 0;
+  if (data.length > 1 && data[0].timestamp !== undefined) {
+    const WINDOW_MS = 5000;
+    let left = 0;
+    for (let right = 1; right < data.length; right++) {
+      // Shrink window from the left while it exceeds 5s
+      while (left < right && data[right].timestamp - data[left].timestamp > WINDOW_MS) {
+        left++;
+      }
+      const windowMs = data[right].timestamp - data[left].timestamp;
+      // Only consider windows that are at least 60% full (3+ seconds) to avoid noise
+      if (windowMs >= WINDOW_MS * 0.6) {
+        let windowChars = 0;
+        for (let k = left; k <= right; k++) {
+          if (!data[k].isBackspace) windowChars++;
+        }
+        const windowMinutes = windowMs / 60000;
+        if (windowMinutes > 0) {
+          const windowWpm = (windowChars / 5) / windowMinutes;
+          if (windowWpm > burstWpm) burstWpm = windowWpm;
+        }
+      }
+    }
+  }
+  burstWpm = Math.round(burstWpm);
+
+  // --- Sustainability score: ratio of last-quarter speed to first-quarter speed (% of pace held) ---
+  // 100 = held pace exactly; >100 = sped up; <100 = slowed down
+  let sustainabilityScore = 100;
+  if (intervals.length >= 8) {
+    const quarterLen = Math.floor(intervals.length / 4);
+    const firstQuarter = intervals.slice(0, quarterLen);
+    const lastQuarter = intervals.slice(-quarterLen);
+    const firstAvg = firstQuarter.reduce((a, b) => a + b, 0) / firstQuarter.length;
+    const lastAvg = lastQuarter.reduce((a, b) => a + b, 0) / lastQuarter.length;
+    // Lower interval = faster. ratio = firstAvg / lastAvg (>1 means held or improved)
+    if (lastAvg > 0) {
+      sustainabilityScore = Math.round((firstAvg / lastAvg) * 100);
+    }
+  }
+
+  // --- Words per error: how many words between typos ---
+  // null = perfect (no errors)
+  const wordsPerError =
+    errorCount > 0
+      ? Math.round((correctChars / 5 / errorCount) * 10) / 10
+      : null;
+
+  // ============ END BEHAVIORAL STATS ============
+
+  // Word intervals (time from space to space)
+  const wordIntervals = [];
+  let lastSpaceTime = null;
+  data.forEach((d, i) => {
+    if (d.expected === " " && d.timestamp !== undefined) {
+      if (lastSpaceTime !== null) {
+        wordIntervals.push(d.timestamp - lastSpaceTime);
+      }
+      lastSpaceTime = d.timestamp;
+    }
+  });
+
+  const avgWordInterval =
+    wordIntervals.length > 0
+      ? wordIntervals.reduce((a, b) => a + b, 0) / wordIntervals.length
+      : 0;
+
+  // Keyboard distances - only track CORRECT consecutive keystrokes
+  const distances = [];
+  const bigramsWithDistance = [];
+
+  // Track bigram accuracy (correct vs total for each bigram)
+  const bigramAccuracyMap = {};
+
+  // Build list of correct keystrokes only for speed/distance
+  // Only count bigrams where BOTH keystrokes are consecutive AND correct
+  // (no errors or corrections between them)
+  for (let i = 1; i < data.length; i++) {
+    const prev = data[i - 1];
+    const curr = data[i];
+
+    // Both must be correct for a valid bigram timing
+    if (!prev.correct || !curr.correct) continue;
+    // Newlines and indents are timed separately (see calculateCodeTiming)
+    if (isLayoutWhitespace(prev.expected) || isLayoutWhitespace(curr.expected))
+      continue;
+
+    if (curr.interval && curr.expected && prev.expected) {
+      // Skip same-character transitions (not meaningful for speed)
+      if (curr.expected.toLowerCase() === prev.expected.toLowerCase())
+        continue;
+
+      const distance = getKeyDistance(geometryKey(prev), geometryKey(curr), layout);
+      if (distance !== null) {
+        distances.push(distance);
+        bigramsWithDistance.push({
+          bigram: prev.expected + curr.expected,
+          interval: curr.interval,
+          distance,
+        });
+      }
+    }
+  }
+
+  // Track all bigrams (including errors) for accuracy mode
+  for (let i = 1; i < data.length; i++) {
+    const prev = data[i - 1];
+    const curr = data[i];
+
+    // Skip same-character bigrams (case-insensitive) and code whitespace
+    if (
+      curr.expected &&
+      prev.expected &&
+      !isLayoutWhitespace(prev.expected) &&
+      !isLayoutWhitespace(curr.expected) &&
+      prev.expected.toLowerCase() !== curr.expected.toLowerCase()
+    ) {
+      const bigram = (prev.expected + curr.expected).toLowerCase();
+      if (!bigramAccuracyMap[bigram]) {
+        bigramAccuracyMap[bigram] = {
+          correct: 0,
+          total: 0,
+          distance: getKeyDistance(geometryKey(prev), geometryKey(curr), layout),
+        };
+      }
+      bigramAccuracyMap[bigram].total++;
+      // Bigram is correct if BOTH characters were typed correctly
+      if (prev.correct && curr.correct) {
+        bigramAccuracyMap[bigram].correct++;
+      }
+    }
+  }
+
+  const avgDistance =
+    distances.length > 0
+      ? distances.reduce((a, b) => a + b, 0) / distances.length
+      : 0;
+
+  // Per-key statistics for heatmap (preserve case for capitals)
+  const keyStats = {};
+  data.forEach((d) => {
+    if (d.expected && d.interval && !isLayoutWhitespace(d.expected)) {
+      const key = d.expected; // Preserve original case
+      if (!keyStats[key]) {
+        keyStats[key] = { times: [], count: 0, correct: 0, errors: 0 };
+      }
+      keyStats[key].count++;
+      if (d.correct) {
+        keyStats[key].times.push(d.interval);
+        keyStats[key].correct++;
+      } else {
+        keyStats[key].errors++;
+      }
+    }
+  });
+
+  // Calculate averages and accuracy per key
+  Object.keys(keyStats).forEach((key) => {
+    const times = keyStats[key].times;
+    keyStats[key].avgInterval =
+      times.length > 0 ? times.reduce((a, b) => a + b, 0) / times.length : 0;
+    keyStats[key].accuracy =
+      keyStats[key].count > 0
+        ? keyStats[key].correct / keyStats[key].count
+        : 1;
+  });
+
+  // Finger statistics
+  const fingerStats = {};
+  FINGER_ORDER.forEach((f) => {
+    fingerStats[f] = { times: [], correct: 0, total: 0 };
+  });
+
+  // Track finger-to-finger transitions
+  const fingerTransitions = {};
+  let prevFinger = null;
+  let prevWasCorrect = false;
+
+  data.forEach((d) => {
+    if (d.expected) {
+      const finger = layout.fingers[geometryKey(d)];
+      if (finger && fingerStats[finger]) {
+        fingerStats[finger].total++;
+        if (d.correct) {
+          fingerStats[finger].correct++;
+          if (d.interval) fingerStats[finger].times.push(d.interval);
+
+          // Track transition from previous finger ONLY if previous was also correct
+          // This ensures we're measuring real consecutive transitions, not corrections
+          if (
+            prevFinger &&
+            prevWasCorrect &&
+            d.interval &&
+            prevFinger !== finger
+          ) {
+            const key = `${prevFinger}->${finger}`;
+            if (!fingerTransitions[key]) {
+              fingerTransitions[key] = {
+                times: [],
+                from: prevFinger,
+                to: finger,
+              };
+            }
+            fingerTransitions[key].times.push(d.interval);
+          }
+          prevFinger = finger;
+          prevWasCorrect = true;
+        } else {
+          // Reset on error - next correct keystroke won't form a valid transition
+          prevWasCorrect = false;
+        }
+      }
+    }
+  });
+
+  // Calculate average transition times
+  Object.keys(fingerTransitions).forEach((key) => {
+    const t = fingerTransitions[key];
+    t.avg =
+      t.times.length > 0
+        ? Math.round(t.times.reduce((a, b) => a + b, 0) / t.times.length)
+        : 0;
+    t.count = t.times.length;
+  });
+
+  Object.keys(fingerStats).forEach((f) => {
+    const times = fingerStats[f].times;
+    fingerStats[f].avgInterval =
+      times.length > 0
+        ? Math.round(times.reduce((a, b) => a + b, 0) / times.length)
+        : 0;
+    fingerStats[f].accuracy =
+      fingerStats[f].total > 0
+        ? Math.round((fingerStats[f].correct / fingerStats[f].total) * 1000) / 10
+        : 100;
+  });
+
+  // Aggregate bigrams
+  const bigramMap = {};
+  bigramsWithDistance.forEach(({ bigram, interval, distance }) => {
+    if (!bigramMap[bigram]) {
+      bigramMap[bigram] = { times: [], distance };
+    }
+    bigramMap[bigram].times.push(interval);
+  });
+
+  const bigramAvgs = Object.entries(bigramMap).map(([bigram, data]) => {
+    const lowerBigram = bigram.toLowerCase();
+    const accuracyData = bigramAccuracyMap[lowerBigram];
+    return {
+      bigram,
+      avg: data.times.reduce((a, b) => a + b, 0) / data.times.length,
+      count: data.times.length,
+      distance: data.distance,
+      accuracy: accuracyData ? accuracyData.correct / accuracyData.total : 1,
+      errors: accuracyData ? accuracyData.total - accuracyData.correct : 0,
+    };
+  });
+
+  const slowestBigrams = [...bigramAvgs]
+    .sort((a, b) => b.avg - a.avg)
+    .slice(0, 5);
+  const fastestBigrams = [...bigramAvgs]
+    .sort((a, b) => a.avg - b.avg)
+    .slice(0, 5);
+
+  // Accuracy-sorted bigrams for accuracy mode
+  const mostAccurateBigrams = [...bigramAvgs]
+    .filter((b) => b.count >= 2)
+    .sort((a, b) => b.accuracy - a.accuracy)
+    .slice(0, 5);
+  const leastAccurateBigrams = [...bigramAvgs]
+    .filter((b) => b.count >= 2 && b.errors > 0)
+    .sort((a, b) => a.accuracy - b.accuracy)
+    .slice(0, 5);
+
+  // Impressive bigrams: fast relative to distance
+  const medianInterval =
+    intervals.length > 0
+      ? [...intervals].sort((a, b) => a - b)[Math.floor(intervals.length / 2)]
+      : 100;
+
+  const impressiveBigrams = bigramAvgs
+    .filter((b) => b.distance > 3 && b.avg < medianInterval)
+    .sort((a, b) => b.distance / b.avg - a.distance / a.avg)
+    .slice(0, 5);
+
+  // Speed over time
+  const windowSize = 20;
+  const speedOverTime = [];
+  for (let i = windowSize; i < intervals.length; i++) {
+    const window = intervals.slice(i - windowSize, i);
+    const avgMs = window.reduce((a, b) => a + b, 0) / window.length;
+    speedOverTime.push(avgMs > 0 ? 1000 / avgMs : 0);
+  }
+
+  // Percentiles
+  const sortedIntervals = [...intervals].sort((a, b) => a - b);
+  const p50 = sortedIntervals[Math.floor(sortedIntervals.length * 0.5)] || 0;
+  const p90 = sortedIntervals[Math.floor(sortedIntervals.length * 0.9)] || 0;
+  const p99 = sortedIntervals[Math.floor(sortedIntervals.length * 0.99)] || 0;
+  const fastest = sortedIntervals[0] || 0;
+
+  return {
+    version: ANALYTICS_VERSION,
+    layout: layout.id,
+    wpm: STAT_ROUND.wpm(wpm),
+    cpm,
+    accuracy: STAT_ROUND.accuracy(accuracy),
+    avgInterval: STAT_ROUND.avgInterval(avgInterval),
+    stdDev: STAT_ROUND.stdDev(stdDev),
+    consistency,
+    slowestBigrams,
+    fastestBigrams,
+    mostAccurateBigrams,
+    leastAccurateBigrams,
+    impressiveBigrams,
+    totalTime: STAT_ROUND.time(totalTime / 1000),
+    charCount,
+    errorCount,
+    intervals,
+    speedOverTime,
+    percentiles: {
+      p50: Math.round(p50),
+      p90: Math.round(p90),
+      p99: Math.round(p99),
+      fastest: Math.round(fastest),
+    },
+    wordIntervals,
+    avgWordInterval: Math.round(avgWordInterval),
+    distances,
+    avgDistance: STAT_ROUND.distance(avgDistance),
+    bigrams: bigramAvgs,
+    // Counts
+    counts: {
+      words: wordIntervals.length + 1,
+      correctWords:
+        data.filter((d, i) => {
+          // A word is correct if all chars up to the next space are correct
+          if (d.expected !== " ") return false;
+          let wordStart = i - 1;
+          while (wordStart >= 0 && data[wordStart].expected !== " ")
+            wordStart--;
+          wordStart++;
+          return data.slice(wordStart, i).every((k) => k.correct);
+        }).length +
+        (data.length > 0 && data[data.length - 1].correct ? 1 : 0),
+      letters: data.filter((d) => d.expected && /[a-zA-Z]/.test(d.expected))
+        .length,
+      correctLetters: data.filter(
+        (d) => d.correct && d.expected && /[a-zA-Z]/.test(d.expected)
+      ).length,
+      numbers: data.filter((d) => d.expected && /[0-9]/.test(d.expected))
+        .length,
+      correctNumbers: data.filter(
+        (d) => d.correct && d.expected && /[0-9]/.test(d.expected)
+      ).length,
+      punctuation: data.filter(
+        (d) => d.expected && /[.,;:!?'"()\-]/.test(d.expected)
+      ).length,
+      correctPunctuation: data.filter(
+        (d) => d.correct && d.expected && /[.,;:!?'"()\-]/.test(d.expected)
+      ).length,
+      capitals: data.filter(
+        (d) =>
+          d.expected &&
+          d.expected === d.expected.toUpperCase() &&
+          d.expected !== d.expected.toLowerCase()
+      ).length,
+      correctCapitals: data.filter(
+        (d) =>
+          d.correct &&
+          d.expected &&
+          d.expected === d.expected.toUpperCase() &&
+          d.expected !== d.expected.toLowerCase()
+      ).length,
+      spaces: data.filter((d) => d.expected === " ").length,
+      correctSpaces: data.filter((d) => d.correct && d.expected === " ")
+        .length,
+    },
+    // Behavioral stats
+    behavioral: {
+      momentum: Math.round(avgMomentum * 10) / 10,
+      momentumLabel,
+      maxBurst,
+      avgBurstLength: Math.round(avgBurstLength * 10) / 10,
+      flowRatio,
+      fatiguePercent,
+      fatigueLabel,
+      hesitationCount,
+      avgHesitation: Math.round(avgHesitation),
+      recoveryPenalty,
+      capitalPenalty,
+      punctuationPenalty,
+      errorPattern,
+      errorClustering,
+      backspaceEfficiency,
+      backspaceLabel,
+      rhythmScore,
+      // New stats
+      handBalance,
+      dominantHand,
+      homeRowAdvantage,
+      numberRowPenalty,
+      speedProfile,
+      archetype,
+      archetypeDesc,
+      confidenceScore,
+      burstCount: bursts.length,
+      // New metrics
+      burstWpm,
+      sustainabilityScore,
+      wordsPerError,
+      // Row-by-row speed breakdown (avg interval ms; 0 if no samples)
+      rowSpeeds: {
+        number: Math.round(numCount > 0 ? numberRowAvg : 0),
+        top: Math.round(topRowAvg),
+        home: Math.round(homeCount > 0 ? homeRowAvg : 0),
+        bottom: Math.round(bottomRowAvg),
+      },
+      rowCounts: {
+        number: numCount,
+        top: topCount,
+        home: homeCount,
+        bottom: bottomCount,
+      },
+    },
+    keyStats,
+    fingerStats,
+    fingerTransitions,
+    keyTiming: calculateKeyTiming(data, (d) => layout.fingers[geometryKey(d)]),
+    codeTiming: calculateCodeTiming(data),
+    tokenStats: calculateTokenStats(data),
+    ngramStats: calculateNgramStats(data),
+    fingerPatterns: calculateFingerPatterns(data, layout, geometryKey),
+    composition: calculateComposition(data),
+  };
+};
+
+// ============ KEY TIMING (dwell, flight, rollover) ============
+// Built from keyup data: a keystroke's `releaseTime` is ms from the session
+// start, like its `timestamp`. Dwell is how long a key was held, flight the
+// gap from one key's release to the next key's press. A negative flight is
+// a rollover - the next key went down before the previous one came up.
+
+const average = (values) =>
+  values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+// Raw totals of a timing group: how many dwells and flights were timed and
+// their sums, and how many flights were rollovers and by how much they
+// overlapped. Totals add up across sessions, so they are all a history
+// entry needs to keep.
+const emptyTiming = () => ({
+  dwells: 0,
+  dwellTime: 0,
+  flights: 0,
+  flightTime: 0,
+  rollovers: 0,
+  overlapTime: 0,
+});
+
+const TIMING_TOTALS = Object.keys(emptyTiming());
+
+const addTiming = (groups, key, totals) => {
+  if (!groups[key]) groups[key] = emptyTiming();
+  TIMING_TOTALS.forEach((field) => {
+    groups[key][field] += totals[field];
+  });
+};
+
+// Totals of one keystroke: its dwell and, when it has one, the flight into it
+const timingSample = (dwell, flight) => ({
+  dwells: dwell === null ? 0 : 1,
+  dwellTime: dwell ?? 0,
+  flights: flight === null ? 0 : 1,
+  flightTime: flight ?? 0,
+  rollovers: flight < 0 ? 1 : 0,
+  overlapTime: flight < 0 ? -flight : 0,
+});
+
+// Entries saved before v4 kept every dwell and flight instead of totals
+const timingTotals = (group) => {
+  if (!Array.isArray(group.dwells)) return group;
+  const sum = (values) => values.reduce((a, b) => a + b, 0);
+  const overlaps = group.flights.filter((f) => f < 0);
+  return {
+    dwells: group.dwells.length,
+    dwellTime: sum(group.dwells),
+    flights: group.flights.length,
+    flightTime: sum(group.flights),
+    rollovers: overlaps.length,
+    overlapTime: -sum(overlaps),
+  };
+};
+
+// Averages and rates for a group of timing totals
+const summarizeTimingGroup = (group) => ({
+  ...group,
+  avgDwell: group.dwells > 0 ? Math.round(group.dwellTime / group.dwells) : 0,
+  avgFlight: group.flights > 0 ? Math.round(group.flightTime / group.flights) : 0,
+  rolloverRate:
+    group.flights > 0 ? Math.round((group.rollovers / group.flights) * 100) : 0,
+  avgOverlap:
+    group.rollovers > 0 ? Math.round(group.overlapTime / group.rollovers) : 0,
+});
+
+// Per-finger and per-bigram totals -> the keyTiming stats object
+const summarizeKeyTiming = ({ fingers, bigrams }) => {
+  const all = {};
+  Object.values(fingers).forEach((group) => addTiming(all, "all", group));
+  const overall = summarizeTimingGroup(all.all || emptyTiming());
+
+  const summarizeAll = (groups) =>
+    Object.fromEntries(
+      Object.entries(groups).map(([key, group]) => [
+        key,
+        summarizeTimingGroup(group),
+      ])
+    );
+
+  return {
+    ...overall,
+    samples: overall.dwells,
+    transitions: overall.flights,
+    fingers: summarizeAll(fingers),
+    bigrams: summarizeAll(bigrams),
+  };
+};
+
+// Dwell, flight and rollover per finger and per bigram. `fingerOf` maps a
+// keystroke to its finger. Null when the keystrokes carry no release times
+// (sessions recorded before keyup tracking).
+export const calculateKeyTiming = (data, fingerOf) => {
+  if (!data.some((d) => d.releaseTime != null)) return null;
+
+  const fingers = {};
+  const bigrams = {};
+
+  data.forEach((d, i) => {
+    if (d.isBackspace || !d.expected) return;
+    const finger = fingerOf(d);
+    if (!finger) return;
+
+    const dwell =
+      d.releaseTime != null ? Math.round(d.releaseTime - d.timestamp) : null;
+    const prev = data[i - 1];
+    const hasFlight = prev && !prev.isBackspace && prev.releaseTime != null;
+    const flight = hasFlight ? Math.round(d.timestamp - prev.releaseTime) : null;
+
+    // Flights belong to the finger arriving on the next key
+    addTiming(fingers, finger, timingSample(dwell, flight));
+
+    // Bigrams: consecutive correct keystrokes on different characters, with
+    // the first key's dwell and the flight between them
+    if (
+      hasFlight &&
+      prev.correct &&
+      d.correct &&
+      prev.expected.toLowerCase() !== d.expected.toLowerCase()
+    ) {
+      addTiming(
+        bigrams,
+        (prev.expected + d.expected).toLowerCase(),
+        timingSample(Math.round(prev.releaseTime - prev.timestamp), flight)
+      );
+    }
+  });
+
+  return summarizeKeyTiming({ fingers, bigrams });
+};
+
+// Merge the key timing of several sessions (null if none have any)
+const mergeKeyTiming = (timings) => {
+  const present = timings.filter(Boolean);
+  if (present.length === 0) return null;
+
+  const fingers = {};
+  const bigrams = {};
+  present.forEach((timing) => {
+    Object.entries(timing.fingers || {}).forEach(([key, group]) =>
+      addTiming(fingers, key, timingTotals(group))
+    );
+    Object.entries(timing.bigrams || {}).forEach(([key, group]) =>
+      addTiming(bigrams, key, timingTotals(group))
+    );
+  });
+  return summarizeKeyTiming({ fingers, bigrams });
+};
+
+// Bigrams a history entry keeps key timing for, most timed first
+const STORED_TIMING_BIGRAMS = 50;
+
+const storedTiming = (group) =>
+  Object.fromEntries(TIMING_TOTALS.map((field) => [field, group[field]]));
+
+// The part of a session's key timing a history entry keeps: the raw totals
+// per finger and of its most timed bigrams, which is all mergeKeyTiming
+// needs. The overall averages come from the fingers, so they stay exact.
+const compactKeyTiming = (keyTiming) => {
+  if (!keyTiming) return null;
+  const bigrams = Object.entries(keyTiming.bigrams)
+    .sort(([, a], [, b]) => b.flights - a.flights)
+    .slice(0, STORED_TIMING_BIGRAMS);
+  return {
+    fingers: Object.fromEntries(
+      Object.entries(keyTiming.fingers).map(([finger, group]) => [finger, storedTiming(group)])
+    ),
+    bigrams: Object.fromEntries(
+      bigrams.map(([bigram, group]) => [bigram, storedTiming(group)])
+    ),
+  };
+};
+
+// ============ CODE TIMING (newlines, indents, line starts) ============
+// Code mode types Enter and Tab (see code.js). Those keys have no place on
+// the keyboard maps, so they stay out of the per-key and bigram stats and
+// are timed here instead, along with the first keystroke of each line -
+// the pause to read the next line - against everything typed within a line.
+
+const CODE_TIMING_GROUPS = ["newline", "indent", "lineStart", "inline"];
+
+// Count, accuracy and average interval for a group of { times, errors }
+const summarizeCodeGroup = (group) => {
+  const count = group.times.length + group.errors;
+  return {
+    ...group,
+    count,
+    accuracy: count > 0 ? Math.round((group.times.length / count) * 1000) / 10 : 100,
+    avgInterval: Math.round(average(group.times)),
+  };
+};
+
+const summarizeCodeTiming = (groups, skippedIndent) => ({
+  skippedIndent,
+  ...Object.fromEntries(
+    CODE_TIMING_GROUPS.map((name) => [name, summarizeCodeGroup(groups[name])])
+  ),
+});
+
+// Null for sessions without newlines or indents (anything but code mode)
+export const calculateCodeTiming = (data) => {
+  if (!data.some((d) => isLayoutWhitespace(d.expected))) return null;
+
+  const groups = Object.fromEntries(
+    CODE_TIMING_GROUPS.map((name) => [name, { times: [], errors: 0 }])
+  );
+  // Indentation filled in by auto-indent rather than typed
+  let skippedIndent = 0;
+
+  data.forEach((d, i) => {
+    if (d.isBackspace || !d.expected) return;
+    const prev = data[i - 1];
+    const next = data[i + 1];
+
+    let group = "inline";
+    if (d.expected === NEWLINE) group = "newline";
+    else if (d.expected === INDENT) group = "indent";
+    else if (prev && !prev.isBackspace && isLayoutWhitespace(prev.expected)) {
+      group = "lineStart";
+    }
+
+    if (!d.correct) groups[group].errors++;
+    else if (d.interval) groups[group].times.push(d.interval);
+
+    if (d.expected === NEWLINE && d.correct && next && !next.isBackspace) {
+      skippedIndent += Math.max(0, next.position - d.position - 1);
+    }
+  });
+
+  return summarizeCodeTiming(groups, skippedIndent);
+};
+
+// Merge the code timing of several sessions (null if none have any)
+const mergeCodeTiming = (timings) => {
+  const present = timings.filter(Boolean);
+  if (present.length === 0) return null;
+
+  const groups = Object.fromEntries(
+    CODE_TIMING_GROUPS.map((name) => [
+      name,
+      {
+        times: present.flatMap((t) => t[name].times),
+        errors: present.reduce((sum, t) => sum + t[name].errors, 0),
+      },
+    ])
+  );
+  const skippedIndent = present.reduce((sum, t) => sum + t.skippedIndent, 0);
+  return summarizeCodeTiming(groups, skippedIndent);
+};
+
+// ============ RUNNING TOTALS ============
+// Count, errors and timing of a group of keystrokes - a token class, an
+// n-gram, a finger pattern - kept as sums so sessions merge by adding them up
+
+const emptyTotals = () => ({ count: 0, errors: 0, time: 0, timed: 0 });
+
+const addTotals = (group, { count, errors, time, timed }) => {
+  group.count += count;
+  group.errors += errors;
+  group.time += time;
+  group.timed += timed;
+};
+
+// ============ TOKEN CLASSES (identifiers, brackets, operators) ============
+// Splits the typed text into tokens the way a developer reads code -
+// identifiers by naming style, numbers, brackets, operators and other
+// punctuation - and times each class, so it shows whether snake_case or
+// `{}` costs more than plain words. Runs of adjacent symbols (`=>`, `::`,
+// `();`) are also timed as clusters. Whitespace is left to the spacing and
+// code timing stats.
+
+export const TOKEN_CLASSES = [
+  "word",
+  "camelCase",
+  "snake_case",
+  "number",
+  "bracket",
+  "operator",
+  "punctuation",
+];
+
+const BRACKETS = "()[]{}";
+const OPERATORS = "=+-*/%<>!&|^~?:";
+const isIdentifierChar = (char) => /[A-Za-z0-9_$]/.test(char);
+const isSymbolChar = (char) => !isIdentifierChar(char) && !/\s/.test(char);
+
+const classifyIdentifier = (token) => {
+  if (/^\d+$/.test(token)) return "number";
+  if (/[A-Za-z0-9]_+[A-Za-z0-9]/.test(token)) return "snake_case";
+  if (/[a-z0-9][A-Z]/.test(token)) return "camelCase";
+  return "word";
+};
+
+const classifySymbol = (char) => {
+  if (BRACKETS.includes(char)) return "bracket";
+  if (OPERATORS.includes(char)) return "operator";
+  return "punctuation";
+};
+
+// Token class of every position in `text` (null for whitespace), and the
+// symbol cluster covering it, if any
+const tokenizeText = (text) => {
+  const classes = new Array(text.length).fill(null);
+  const clusters = new Array(text.length).fill(null);
+  let i = 0;
+  while (i < text.length) {
+    let end = i + 1;
+    if (isIdentifierChar(text[i])) {
+      while (end < text.length && isIdentifierChar(text[end])) end++;
+      classes.fill(classifyIdentifier(text.slice(i, end)), i, end);
+    } else if (isSymbolChar(text[i])) {
+      while (end < text.length && isSymbolChar(text[end])) end++;
+      for (let j = i; j < end; j++) classes[j] = classifySymbol(text[j]);
+      if (end - i > 1) clusters.fill(text.slice(i, end), i, end);
+    }
+    i = end;
+  }
+  return { classes, clusters };
+};
+
+const summarizeTokenGroup = (group) => ({
+  ...group,
+  accuracy:
+    group.count > 0
+      ? Math.round(((group.count - group.errors) / group.count) * 1000) / 10
+      : 100,
+  avgInterval: group.timed > 0 ? Math.round(group.time / group.timed) : 0,
+});
+
+const summarizeTokenStats = ({ classes, clusters }) => ({
+  classes: Object.fromEntries(
+    TOKEN_CLASSES.map((name) => [name, summarizeTokenGroup(classes[name])])
+  ),
+  clusters: Object.fromEntries(
+    Object.entries(clusters).map(([cluster, group]) => [
+      cluster,
+      summarizeTokenGroup(group),
+    ])
+  ),
+});
+
+// Speed and accuracy per token class and per symbol cluster. The text is
+// rebuilt from the keystrokes' expected characters, so this works on any
+// stored session; positions nobody typed (auto-indent) are whitespace.
+export const calculateTokenStats = (data) => {
+  const chars = [];
+  data.forEach((d) => {
+    if (!d.isBackspace && d.expected) chars[d.position] = d.expected;
+  });
+  if (chars.length === 0) return null;
+  const tokens = tokenizeText(Array.from(chars, (c) => c ?? " ").join(""));
+
+  const classes = Object.fromEntries(
+    TOKEN_CLASSES.map((name) => [name, emptyTotals()])
+  );
+  const clusters = {};
+
+  data.forEach((d) => {
+    if (d.isBackspace || !d.expected) return;
+    const sample = {
+      count: 1,
+      errors: d.correct ? 0 : 1,
+      time: d.correct && d.interval ? d.interval : 0,
+      timed: d.correct && d.interval ? 1 : 0,
+    };
+    const tokenClass = tokens.classes[d.position];
+    if (tokenClass) addTotals(classes[tokenClass], sample);
+    const cluster = tokens.clusters[d.position];
+    if (cluster) {
+      if (!clusters[cluster]) clusters[cluster] = emptyTotals();
+      addTotals(clusters[cluster], sample);
+    }
+  });
+
+  return summarizeTokenStats({ classes, clusters });
+};
+
+// Merge the token stats of several sessions (null if none have any)
+const mergeTokenStats = (stats) => {
+  const present = stats.filter(Boolean);
+  if (present.length === 0) return null;
+
+  const classes = Object.fromEntries(
+    TOKEN_CLASSES.map((name) => [name, emptyTotals()])
+  );
+  const clusters = {};
+  present.forEach((tokenStats) => {
+    TOKEN_CLASSES.forEach((name) =>
+      addTotals(classes[name], tokenStats.classes[name])
+    );
+    Object.entries(tokenStats.clusters).forEach(([cluster, group]) => {
+      if (!clusters[cluster]) clusters[cluster] = emptyTotals();
+      addTotals(clusters[cluster], group);
+    });
+  });
+  return summarizeTokenStats({ classes, clusters });
+};
+
+// ============ N-GRAMS (trigrams and longer) ============
+// Many stumbles span more than two keys ("ing", "tion", "the "). Every run
+// of NGRAM_SIZES consecutive characters is timed from its first keypress to
+// its last, using first attempts only: an n-gram counts as an error when any
+// of its characters was mistyped, and is timed when all were typed right
+// with no correction in between. Sessions merge by adding up the totals.
+//
+// Chunking compares an n-gram's time with the sum of its bigrams' average
+// times (over every context they were typed in): a sequence typed as one
+// practiced motion comes out faster than its parts.
+
+export const NGRAM_SIZES = [3, 4];
+
+// Intervals this long are pauses rather than typing: an n-gram or bigram
+// with one in it isn't timed (the global stats cap them the same way)
+const NGRAM_MAX_INTERVAL = 2000;
+
+// Running totals of one n-gram, or of a bigram for chunking
+const addNgramSample = (groups, id, sample) => {
+  if (!groups[id]) groups[id] = emptyTotals();
+  addTotals(groups[id], sample);
+};
+
+// Bigram times and per-size n-gram totals -> the ngramStats object. Each
+// n-gram gets its accuracy, average time, the time its bigrams take on
+// average (null when one of them was never timed) and its chunking: the
+// percentage of that time saved by typing it as a whole.
+const summarizeNgramStats = ({ pairs, sizes }) => {
+  const pairAvg = (pair) =>
+    pairs[pair]?.timed > 0 ? pairs[pair].time / pairs[pair].timed : null;
+  const summarize = (ngram, group) => {
+    const avgTime = group.timed > 0 ? group.time / group.timed : 0;
+    let bigramTime = 0;
+    for (let i = 1; i < ngram.length && bigramTime !== null; i++) {
+      const avg = pairAvg(ngram.slice(i - 1, i + 1));
+      bigramTime = avg === null ? null : bigramTime + avg;
+    }
+    return {
+      ...group,
+      accuracy:
+        group.count > 0
+          ? Math.round(((group.count - group.errors) / group.count) * 1000) / 10
+          : 100,
+      avgTime: Math.round(avgTime),
+      bigramTime: bigramTime === null ? null : Math.round(bigramTime),
+      chunking:
+        bigramTime > 0 && group.timed > 0
+          ? Math.round((1 - avgTime / bigramTime) * 1000) / 10
+          : null,
+    };
+  };
+
+  return {
+    pairs,
+    sizes: Object.fromEntries(
+      Object.entries(sizes).map(([size, groups]) => [
+        size,
+        Object.fromEntries(
+          Object.entries(groups).map(([ngram, group]) => [
+            ngram,
+            summarize(ngram, group),
+          ])
+        ),
+      ])
+    ),
+  };
+};
+
+// Trigram and 4-gram timing and accuracy of a session, lowercased. Null
+// when nothing was typed. Newlines and indents break a run (they're timed
+// separately, see calculateCodeTiming).
+export const calculateNgramStats = (data) => {
+  // First attempt at every position, with its index in the keystroke list
+  const attempts = [];
+  data.forEach((d, index) => {
+    if (d.isBackspace || !d.expected || d.position == null) return;
+    if (!attempts[d.position]) attempts[d.position] = { ...d, index };
+  });
+  if (attempts.length === 0) return null;
+
+  const pairs = {};
+  const sizes = Object.fromEntries(NGRAM_SIZES.map((size) => [size, {}]));
+  const usable = (a) => a && !isLayoutWhitespace(a.expected);
+  // Typed right, straight after the previous character
+  const clean = (a, prev) =>
+    a.correct &&
+    prev.correct &&
+    a.index === prev.index + 1 &&
+    a.interval > 0 &&
+    a.interval < NGRAM_MAX_INTERVAL;
+
+  attempts.forEach((curr, position) => {
+    const prev = attempts[position - 1];
+    if (!usable(curr) || !usable(prev)) return;
+    if (clean(curr, prev)) {
+      addNgramSample(pairs, (prev.expected + curr.expected).toLowerCase(), {
+        count: 1,
+        errors: 0,
+        time: curr.interval,
+        timed: 1,
+      });
+    }
+
+    NGRAM_SIZES.forEach((size) => {
+      if (position < size - 1) return;
+      const run = Array.from({ length: size }, (_, i) => attempts[position - size + 1 + i]);
+      if (!run.every(usable)) return;
+      const timed = run.every((a, i) => i === 0 || clean(a, run[i - 1]));
+      addNgramSample(
+        sizes[size],
+        run.map((a) => a.expected).join("").toLowerCase(),
+        {
+          count: 1,
+          errors: run.every((a) => a.correct) ? 0 : 1,
+          time: timed ? run.slice(1).reduce((sum, a) => sum + a.interval, 0) : 0,
+          timed: timed ? 1 : 0,
+        }
+      );
+    });
+  });
+
+  return summarizeNgramStats({ pairs, sizes });
+};
+
+// Merge the n-gram stats of several sessions (null if none have any)
+const mergeNgramStats = (stats) => {
+  const present = stats.filter(Boolean);
+  if (present.length === 0) return null;
+
+  const pairs = {};
+  const sizes = Object.fromEntries(NGRAM_SIZES.map((size) => [size, {}]));
+  present.forEach((ngramStats) => {
+    Object.entries(ngramStats.pairs).forEach(([pair, group]) =>
+      addNgramSample(pairs, pair, group)
+    );
+    NGRAM_SIZES.forEach((size) =>
+      Object.entries(ngramStats.sizes[size] || {}).forEach(([ngram, group]) =>
+        addNgramSample(sizes[size], ngram, group)
+      )
+    );
+  });
+  return summarizeNgramStats({ pairs, sizes });
+};
+
+// N-grams of each size a history entry keeps, most typed first
+const STORED_NGRAMS = 50;
+
+const storedTotals = ({ count, errors, time, timed }) => ({
+  count,
+  errors,
+  time: Math.round(time),
+  timed,
+});
+
+// The part of a session's n-gram stats a history entry keeps: the raw totals
+// of its most typed n-grams of each size and of the bigrams they're made of,
+// which is all mergeNgramStats needs. Every n-gram of a long text would make
+// n-grams the bulk of every stored session.
+const compactNgramStats = (ngramStats) => {
+  if (!ngramStats) return null;
+  const pairs = {};
+  const sizes = Object.fromEntries(
+    NGRAM_SIZES.map((size) => {
+      const kept = Object.entries(ngramStats.sizes[size] || {})
+        .sort(([, a], [, b]) => b.count - a.count || b.timed - a.timed)
+        .slice(0, STORED_NGRAMS);
+      kept.forEach(([ngram]) => {
+        for (let i = 1; i < ngram.length; i++) {
+          const pair = ngram.slice(i - 1, i + 1);
+          if (ngramStats.pairs[pair]) pairs[pair] = storedTotals(ngramStats.pairs[pair]);
+        }
+      });
+      return [size, Object.fromEntries(kept.map(([ngram, group]) => [ngram, storedTotals(group)]))];
+    })
+  );
+  return { pairs, sizes };
+};
+
+// N-grams of one size as a list ({ ngram, ...stats }), leaving out those
+// typed fewer than `minCount` times
+export const getNgramList = (ngramStats, size, minCount = 1) =>
+  Object.entries(ngramStats?.sizes?.[size] || {})
+    .filter(([, group]) => group.count >= minCount)
+    .map(([ngram, group]) => ({ ngram, ...group }));
+
+// ============ FINGER PATTERNS (SFBs, scissors, stretches, rolls) ============
+// Every bigram of the text is sorted into an ergonomic pattern of the layout
+// (see classifyBigram) and timed like the n-grams above: first attempts
+// only, timed when both keys were typed right one after the other. What a
+// pattern costs is how much slower than the average bigram it is, times how
+// often it came up. Bigrams keep the first word they turned up in as an
+// example.
+
+// Examples listed per pattern, most frequent first
+const PATTERN_EXAMPLES = 6;
+
+// Pattern totals -> the fingerPatterns object: per pattern its share of all
+// bigrams, accuracy, average time, cost per occurrence and in total
+// against the average bigram (ms), and its most frequent bigrams
+const summarizeFingerPatterns = (patterns) => {
+  const groups = Object.values(patterns);
+  const total = groups.reduce((sum, g) => sum + g.count, 0);
+  const timed = groups.reduce((sum, g) => sum + g.timed, 0);
+  const baseline = timed > 0 ? groups.reduce((sum, g) => sum + g.time, 0) / timed : 0;
+
+  return {
+    total,
+    avgTime: Math.round(baseline),
+    patterns: Object.fromEntries(
+      BIGRAM_PATTERNS.map((name) => {
+        const group = patterns[name];
+        const avgTime = group.timed > 0 ? group.time / group.timed : 0;
+        const cost = group.timed > 0 && baseline > 0 ? avgTime - baseline : 0;
+        return [
+          name,
+          {
+            ...group,
+            share: total > 0 ? Math.round((group.count / total) * 1000) / 10 : 0,
+            accuracy:
+              group.count > 0
+                ? Math.round(((group.count - group.errors) / group.count) * 1000) / 10
+                : 100,
+            avgTime: Math.round(avgTime),
+            cost: Math.round(cost),
+            totalCost: Math.round(cost * group.timed),
+            examples: Object.entries(group.bigrams)
+              .map(([bigram, b]) => ({
+                bigram,
+                word: b.word,
+                count: b.count,
+                avgTime: b.timed > 0 ? Math.round(b.time / b.timed) : null,
+              }))
+              .sort((a, b) => b.count - a.count)
+              .slice(0, PATTERN_EXAMPLES),
+          },
+        ];
+      })
+    ),
+  };
+};
+
+// The word of `chars` (the text by position) around `position`, without
+// surrounding punctuation
+const wordAround = (chars, position) => {
+  let start = position;
+  let end = position;
+  while (start > 0 && chars[start - 1] && !/\s/.test(chars[start - 1])) start--;
+  while (end < chars.length - 1 && chars[end + 1] && !/\s/.test(chars[end + 1])) end++;
+  return chars
+    .slice(start, end + 1)
+    .join("")
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "");
+};
+
+// Ergonomic patterns of a session's bigrams on `layout`. `keyOf` maps a
+// keystroke to the layout key it's measured on. Null when no bigram could
+// be classified.
+export const calculateFingerPatterns = (data, layout, keyOf) => {
+  const attempts = [];
+  data.forEach((d, index) => {
+    if (d.isBackspace || !d.expected || d.position == null) return;
+    if (!attempts[d.position]) attempts[d.position] = { ...d, index };
+  });
+  const chars = Array.from(attempts, (a) => a?.expected ?? " ");
+
+  const patterns = Object.fromEntries(
+    BIGRAM_PATTERNS.map((name) => [name, { ...emptyTotals(), bigrams: {} }])
+  );
+  attempts.forEach((curr, position) => {
+    const prev = attempts[position - 1];
+    if (!prev) return;
+    const pattern = classifyBigram(keyOf(prev), keyOf(curr), layout);
+    if (!pattern) return;
+
+    const clean =
+      prev.correct && curr.correct && curr.index === prev.index + 1 && curr.interval > 0;
+    const sample = {
+      count: 1,
+      errors: prev.correct && curr.correct ? 0 : 1,
+      time: clean ? curr.interval : 0,
+      timed: clean ? 1 : 0,
+    };
+    const group = patterns[pattern];
+    addTotals(group, sample);
+    const bigram = (prev.expected + curr.expected).toLowerCase();
+    if (!group.bigrams[bigram]) {
+      group.bigrams[bigram] = { ...emptyTotals(), word: wordAround(chars, position) };
+    }
+    addTotals(group.bigrams[bigram], sample);
+  });
+
+  return Object.values(patterns).some((g) => g.count > 0)
+    ? summarizeFingerPatterns(patterns)
+    : null;
+};
+
+// Bigrams per pattern a history entry keeps, most typed first
+const STORED_PATTERN_BIGRAMS = 20;
+
+// The part of a session's finger patterns a history entry keeps: the raw
+// totals of each pattern and of its most typed bigrams, which is all
+// mergeFingerPatterns needs
+const compactFingerPatterns = (fingerPatterns) => {
+  if (!fingerPatterns) return null;
+  return {
+    patterns: Object.fromEntries(
+      Object.entries(fingerPatterns.patterns).map(([name, group]) => [
+        name,
+        {
+          ...storedTotals(group),
+          bigrams: Object.fromEntries(
+            Object.entries(group.bigrams)
+              .sort(([, a], [, b]) => b.count - a.count)
+              .slice(0, STORED_PATTERN_BIGRAMS)
+              .map(([bigram, b]) => [bigram, { ...storedTotals(b), word: b.word }])
+          ),
+        },
+      ])
+    ),
+  };
+};
+
+// Merge the finger patterns of several sessions (null if none have any).
+// Sessions typed on different layouts are merged as they were measured.
+const mergeFingerPatterns = (stats) => {
+  const present = stats.filter(Boolean);
+  if (present.length === 0) return null;
+
+  const patterns = Object.fromEntries(
+    BIGRAM_PATTERNS.map((name) => [name, { ...emptyTotals(), bigrams: {} }])
+  );
+  present.forEach((fingerPatterns) => {
+    BIGRAM_PATTERNS.forEach((name) => {
+      const group = fingerPatterns.patterns[name];
+      if (!group) return;
+      addTotals(patterns[name], group);
+      Object.entries(group.bigrams).forEach(([bigram, b]) => {
+        const merged = patterns[name].bigrams;
+        if (!merged[bigram]) merged[bigram] = { ...emptyTotals(), word: b.word };
+        addTotals(merged[bigram], b);
+      });
+    });
+  });
+  return summarizeFingerPatterns(patterns);
+};
+
+// ============ COMPOSITION (IME and dead keys) ============
+// Characters committed by an input method or a dead key carry `compose`:
+// the composition time on the first character of each commit, -1 on the
+// rest (see recording.js). Composing is timed on its own here - it includes
+// choosing candidates, which the per-key intervals can't account for.
+
+// Commit count, average time per commit and per character, and accuracy of
+// the committed characters
+const summarizeComposition = (composition) => {
+  const { durations, chars, errors } = composition;
+  const time = durations.reduce((sum, d) => sum + d, 0);
+  return {
+    ...composition,
+    count: durations.length,
+    avgDuration: Math.round(average(durations)),
+    avgPerChar: chars > 0 ? Math.round(time / chars) : 0,
+    accuracy: chars > 0 ? Math.round(((chars - errors) / chars) * 1000) / 10 : 100,
+  };
+};
+
+// Null for sessions typed without composing
+export const calculateComposition = (data) => {
+  const composition = { durations: [], chars: 0, errors: 0 };
+  data.forEach((d) => {
+    if (d.isBackspace || d.compose == null) return;
+    if (d.compose >= 0) composition.durations.push(d.compose);
+    composition.chars++;
+    if (!d.correct) composition.errors++;
+  });
+  return composition.chars > 0 ? summarizeComposition(composition) : null;
+};
+
+// Merge the composition stats of several sessions (null if none composed)
+const mergeComposition = (compositions) => {
+  const present = compositions.filter(Boolean);
+  if (present.length === 0) return null;
+  return summarizeComposition({
+    durations: present.flatMap((c) => c.durations),
+    chars: present.reduce((sum, c) => sum + c.chars, 0),
+    errors: present.reduce((sum, c) => sum + c.errors, 0),
+  });
+};
+
+// Aggregate stats across stored history entries (see createHistoryEntry)
+export const calculateCumulativeStats = (history) => {
+  if (history.length === 0) return null;
+
+  const allIntervals = history.flatMap((h) => h.intervals);
+  const allWordIntervals = history.flatMap((h) => h.wordIntervals || []);
+  const allDistances = history.flatMap((h) => h.distances || []);
+
+  const totalChars = history.reduce((sum, h) => sum + h.charCount, 0);
+  const totalTime = history.reduce((sum, h) => sum + h.totalTime, 0);
+  const totalErrors = history.reduce((sum, h) => sum + h.errorCount, 0);
+
+  const avgInterval =
+    allIntervals.length > 0
+      ? allIntervals.reduce((a, b) => a + b, 0) / allIntervals.length
+      : 0;
+
+  const avgWordInterval =
+    allWordIntervals.length > 0
+      ? allWordIntervals.reduce((a, b) => a + b, 0) / allWordIntervals.length
+      : 0;
+
+  const avgDistance =
+    allDistances.length > 0
+      ? allDistances.reduce((a, b) => a + b, 0) / allDistances.length
+      : 0;
+
+  const minutes = totalTime / 60000;
+  const wpm = minutes > 0 ? Math.round(totalChars / 5 / minutes) : 0;
+  const accuracy =
+    totalChars > 0 ? ((totalChars - totalErrors) / totalChars) * 100 : 0;
+
+  // Aggregate counts
+  const counts = {
+    words: history.reduce((sum, h) => sum + (h.counts?.words || 0), 0),
+    correctWords: history.reduce(
+      (sum, h) => sum + (h.counts?.correctWords || 0),
+      0
+    ),
+    letters: history.reduce((sum, h) => sum + (h.counts?.letters || 0), 0),
+    correctLetters: history.reduce(
+      (sum, h) => sum + (h.counts?.correctLetters || 0),
+      0
+    ),
+    numbers: history.reduce((sum, h) => sum + (h.counts?.numbers || 0), 0),
+    correctNumbers: history.reduce(
+      (sum, h) => sum + (h.counts?.correctNumbers || 0),
+      0
+    ),
+    punctuation: history.reduce(
+      (sum, h) => sum + (h.counts?.punctuation || 0),
+      0
+    ),
+    correctPunctuation: history.reduce(
+      (sum, h) => sum + (h.counts?.correctPunctuation || 0),
+      0
+    ),
+    capitals: history.reduce((sum, h) => sum + (h.counts?.capitals || 0), 0),
+    correctCapitals: history.reduce(
+      (sum, h) => sum + (h.counts?.correctCapitals || 0),
+      0
+    ),
+    spaces: history.reduce((sum, h) => sum + (h.counts?.spaces || 0), 0),
+    correctSpaces: history.reduce(
+      (sum, h) => sum + (h.counts?.correctSpaces || 0),
+      0
+    ),
+  };
+
+  // Aggregate keyStats for keyboard heatmap
+  const keyStats = {};
+  history.forEach((h) => {
+    if (h.keyStats) {
+      Object.entries(h.keyStats).forEach(([key, data]) => {
+        if (!keyStats[key]) {
+          keyStats[key] = { times: [], count: 0, correct: 0, errors: 0 };
+        }
+        // Add all times and count from this session
+        if (data.times) {
+          keyStats[key].times.push(...data.times);
+        }
+        keyStats[key].count += data.count || 0;
+        keyStats[key].correct += data.correct || 0;
+        keyStats[key].errors += data.errors || 0;
+      });
+    }
+  });
+  // Calculate averages and accuracy for aggregated keyStats
+  Object.keys(keyStats).forEach((key) => {
+    const times = keyStats[key].times;
+    keyStats[key].avgInterval =
+      times.length > 0 ? times.reduce((a, b) => a + b, 0) / times.length : 0;
+    keyStats[key].accuracy =
+      keyStats[key].count > 0
+        ? keyStats[key].correct / keyStats[key].count
+        : 1;
+  });
+
+  // Aggregate fingerStats
+  const fingerStats = {};
+  FINGER_ORDER.forEach((f) => {
+    fingerStats[f] = { times: [], correct: 0, total: 0 };
+  });
+  history.forEach((h) => {
+    if (h.fingerStats) {
+      Object.entries(h.fingerStats).forEach(([finger, data]) => {
+        if (fingerStats[finger]) {
+          if (data.times) fingerStats[finger].times.push(...data.times);
+          fingerStats[finger].correct += data.correct || 0;
+          fingerStats[finger].total += data.total || 0;
+        }
+      });
+    }
+  });
+  Object.keys(fingerStats).forEach((f) => {
+    const times = fingerStats[f].times;
+    fingerStats[f].avgInterval =
+      times.length > 0
+        ? Math.round(times.reduce((a, b) => a + b, 0) / times.length)
+        : 0;
+    fingerStats[f].accuracy =
+      fingerStats[f].total > 0
+        ? Math.round((fingerStats[f].correct / fingerStats[f].total) * 1000) / 10
+        : 100;
+  });
+
+  // Aggregate fingerTransitions
+  const fingerTransitions = {};
+  history.forEach((h) => {
+    if (h.fingerTransitions) {
+      Object.entries(h.fingerTransitions).forEach(([key, data]) => {
+        if (!fingerTransitions[key]) {
+          fingerTransitions[key] = {
+            times: [],
+            from: data.from,
+            to: data.to,
+          };
+        }
+        if (data.times) {
+          fingerTransitions[key].times.push(...data.times);
+        }
+      });
+    }
+  });
+  // Calculate averages for transitions
+  Object.keys(fingerTransitions).forEach((key) => {
+    const t = fingerTransitions[key];
+    t.avg =
+      t.times.length > 0
+        ? Math.round(t.times.reduce((a, b) => a + b, 0) / t.times.length)
+        : 0;
+    t.count = t.times.length;
+  });
+
+  // Aggregate behavioral stats (weighted averages by char count)
+  const behavioralHistory = history.filter((h) => h.behavioral);
+  const totalBehavioralChars = behavioralHistory.reduce(
+    (sum, h) => sum + h.charCount,
+    0
+  );
+
+  const weightedAvg = (key) => {
+    if (totalBehavioralChars === 0) return 0;
+    return (
+      behavioralHistory.reduce(
+        (sum, h) => sum + (h.behavioral?.[key] || 0) * h.charCount,
+        0
+      ) / totalBehavioralChars
+    );
+  };
+
+  const avgMomentum = weightedAvg("momentum");
+  const avgFlowRatio = Math.round(weightedAvg("flowRatio"));
+  const avgRhythmScore = Math.round(weightedAvg("rhythmScore"));
+  const avgFatiguePercent = Math.round(weightedAvg("fatiguePercent"));
+  const avgRecoveryPenalty = Math.round(weightedAvg("recoveryPenalty"));
+  const avgCapitalPenalty = Math.round(weightedAvg("capitalPenalty"));
+  const avgPunctuationPenalty = Math.round(weightedAvg("punctuationPenalty"));
+  const avgHandBalance = STAT_ROUND.handBalance(weightedAvg("handBalance"));
+  const avgHomeRowAdvantage = STAT_ROUND.homeRowAdvantage(
+    weightedAvg("homeRowAdvantage")
+  );
+  const avgNumberRowPenalty = Math.round(weightedAvg("numberRowPenalty"));
+  const avgBackspaceEfficiency =
+    Math.round(weightedAvg("backspaceEfficiency") * 10) / 10;
+
+  const totalBursts = behavioralHistory.reduce(
+    (sum, h) => sum + (h.behavioral?.burstCount || 0),
+    0
+  );
+  const maxBurstEver = Math.max(
+    ...behavioralHistory.map((h) => h.behavioral?.maxBurst || 0),
+    0
+  );
+  const totalHesitations = behavioralHistory.reduce(
+    (sum, h) => sum + (h.behavioral?.hesitationCount || 0),
+    0
+  );
+
+  // --- New metrics aggregation (with backfill from raw history) ---
+  // Old sessions don't have these fields, so we recompute them from each
+  // session's stored intervals/keyStats when missing.
+  const backfillSustainability = (h) => {
+    if (h.behavioral?.sustainabilityScore > 0) {
+      return h.behavioral.sustainabilityScore;
+    }
+    const intervals = h.intervals || [];
+    if (intervals.length < 8) return 0;
+    const quarterLen = Math.floor(intervals.length / 4);
+    const firstQuarter = intervals.slice(0, quarterLen);
+    const lastQuarter = intervals.slice(-quarterLen);
+    const firstAvg =
+      firstQuarter.reduce((a, b) => a + b, 0) / firstQuarter.length;
+    const lastAvg =
+      lastQuarter.reduce((a, b) => a + b, 0) / lastQuarter.length;
+    return lastAvg > 0 ? Math.round((firstAvg / lastAvg) * 100) : 100;
+  };
+
+  const backfillBurstWpm = (h) => {
+    if (h.behavioral?.burstWpm > 0) return h.behavioral.burstWpm;
+    const intervals = h.intervals || [];
+    if (intervals.length < 2) return 0;
+    // Build relative timestamps from cumulative intervals
+    const timestamps = [0];
+    for (let i = 0; i < intervals.length; i++) {
+      timestamps.push(timestamps[i] + intervals[i]);
+    }
+    let burst = 0;
+    const WINDOW_MS = 5000;
+    let left = 0;
+    for (let right = 1; right < timestamps.length; right++) {
+      while (left < right && timestamps[right] - timestamps[left] > WINDOW_MS) {
+        left++;
+      }
+      const windowMs = timestamps[right] - timestamps[left];
+      if (windowMs >= WINDOW_MS * 0.6) {
+        const windowChars = right - left + 1;
+        const windowMinutes = windowMs / 60000;
+        if (windowMinutes > 0) {
+          const w = windowChars / 5 / windowMinutes;
+          if (w > burst) burst = w;
+        }
+      }
+    }
+    return Math.round(burst);
+  };
+
+  const backfillRowSpeeds = (h) => {
+    if (h.behavioral?.rowSpeeds && h.behavioral?.rowCounts) {
+      return { speeds: h.behavioral.rowSpeeds, counts: h.behavioral.rowCounts };
+    }
+    const speeds = { number: 0, top: 0, home: 0, bottom: 0 };
+    const counts = { number: 0, top: 0, home: 0, bottom: 0 };
+    const totals = { number: 0, top: 0, home: 0, bottom: 0 };
+    if (!h.keyStats) return { speeds, counts };
+    const { rowOf } = getLayout(h.layout);
+    Object.entries(h.keyStats).forEach(([key, data]) => {
+      const row = rowOf[key] in speeds ? rowOf[key] : null;
+      // weight by count of correct keystrokes that produced the avgInterval
+      const weight = (data && data.correct) || 0;
+      if (row && data && data.avgInterval > 0 && weight > 0) {
+        totals[row] += data.avgInterval * weight;
+        counts[row] += weight;
+      }
+    });
+    Object.keys(speeds).forEach((row) => {
+      speeds[row] = counts[row] > 0 ? Math.round(totals[row] / counts[row]) : 0;
+    });
+    return { speeds, counts };
+  };
+
+  // Burst WPM: best ever + weighted average (with backfill)
+  const burstWpms = behavioralHistory.map((h) => backfillBurstWpm(h));
+  const bestBurstWpm = burstWpms.length > 0 ? Math.max(...burstWpms, 0) : 0;
+  let burstSum = 0;
+  let burstWeight = 0;
+  behavioralHistory.forEach((h, i) => {
+    if (burstWpms[i] > 0) {
+      burstSum += burstWpms[i] * h.charCount;
+      burstWeight += h.charCount;
+    }
+  });
+  const avgBurstWpm = burstWeight > 0 ? Math.round(burstSum / burstWeight) : 0;
+
+  // Sustainability: weighted average across sessions (with backfill)
+  let sustainSum = 0;
+  let sustainWeight = 0;
+  behavioralHistory.forEach((h) => {
+    const score = backfillSustainability(h);
+    if (score > 0) {
+      sustainSum += score * h.charCount;
+      sustainWeight += h.charCount;
+    }
+  });
+  const avgSustainabilityScore =
+    sustainWeight > 0 ? Math.round(sustainSum / sustainWeight) : 100;
+
+  // Words per error: recompute from cumulative totals (most accurate)
+  const cumulativeWordsPerError =
+    totalErrors > 0
+      ? Math.round(((totalChars - totalErrors) / 5 / totalErrors) * 10) / 10
+      : null;
+
+  // Row speeds: weighted average by sample count per row (with backfill)
+  const rowAggregates = {
+    number: { sum: 0, count: 0 },
+    top: { sum: 0, count: 0 },
+    home: { sum: 0, count: 0 },
+    bottom: { sum: 0, count: 0 },
+  };
+  behavioralHistory.forEach((h) => {
+    const { speeds, counts } = backfillRowSpeeds(h);
+    Object.keys(rowAggregates).forEach((row) => {
+      const speed = speeds[row] || 0;
+      const count = counts[row] || 0;
+      if (speed > 0 && count > 0) {
+        rowAggregates[row].sum += speed * count;
+        rowAggregates[row].count += count;
+      }
+    });
+  });
+  const cumulativeRowSpeeds = {};
+  const cumulativeRowCounts = {};
+  Object.keys(rowAggregates).forEach((row) => {
+    cumulativeRowSpeeds[row] =
+      rowAggregates[row].count > 0
+        ? Math.round(rowAggregates[row].sum / rowAggregates[row].count)
+        : 0;
+    cumulativeRowCounts[row] = rowAggregates[row].count;
+  });
+
+  // Determine overall archetype from most common or weighted
+  let momentumLabel = "balanced";
+  if (avgMomentum < 0.5) momentumLabel = "perfectionist";
+  else if (avgMomentum < 1.5) momentumLabel = "quick corrector";
+  else if (avgMomentum < 3) momentumLabel = "steady";
+  else if (avgMomentum < 5) momentumLabel = "flow typer";
+  else momentumLabel = "bulldozer";
+
+  let fatigueLabel = "steady";
+  if (avgFatiguePercent < -10) fatigueLabel = "warming up";
+  else if (avgFatiguePercent < -5) fatigueLabel = "accelerating";
+  else if (avgFatiguePercent > 15) fatigueLabel = "fatigued";
+  else if (avgFatiguePercent > 8) fatigueLabel = "slowing";
+
+  let dominantHand = "balanced";
+  if (avgHandBalance > 15) dominantHand = "left faster";
+  else if (avgHandBalance < -15) dominantHand = "right faster";
+
+  let speedProfile = "steady";
+  const avgConsistency =
+    history.reduce((sum, h) => sum + (h.consistency || 0), 0) /
+    history.length;
+  if (avgConsistency > 80) speedProfile = "metronome";
+  else if (avgConsistency > 65) speedProfile = "consistent";
+  else if (avgConsistency > 50) speedProfile = "variable";
+  else speedProfile = "erratic";
+
+  let backspaceLabel = "efficient";
+  if (avgBackspaceEfficiency > 2) backspaceLabel = "over-corrector";
+  else if (avgBackspaceEfficiency > 1.5) backspaceLabel = "cautious";
+  else if (avgBackspaceEfficiency < 1 && totalErrors > 0)
+    backspaceLabel = "incomplete fixes";
+
+  // Generate overall archetype
+  let archetype = "The Typist";
+  let archetypeDesc = "";
+
+  if (avgRhythmScore > 70 && avgConsistency > 70) {
+    archetype = "The Metronome";
+    archetypeDesc = "Steady, rhythmic, predictable timing";
+  } else if (avgMomentum < 1 && accuracy > 95) {
+    archetype = "The Surgeon";
+    archetypeDesc = "Precise, careful, catches every error instantly";
+  } else if (avgMomentum > 4 && wpm > 60) {
+    archetype = "The Steamroller";
+    archetypeDesc = "Powers through mistakes, prioritizes speed";
+  } else if (maxBurstEver > 15 && avgFlowRatio > 60) {
+    archetype = "The Sprinter";
+    archetypeDesc = "Explosive bursts of speed, then regroups";
+  } else if (avgFatiguePercent < -10) {
+    archetype = "The Slow Starter";
+    archetypeDesc = "Warms up over time, finishes strong";
+  } else if (avgFatiguePercent > 15) {
+    archetype = "The Fader";
+    archetypeDesc = "Strong start, loses steam as they go";
+  } else if (avgFlowRatio > 70 && avgConsistency > 60) {
+    archetype = "The Flow State";
+    archetypeDesc = "Locked in, consistent rhythm, in the zone";
+  } else if (avgRecoveryPenalty > 90) {
+    archetype = "The Rattled";
+    archetypeDesc = "Errors throw off their groove";
+  } else if (avgRecoveryPenalty < 60 && totalErrors > 0) {
+    archetype = "The Unfazed";
+    archetypeDesc = "Errors don't break their stride";
+  } else if (wpm > 80) {
+    archetype = "The Speedster";
+    archetypeDesc = "Raw speed is the name of the game";
+  } else if (accuracy > 98) {
+    archetype = "The Perfectionist";
+    archetypeDesc = "Accuracy above all else";
+  }
+
+  // Use stored confidenceScore if available, otherwise recalculate
+  const avgConfidenceScore = Math.round(weightedAvg("confidenceScore"));
+  const confidenceScore = avgConfidenceScore > 0 ? avgConfidenceScore : Math.round(
+    avgFlowRatio * 0.3 +
+      avgRhythmScore * 0.2 +
+      accuracy * 0.3 +
+      (100 - Math.min(avgRecoveryPenalty, 100)) * 0.2
+  );
+
+  // Aggregate bigrams across all sessions
+  const bigramMap = {};
+  history.forEach((h) => {
+    if (h.bigrams) {
+      h.bigrams.forEach(({ bigram, avg, distance, accuracy, errors }) => {
+        const lowerBigram = bigram.toLowerCase();
+        if (!bigramMap[lowerBigram]) {
+          bigramMap[lowerBigram] = {
+            times: [],
+            distance,
+            correct: 0,
+            total: 0,
+          };
+        }
+        bigramMap[lowerBigram].times.push(avg);
+        // Accumulate accuracy data
+        if (accuracy !== undefined && errors !== undefined) {
+          // Reverse calculate: if we have count and errors, we can get correct
+          const count = 1; // Each bigram entry represents one occurrence
+          bigramMap[lowerBigram].total += count;
+          bigramMap[lowerBigram].correct += accuracy * count;
+        }
+      });
+    }
+  });
+
+  const aggregatedBigrams = Object.entries(bigramMap).map(
+    ([bigram, data]) => ({
+      bigram,
+      avg: data.times.reduce((a, b) => a + b, 0) / data.times.length,
+      count: data.times.length,
+      distance: data.distance,
+      accuracy: data.total > 0 ? data.correct / data.total : 1,
+      errors: data.total - data.correct,
+    })
+  );
+
+  const slowestBigrams = [...aggregatedBigrams]
+    .sort((a, b) => b.avg - a.avg)
+    .slice(0, 5);
+  const fastestBigrams = [...aggregatedBigrams]
+    .sort((a, b) => a.avg - b.avg)
+    .slice(0, 5);
+
+  // Accuracy-sorted bigrams for accuracy mode
+  const mostAccurateBigrams = [...aggregatedBigrams]
+    .filter((b) => b.count >= 2)
+    .sort((a, b) => b.accuracy - a.accuracy)
+    .slice(0, 5);
+  const leastAccurateBigrams = [...aggregatedBigrams]
+    .filter((b) => b.count >= 2 && b.errors > 0)
+    .sort((a, b) => a.accuracy - b.accuracy)
+    .slice(0, 5);
+
+  // Impressive bigrams: fast but far (distance > 3, time < median)
+  const medianTime =
+    allIntervals.length > 0
+      ? [...allIntervals].sort((a, b) => a - b)[
+          Math.floor(allIntervals.length / 2)
+        ]
+      : 100;
+
+  const impressiveBigrams = aggregatedBigrams
+    .filter((b) => b.distance && b.distance > 3 && b.avg < medianTime)
+    .sort((a, b) => b.distance / b.avg - a.distance / a.avg)
+    .slice(0, 5);
+
+  // Average errors per session
+  const avgErrors = totalErrors / history.length;
+
+  return {
+    version: ANALYTICS_VERSION,
+    sessions: history.length,
+    totalChars,
+    totalErrors,
+    totalTime: STAT_ROUND.time(totalTime / 1000),
+    wpm: STAT_ROUND.wpm(wpm),
+    accuracy: STAT_ROUND.accuracy(accuracy),
+    consistency: STAT_ROUND.consistency(avgConsistency),
+    avgErrors: Math.round(avgErrors * 10) / 10,
+    avgInterval: STAT_ROUND.avgInterval(avgInterval),
+    avgWordInterval: Math.round(avgWordInterval),
+    avgDistance: STAT_ROUND.distance(avgDistance),
+    slowestBigrams,
+    fastestBigrams,
+    mostAccurateBigrams,
+    leastAccurateBigrams,
+    impressiveBigrams,
+    counts,
+    keyStats,
+    fingerStats,
+    fingerTransitions,
+    keyTiming: mergeKeyTiming(history.map((h) => h.keyTiming)),
+    codeTiming: mergeCodeTiming(history.map((h) => h.codeTiming)),
+    tokenStats: mergeTokenStats(history.map((h) => h.tokenStats)),
+    ngramStats: mergeNgramStats(history.map((h) => h.ngramStats)),
+    fingerPatterns: mergeFingerPatterns(history.map((h) => h.fingerPatterns)),
+    composition: mergeComposition(history.map((h) => h.composition)),
+    history, // Include history for review
+    behavioral: {
+      momentum: Math.round(avgMomentum * 10) / 10,
+      momentumLabel,
+      flowRatio: STAT_ROUND.flowRatio(avgFlowRatio),
+      rhythmScore: STAT_ROUND.rhythmScore(avgRhythmScore),
+      fatiguePercent: avgFatiguePercent,
+      fatigueLabel,
+      maxBurst: maxBurstEver,
+      totalBursts,
+      totalHesitations,
+      recoveryPenalty: avgRecoveryPenalty,
+      capitalPenalty: avgCapitalPenalty,
+      punctuationPenalty: avgPunctuationPenalty,
+      handBalance: avgHandBalance,
+      dominantHand,
+      homeRowAdvantage: avgHomeRowAdvantage,
+      numberRowPenalty: avgNumberRowPenalty,
+      backspaceEfficiency: avgBackspaceEfficiency,
+      backspaceLabel,
+      speedProfile,
+      archetype,
+      archetypeDesc,
+      confidenceScore,
+      // New metrics
+      burstWpm: avgBurstWpm,
+      bestBurstWpm,
+      sustainabilityScore: avgSustainabilityScore,
+      wordsPerError: cumulativeWordsPerError,
+      rowSpeeds: cumulativeRowSpeeds,
+      rowCounts: cumulativeRowCounts,
+    },
+  };
+};
+
+// Word-level speeds for sentence flow: one entry per word of the text,
+// timed from the first to the last keystroke inside the word.
+export const calculateWordSpeeds = (text, keystrokes) => {
+  const words = text.split(/(\s+)/); // Split keeping spaces
+  const wordSpeeds = [];
+  let charIdx = 0;
+  let prevWordEndTime = 0; // Timestamps are relative to the first keystroke
+
+  for (const word of words) {
+    if (word.trim().length === 0) {
+      charIdx += word.length;
+      continue;
+    }
+
+    const wordStart = charIdx;
+    const wordEnd = charIdx + word.length - 1;
+    const wordKeystrokes = keystrokes.filter(
+      (k) => k.position >= wordStart && k.position <= wordEnd && !k.isBackspace
+    );
+
+    let wordWpm = 0;
+    let wordTime = 0;
+    const wordErrors = wordKeystrokes.filter((k) => !k.correct).length;
+
+    if (wordKeystrokes.length >= 2) {
+      // Multi-char word: time between first and last keystroke
+      const firstTs = wordKeystrokes[0].timestamp;
+      const lastTs = wordKeystrokes[wordKeystrokes.length - 1].timestamp;
+      wordTime = lastTs - firstTs;
+      if (wordTime > 0) {
+        wordWpm = word.length / 5 / (wordTime / 60000);
+      }
+    } else if (wordKeystrokes.length === 1) {
+      // Single-char word (like "a", "I"): use time from previous word end
+      wordTime = wordKeystrokes[0].timestamp - prevWordEndTime;
+      if (wordTime > 0 && wordTime < 5000) {
+        // Sanity check: less than 5 seconds
+        wordWpm = word.length / 5 / (wordTime / 60000);
+      }
+    }
+
+    // Update prevWordEndTime for next iteration (include space after word)
+    if (wordKeystrokes.length > 0) {
+      prevWordEndTime = wordKeystrokes[wordKeystrokes.length - 1].timestamp;
+    }
+
+    wordSpeeds.push({
+      word,
+      wpm: Math.round(wordWpm),
+      time: Math.round(wordTime),
+      errors: wordErrors,
+      startPos: wordStart,
+      endPos: wordEnd,
+    });
+
+    charIdx += word.length;
+  }
+
+  return wordSpeeds;
+};
+
+// Compare the final typed string to the text word by word. Used for the
+// adjusted WPM in non-strict mode, where uncorrected errors can remain.
+export const scoreWords = (text, typed) => {
+  const expectedWords = text.split(/\s+/).filter((w) => w.length > 0);
+  const typedWords = typed.split(/\s+/).filter((w) => w.length > 0);
+  let correctWords = 0;
+  for (let i = 0; i < expectedWords.length; i++) {
+    if (typedWords[i] === expectedWords[i]) {
+      correctWords++;
+    }
+  }
+  const wordAccuracyRatio =
+    expectedWords.length > 0 ? correctWords / expectedWords.length : 1;
+  return {
+    correctWords,
+    totalWords: expectedWords.length,
+    wordAccuracyRatio,
+  };
+};
+
+// Full analysis of one finished session: calculateStats plus the word-level
+// results that need the text and the final typed string.
+export const analyzeSession = ({
+  text,
+  typed,
+  keystrokes,
+  rawEvents = [],
+  totalTime,
+  layout = DEFAULT_LAYOUT,
+}) => {
+  const stats = calculateStats(keystrokes, totalTime, rawEvents, layout);
+  stats.wordSpeeds = calculateWordSpeeds(text, keystrokes);
+
+  const { correctWords, totalWords, wordAccuracyRatio } = scoreWords(
+    text,
+    typed
+  );
+  stats.adjustedWpm = Math.round(stats.wpm * wordAccuracyRatio);
+  stats.correctWords = correctWords;
+  stats.totalWords = totalWords;
+  stats.wordAccuracyRatio = wordAccuracyRatio;
+
+  return stats;
+};
+
+// Shape a session's stats into the entry persisted in typometry_history.
+// Only the fields calculateCumulativeStats needs are kept, tagged with the
+// algorithm version so migrate.js can tell when they need recomputing.
+export const createHistoryEntry = (
+  stats,
+  {
+    timestamp,
+    paragraphIndex,
+    paragraph,
+    totalTime,
+    recording = null,
+    mode = PARAGRAPH_MODE,
+    source = null,
+  }
+) => ({
+  version: stats.version,
+  layout: stats.layout,
+  // Test mode (see modes.js); stats of different modes are kept apart
+  mode,
+  // How the text was generated, when it isn't a stored paragraph:
+  // { type: 'words', list, seed } reproduces a word-count test exactly
+  source,
+  timestamp,
+  paragraphIndex,
+  paragraph,
+  charCount: stats.charCount,
+  errorCount: stats.errorCount,
+  totalTime,
+  wpm: stats.wpm,
+  accuracy: stats.accuracy,
+  consistency: stats.consistency,
+  intervals: stats.intervals,
+  wordIntervals: stats.wordIntervals,
+  wordSpeeds: stats.wordSpeeds,
+  distances: stats.distances,
+  bigrams: stats.bigrams,
+  counts: stats.counts,
+  keyStats: stats.keyStats,
+  fingerStats: stats.fingerStats,
+  fingerTransitions: stats.fingerTransitions,
+  keyTiming: compactKeyTiming(stats.keyTiming),
+  codeTiming: stats.codeTiming,
+  tokenStats: stats.tokenStats,
+  ngramStats: compactNgramStats(stats.ngramStats),
+  fingerPatterns: compactFingerPatterns(stats.fingerPatterns),
+  composition: stats.composition,
+  behavioral: {
+    momentum: stats.behavioral.momentum,
+    flowRatio: stats.behavioral.flowRatio,
+    maxBurst: stats.behavioral.maxBurst,
+    burstWpm: stats.behavioral.burstWpm,
+    burstCount: stats.behavioral.burstCount,
+    rhythmScore: stats.behavioral.rhythmScore,
+    fatiguePercent: stats.behavioral.fatiguePercent,
+    hesitationCount: stats.behavioral.hesitationCount,
+    recoveryPenalty: stats.behavioral.recoveryPenalty,
+    capitalPenalty: stats.behavioral.capitalPenalty,
+    punctuationPenalty: stats.behavioral.punctuationPenalty,
+    handBalance: stats.behavioral.handBalance,
+    homeRowAdvantage: stats.behavioral.homeRowAdvantage,
+    numberRowPenalty: stats.behavioral.numberRowPenalty,
+    backspaceEfficiency: stats.behavioral.backspaceEfficiency,
+    confidenceScore: stats.behavioral.confidenceScore,
+  },
+  // Raw keystroke timeline (see recording.js), kept for replay and recompute
+  recording,
+});
+
+// Per-key stats from the compact keystroke list racers broadcast
+// ({ key, correct, time }). Keys are lowercased so racers on different
+// shift states land on the same heatmap key.
+export const calculateRaceKeyStats = (keystrokeData) => {
+  if (!keystrokeData || keystrokeData.length === 0) return null;
+
+  const keyStats = {};
+  keystrokeData.forEach((k) => {
+    // Normalize key to lowercase, skip backspace and modifier keys
+    const rawKey = k.key;
+    if (!rawKey) return;
+    const key = rawKey.toLowerCase();
+    if (
+      key === "backspace" ||
+      key === "shift" ||
+      key === "control" ||
+      key === "alt" ||
+      key === "meta"
+    )
+      return;
+
+    if (!keyStats[key]) {
+      keyStats[key] = { times: [], count: 0, correct: 0, errors: 0 };
+    }
+
+    if (k.time && k.time > 0) {
+      keyStats[key].times.push(k.time);
+    }
+    keyStats[key].count++;
+
+    // Handle both boolean and string representations of correct
+    const isCorrect = k.correct === true || k.correct === "true";
+    if (isCorrect) {
+      keyStats[key].correct++;
+    } else {
+      keyStats[key].errors++;
+    }
+  });
+
+  // Compute avgInterval and accuracy for each key
+  Object.keys(keyStats).forEach((key) => {
+    const times = keyStats[key].times;
+    keyStats[key].avgInterval =
+      times.length > 0 ? times.reduce((a, b) => a + b, 0) / times.length : 0;
+    keyStats[key].accuracy =
+      keyStats[key].count > 0 ? keyStats[key].correct / keyStats[key].count : 1;
+  });
+
+  return keyStats;
+};
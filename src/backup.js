@@ -0,0 +1,250 @@
+// Data export and import
+//
+// A backup bundles everything Typometry keeps about past sessions:
+//
+//   {
+//     format: 'typometry-backup',
+//     version: 1,
+//     exportedAt: '2026-01-01T12:00:00.000Z',
+//     data: {
+//       history: [...],          // session history entries (storage.js)
+//       race_history: [...],     // race history entries, newest first
+//       cumulative_stats: {...}, // shared all-time summary, or null
+//       histograms: {...},       // local histograms keyed by test mode
+//       completed: [...],        // completed built-in paragraph indices
+//       win_streak: { current, best },
+//     },
+//   }
+//
+// Importing merges a backup into what's stored: entries are matched by
+// their timestamp, so importing the same backup twice adds nothing. The
+// cumulative stats are derived from history and rebuilt after an import.
+//
+// Sessions and keystrokes can also be exported as CSV tables for
+// spreadsheets; those are export-only.
+
+import { getEntryMode } from './modes.js'
+import { addSessionToHistograms, isHistogramLayoutCurrent } from './histograms.js'
+import { decodeRecording } from './recording.js'
+import { getEntryTags } from './tags.js'
+import { MAX_RACES } from './storage.js'
+
+export const BACKUP_FORMAT = 'typometry-backup'
+export const BACKUP_VERSION = 1
+
+export const createBackup = ({
+  history,
+  raceHistory,
+  cumulativeStats = null,
+  histograms,
+  completed,
+  winStreak,
+}) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  data: {
+    history,
+    race_history: raceHistory,
+    cumulative_stats: cumulativeStats,
+    histograms,
+    completed,
+    win_streak: winStreak,
+  },
+})
+
+// ============ VALIDATION ============
+
+const isObject = (value) =>
+  !!value && typeof value === 'object' && !Array.isArray(value)
+
+const hasTimestamp = (entry) =>
+  isObject(entry) && Number.isFinite(entry.timestamp)
+
+const isNumberList = (value) => Array.isArray(value) && value.every(Number.isFinite)
+
+// Numbers every session has, which cumulative and all-time stats add up
+// (see calculateCumulativeStats)
+const SESSION_NUMBERS = ['wpm', 'accuracy', 'consistency', 'charCount', 'errorCount', 'totalTime']
+
+const isSession = (entry) =>
+  hasTimestamp(entry) &&
+  SESSION_NUMBERS.every((key) => Number.isFinite(entry[key])) &&
+  isNumberList(entry.intervals) &&
+  // Left out by older versions, but lists when there
+  (entry.wordIntervals == null || isNumberList(entry.wordIntervals)) &&
+  (entry.distances == null || isNumberList(entry.distances))
+
+const isRace = (entry) => hasTimestamp(entry) && isObject(entry.myResult)
+
+// Read a backup file's text. Returns { backup, skipped } with the entries
+// that failed validation counted in `skipped`, or { error } when the file
+// isn't a backup this version can read.
+export const parseBackup = (text) => {
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch {
+    return { error: 'Not a JSON file.' }
+  }
+  if (!isObject(parsed) || parsed.format !== BACKUP_FORMAT || !isObject(parsed.data)) {
+    return { error: 'Not a Typometry backup.' }
+  }
+  if (!Number.isInteger(parsed.version) || parsed.version > BACKUP_VERSION) {
+    return { error: 'This backup was made by a newer version of Typometry.' }
+  }
+
+  const { data } = parsed
+  const history = Array.isArray(data.history) ? data.history : []
+  const races = Array.isArray(data.race_history) ? data.race_history : []
+  const validHistory = history.filter(isSession)
+  const validRaces = races.filter(isRace)
+  const streak = isObject(data.win_streak) ? data.win_streak : {}
+
+  return {
+    backup: {
+      history: validHistory,
+      raceHistory: validRaces,
+      histograms: isObject(data.histograms) ? data.histograms : {},
+      completed: Array.isArray(data.completed)
+        ? data.completed.filter(Number.isInteger)
+        : [],
+      winStreak: {
+        current: Number.isFinite(streak.current) ? streak.current : 0,
+        best: Number.isFinite(streak.best) ? streak.best : 0,
+      },
+      exportedAt: parsed.exportedAt ?? null,
+    },
+    skipped:
+      history.length - validHistory.length + races.length - validRaces.length,
+  }
+}
+
+// ============ MERGE ============
+
+// Entries of `incoming` whose timestamp isn't in `current`, deduplicated
+const newEntries = (current, incoming) => {
+  const seen = new Set(current.map((entry) => entry.timestamp))
+  return incoming.filter((entry) => {
+    if (seen.has(entry.timestamp)) return false
+    seen.add(entry.timestamp)
+    return true
+  })
+}
+
+// A mode with no local histograms takes the backup's (they may count
+// sessions whose history was cleared); otherwise only the sessions the
+// import added are counted in
+const mergeHistograms = (current, incoming, added) => {
+  const merged = { ...current }
+  const modes = new Set([...Object.keys(incoming), ...added.map(getEntryMode)])
+  modes.forEach((mode) => {
+    const local = current[mode] || {}
+    const imported = incoming[mode]
+    if (
+      Object.keys(local).length === 0 &&
+      isObject(imported) &&
+      Object.keys(imported).length > 0 &&
+      isHistogramLayoutCurrent(imported)
+    ) {
+      merged[mode] = imported
+      return
+    }
+    merged[mode] = added
+      .filter((entry) => getEntryMode(entry) === mode)
+      .reduce((histograms, entry) => addSessionToHistograms(histograms, entry), local)
+  })
+  return merged
+}
+
+// Merge a parsed backup into the current data. Returns the merged data and
+// how many sessions and races were new. Only the newest MAX_RACES races are
+// kept, as when races are played.
+export const mergeBackup = (current, backup) => {
+  const addedSessions = newEntries(current.history, backup.history)
+  const raceHistory = [...current.raceHistory, ...newEntries(current.raceHistory, backup.raceHistory)]
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, MAX_RACES)
+  const addedRaces = raceHistory.filter((race) => !current.raceHistory.includes(race))
+  return {
+    history: [...current.history, ...addedSessions].sort(
+      (a, b) => a.timestamp - b.timestamp
+    ),
+    raceHistory,
+    histograms: mergeHistograms(current.histograms, backup.histograms, addedSessions),
+    completed: [...new Set([...current.completed, ...backup.completed])],
+    // Streaks can't be joined up, but the best one carries over
+    winStreak: {
+      current: current.winStreak.current,
+      best: Math.max(current.winStreak.best, backup.winStreak.best),
+    },
+    added: { sessions: addedSessions.length, races: addedRaces.length },
+  }
+}
+
+// ============ CSV ============
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const toCsv = (columns, rows) =>
+  [columns, ...rows].map((row) => row.map(csvCell).join(',')).join('\n') + '\n'
+
+// One row per session
+export const sessionsToCsv = (history) =>
+  toCsv(
+    [
+      'timestamp', 'date', 'mode', 'source', 'language', 'layout', 'wpm',
+      'accuracy', 'consistency', 'chars', 'errors', 'time_ms',
+      'paragraph_index', 'tags', 'note', 'text',
+    ],
+    history.map((entry) => [
+      entry.timestamp,
+      new Date(entry.timestamp).toISOString(),
+      getEntryMode(entry),
+      entry.source?.type ?? 'paragraph',
+      entry.source?.language ?? null,
+      entry.layout ?? entry.recording?.layout ?? null,
+      entry.wpm,
+      entry.accuracy,
+      entry.consistency,
+      entry.charCount ?? entry.paragraph?.length ?? null,
+      entry.errorCount ?? null,
+      entry.totalTime != null ? Math.round(entry.totalTime) : null,
+      entry.paragraphIndex ?? null,
+      getEntryTags(entry).join(' '),
+      entry.note ?? null,
+      entry.paragraph ?? null,
+    ])
+  )
+
+// One row per keystroke, rebuilt from each session's recording. Sessions
+// saved without a recording have no keystroke rows.
+export const keystrokesToCsv = (history) =>
+  toCsv(
+    [
+      'session', 'index', 't_ms', 'key', 'expected', 'correct', 'interval_ms',
+      'position', 'code', 'modifiers', 'release_ms', 'compose_ms',
+    ],
+    history.flatMap((entry) => {
+      const decoded = entry.recording ? decodeRecording(entry.recording) : null
+      if (!decoded) return []
+      return decoded.keystrokes.map((k, i) => [
+        entry.timestamp,
+        i,
+        k.timestamp,
+        k.key,
+        k.expected,
+        k.isBackspace ? null : k.correct,
+        k.interval != null ? Math.round(k.interval * 10) / 10 : null,
+        k.position,
+        k.code,
+        k.modifiers,
+        k.releaseTime,
+        k.compose ?? null,
+      ])
+    })
+  )
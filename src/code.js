@@ -0,0 +1,43 @@
+// Code typing
+//
+// Code mode types real multi-line snippets: Enter types a newline and Tab
+// an indent. Snippets are indented with tabs, one per level, so each indent
+// level is a single keystroke. With auto-indent on, a correctly typed
+// newline also fills in the next line's leading indentation, the way an
+// editor would, and Backspace removes the two together.
+//
+// App and the replay both go through typeKey/backspace, so a recording
+// rebuilds exactly what was on screen.
+
+export const NEWLINE = '\n'
+export const INDENT = '\t'
+
+// Characters with no key of their own on the keyboard maps
+export const isLayoutWhitespace = (char) => char === NEWLINE || char === INDENT
+
+// Leading indentation of the line starting at `position`
+export const getIndentAt = (text, position) => {
+  let end = position
+  while (text[end] === INDENT || text[end] === ' ') end++
+  return text.slice(position, end)
+}
+
+// `typed` after typing `key` against `text`
+export const typeKey = (text, typed, key, autoIndent = false) => {
+  const next = typed + key
+  if (!autoIndent || key !== NEWLINE || text[typed.length] !== NEWLINE) return next
+  return next + getIndentAt(text, next.length)
+}
+
+// `typed` after one Backspace
+export const backspace = (typed, autoIndent = false) => {
+  if (autoIndent) {
+    const filled = /\n[\t ]+$/.exec(typed)
+    if (filled) return typed.slice(0, filled.index)
+  }
+  return typed.slice(0, -1)
+}
+
+// What the typing surface shows for a character: newlines get a visible
+// return mark before the line break
+export const displayChar = (char) => (char === NEWLINE ? '↵\n' : char)
@@ -0,0 +1,317 @@
+// A/B comparison
+//
+// Two sides - a single session or a filtered group of history each - diffed
+// metric by metric: headline stats, behavioral metrics, and every key,
+// finger and bigram. Each difference carries a significance level so a
+// 6ms gap on a key typed four times isn't read as a real change:
+//
+//   speeds      - Welch's t-test (unequal variances) on the samples
+//   accuracies  - two-proportion z-test on correct / total keystrokes
+//
+// Samples are sessions when both sides have several of them, keystrokes
+// otherwise - one session against another can only be told apart by its
+// keystrokes. Metrics that only exist per session (consistency, flow, ...)
+// can't be tested then and come back without a significance level.
+
+import { FINGER_ORDER, calculateCumulativeStats } from './analytics.js'
+import { isLayoutWhitespace } from './code.js'
+import { decodeRecording } from './recording.js'
+
+// p-value thresholds, most significant first
+export const SIGNIFICANCE_LEVELS = [
+  { level: 'strong', p: 0.01, label: 'significant (p < 0.01)' },
+  { level: 'likely', p: 0.05, label: 'probably real (p < 0.05)' },
+]
+export const NOISE = { level: 'noise', label: 'within noise' }
+
+// Samples each side needs before a key, finger or bigram is tested
+const MIN_SAMPLES = 5
+// Sessions each side needs before metrics are compared across sessions
+const MIN_SESSIONS = 2
+
+// Significance of a p-value, null when nothing could be tested
+export const significance = (p) => {
+  if (p == null || !Number.isFinite(p)) return null
+  return SIGNIFICANCE_LEVELS.find((s) => p < s.p) ?? NOISE
+}
+
+// ============ STATISTICS ============
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length
+
+const variance = (values, m = mean(values)) =>
+  values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1)
+
+// ln Γ(x), Lanczos approximation
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61503916999185, 12.507343278686905, -0.13857109526572012,
+  9.9843695780195716e-6, 1.5056327351493116e-7,
+]
+const logGamma = (x) => {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x)
+  x -= 1
+  let sum = 0.99999999999980993
+  LANCZOS.forEach((c, i) => {
+    sum += c / (x + i + 1)
+  })
+  const t = x + LANCZOS.length - 0.5
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum)
+}
+
+// Continued fraction of the incomplete beta function (Numerical Recipes)
+const betaFraction = (x, a, b) => {
+  const TINY = 1e-30
+  let c = 1
+  let d = 1 - ((a + b) * x) / (a + 1)
+  if (Math.abs(d) < TINY) d = TINY
+  d = 1 / d
+  let h = d
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2))
+    d = 1 + aa * d
+    if (Math.abs(d) < TINY) d = TINY
+    c = 1 + aa / c
+    if (Math.abs(c) < TINY) c = TINY
+    d = 1 / d
+    h *= d * c
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1))
+    d = 1 + aa * d
+    if (Math.abs(d) < TINY) d = TINY
+    c = 1 + aa / c
+    if (Math.abs(c) < TINY) c = TINY
+    d = 1 / d
+    const step = d * c
+    h *= step
+    if (Math.abs(step - 1) < 1e-10) break
+  }
+  return h
+}
+
+// Regularized incomplete beta function I_x(a, b)
+const incompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0
+  if (x >= 1) return 1
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  )
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaFraction(x, a, b)) / a
+    : 1 - (front * betaFraction(1 - x, b, a)) / b
+}
+
+// Two-tailed p-value of Student's t with `df` degrees of freedom
+const tTestP = (t, df) => incompleteBeta(df / (df + t * t), df / 2, 0.5)
+
+// Two-tailed p-value of a standard normal z (Abramowitz & Stegun 7.1.26)
+const zTestP = (z) => {
+  const x = Math.abs(z) / Math.SQRT2
+  const t = 1 / (1 + 0.3275911 * x)
+  const erf =
+    1 -
+    t *
+      (0.254829592 +
+        t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+      Math.exp(-x * x)
+  return 1 - erf
+}
+
+// Welch's t-test between two samples, p-value or null with too few values
+export const welchTest = (a, b, minSamples = MIN_SESSIONS) => {
+  if (!a || !b || a.length < Math.max(2, minSamples) || b.length < Math.max(2, minSamples)) {
+    return null
+  }
+  const meanA = mean(a)
+  const meanB = mean(b)
+  const seA = variance(a, meanA) / a.length
+  const seB = variance(b, meanB) / b.length
+  const se = seA + seB
+  if (se === 0) return meanA === meanB ? 1 : 0
+  const t = (meanA - meanB) / Math.sqrt(se)
+  const df = (se * se) / ((seA * seA) / (a.length - 1) + (seB * seB) / (b.length - 1))
+  return tTestP(t, df)
+}
+
+// Two-proportion z-test, p-value or null with too few trials
+export const proportionTest = (successA, totalA, successB, totalB, minSamples = MIN_SAMPLES) => {
+  if (totalA < minSamples || totalB < minSamples) return null
+  const pooled = (successA + successB) / (totalA + totalB)
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB))
+  if (se === 0) return 1
+  return zTestP((successA / totalA - successB / totalB) / se)
+}
+
+// ============ SIDES ============
+
+// Bigram timing samples of a session, by lowercase bigram. Rebuilt from the
+// recording with calculateStats' rules (consecutive correct keystrokes, no
+// code whitespace, no repeated character); sessions recorded before
+// recordings existed contribute their stored per-bigram average instead.
+const sessionBigramSamples = (entry, samples) => {
+  const decoded = entry.recording ? decodeRecording(entry.recording) : null
+  if (!decoded) {
+    const stored = entry.bigrams || []
+    stored.forEach(({ bigram, avg }) => {
+      if (!(avg > 0)) return
+      const key = bigram.toLowerCase()
+      if (!samples[key]) samples[key] = []
+      samples[key].push(avg)
+    })
+    return
+  }
+  const data = decoded.keystrokes
+  for (let i = 1; i < data.length; i++) {
+    const prev = data[i - 1]
+    const curr = data[i]
+    if (!prev.correct || !curr.correct) continue
+    if (isLayoutWhitespace(prev.expected) || isLayoutWhitespace(curr.expected)) continue
+    if (!curr.interval || !curr.expected || !prev.expected) continue
+    if (curr.expected.toLowerCase() === prev.expected.toLowerCase()) continue
+    const key = (prev.expected + curr.expected).toLowerCase()
+    if (!samples[key]) samples[key] = []
+    samples[key].push(curr.interval)
+  }
+}
+
+// Everything one side of a comparison needs: its cumulative stats plus the
+// samples the tests run on. Null for an empty side.
+export const summarizeSide = (sessions) => {
+  const stats = calculateCumulativeStats(sessions)
+  if (!stats) return null
+  const bigrams = {}
+  sessions.forEach((entry) => sessionBigramSamples(entry, bigrams))
+  return { sessions, stats, bigrams }
+}
+
+// ============ COMPARISON ============
+
+// Headline and behavioral metrics. `get` reads a stats object (a session or
+// cumulative stats); `test` is how single sessions are told apart by their
+// keystrokes, if they can be.
+export const COMPARE_METRICS = [
+  { key: 'wpm', label: 'wpm', get: (s) => s.wpm, digits: 0, higher: true, test: 'speed' },
+  { key: 'accuracy', label: 'accuracy', get: (s) => s.accuracy, digits: 1, unit: '%', higher: true, test: 'accuracy' },
+  { key: 'consistency', label: 'consistency', get: (s) => s.consistency, digits: 0, unit: '%', higher: true },
+  { key: 'avgInterval', label: 'avg keystroke', get: (s) => s.avgInterval, digits: 0, unit: 'ms', higher: false, test: 'speed' },
+  { key: 'flowRatio', label: 'flow', get: (s) => s.behavioral?.flowRatio, digits: 0, unit: '%', higher: true, behavioral: true },
+  { key: 'rhythmScore', label: 'rhythm', get: (s) => s.behavioral?.rhythmScore, digits: 0, higher: true, behavioral: true },
+  { key: 'momentum', label: 'momentum', get: (s) => s.behavioral?.momentum, digits: 1, higher: true, behavioral: true },
+  { key: 'burstWpm', label: 'burst wpm', get: (s) => s.behavioral?.burstWpm, digits: 0, higher: true, behavioral: true },
+  { key: 'fatiguePercent', label: 'fatigue', get: (s) => s.behavioral?.fatiguePercent, digits: 0, unit: '%', higher: false, behavioral: true },
+  { key: 'recoveryPenalty', label: 'error recovery', get: (s) => s.behavioral?.recoveryPenalty, digits: 0, unit: '%', higher: false, behavioral: true },
+  { key: 'capitalPenalty', label: 'capital penalty', get: (s) => s.behavioral?.capitalPenalty, digits: 0, unit: '%', higher: false, behavioral: true },
+  { key: 'punctuationPenalty', label: 'punctuation penalty', get: (s) => s.behavioral?.punctuationPenalty, digits: 0, unit: '%', higher: false, behavioral: true },
+  { key: 'confidenceScore', label: 'confidence', get: (s) => s.behavioral?.confidenceScore, digits: 0, higher: true, behavioral: true },
+]
+
+const finite = (value) => (Number.isFinite(value) ? value : null)
+
+// Correct and total keystrokes of a side, for the accuracy test
+const keystrokeCounts = (stats) => ({
+  correct: stats.totalChars - stats.totalErrors,
+  total: stats.totalChars,
+})
+
+const intervalsOf = (side) => side.sessions.flatMap((entry) => entry.intervals || [])
+
+const compareMetric = (metric, a, b, bySession) => {
+  const valueA = finite(metric.get(a.stats))
+  const valueB = finite(metric.get(b.stats))
+  if (valueA === null || valueB === null) return null
+
+  // Across sessions where both sides have several; metrics sessions don't
+  // store on their own (avg keystroke) fall back to the keystroke tests
+  const sessionSamples = (side) =>
+    side.sessions.map((entry) => finite(metric.get(entry))).filter((v) => v !== null)
+  let p = bySession ? welchTest(sessionSamples(a), sessionSamples(b)) : null
+  if (p === null && metric.test === 'speed') {
+    p = welchTest(intervalsOf(a), intervalsOf(b), MIN_SAMPLES)
+  } else if (p === null && metric.test === 'accuracy') {
+    const countsA = keystrokeCounts(a.stats)
+    const countsB = keystrokeCounts(b.stats)
+    p = proportionTest(countsA.correct, countsA.total, countsB.correct, countsB.total)
+  }
+
+  const delta = valueB - valueA
+  return {
+    ...metric,
+    a: valueA,
+    b: valueB,
+    delta,
+    // Whether B is better than A, null when they're equal
+    better: delta === 0 ? null : (delta > 0) === metric.higher,
+    p,
+    significance: significance(p),
+  }
+}
+
+// Speed and accuracy deltas of one key or finger. Stats carry `times` plus
+// correct keystrokes out of `count` (keys) or `total` (fingers).
+const compareTimed = (id, statsA, statsB) => {
+  const totalA = statsA?.count ?? statsA?.total ?? 0
+  const totalB = statsB?.count ?? statsB?.total ?? 0
+  const speedA = statsA?.avgInterval > 0 ? statsA.avgInterval : null
+  const speedB = statsB?.avgInterval > 0 ? statsB.avgInterval : null
+  const speedP = welchTest(statsA?.times, statsB?.times, MIN_SAMPLES)
+  // As a fraction: keys store one, fingers a percentage
+  const accuracyA = totalA > 0 ? statsA.correct / totalA : null
+  const accuracyB = totalB > 0 ? statsB.correct / totalB : null
+  const accuracyP = proportionTest(statsA?.correct ?? 0, totalA, statsB?.correct ?? 0, totalB)
+  return {
+    id,
+    a: speedA,
+    b: speedB,
+    delta: speedA !== null && speedB !== null ? speedB - speedA : null,
+    significance: significance(speedP),
+    accuracyA,
+    accuracyB,
+    accuracyDelta: accuracyA !== null && accuracyB !== null ? accuracyB - accuracyA : null,
+    accuracySignificance: significance(accuracyP),
+    countA: totalA,
+    countB: totalB,
+  }
+}
+
+// Full diff of two sides (see summarizeSide), B relative to A: positive
+// deltas mean B's value is higher. Returns { bySession, metrics, keys,
+// fingers, bigrams }; keys and bigrams are sorted by the size of their speed
+// difference, biggest first.
+export const compareSides = (a, b) => {
+  const bySession = a.sessions.length >= MIN_SESSIONS && b.sessions.length >= MIN_SESSIONS
+
+  const metrics = COMPARE_METRICS.map((metric) => compareMetric(metric, a, b, bySession)).filter(Boolean)
+
+  const bySpeedDelta = (x, y) => Math.abs(y.delta ?? 0) - Math.abs(x.delta ?? 0)
+
+  const keyIds = new Set([...Object.keys(a.stats.keyStats), ...Object.keys(b.stats.keyStats)])
+  const keys = [...keyIds]
+    .map((key) => compareTimed(key, a.stats.keyStats[key], b.stats.keyStats[key]))
+    .sort(bySpeedDelta)
+
+  const fingers = FINGER_ORDER.filter(
+    (finger) => a.stats.fingerStats?.[finger] || b.stats.fingerStats?.[finger]
+  ).map((finger) => compareTimed(finger, a.stats.fingerStats?.[finger], b.stats.fingerStats?.[finger]))
+
+  // Bigrams both sides typed
+  const bigrams = Object.keys(a.bigrams)
+    .filter((bigram) => b.bigrams[bigram])
+    .map((bigram) => {
+      const timesA = a.bigrams[bigram]
+      const timesB = b.bigrams[bigram]
+      const avgA = mean(timesA)
+      const avgB = mean(timesB)
+      return {
+        id: bigram,
+        a: avgA,
+        b: avgB,
+        delta: avgB - avgA,
+        countA: timesA.length,
+        countB: timesB.length,
+        significance: significance(welchTest(timesA, timesB, MIN_SAMPLES)),
+      }
+    })
+    .sort(bySpeedDelta)
+
+  return { bySession, metrics, keys, fingers, bigrams }
+}
@@ -0,0 +1,315 @@
+// Touch-typing curriculum
+//
+// Lessons that bring in the keyboard a row at a time - the home row, then
+// the top row, the bottom row, numbers and symbols - each one typed with
+// only the keys learned so far. Keys come from the active layout, by row
+// and column (see layouts.js), so a Dvorak typist starts on aoeu htns and
+// a Colemak typist on arst neio. Words come from the layout's language
+// where it has one (AZERTY French, QWERTZ German; see languages.js), and
+// from the English word list otherwise.
+//
+// A lesson is mastered after MASTERY_PASSES sessions that meet both its
+// speed and accuracy gates, and mastering one unlocks the next. Progress is
+// kept per layout:
+//
+//   { layouts: { [layoutId]: { current, lessons: { [lessonId]: { attempts,
+//     passes, bestWpm, bestAccuracy, passed } } } } }
+
+import { DEFAULT_LANGUAGE, getPrompts } from './languages.js'
+import { getKeyColumn, resolveLayout } from './layouts.js'
+import { getListWords, seededRandom } from './wordlists.js'
+
+// Qualifying sessions needed to master a lesson
+export const MASTERY_PASSES = 2
+
+// Words (and number or symbol groups) in a lesson text
+export const LESSON_TOKENS = 24
+
+// Tokens a lesson text may throw away (empty, or the same as the one
+// before) for each one it asks for, before it settles for a shorter text
+const MAX_REJECTS_PER_TOKEN = 10
+
+// Real words a lesson needs before it stops padding its text with drills
+// of the new keys (a home-keys lesson has only a handful of words)
+const MIN_WORD_POOL = 20
+// Most words a lesson samples from, commonest first
+const POOL_SIZE = 200
+
+// Share of tokens that carry a number or symbol for each one a lesson
+// brings in, and the most there can be
+const SYMBOL_SHARE = 0.1
+const MAX_SYMBOL_SHARE = 0.35
+
+// Rows as indexed in the layout: number, top, home, bottom
+const NUMBER_ROW = 0
+const TOP_ROW = 1
+const HOME_ROW = 2
+const BOTTOM_ROW = 3
+
+const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i)
+
+// Base keys of a row at the given columns (see getKeyColumn)
+const rowKeys = (row, columns) => (kb) =>
+  kb.rows[row].filter((key) => columns.includes(getKeyColumn(kb, key)))
+
+// Digits of the number row, on the shifted layer where the layout puts
+// them there (AZERTY)
+const digitKeys = (kb) =>
+  rowKeys(NUMBER_ROW, range(1, 11))(kb).map((key) =>
+    /\d/.test(kb.shiftMap[key]) ? kb.shiftMap[key] : key
+  )
+
+// Every key not covered by an earlier lesson, shifted characters included
+const remainingKeys = (kb) =>
+  kb.rows.slice(0, 4).flat().flatMap((key) => [key, kb.shiftMap[key]]).filter(Boolean)
+
+// Lessons in order, with the gate a session has to meet: `keys` gives the
+// keys a lesson adds on a resolved layout
+export const LESSONS = [
+  {
+    id: 'home-keys',
+    name: 'home keys',
+    description: 'the eight keys your fingers rest on',
+    wpm: 12,
+    accuracy: 95,
+    keys: rowKeys(HOME_ROW, [0, 1, 2, 3, 6, 7, 8, 9]),
+  },
+  {
+    id: 'home-row',
+    name: 'home row',
+    description: 'reaching in with the index fingers, and out with the right pinky',
+    wpm: 15,
+    accuracy: 95,
+    keys: rowKeys(HOME_ROW, range(0, 12)),
+  },
+  {
+    id: 'top-row',
+    name: 'top row',
+    description: 'reaching up from the home row',
+    wpm: 18,
+    accuracy: 94,
+    keys: rowKeys(TOP_ROW, range(0, 10)),
+  },
+  {
+    id: 'bottom-row',
+    name: 'bottom row',
+    description: 'reaching down from the home row',
+    wpm: 20,
+    accuracy: 94,
+    keys: rowKeys(BOTTOM_ROW, range(0, 10)),
+  },
+  {
+    id: 'numbers',
+    name: 'numbers',
+    description: 'the number row, without looking',
+    wpm: 18,
+    accuracy: 92,
+    keys: digitKeys,
+  },
+  {
+    id: 'symbols',
+    name: 'symbols',
+    description: 'capitals, punctuation and the rest of the shifted layer',
+    wpm: 18,
+    accuracy: 92,
+    keys: remainingKeys,
+  },
+]
+
+export const getLesson = (id) => LESSONS.find((lesson) => lesson.id === id) ?? LESSONS[0]
+
+// Keys of every lesson on `layout`: [{ lesson, keys (new in the lesson),
+// allowed (everything typed in it) }], in lesson order
+export const getLessonKeys = (layout) => {
+  const kb = resolveLayout(layout)
+  const seen = new Set([' '])
+  return LESSONS.map((lesson) => {
+    const keys = [...new Set(lesson.keys(kb))].filter((key) => !seen.has(key))
+    keys.forEach((key) => seen.add(key))
+    return { lesson, keys, allowed: [...seen] }
+  })
+}
+
+// ============ TEXT ============
+
+const isLetter = (char) => /^\p{Ll}$/u.test(char)
+
+// Closing character typed after an opening one, where the pair is a thing
+const PAIRS = { '(': ')', '[': ']', '{': '}', '<': '>', '"': '"' }
+
+// Language of the words in lessons on `layout`: its own where there are
+// prompts in it, English otherwise
+export const getLessonLanguage = (layout) => {
+  const language = resolveLayout(layout).language
+  return language && getPrompts(language).length > 0 ? language : DEFAULT_LANGUAGE
+}
+
+// Words of a prompt language, commonest first. Only words written all in
+// lowercase count, so German nouns and sentence starts stay out of lessons
+// typed before capitals.
+const rankedWords = {}
+const getLanguageWords = (language) => {
+  if (language === DEFAULT_LANGUAGE) return getListWords('top-10k')
+  if (!rankedWords[language]) {
+    const counts = new Map()
+    getPrompts(language).forEach((text) => {
+      text.split(/[^\p{L}']+/u).forEach((word) => {
+        if (/^\p{Ll}+$/u.test(word)) counts.set(word, (counts.get(word) ?? 0) + 1)
+      })
+    })
+    rankedWords[language] = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a))
+  }
+  return rankedWords[language]
+}
+
+const pick = (list, random) => list[Math.floor(random() * list.length)]
+
+// A made-up group of the new keys interleaved with learned ones ("fjdj"),
+// for lessons with too few real words
+const keyGroup = (newKeys, allowed, random) => {
+  const length = 3 + Math.floor(random() * 3)
+  return range(0, length)
+    .map((i) => pick(i % 2 === 0 ? newKeys : allowed, random))
+    .join('')
+}
+
+// A real word with `key` worked into it: capitals start the word, digits
+// make a number of their own, pairs wrap it and other symbols follow it
+const withSymbol = (word, key, digits, random) => {
+  if (/\p{Lu}/u.test(key)) {
+    const lower = key.toLowerCase()
+    return word.startsWith(lower) ? key + word.slice(1) : key + word
+  }
+  if (/\d/.test(key)) {
+    const length = 1 + Math.floor(random() * 4)
+    return key + range(1, length).map(() => pick(digits, random)).join('')
+  }
+  if (PAIRS[key]) return key + word + PAIRS[key]
+  return word + key
+}
+
+// Text for the lesson `lessonId` on `layout`, made only of the keys learned
+// up to and including it, and favouring the ones it brings in. Real words
+// are the commonest ones in the layout's language (see getLessonLanguage);
+// symbols and numbers are worked in around them. The same lesson, layout
+// and seed always give the same text.
+export const buildLessonText = (lessonId, layout, seed, count = LESSON_TOKENS) => {
+  const lessonKeys = getLessonKeys(layout)
+  const index = Math.max(0, LESSONS.findIndex((lesson) => lesson.id === lessonId))
+  const { keys, allowed } = lessonKeys[index]
+  const allowedSet = new Set(allowed)
+  // A custom layout can leave a lesson without letters to drill; it falls
+  // back to the layout's letters, or failing those any of its keys
+  const layoutKeys = resolveLayout(layout).rows.slice(0, 4).flat()
+  const learnedLetters = allowed.filter(isLetter)
+  const letters = learnedLetters.length > 0
+    ? learnedLetters
+    : layoutKeys.some(isLetter) ? layoutKeys.filter(isLetter) : layoutKeys
+  const newLetters = keys.filter(isLetter)
+  const symbols = keys.filter((key) => key !== ' ' && !isLetter(key))
+  const digits = allowed.filter((key) => /\d/.test(key))
+  const random = seededRandom(seed)
+
+  // Typeable words, the ones with new letters counting three times over
+  const pool = getLanguageWords(getLessonLanguage(layout))
+    .filter((word) => [...word].every((char) => allowedSet.has(char)))
+    .slice(0, POOL_SIZE)
+    .map((word) => ({
+      word,
+      weight: newLetters.some((char) => word.includes(char)) ? 3 : 1,
+    }))
+  const totalWeight = pool.reduce((sum, { weight }) => sum + weight, 0)
+  const sampleWord = () => {
+    let r = random() * totalWeight
+    return (pool.find(({ weight }) => (r -= weight) < 0) ?? pool[pool.length - 1]).word
+  }
+
+  // Short on words, part of the text drills the new keys instead
+  const wordShare = pool.length >= MIN_WORD_POOL ? 1 : (0.8 * pool.length) / MIN_WORD_POOL
+  const groupKeys = newLetters.length > 0 ? newLetters : letters
+  const symbolShare = Math.min(MAX_SYMBOL_SHARE, SYMBOL_SHARE * symbols.length)
+
+  const tokens = []
+  let rejects = 0
+  while (tokens.length < count && rejects < count * MAX_REJECTS_PER_TOKEN) {
+    const word = pool.length > 0 && random() < wordShare
+      ? sampleWord()
+      : keyGroup(groupKeys, letters, random)
+    const token = symbols.length > 0 && random() < symbolShare
+      ? withSymbol(word, pick(symbols, random), digits, random)
+      : word
+    if (!token || token === tokens[tokens.length - 1]) {
+      rejects++
+      continue
+    }
+    tokens.push(token)
+  }
+  return tokens.join(' ')
+}
+
+// ============ PROGRESS ============
+
+export const EMPTY_CURRICULUM = { layouts: {} }
+
+const EMPTY_LESSON_PROGRESS = { attempts: 0, passes: 0, bestWpm: 0, bestAccuracy: 0, passed: false }
+
+// Progress on `layout`: { current, lessons }
+export const getLayoutProgress = (curriculum, layout) => {
+  const id = resolveLayout(layout).id
+  const progress = curriculum?.layouts?.[id]
+  return { current: progress?.current ?? LESSONS[0].id, lessons: progress?.lessons ?? {} }
+}
+
+export const getLessonProgress = (curriculum, layout, lessonId) =>
+  getLayoutProgress(curriculum, layout).lessons[lessonId] ?? EMPTY_LESSON_PROGRESS
+
+// The first lesson is always open; the others once the one before is mastered
+export const isLessonUnlocked = (curriculum, layout, lessonId) => {
+  const index = LESSONS.findIndex((lesson) => lesson.id === lessonId)
+  if (index <= 0) return index === 0
+  return getLessonProgress(curriculum, layout, LESSONS[index - 1].id).passed
+}
+
+const updateLayout = (curriculum, layout, update) => {
+  const id = resolveLayout(layout).id
+  const progress = getLayoutProgress(curriculum, layout)
+  return {
+    ...curriculum,
+    layouts: { ...curriculum?.layouts, [id]: { ...progress, ...update(progress) } },
+  }
+}
+
+// Curriculum with `lessonId` as the lesson to practise on `layout`; locked
+// lessons can't be picked
+export const selectLesson = (curriculum, layout, lessonId) =>
+  isLessonUnlocked(curriculum, layout, lessonId)
+    ? updateLayout(curriculum, layout, () => ({ current: lessonId }))
+    : curriculum
+
+// Whether a session's `wpm` and `accuracy` (percent) meet a lesson's gate
+export const meetsGate = (lesson, wpm, accuracy) =>
+  wpm >= lesson.wpm && accuracy >= lesson.accuracy
+
+// Curriculum after a session of `lessonId` typed at `wpm` with `accuracy`
+// (percent). Mastering a lesson moves on to the next one.
+export const recordLessonResult = (curriculum, layout, lessonId, { wpm, accuracy }) =>
+  updateLayout(curriculum, layout, (progress) => {
+    const lesson = getLesson(lessonId)
+    const before = progress.lessons[lesson.id] ?? EMPTY_LESSON_PROGRESS
+    const passes = before.passes + (meetsGate(lesson, wpm, accuracy) ? 1 : 0)
+    const passed = before.passed || passes >= MASTERY_PASSES
+    const next = LESSONS[LESSONS.indexOf(lesson) + 1]
+    return {
+      current: passed && !before.passed && next ? next.id : progress.current,
+      lessons: {
+        ...progress.lessons,
+        [lesson.id]: {
+          attempts: before.attempts + 1,
+          passes,
+          bestWpm: Math.max(before.bestWpm, wpm),
+          bestAccuracy: Math.max(before.bestAccuracy, accuracy),
+          passed,
+        },
+      },
+    }
+  })
@@ -0,0 +1,236 @@
+// Weak-spot drills
+//
+// Practice text made of real words, picked to be rich in what the typist is
+// worst at right now. Weaknesses are measured over the most recent sessions
+// of any mode, against the typist's own averages:
+//
+//   bigrams      - slower than the average bigram, or often mistyped
+//   keys         - slow or error-prone letters
+//   transitions  - slow moves from one finger to another
+//
+// A drill is built from history as it stands when the drill starts, so the
+// targets re-weight after every session: a bigram that got faster drops
+// down the list and the next weakest one takes its place.
+
+import { calculateCumulativeStats } from './analytics.js'
+import { resolveLayout } from './layouts.js'
+import { buildWordTest, getListWords, seededRandom } from './wordlists.js'
+
+export const DRILL_WORDS = 30
+
+// Sessions weaknesses are measured over
+export const RECENT_SESSIONS = 20
+
+// Samples a bigram, key or transition needs before it can be a target
+const MIN_BIGRAM_COUNT = 3
+const MIN_KEY_COUNT = 5
+const MIN_TRANSITION_COUNT = 5
+
+// Targets kept of each kind, weakest first
+const MAX_BIGRAMS = 12
+const MAX_KEYS = 6
+const MAX_TRANSITIONS = 6
+
+// How much errors weigh against slowness: a bigram mistyped 10% of the
+// time is as weak as one typed 20% slower than average
+const ERROR_WEIGHT = 2
+
+// Weaknesses below this are treated as noise
+const MIN_WEIGHT = 0.05
+
+// Words are drawn from this list; rarer words are penalized (see wordScore)
+const DRILL_WORD_LIST = 'top-10k'
+// The best scoring words a drill samples from
+const POOL_SIZE = 150
+// Times one word may appear in a drill
+const MAX_REPEATS = 2
+
+const LETTER = /^[a-z]$/
+
+// Weakness of something typed `avg` ms on average against a `baseline`,
+// mistyped a (1 - accuracy) share of the time
+const weakness = (avg, baseline, accuracy = 1) =>
+  Math.max(0, avg / baseline - 1) + ERROR_WEIGHT * (1 - accuracy)
+
+const weightedMean = (items, value, weight) => {
+  const total = items.reduce((sum, item) => sum + weight(item), 0)
+  return total > 0 ? items.reduce((sum, item) => sum + value(item) * weight(item), 0) / total : 0
+}
+
+const strongest = (items, max) =>
+  items
+    .filter((item) => item.weight >= MIN_WEIGHT)
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, max)
+
+// Bigrams of the recent sessions, merged case-insensitively: average
+// interval over correct timings, accuracy over every attempt
+const mergeBigrams = (sessions) => {
+  const merged = {}
+  sessions.forEach((entry) => {
+    (entry.bigrams || []).forEach(({ bigram, avg, count = 1, accuracy = 1, errors = 0 }) => {
+      const id = bigram.toLowerCase()
+      if (!merged[id]) merged[id] = { id, total: 0, count: 0, attempts: 0, correct: 0 }
+      const m = merged[id]
+      m.total += avg * count
+      m.count += count
+      m.attempts += count + errors
+      m.correct += accuracy * (count + errors)
+    })
+  })
+  return Object.values(merged).map((m) => ({
+    id: m.id,
+    avg: m.total / m.count,
+    count: m.count,
+    accuracy: m.attempts > 0 ? m.correct / m.attempts : 1,
+  }))
+}
+
+// What the typist is weakest at over the recent sessions of `history`
+// (oldest first). Returns { sessions, bigrams, keys, transitions }, each
+// target list weakest first with `weight` its weakness; the lists are empty
+// until there is enough history.
+export const findWeaknesses = (history) => {
+  const sessions = history.slice(-RECENT_SESSIONS)
+  const empty = { sessions: sessions.length, bigrams: [], keys: [], transitions: [] }
+  const stats = calculateCumulativeStats(sessions)
+  if (!stats) return empty
+
+  // Only letters and space can be drilled with words
+  const bigramStats = mergeBigrams(sessions).filter(
+    (b) => b.count >= MIN_BIGRAM_COUNT && [...b.id].every((c) => c === ' ' || LETTER.test(c))
+  )
+  const bigramBaseline = weightedMean(bigramStats, (b) => b.avg, (b) => b.count)
+  const bigrams = bigramBaseline > 0
+    ? strongest(
+        bigramStats.map((b) => ({ ...b, weight: weakness(b.avg, bigramBaseline, b.accuracy) })),
+        MAX_BIGRAMS
+      )
+    : []
+
+  const keys = stats.avgInterval > 0
+    ? strongest(
+        Object.entries(stats.keyStats)
+          .filter(([key, s]) => LETTER.test(key) && s.count >= MIN_KEY_COUNT && s.avgInterval > 0)
+          .map(([key, s]) => ({
+            id: key,
+            avg: s.avgInterval,
+            accuracy: s.accuracy,
+            count: s.count,
+            weight: weakness(s.avgInterval, stats.avgInterval, s.accuracy),
+          })),
+        MAX_KEYS
+      )
+    : []
+
+  const transitionStats = Object.entries(stats.fingerTransitions || {})
+    .filter(([, t]) => t.count >= MIN_TRANSITION_COUNT)
+    .map(([id, t]) => ({ id, from: t.from, to: t.to, avg: t.avg, count: t.count }))
+  const transitionBaseline = weightedMean(transitionStats, (t) => t.avg, (t) => t.count)
+  const transitions = transitionBaseline > 0
+    ? strongest(
+        transitionStats.map((t) => ({ ...t, weight: weakness(t.avg, transitionBaseline) })),
+        MAX_TRANSITIONS
+      )
+    : []
+
+  return { sessions: sessions.length, bigrams, keys, transitions }
+}
+
+// How much practice a word gives: the weights of the weak bigrams (word
+// boundaries included), keys and finger transitions it contains, scaled
+// down for rare words so drills stay readable
+const wordScore = (word, rank, targets, fingers) => {
+  const padded = ` ${word} `
+  let score = 0
+  for (let i = 1; i < padded.length; i++) {
+    const prev = padded[i - 1]
+    const curr = padded[i]
+    if (prev === curr) continue
+    score += targets.bigrams[prev + curr] || 0
+    if (curr !== ' ') score += targets.keys[curr] || 0
+    const from = fingers[prev]
+    const to = fingers[curr]
+    if (from && to && from !== to) score += targets.transitions[`${from}->${to}`] || 0
+  }
+  return score / (1 + rank / 2000)
+}
+
+// Review words and bigrams a drill has none of
+export const NO_REVIEW = { words: [], bigrams: [] }
+
+// Weight of a bigram due for review (see review.js) among the weaknesses
+const REVIEW_WEIGHT = 1
+
+// A drill of `count` words aimed at `weaknesses` (see findWeaknesses) on
+// `layout`, bringing back the words and bigrams of `review` that are due
+// (see review.js): due words are mixed in as they are, due bigrams become
+// targets. The same inputs and seed always give the same text. With
+// nothing to aim at it's a plain test of common words.
+export const buildDrill = (weaknesses, layout, seed, review = NO_REVIEW, count = DRILL_WORDS) => {
+  const reviewWords = review.words.slice(0, Math.floor(count / 2))
+  const weightsOf = (list) => Object.fromEntries(list.map((t) => [t.id, t.weight]))
+  const targets = {
+    bigrams: weightsOf(weaknesses.bigrams),
+    keys: weightsOf(weaknesses.keys),
+    transitions: weightsOf(weaknesses.transitions),
+  }
+  review.bigrams.forEach((bigram) => {
+    targets.bigrams[bigram] = Math.max(targets.bigrams[bigram] || 0, REVIEW_WEIGHT)
+  })
+  const { fingers } = resolveLayout(layout)
+
+  const pool = getListWords(DRILL_WORD_LIST)
+    .map((word, rank) => ({ word, score: wordScore(word, rank, targets, fingers) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, POOL_SIZE)
+
+  const random = seededRandom(seed)
+  const wanted = count - reviewWords.length
+  const picked = pool.length > 0
+    ? sampleWords(pool, wanted, random)
+    : buildWordTest('top-1k', wanted, seed).split(' ')
+
+  // Due words go in at random places
+  reviewWords.forEach((word) => {
+    picked.splice(Math.floor(random() * (picked.length + 1)), 0, word)
+  })
+  return picked.join(' ')
+}
+
+// `count` words of a scored pool, a word twice as useful coming up twice as
+// often
+const sampleWords = (pool, count, random) => {
+  const uses = {}
+  const picked = []
+  const totalScore = pool.reduce((sum, { score }) => sum + score, 0)
+  while (picked.length < count) {
+    let r = random() * totalScore
+    const { word } = pool.find(({ score }) => (r -= score) < 0) ?? pool[pool.length - 1]
+    const repeats = uses[word] || 0
+    // Small pools can't avoid repeats, big ones can
+    if (word === picked[picked.length - 1] && pool.length > 1) continue
+    if (repeats >= MAX_REPEATS && pool.length * MAX_REPEATS > count) continue
+    uses[word] = repeats + 1
+    picked.push(word)
+  }
+  return picked
+}
+
+// Ids of a drill's targets, as stored in the source of its history entry,
+// with the review items it brings back
+export const getDrillTargets = (weaknesses, review = NO_REVIEW) => ({
+  bigrams: weaknesses.bigrams.map((t) => t.id),
+  keys: weaknesses.keys.map((t) => t.id),
+  transitions: weaknesses.transitions.map((t) => t.id),
+  review: [...review.words, ...review.bigrams],
+})
+
+// Short description of stored targets ("iz, az, z, x"), weakest bigrams
+// and keys first
+export const describeDrillTargets = (targets, max = 4) =>
+  [...(targets?.bigrams ?? []), ...(targets?.keys ?? [])]
+    .slice(0, max)
+    .map((id) => id.replace(/ /g, '␣'))
+    .join(', ')
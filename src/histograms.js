@@ -0,0 +1,242 @@
+// Local session histograms
+//
+// Stored in typometry_histograms as { [metric]: counts[] }, one count per
+// bucket of HISTOGRAM_CONFIG. Changing a config's min/max/step changes the
+// bucket count, which isHistogramLayoutCurrent detects so the stored counts
+// can be rebuilt (see migrate.js) rather than misread.
+
+import { STAT_ROUND } from "./analytics.js";
+
+// Histogram bucket configurations - fine granularity for smooth distributions
+export const HISTOGRAM_CONFIG = {
+  wpm: {
+    label: "WPM",
+    min: 0,
+    max: 300,
+    step: 1,
+    unit: "",
+    get buckets() {
+      return this.generateBuckets();
+    },
+    generateBuckets() {
+      const b = [];
+      for (let i = this.min; i < this.max; i += this.step) b.push(i);
+      b.push(Infinity);
+      return b;
+    },
+    getBucketCount() {
+      return Math.ceil((this.max - this.min) / this.step);
+    },
+  },
+  accuracy: {
+    label: "Accuracy",
+    min: 0,
+    max: 100,
+    step: 1,
+    unit: "%",
+    get buckets() {
+      return this.generateBuckets();
+    },
+    generateBuckets() {
+      const b = [];
+      for (let i = this.min; i < this.max; i += this.step) b.push(i);
+      b.push(100.1);
+      return b;
+    },
+    getBucketCount() {
+      return Math.ceil((this.max - this.min) / this.step);
+    },
+  },
+  consistency: {
+    label: "Consistency",
+    min: 0,
+    max: 100,
+    step: 1,
+    unit: "%",
+    get buckets() {
+      return this.generateBuckets();
+    },
+    generateBuckets() {
+      const b = [];
+      for (let i = this.min; i < this.max; i += this.step) b.push(i);
+      b.push(100.1);
+      return b;
+    },
+    getBucketCount() {
+      return Math.ceil((this.max - this.min) / this.step);
+    },
+  },
+  avgInterval: {
+    label: "Keystroke",
+    min: 50,
+    max: 350,
+    step: 5,
+    unit: "ms",
+    lowerIsBetter: true,
+    get buckets() {
+      return this.generateBuckets();
+    },
+    generateBuckets() {
+      const b = [];
+      for (let i = this.min; i < this.max; i += this.step) b.push(i);
+      b.push(Infinity);
+      return b;
+    },
+    getBucketCount() {
+      return Math.ceil((this.max - this.min) / this.step);
+    },
+  },
+  flowRatio: {
+    label: "Flow State",
+    min: 0,
+    max: 100,
+    step: 1,
+    unit: "%",
+    get buckets() {
+      return this.generateBuckets();
+    },
+    generateBuckets() {
+      const b = [];
+      for (let i = this.min; i < this.max; i += this.step) b.push(i);
+      b.push(100.1);
+      return b;
+    },
+    getBucketCount() {
+      return Math.ceil((this.max - this.min) / this.step);
+    },
+  },
+  rhythmScore: {
+    label: "Rhythm",
+    min: 0,
+    max: 100,
+    step: 1,
+    unit: "%",
+    get buckets() {
+      return this.generateBuckets();
+    },
+    generateBuckets() {
+      const b = [];
+      for (let i = this.min; i < this.max; i += this.step) b.push(i);
+      b.push(100.1);
+      return b;
+    },
+    getBucketCount() {
+      return Math.ceil((this.max - this.min) / this.step);
+    },
+  },
+  handBalance: {
+    label: "Hand Balance",
+    min: -50,
+    max: 50,
+    step: 1,
+    unit: "%",
+    centered: true, // 0% is balanced
+    get buckets() {
+      return this.generateBuckets();
+    },
+    generateBuckets() {
+      const b = [];
+      for (let i = this.min; i < this.max; i += this.step) b.push(i);
+      b.push(Infinity);
+      return b;
+    },
+    getBucketCount() {
+      return Math.ceil((this.max - this.min) / this.step);
+    },
+  },
+  homeRowAdvantage: {
+    label: "Home Row",
+    min: -50,
+    max: 50,
+    step: 1,
+    unit: "%",
+    centered: true, // 0 is neutral
+    get buckets() {
+      return this.generateBuckets();
+    },
+    generateBuckets() {
+      const b = [];
+      for (let i = this.min; i < this.max; i += this.step) b.push(i);
+      b.push(Infinity);
+      return b;
+    },
+    getBucketCount() {
+      return Math.ceil((this.max - this.min) / this.step);
+    },
+  },
+};
+
+// Add `delta` sessions (default 1, -1 to remove) with `value` to a histogram
+export const updateHistogram = (histograms, key, value, delta = 1) => {
+  const config = HISTOGRAM_CONFIG[key];
+  if (!config || value === null || value === undefined || isNaN(value))
+    return histograms;
+
+  const newHistograms = { ...histograms };
+  const bucketCount = config.getBucketCount();
+
+  // Start fresh if missing or not in the current layout
+  if (
+    !newHistograms[key] ||
+    !Array.isArray(newHistograms[key]) ||
+    newHistograms[key].length !== bucketCount
+  ) {
+    newHistograms[key] = new Array(bucketCount).fill(0);
+  }
+
+  // Find the bucket for this value using Math.round for proper alignment
+  const bucketIdx = Math.round((value - config.min) / config.step);
+  const clampedIdx = Math.max(0, Math.min(bucketIdx, bucketCount - 1));
+
+  newHistograms[key] = [...newHistograms[key]];
+  newHistograms[key][clampedIdx] = Math.max(
+    0,
+    newHistograms[key][clampedIdx] + delta
+  );
+
+  return newHistograms;
+};
+
+// The value each histogram records for a session. Accepts either the stats
+// from calculateStats or a stored history entry (which keeps the intervals
+// but not their average).
+export const getHistogramValues = (stats) => {
+  const avgInterval =
+    stats.avgInterval ??
+    (stats.intervals?.length > 0
+      ? STAT_ROUND.avgInterval(
+          stats.intervals.reduce((a, b) => a + b, 0) / stats.intervals.length
+        )
+      : null);
+
+  const values = {
+    wpm: stats.wpm,
+    accuracy: stats.accuracy,
+    consistency: stats.consistency,
+    avgInterval,
+  };
+  // Behavioral histograms - flowRatio and rhythmScore are already 0-100
+  if (stats.behavioral) {
+    values.flowRatio = stats.behavioral.flowRatio;
+    values.rhythmScore = stats.behavioral.rhythmScore;
+    values.handBalance = Math.round(stats.behavioral.handBalance);
+    values.homeRowAdvantage = Math.round(stats.behavioral.homeRowAdvantage);
+  }
+  return values;
+};
+
+// Add (or with delta -1, remove) one session across every histogram
+export const addSessionToHistograms = (histograms, stats, delta = 1) =>
+  Object.entries(getHistogramValues(stats)).reduce(
+    (acc, [key, value]) => updateHistogram(acc, key, value, delta),
+    histograms
+  );
+
+// True when every stored histogram matches its config's bucket count
+export const isHistogramLayoutCurrent = (histograms) =>
+  Object.entries(histograms || {}).every(
+    ([key, counts]) =>
+      HISTOGRAM_CONFIG[key] &&
+      Array.isArray(counts) &&
+      counts.length === HISTOGRAM_CONFIG[key].getBucketCount()
+  );
@@ -0,0 +1,117 @@
+// History filters
+//
+// The history browser narrows sessions and races down by date range, text
+// category, test mode, WPM and accuracy thresholds, tag and a text search, and
+// recomputes its aggregates for whatever is left. Filters are plain objects
+// (see EMPTY_FILTERS); an empty field doesn't filter.
+//
+// Categories are the groups of the built-in paragraphs (sentences.json),
+// plus 'library' for the user's own texts and 'prompts' for paragraphs in
+// other languages. Code, timed and word tests have no category.
+
+import sentences from './sentences.json'
+import { getEntryMode } from './modes.js'
+import { getEntryTags } from './tags.js'
+
+export const EMPTY_FILTERS = {
+  from: '', // 'YYYY-MM-DD', inclusive
+  to: '', // 'YYYY-MM-DD', inclusive
+  category: '',
+  mode: '',
+  minWpm: '',
+  maxWpm: '',
+  minAccuracy: '',
+  tag: '',
+  query: '',
+}
+
+export const LIBRARY_CATEGORY = 'library'
+export const PROMPT_CATEGORY = 'prompts'
+
+export const CATEGORIES = [
+  ...Object.keys(sentences),
+  LIBRARY_CATEGORY,
+  PROMPT_CATEGORY,
+]
+
+// Category of each built-in paragraph, by its index in the flattened pool
+const PARAGRAPH_CATEGORIES = Object.entries(sentences).flatMap(
+  ([category, paragraphs]) => paragraphs.map(() => category)
+)
+
+export const isFilterActive = (filters) =>
+  Object.values(filters).some((value) => String(value).trim() !== '')
+
+export const getEntryCategory = (entry) => {
+  if (entry.source?.type === 'custom') return LIBRARY_CATEGORY
+  if (entry.source?.type === 'prompt') return PROMPT_CATEGORY
+  if (entry.source) return null
+  return PARAGRAPH_CATEGORIES[entry.paragraphIndex] ?? null
+}
+
+// Local midnight at the start of a 'YYYY-MM-DD' day
+const startOfDay = (date) => new Date(`${date}T00:00:00`).getTime()
+
+// Local midnight at the end of a 'YYYY-MM-DD' day, which is 23 or 25 hours
+// after its start on DST changes
+const endOfDay = (date) => {
+  const [y, m, d] = date.split('-').map(Number)
+  return new Date(y, m - 1, d + 1).getTime()
+}
+
+const toNumber = (value) =>
+  String(value).trim() === '' ? null : Number(value)
+
+// Whether an entry with these numbers and text passes the filters
+const matches = (filters, { timestamp, wpm, accuracy, category, mode, tags, text }) => {
+  if (filters.from && timestamp < startOfDay(filters.from)) return false
+  if (filters.to && timestamp >= endOfDay(filters.to)) return false
+  if (filters.category && category !== filters.category) return false
+  if (filters.mode && mode !== filters.mode) return false
+  if (filters.tag && !tags.includes(filters.tag)) return false
+
+  const minWpm = toNumber(filters.minWpm)
+  const maxWpm = toNumber(filters.maxWpm)
+  const minAccuracy = toNumber(filters.minAccuracy)
+  if (minWpm !== null && !(wpm >= minWpm)) return false
+  if (maxWpm !== null && !(wpm <= maxWpm)) return false
+  if (minAccuracy !== null && !(accuracy >= minAccuracy)) return false
+
+  const query = filters.query.trim().toLowerCase()
+  if (query && !(text || '').toLowerCase().includes(query)) return false
+  return true
+}
+
+// Sessions passing the filters. `paragraphs` resolves the text of built-in
+// paragraphs saved without one; the search also looks at tags and notes.
+export const filterSessions = (history, filters, paragraphs = []) =>
+  history.filter((entry) =>
+    matches(filters, {
+      timestamp: entry.timestamp,
+      wpm: entry.wpm,
+      accuracy: entry.accuracy,
+      category: getEntryCategory(entry),
+      mode: getEntryMode(entry),
+      tags: getEntryTags(entry),
+      text: [
+        entry.paragraph || paragraphs[entry.paragraphIndex],
+        entry.source?.title,
+        ...getEntryTags(entry),
+        entry.note,
+      ].filter(Boolean).join('\n'),
+    })
+  )
+
+// Races passing the filters, judged by the player's own result. Races are
+// always built-in paragraphs and can't be tagged, so the test mode and tag
+// filters don't apply.
+export const filterRaces = (races, filters) =>
+  races.filter((race) =>
+    matches({ ...filters, mode: '', tag: '' }, {
+      timestamp: race.timestamp,
+      wpm: race.myResult?.wpm,
+      accuracy: race.myResult?.accuracy,
+      category: PARAGRAPH_CATEGORIES[race.paragraphIndex] ?? null,
+      text: race.paragraph,
+    })
+  )
@@ -1,70 +1,17 @@
-// Standard US QWERTY keyboard layout coordinates
-// Each key mapped to [x, y] position in key-width units
+// Keyboard geometry helpers
+// Key positions come from the layout registry (see layouts.js), as [x, y]
+// in key-width units. Functions take a layout id or resolved layout and
+// default to US QWERTY.
 
-const KEYBOARD_COORDS = {
-  // Number row (y = 0)
-  '`': [0, 0], '~': [0, 0],
-  '1': [1, 0], '!': [1, 0],
-  '2': [2, 0], '@': [2, 0],
-  '3': [3, 0], '#': [3, 0],
-  '4': [4, 0], '$': [4, 0],
-  '5': [5, 0], '%': [5, 0],
-  '6': [6, 0], '^': [6, 0],
-  '7': [7, 0], '&': [7, 0],
-  '8': [8, 0], '*': [8, 0],
-  '9': [9, 0], '(': [9, 0],
-  '0': [10, 0], ')': [10, 0],
-  '-': [11, 0], '_': [11, 0],
-  '=': [12, 0], '+': [12, 0],
+import { ROW_NAMES, getKeyColumn, getLayout, resolveLayout } from './layouts.js'
 
-  // Top letter row (y = 1, offset 0.5)
-  'q': [0.5, 1], 'Q': [0.5, 1],
-  'w': [1.5, 1], 'W': [1.5, 1],
-  'e': [2.5, 1], 'E': [2.5, 1],
-  'r': [3.5, 1], 'R': [3.5, 1],
-  't': [4.5, 1], 'T': [4.5, 1],
-  'y': [5.5, 1], 'Y': [5.5, 1],
-  'u': [6.5, 1], 'U': [6.5, 1],
-  'i': [7.5, 1], 'I': [7.5, 1],
-  'o': [8.5, 1], 'O': [8.5, 1],
-  'p': [9.5, 1], 'P': [9.5, 1],
-  '[': [10.5, 1], '{': [10.5, 1],
-  ']': [11.5, 1], '}': [11.5, 1],
-  '\\': [12.5, 1], '|': [12.5, 1],
-
-  // Home row (y = 2, offset 0.75)
-  'a': [0.75, 2], 'A': [0.75, 2],
-  's': [1.75, 2], 'S': [1.75, 2],
-  'd': [2.75, 2], 'D': [2.75, 2],
-  'f': [3.75, 2], 'F': [3.75, 2],
-  'g': [4.75, 2], 'G': [4.75, 2],
-  'h': [5.75, 2], 'H': [5.75, 2],
-  'j': [6.75, 2], 'J': [6.75, 2],
-  'k': [7.75, 2], 'K': [7.75, 2],
-  'l': [8.75, 2], 'L': [8.75, 2],
-  ';': [9.75, 2], ':': [9.75, 2],
-  "'": [10.75, 2], '"': [10.75, 2],
-
-  // Bottom letter row (y = 3, offset 1.25)
-  'z': [1.25, 3], 'Z': [1.25, 3],
-  'x': [2.25, 3], 'X': [2.25, 3],
-  'c': [3.25, 3], 'C': [3.25, 3],
-  'v': [4.25, 3], 'V': [4.25, 3],
-  'b': [5.25, 3], 'B': [5.25, 3],
-  'n': [6.25, 3], 'N': [6.25, 3],
-  'm': [7.25, 3], 'M': [7.25, 3],
-  ',': [8.25, 3], '<': [8.25, 3],
-  '.': [9.25, 3], '>': [9.25, 3],
-  '/': [10.25, 3], '?': [10.25, 3],
-
-  // Space bar (y = 4, centered)
-  ' ': [5.5, 4],
-}
+const KEYBOARD_COORDS = getLayout().coords
 
 // Calculate Euclidean distance between two keys
-export const getKeyDistance = (char1, char2) => {
-  const pos1 = KEYBOARD_COORDS[char1]
-  const pos2 = KEYBOARD_COORDS[char2]
+export const getKeyDistance = (char1, char2, layout) => {
+  const { coords } = resolveLayout(layout)
+  const pos1 = coords[char1]
+  const pos2 = coords[char2]
   
   if (!pos1 || !pos2) return null
   
@@ -75,8 +22,8 @@ export const getKeyDistance = (char1, char2) => {
 }
 
 // Get position for a character
-export const getKeyPosition = (char) => {
-  return KEYBOARD_COORDS[char] || null
+export const getKeyPosition = (char, layout) => {
+  return resolveLayout(layout).coords[char] || null
 }
 
 // Categorize distance
@@ -88,4 +35,50 @@ export const categorizeDistance = (distance) => {
   return 'far'
 }
 
+// Ergonomic patterns of a bigram, as layout analyzers name them:
+//
+//   sfb        - same finger, different keys
+//   scissor    - adjacent fingers of one hand, two or more rows apart
+//   lateral    - adjacent fingers of one hand, two or more columns apart
+//                (the index or pinky stretching out of its column)
+//   inroll     - same hand, towards the index finger
+//   outroll    - same hand, away from the index finger
+//   alternate  - one hand, then the other
+export const BIGRAM_PATTERNS = ['sfb', 'scissor', 'lateral', 'inroll', 'outroll', 'alternate']
+
+// Fingers from the left pinky across to the right pinky
+const FINGER_INDEX = {
+  'L-pinky': 0,
+  'L-ring': 1,
+  'L-middle': 2,
+  'L-index': 3,
+  'R-index': 4,
+  'R-middle': 5,
+  'R-ring': 6,
+  'R-pinky': 7,
+}
+
+// Pattern of typing `char2` after `char1`, or null for a repeated key and
+// for bigrams with a thumb (space) or a key the layout doesn't have
+export const classifyBigram = (char1, char2, layout) => {
+  const kb = resolveLayout(layout)
+  const finger1 = FINGER_INDEX[kb.fingers[char1]]
+  const finger2 = FINGER_INDEX[kb.fingers[char2]]
+  if (finger1 === undefined || finger2 === undefined) return null
+  const [x1, y1] = kb.coords[char1]
+  const [x2, y2] = kb.coords[char2]
+  if (x1 === x2 && y1 === y2) return null
+
+  const left = finger1 < 4
+  if (left !== finger2 < 4) return 'alternate'
+  if (finger1 === finger2) return 'sfb'
+  if (Math.abs(finger1 - finger2) === 1) {
+    const rows = Math.abs(ROW_NAMES.indexOf(kb.rowOf[char1]) - ROW_NAMES.indexOf(kb.rowOf[char2]))
+    if (rows >= 2) return 'scissor'
+    if (Math.abs(getKeyColumn(kb, char1) - getKeyColumn(kb, char2)) >= 2) return 'lateral'
+  }
+  const inward = left ? finger2 > finger1 : finger2 < finger1
+  return inward ? 'inroll' : 'outroll'
+}
+
 export default KEYBOARD_COORDS
@@ -0,0 +1,44 @@
+// Prompt languages
+//
+// English paragraphs are the built-in sentences.json; prompts.json holds
+// the paragraph sets of every other language, keyed by ISO 639-1 code. A
+// prompt is identified by its language and its index within that set, which
+// is also what global stats are submitted under (see schema.sql).
+
+import prompts from './prompts.json'
+
+export const DEFAULT_LANGUAGE = 'en'
+
+export const LANGUAGES = [
+  { id: 'en', name: 'English' },
+  { id: 'es', name: 'Español' },
+  { id: 'de', name: 'Deutsch' },
+  { id: 'fr', name: 'Français' },
+  { id: 'pt', name: 'Português' },
+  { id: 'pl', name: 'Polski' },
+  { id: 'it', name: 'Italiano' },
+].filter((language) => language.id === DEFAULT_LANGUAGE || prompts[language.id]?.length > 0)
+
+export const getLanguageName = (languageId) =>
+  LANGUAGES.find((language) => language.id === languageId)?.name ?? languageId
+
+// Prompt set of a non-default language (empty for unknown ones)
+export const getPrompts = (languageId) => prompts[languageId] ?? []
+
+// Random prompt of a language, avoiding the prompt at `previousIndex` when
+// there's a choice. Null when the language has no prompts.
+export const pickPrompt = (languageId, previousIndex = null) => {
+  const pool = getPrompts(languageId).map((text, index) => ({ text, index }))
+  if (pool.length === 0) return null
+  const choices = pool.length > 1
+    ? pool.filter((prompt) => prompt.index !== previousIndex)
+    : pool
+  return choices[Math.floor(Math.random() * choices.length)]
+}
+
+// Text source App records for a prompt (see getNextParagraph)
+export const getPromptSource = (languageId, prompt) => ({
+  type: 'prompt',
+  language: languageId,
+  index: prompt.index,
+})
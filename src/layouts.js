@@ -0,0 +1,395 @@
+// Keyboard layout registry
+//
+// Every layout-dependent part of the app - key distances, finger and hand
+// assignment, keyboard rows, heatmaps - reads its geometry from here, so
+// stats stay right for people who don't type on US QWERTY.
+//
+// A layout definition lists the four character rows, each as a pair of
+// strings: the unshifted characters and their shifted counterparts, left to
+// right. ISO layouts have an extra key left of the bottom row (and the home
+// row runs one key longer). Positions and fingers follow from the physical
+// column each character sits in. Layouts made for one language name it
+// (`language`, an ISO 639-1 code as in languages.js), so lessons on them
+// can use that language's words.
+
+export const DEFAULT_LAYOUT = 'qwerty'
+
+export const ROW_NAMES = ['number', 'top', 'home', 'bottom']
+
+const ANSI_OFFSETS = [0, 0.5, 0.75, 1.25]
+const ISO_OFFSETS = [0, 0.5, 0.75, 0.25]
+
+// Space bar position in key-width units
+const SPACE_POSITION = [5.5, 4]
+
+const LP = 'L-pinky'
+const LR = 'L-ring'
+const LM = 'L-middle'
+const LI = 'L-index'
+const RI = 'R-index'
+const RM = 'R-middle'
+const RR = 'R-ring'
+const RP = 'R-pinky'
+
+// Conventional touch-typing finger for each physical column, per row.
+// Anything past the end of a row is the right pinky's.
+const ANSI_FINGER_COLUMNS = [
+  [LP, LP, LR, LM, LI, LI, RI, RI, RM, RR, RP, RP, RP],
+  [LP, LR, LM, LI, LI, RI, RI, RM, RR, RP, RP, RP, RP],
+  [LP, LR, LM, LI, LI, RI, RI, RM, RR, RP, RP, RP],
+  [LP, LR, LM, LI, LI, RI, RI, RM, RR, RP],
+]
+const ISO_FINGER_COLUMNS = [
+  ...ANSI_FINGER_COLUMNS.slice(0, 3),
+  [LP, ...ANSI_FINGER_COLUMNS[3]],
+]
+
+export const LAYOUT_DEFINITIONS = {
+  qwerty: {
+    name: 'QWERTY',
+    rows: [
+      ['`1234567890-=', '~!@#$%^&*()_+'],
+      ['qwertyuiop[]\\', 'QWERTYUIOP{}|'],
+      ["asdfghjkl;'", 'ASDFGHJKL:"'],
+      ['zxcvbnm,./', 'ZXCVBNM<>?'],
+    ],
+  },
+  dvorak: {
+    name: 'Dvorak',
+    rows: [
+      ['`1234567890[]', '~!@#$%^&*(){}'],
+      ["',.pyfgcrl/=\\", '"<>PYFGCRL?+|'],
+      ['aoeuidhtns-', 'AOEUIDHTNS_'],
+      [';qjkxbmwvz', ':QJKXBMWVZ'],
+    ],
+  },
+  colemak: {
+    name: 'Colemak',
+    rows: [
+      ['`1234567890-=', '~!@#$%^&*()_+'],
+      ['qwfpgjluy;[]\\', 'QWFPGJLUY:{}|'],
+      ["arstdhneio'", 'ARSTDHNEIO"'],
+      ['zxcvbkm,./', 'ZXCVBKM<>?'],
+    ],
+  },
+  'colemak-dh': {
+    name: 'Colemak-DH',
+    rows: [
+      ['`1234567890-=', '~!@#$%^&*()_+'],
+      ['qwfpbjluy;[]\\', 'QWFPBJLUY:{}|'],
+      ["arstgmneio'", 'ARSTGMNEIO"'],
+      ['zxcdvkh,./', 'ZXCDVKH<>?'],
+    ],
+  },
+  workman: {
+    name: 'Workman',
+    rows: [
+      ['`1234567890-=', '~!@#$%^&*()_+'],
+      ['qdrwbjfup;[]\\', 'QDRWBJFUP:{}|'],
+      ["ashtgyneoi'", 'ASHTGYNEOI"'],
+      ['zxmcvkl,./', 'ZXMCVKL<>?'],
+    ],
+  },
+  azerty: {
+    name: 'AZERTY',
+    iso: true,
+    language: 'fr',
+    rows: [
+      ['²&é"\'(-è_çà)=', '²1234567890°+'],
+      ['azertyuiop^$', 'AZERTYUIOP¨£'],
+      ['qsdfghjklmù*', 'QSDFGHJKLM%µ'],
+      ['<wxcvbn,;:!', '>WXCVBN?./§'],
+    ],
+  },
+  qwertz: {
+    name: 'QWERTZ',
+    iso: true,
+    language: 'de',
+    rows: [
+      ['^1234567890ß´', '°!"§$%&/()=?`'],
+      ['qwertzuiopü+', 'QWERTZUIOPÜ*'],
+      ['asdfghjklöä#', "ASDFGHJKLÖÄ'"],
+      ['<yxcvbnm,.-', '>YXCVBNM;:_'],
+    ],
+  },
+}
+
+export const FINGERS = [LP, LR, LM, LI, RI, RM, RR, RP]
+
+// KeyboardEvent.code names the physical key, whatever the OS layout makes
+// it type. Codes sit at their ANSI positions; the two keys that move on ISO
+// boards get a second candidate position.
+const PHYSICAL_ROWS = [
+  ['Backquote', 'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6',
+    'Digit7', 'Digit8', 'Digit9', 'Digit0', 'Minus', 'Equal'],
+  ['KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY', 'KeyU', 'KeyI', 'KeyO',
+    'KeyP', 'BracketLeft', 'BracketRight', 'Backslash'],
+  ['KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyG', 'KeyH', 'KeyJ', 'KeyK', 'KeyL',
+    'Semicolon', 'Quote'],
+  ['KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyB', 'KeyN', 'KeyM', 'Comma', 'Period',
+    'Slash'],
+]
+
+const PHYSICAL_POSITIONS = {}
+PHYSICAL_ROWS.forEach((codes, rowIndex) => {
+  codes.forEach((code, col) => {
+    PHYSICAL_POSITIONS[code] = [[ANSI_OFFSETS[rowIndex] + col, rowIndex]]
+  })
+})
+PHYSICAL_POSITIONS.Backslash.push([ISO_OFFSETS[2] + 11, 2])
+PHYSICAL_POSITIONS.IntlBackslash = [[ISO_OFFSETS[3], 3]]
+
+// Built-in picker options, in display order
+export const LAYOUTS = Object.entries(LAYOUT_DEFINITIONS).map(([id, def]) => ({
+  id,
+  name: def.name,
+}))
+
+// User-defined layouts, keyed by id. Their definitions list every key
+// explicitly instead of by row:
+//   { name, keys: [{ char, shifted, x, y, finger }, ...] }
+// `x`/`y` are key-width units like KEYBOARD_COORDS, `shifted` may be null.
+// The space bar is always added.
+const customDefinitions = {}
+
+export const CUSTOM_LAYOUT_PREFIX = 'custom-'
+
+export const isCustomLayout = (id) =>
+  typeof id === 'string' && id.startsWith(CUSTOM_LAYOUT_PREFIX)
+
+// Replace the registered custom layouts (App loads them from localStorage)
+export const registerCustomLayouts = (definitions = {}) => {
+  Object.keys(customDefinitions).forEach((id) => {
+    delete customDefinitions[id]
+    delete cache[id]
+  })
+  Object.entries(definitions).forEach(([id, def]) => {
+    if (isCustomLayout(id) && !validateLayoutDefinition(def)) {
+      customDefinitions[id] = def
+    }
+  })
+}
+
+// Built-in and custom picker options
+export const getLayoutOptions = () => [
+  ...LAYOUTS,
+  ...Object.entries(customDefinitions).map(([id, def]) => ({
+    id,
+    name: def.name,
+    custom: true,
+  })),
+]
+
+const getDefinition = (id) => customDefinitions[id] || LAYOUT_DEFINITIONS[id]
+
+// Row-based built-in definition -> explicit key list
+const rowsToKeys = (def) => {
+  const offsets = def.iso ? ISO_OFFSETS : ANSI_OFFSETS
+  const fingerColumns = def.iso ? ISO_FINGER_COLUMNS : ANSI_FINGER_COLUMNS
+  return def.rows.flatMap(([base, shifted], rowIndex) => {
+    const shiftedChars = [...shifted]
+    return [...base].map((char, col) => ({
+      char,
+      shifted: shiftedChars[col] && shiftedChars[col] !== char ? shiftedChars[col] : null,
+      x: offsets[rowIndex] + col,
+      y: rowIndex,
+      finger: fingerColumns[rowIndex][col] || RP,
+    }))
+  })
+}
+
+const rowIndexOf = (y) => Math.max(0, Math.min(ROW_NAMES.length - 1, Math.round(y)))
+
+// Physical key code -> base character of the layout key at that position.
+// Keys are matched to the nearest code position within half a key width,
+// so custom layouts with shifted geometry still line up where they can.
+const mapPhysicalCodes = (keys) => {
+  const codeKeys = { Space: ' ' }
+  Object.entries(PHYSICAL_POSITIONS).forEach(([code, candidates]) => {
+    for (const [cx, cy] of candidates) {
+      const key = keys.find(
+        ({ x, y }) => Math.abs(x - cx) < 0.5 && Math.abs(y - cy) < 0.5
+      )
+      if (key) {
+        codeKeys[code] = key.char
+        break
+      }
+    }
+  })
+  return codeKeys
+}
+
+// Expand a definition into the lookups consumers need:
+//   rows      - base characters per row, plus the space row, for rendering
+//   offsets   - row start in key widths
+//   coords    - char -> [x, y] in key-width units (base and shifted)
+//   fingers   - char -> finger (base and shifted)
+//   rowOf     - char -> 'number' | 'top' | 'home' | 'bottom' | 'space'
+//   shiftMap  - base char -> shifted char
+//   codeKeys  - KeyboardEvent.code -> base char at that physical position
+export const buildLayout = (id, def) => {
+  const keys = def.keys || rowsToKeys(def)
+  const coords = {}
+  const fingers = {}
+  const rowOf = {}
+  const shiftMap = {}
+  const rows = ROW_NAMES.map(() => [])
+
+  const ordered = [...keys].sort(
+    (a, b) => rowIndexOf(a.y) - rowIndexOf(b.y) || a.x - b.x
+  )
+  ordered.forEach(({ char, shifted, x, y, finger }) => {
+    const rowIndex = rowIndexOf(y)
+    rows[rowIndex].push(char)
+    for (const c of shifted ? [char, shifted] : [char]) {
+      // First assignment wins, so a base character is never moved by
+      // another key's shifted layer
+      if (coords[c]) continue
+      coords[c] = [x, y]
+      fingers[c] = finger
+      rowOf[c] = ROW_NAMES[rowIndex]
+    }
+    if (shifted) shiftMap[char] = shifted
+  })
+
+  coords[' '] = SPACE_POSITION
+  fingers[' '] = 'thumb'
+  rowOf[' '] = 'space'
+
+  return {
+    id,
+    name: def.name,
+    language: def.language ?? null,
+    custom: !!def.keys,
+    rows: [...rows, [' ']],
+    offsets: [...rows.map((row) => (row.length ? coords[row[0]][0] : 0)), 3.5],
+    coords,
+    fingers,
+    rowOf,
+    shiftMap,
+    codeKeys: mapPhysicalCodes(keys),
+  }
+}
+
+const cache = {}
+
+// Resolved layout by id, falling back to QWERTY for unknown ids
+export const getLayout = (id = DEFAULT_LAYOUT) => {
+  const key = getDefinition(id) ? id : DEFAULT_LAYOUT
+  if (!cache[key]) cache[key] = buildLayout(key, getDefinition(key))
+  return cache[key]
+}
+
+// Accepts a layout id or an already resolved layout
+export const resolveLayout = (layout) =>
+  layout && typeof layout === 'object' ? layout : getLayout(layout)
+
+// Layout character on the physical key `code` was pressed on, or null.
+// Its finger, row and position are the ones that key actually has, even if
+// the OS layout typed a different character there.
+export const getPhysicalKey = (layout, code) =>
+  (code && resolveLayout(layout).codeKeys[code]) || null
+
+// Explicit key list of any layout, as used by custom definitions
+export const getKeyList = (layout) => {
+  const kb = resolveLayout(layout)
+  return kb.rows.slice(0, ROW_NAMES.length).flat().map((char) => ({
+    char,
+    shifted: kb.shiftMap[char] || null,
+    x: kb.coords[char][0],
+    y: kb.coords[char][1],
+    finger: kb.fingers[char],
+  }))
+}
+
+// Column of a character's key counted from the start of its row on an ANSI
+// board (q is column 0 of the top row, 1 column 1 of the number row), so
+// the same physical column has the same number on every layout. Null for
+// characters the layout doesn't have.
+export const getKeyColumn = (layout, char) => {
+  const coords = resolveLayout(layout).coords[char]
+  if (!coords || char === ' ') return null
+  const [x, y] = coords
+  return Math.round(x - ANSI_OFFSETS[rowIndexOf(y)])
+}
+
+// Finger -> base keys it types, upper-cased for display
+export const getFingerKeys = (layout) => {
+  const { rows, fingers } = resolveLayout(layout)
+  const result = { thumb: ['space'] }
+  rows.slice(0, 4).flat().forEach((char) => {
+    const finger = fingers[char]
+    if (!finger) return
+    if (!result[finger]) result[finger] = []
+    result[finger].push(char.toUpperCase())
+  })
+  return result
+}
+
+// Problem with a custom definition, or null if it is usable
+export const validateLayoutDefinition = (def) => {
+  if (!def || typeof def !== 'object') return 'Layout must be an object'
+  if (typeof def.name !== 'string' || !def.name.trim()) return 'Layout needs a name'
+  if (!Array.isArray(def.keys) || def.keys.length === 0) return 'Layout needs at least one key'
+
+  const seen = new Set()
+  for (const key of def.keys) {
+    const label = key?.char ? `"${key.char}"` : 'A key'
+    if (typeof key?.char !== 'string' || [...key.char].length !== 1 || key.char === ' ') {
+      return 'Every key needs a single, non-space character'
+    }
+    if (key.shifted != null && (typeof key.shifted !== 'string' || [...key.shifted].length !== 1)) {
+      return `${label} has an invalid shifted character`
+    }
+    if (!Number.isFinite(key.x) || !Number.isFinite(key.y)) {
+      return `${label} needs a numeric x and y position`
+    }
+    if (key.y < 0 || key.y > ROW_NAMES.length - 1 || key.x < 0 || key.x > 13) {
+      return `${label} is off the keyboard`
+    }
+    if (!FINGERS.includes(key.finger)) return `${label} has an unknown finger`
+    for (const c of key.shifted ? [key.char, key.shifted] : [key.char]) {
+      if (seen.has(c)) return `"${c}" appears on more than one key`
+      seen.add(c)
+    }
+  }
+  return null
+}
+
+// JSON file format for sharing layouts
+const EXPORT_FORMAT = 'typometry-layout'
+const EXPORT_VERSION = 1
+
+export const exportLayoutJson = (def) =>
+  JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      name: def.name,
+      keys: def.keys.map(({ char, shifted, x, y, finger }) => ({
+        char,
+        shifted: shifted || null,
+        x,
+        y,
+        finger,
+      })),
+    },
+    null,
+    2
+  )
+
+// Parse an exported layout -> { definition } or { error }
+export const importLayoutJson = (text) => {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    return { error: 'Not valid JSON' }
+  }
+  if (data?.format !== EXPORT_FORMAT) return { error: 'Not a typometry layout file' }
+  if (data.version > EXPORT_VERSION) return { error: 'Layout file is from a newer version' }
+
+  const definition = { name: data.name, keys: data.keys }
+  const error = validateLayoutDefinition(definition)
+  return error ? { error } : { definition }
+}
@@ -0,0 +1,210 @@
+// Custom text library
+//
+// Texts the user pastes or uploads (docs, code, emails), grouped into named
+// collections and kept in localStorage next to the built-in sentences.json
+// categories. Long documents are split into passages about the length of a
+// built-in paragraph, so every passage is an ordinary paragraph session with
+// the full set of analytics. Code keeps its line breaks and indentation and
+// is typed in code mode instead.
+//
+// Library shape: [{ id, name, texts: [{ id, title, text, code, addedAt }] }]
+
+// Roughly the length of the longest built-in paragraphs
+export const MAX_PASSAGE_LENGTH = 500
+
+// Keep imports well inside the localStorage quota
+export const MAX_IMPORT_LENGTH = 100000
+
+// Typographic characters most keyboards can't type directly
+const REPLACEMENTS = [
+  [/[\u2018\u2019\u201a\u2032]/g, "'"],
+  [/[\u201c\u201d\u201e\u2033]/g, '"'],
+  [/[\u2010-\u2015\u2212]/g, '-'],
+  [/\u2026/g, '...'],
+  [/[\u00a0\u2007\u2009\u202f]/g, ' '],
+  [/[\u200b-\u200d\ufeff]/g, ''],
+]
+
+const replaceTypographic = (raw) =>
+  REPLACEMENTS.reduce((text, [pattern, plain]) => text.replace(pattern, plain), raw.normalize('NFC'))
+
+// One line of typeable text: plain punctuation, single spaces
+export const normalizeText = (raw) =>
+  replaceTypographic(raw)
+    .replace(/\s+/g, ' ')
+    .trim()
+
+// Typeable code: plain punctuation, \n line endings, no trailing spaces,
+// indentation left as it is
+export const normalizeCode = (raw) =>
+  replaceTypographic(raw)
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\t ]+$/gm, '')
+    .replace(/^\n+|\n+$/g, '')
+
+// Split a run-on sentence at word boundaries
+const splitWords = (sentence, maxLength) => {
+  const pieces = []
+  let current = ''
+  sentence.split(' ').forEach((word) => {
+    if (current && current.length + 1 + word.length > maxLength) {
+      pieces.push(current)
+      current = word
+    } else {
+      current = current ? `${current} ${word}` : word
+    }
+  })
+  if (current) pieces.push(current)
+  return pieces
+}
+
+// Break a document into passages of at most `maxLength` characters. Passages
+// end at sentence ends, and at paragraph breaks once they are half full, so
+// short headings stay attached to the paragraph below them.
+export const splitPassages = (raw, maxLength = MAX_PASSAGE_LENGTH) => {
+  const passages = []
+  let current = ''
+
+  raw
+    .split(/\n\s*\n/)
+    .map(normalizeText)
+    .filter(Boolean)
+    .forEach((paragraph) => {
+      if (current.length >= maxLength / 2) {
+        passages.push(current)
+        current = ''
+      }
+      paragraph
+        .split(/(?<=[.!?]["')\]]*) /)
+        .flatMap((sentence) => splitWords(sentence, maxLength))
+        .forEach((piece) => {
+          if (current && current.length + 1 + piece.length > maxLength) {
+            passages.push(current)
+            current = piece
+          } else {
+            current = current ? `${current} ${piece}` : piece
+          }
+        })
+    })
+
+  if (current) passages.push(current)
+  return passages
+}
+
+// Remove the indentation all lines of a passage share, so a passage from
+// inside a block starts at the left edge
+const dedent = (code) => {
+  const lines = code.split('\n')
+  const common = Math.min(
+    ...lines.filter(Boolean).map((line) => /^[\t ]*/.exec(line)[0].length)
+  )
+  return lines.map((line) => line.slice(common)).join('\n')
+}
+
+// Break code into passages of at most `maxLength` characters. Passages end
+// at blank lines once they are half full, otherwise at the end of a line.
+export const splitCodePassages = (raw, maxLength = MAX_PASSAGE_LENGTH) => {
+  const passages = []
+  let current = ''
+
+  normalizeCode(raw)
+    .split(/\n{2,}/)
+    .filter(Boolean)
+    .forEach((block) => {
+      if (current.length >= maxLength / 2) {
+        passages.push(current)
+        current = ''
+      }
+      block.split('\n').forEach((line, i) => {
+        const separator = i === 0 ? '\n\n' : '\n'
+        if (current && current.length + separator.length + line.length > maxLength) {
+          passages.push(current)
+          current = line
+        } else {
+          current = current ? `${current}${separator}${line}` : line
+        }
+      })
+    })
+
+  if (current) passages.push(current)
+  return passages.map(dedent)
+}
+
+// Code texts can only be typed in code mode, where Enter and Tab type
+export const isCodeText = (text) => text.code === true
+
+let idCounter = 0
+const createId = (prefix) => `${prefix}${Date.now().toString(36)}${(idCounter++).toString(36)}`
+
+// A title from the first few words when the user didn't give one
+const defaultTitle = (text) => {
+  const line = text.split('\n')[0].trim()
+  const words = line.split(' ').slice(0, 5).join(' ')
+  return words.length < text.length ? `${words}…` : words
+}
+
+export const findCollection = (library, collectionId) =>
+  library.find((collection) => collection.id === collectionId) || null
+
+export const addCollection = (library, name) => {
+  const collection = { id: createId('col-'), name: name.trim(), texts: [] }
+  return { library: [...library, collection], collection }
+}
+
+export const removeCollection = (library, collectionId) =>
+  library.filter((collection) => collection.id !== collectionId)
+
+// Add a pasted or uploaded document to a collection, split into passages.
+// Returns { library, texts } or { error }.
+export const addText = (library, collectionId, { title = '', text, code = false }) => {
+  if (!findCollection(library, collectionId)) return { error: 'Choose a collection first' }
+  if (text.length > MAX_IMPORT_LENGTH) {
+    return { error: `Text is too long (max ${MAX_IMPORT_LENGTH.toLocaleString()} characters)` }
+  }
+  const passages = code ? splitCodePassages(text) : splitPassages(text)
+  if (passages.length === 0) return { error: 'Nothing to type in that text' }
+
+  const baseTitle = title.trim() || defaultTitle(passages[0])
+  const addedAt = Date.now()
+  const texts = passages.map((passage, i) => ({
+    id: createId('txt-'),
+    title: passages.length > 1 ? `${baseTitle} (${i + 1}/${passages.length})` : baseTitle,
+    text: passage,
+    code,
+    addedAt,
+  }))
+
+  return {
+    library: library.map((collection) =>
+      collection.id === collectionId
+        ? { ...collection, texts: [...collection.texts, ...texts] }
+        : collection
+    ),
+    texts,
+  }
+}
+
+export const removeText = (library, collectionId, textId) =>
+  library.map((collection) =>
+    collection.id === collectionId
+      ? { ...collection, texts: collection.texts.filter((t) => t.id !== textId) }
+      : collection
+  )
+
+// What a history entry records about a library text. The title and
+// collection name are copied so the label survives the text being deleted.
+export const getTextSource = (collection, text) => ({
+  type: 'custom',
+  collection: collection.id,
+  collectionName: collection.name,
+  text: text.id,
+  title: text.title,
+})
+
+// Random prose text from a collection (code text with `code`), avoiding
+// `previousId` when there's a choice
+export const pickLibraryText = (collection, previousId = null, code = false) => {
+  const texts = collection.texts.filter((t) => isCodeText(t) === code)
+  const choices = texts.length > 1 ? texts.filter((t) => t.id !== previousId) : texts
+  return choices[Math.floor(Math.random() * choices.length)] || null
+}
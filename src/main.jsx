@@ -5,6 +5,23 @@ import './index.css'
 import './race.css'
 import './hand-balance.css'
 import './rhythm.css'
+import './key-timing.css'
+import './code-timing.css'
+import './token-breakdown.css'
+import './ngram-timing.css'
+import './finger-patterns.css'
+import './composition.css'
+import './replay.css'
+import './layout-editor.css'
+import './text-library.css'
+import './data-backup.css'
+import './history-filters.css'
+import './progress.css'
+import './tags.css'
+import './ab-comparison.css'
+import './drill.css'
+import './review.css'
+import './lesson-progress.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
@@ -0,0 +1,109 @@
+// Stored stats migration
+//
+// History entries are tagged with the ANALYTICS_VERSION that produced them.
+// When the algorithm (or the histogram bucket layout) changes, stored numbers
+// no longer line up with freshly computed ones. Instead of wiping them or
+// mixing the two, every entry that kept its keystroke recording is re-run
+// through the current analytics and the histograms are corrected to match.
+// Cumulative stats are derived from history, so they follow automatically.
+
+import { ANALYTICS_VERSION, analyzeSession, createHistoryEntry } from "./analytics.js";
+import { decodeRecording, isRecording, replayTo } from "./recording.js";
+import { addSessionToHistograms, isHistogramLayoutCurrent } from "./histograms.js";
+import { PARAGRAPH_MODE, getEntryMode } from "./modes.js";
+
+// Entries saved before stats were tagged came from the version 1 algorithm
+export const getEntryVersion = (entry) => entry.version ?? 1;
+
+const canRecompute = (entry) =>
+  getEntryVersion(entry) !== ANALYTICS_VERSION && isRecording(entry.recording);
+
+// Re-run a stored session through the current analytics. Fields other
+// features attach to the entry are kept.
+export const recomputeHistoryEntry = (entry) => {
+  const session = decodeRecording(entry.recording);
+  if (!session) return entry;
+
+  const totalTime = entry.totalTime ?? session.totalTime;
+  const stats = analyzeSession({
+    text: session.text,
+    typed: replayTo(entry.recording, Infinity).typed,
+    keystrokes: session.keystrokes,
+    rawEvents: session.rawEvents,
+    totalTime,
+    layout: session.layout,
+  });
+
+  return {
+    ...entry,
+    ...createHistoryEntry(stats, {
+      timestamp: entry.timestamp,
+      paragraphIndex: entry.paragraphIndex,
+      paragraph: entry.paragraph ?? session.text,
+      totalTime,
+      recording: entry.recording,
+      mode: getEntryMode(entry),
+      source: entry.source ?? null,
+    }),
+  };
+};
+
+// Whether stored history or histograms were produced by an older algorithm.
+// `modeHistograms` holds the histograms of non-paragraph modes by mode key.
+export const needsStatsMigration = (history, histograms, modeHistograms = {}) =>
+  !isHistogramLayoutCurrent(histograms) ||
+  !Object.values(modeHistograms).every(isHistogramLayoutCurrent) ||
+  history.some(canRecompute);
+
+// Bring stored history and histograms up to the current algorithm.
+//
+// Histograms can hold sessions whose history was cleared, so while their
+// layout is current each recomputed session is moved from its old buckets to
+// its new ones. Only an outdated layout forces a rebuild from history.
+// Each entry only ever touches the histograms of its own test mode.
+// Entries without a recording can't be recomputed; they keep their numbers
+// and their version tag and are counted in `stale`.
+export const migrateStoredStats = (history, histograms, modeHistograms = {}) => {
+  const byMode = { ...modeHistograms, [PARAGRAPH_MODE]: histograms };
+  const outdated = new Set(
+    Object.keys(byMode).filter((mode) => !isHistogramLayoutCurrent(byMode[mode]))
+  );
+  outdated.forEach((mode) => {
+    byMode[mode] = {};
+  });
+  let recomputed = 0;
+  let stale = 0;
+
+  const nextHistory = history.map((entry) => {
+    if (getEntryVersion(entry) === ANALYTICS_VERSION) return entry;
+    if (!canRecompute(entry)) {
+      stale++;
+      return entry;
+    }
+
+    const updated = recomputeHistoryEntry(entry);
+    const mode = getEntryMode(entry);
+    if (byMode[mode] && !outdated.has(mode)) {
+      byMode[mode] = addSessionToHistograms(byMode[mode], entry, -1);
+      byMode[mode] = addSessionToHistograms(byMode[mode], updated);
+    }
+    recomputed++;
+    return updated;
+  });
+
+  nextHistory.forEach((entry) => {
+    const mode = getEntryMode(entry);
+    if (outdated.has(mode)) {
+      byMode[mode] = addSessionToHistograms(byMode[mode], entry);
+    }
+  });
+
+  const { [PARAGRAPH_MODE]: nextHistograms, ...nextModeHistograms } = byMode;
+  return {
+    history: nextHistory,
+    histograms: nextHistograms,
+    modeHistograms: nextModeHistograms,
+    recomputed,
+    stale,
+  };
+};
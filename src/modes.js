@@ -0,0 +1,84 @@
+// Test modes
+//
+// A session either types one paragraph to the end, is timed (text keeps
+// streaming in until the clock runs out), types N random words from a
+// frequency list (see wordlists.js), types a multi-line code snippet (see
+// code.js), drills the typist's weak spots (see drill.js) or is a lesson of
+// the touch-typing curriculum (see curriculum.js). They measure different
+// things (a 15 second sprint is not a 300 character paragraph), so every
+// history entry is tagged with its mode key and all-time stats and local
+// histograms are kept per mode.
+//
+// Mode keys: 'paragraph' | 'code' | 'drill' | 'lesson' | 'timed-<seconds>' |
+// 'words-<count>'
+
+export const PARAGRAPH_MODE = 'paragraph'
+
+export const CODE_MODE = 'code'
+
+export const DRILL_MODE = 'drill'
+
+export const LESSON_MODE = 'lesson'
+
+export const TIMED_DURATIONS = [15, 30, 60, 120]
+
+export const WORD_COUNTS = [10, 25, 50, 100]
+
+export const TEST_MODES = [
+  PARAGRAPH_MODE,
+  CODE_MODE,
+  DRILL_MODE,
+  LESSON_MODE,
+  ...TIMED_DURATIONS.map((seconds) => `timed-${seconds}`),
+  ...WORD_COUNTS.map((count) => `words-${count}`),
+]
+
+// Seconds on the clock for a timed mode, null for untimed modes
+export const getTimedSeconds = (modeKey) => {
+  const match = /^timed-(\d+)$/.exec(modeKey || '')
+  return match ? Number(match[1]) : null
+}
+
+// Number of words in a word-count mode, null for other modes
+export const getWordCount = (modeKey) => {
+  const match = /^words-(\d+)$/.exec(modeKey || '')
+  return match ? Number(match[1]) : null
+}
+
+export const getModeLabel = (modeKey) => {
+  const seconds = getTimedSeconds(modeKey)
+  if (seconds) return `${seconds}s`
+  const words = getWordCount(modeKey)
+  if (words) return `${words} words`
+  if (modeKey === CODE_MODE) return 'code'
+  if (modeKey === LESSON_MODE) return 'lesson'
+  return modeKey === DRILL_MODE ? 'drill' : 'paragraph'
+}
+
+// Entries saved before modes existed are paragraph results
+export const getEntryMode = (entry) => entry?.mode ?? PARAGRAPH_MODE
+
+export const filterHistoryByMode = (history, modeKey) =>
+  history.filter((entry) => getEntryMode(entry) === modeKey)
+
+// Keep at least this many characters ahead of the cursor in a stream
+export const STREAM_BUFFER = 200
+
+const pickParagraph = (paragraphs, previous) => {
+  const choices = paragraphs.length > 1
+    ? paragraphs.filter((p) => p !== previous)
+    : paragraphs
+  return choices[Math.floor(Math.random() * choices.length)]
+}
+
+// Append random paragraphs to `text` until it is at least `minLength` long.
+// Paragraphs are joined by a single space so the stream reads as one text.
+export const extendStream = (text, paragraphs, minLength) => {
+  let next = text
+  let last = null
+  while (next.length < minLength) {
+    last = pickParagraph(paragraphs, last)
+    next = next ? `${next} ${last}` : last
+  }
+  return next
+}
@@ -0,0 +1,179 @@
+// Long-term progress
+//
+// Series of one metric over a mode's history, either per session or per
+// calendar day (per week for long histories), with the helpers the progress
+// dashboard draws on top of them:
+//
+//   movingAverage     - trailing mean over the last N values
+//   fitLearningCurve  - power law y = a * n^b over session number n, the
+//                       usual shape of skill practice: fast early gains that
+//                       slow down but don't stop
+//   detectPlateau     - whether recent sessions have stopped improving, and
+//                       since which session
+//
+// Series are arrays with null where a session or day has no value; they
+// line up index for index with the sessions or days they came from.
+
+export const PROGRESS_METRICS = [
+  { key: 'wpm', label: 'wpm', get: (entry) => entry.wpm, digits: 0 },
+  { key: 'accuracy', label: 'accuracy', get: (entry) => entry.accuracy, digits: 1, unit: '%' },
+  { key: 'consistency', label: 'consistency', get: (entry) => entry.consistency, digits: 0, unit: '%' },
+  { key: 'flowRatio', label: 'flow', get: (entry) => entry.behavioral?.flowRatio, digits: 0, unit: '%' },
+  { key: 'rhythmScore', label: 'rhythm', get: (entry) => entry.behavioral?.rhythmScore, digits: 0 },
+]
+
+export const getProgressMetric = (key) =>
+  PROGRESS_METRICS.find((metric) => metric.key === key) ?? PROGRESS_METRICS[0]
+
+const valueOf = (metric, entry) => {
+  const value = metric.get(entry)
+  return Number.isFinite(value) ? value : null
+}
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length
+
+// ============ SERIES ============
+
+// One value per session, oldest first
+export const sessionSeries = (history, metric) =>
+  history.map((entry) => valueOf(metric, entry))
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Histories spanning more days than this are grouped by week
+const MAX_DAILY_SPAN = 120
+
+const startOfDay = (timestamp) => {
+  const date = new Date(timestamp)
+  date.setHours(0, 0, 0, 0)
+  return date.getTime()
+}
+
+// Calendar day of a timestamp, counted in whole days so that days made
+// shorter or longer by a DST change still count as one
+const dayNumber = (timestamp) => {
+  const date = new Date(timestamp)
+  return Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY)
+}
+
+// Mean value per calendar day (or week) from the first session to the last,
+// null for periods without sessions. Returns { values, start, period } with
+// `start` the timestamp of the first period and `period` 'day' or 'week'.
+export const calendarSeries = (history, metric) => {
+  if (history.length === 0) return { values: [], start: null, period: 'day' }
+  const start = startOfDay(history[0].timestamp)
+  const firstDay = dayNumber(history[0].timestamp)
+  const span = dayNumber(history[history.length - 1].timestamp) - firstDay
+  const period = span > MAX_DAILY_SPAN ? 'week' : 'day'
+  const size = period === 'week' ? 7 : 1
+
+  const buckets = []
+  history.forEach((entry) => {
+    const value = valueOf(metric, entry)
+    if (value === null) return
+    const i = Math.floor((dayNumber(entry.timestamp) - firstDay) / size)
+    if (!buckets[i]) buckets[i] = []
+    buckets[i].push(value)
+  })
+  const length = Math.floor(span / size) + 1
+  const values = Array.from({ length }, (_, i) => (buckets[i] ? mean(buckets[i]) : null))
+  return { values, start, period }
+}
+
+// ============ SMOOTHING ============
+
+// Trailing mean of the last `window` values (nulls skipped), null until the
+// first value
+export const movingAverage = (values, window) => {
+  const recent = []
+  return values.map((value) => {
+    if (value !== null) {
+      recent.push(value)
+      if (recent.length > window) recent.shift()
+    }
+    return recent.length > 0 ? mean(recent) : null
+  })
+}
+
+// ============ LEARNING CURVE ============
+
+const MIN_FIT_POINTS = 10
+
+// Least-squares fit of y = a * n^b (n = 1-based position in the series),
+// done as a straight line through (ln n, ln y). Null with too few points.
+// `r2` is how much of the variation in ln y the curve explains.
+export const fitLearningCurve = (values) => {
+  const points = values
+    .map((y, i) => [i + 1, y])
+    .filter(([, y]) => y !== null && y > 0)
+    .map(([n, y]) => [Math.log(n), Math.log(y)])
+  if (points.length < MIN_FIT_POINTS) return null
+
+  const mx = mean(points.map(([x]) => x))
+  const my = mean(points.map(([, y]) => y))
+  let sxy = 0
+  let sxx = 0
+  let syy = 0
+  points.forEach(([x, y]) => {
+    sxy += (x - mx) * (y - my)
+    sxx += (x - mx) ** 2
+    syy += (y - my) ** 2
+  })
+  if (sxx === 0) return null
+  const b = sxy / sxx
+  const a = Math.exp(my - b * mx)
+  return {
+    a,
+    b,
+    r2: syy > 0 ? (sxy * sxy) / (sxx * syy) : 1,
+    predict: (n) => a * Math.pow(n, b),
+  }
+}
+
+// The fitted curve over the first `length` positions, for drawing
+export const curveSeries = (fit, length) =>
+  Array.from({ length }, (_, i) => fit.predict(i + 1))
+
+// ============ PLATEAUS ============
+
+const PLATEAU_MIN_SESSIONS = 20
+// Recent sessions are compared in blocks of this many
+const PLATEAU_BLOCK = 10
+// Blocks whose mean is within this fraction of the recent level count as flat
+const PLATEAU_TOLERANCE = 0.02
+
+// Whether the last sessions have leveled off. Blocks of sessions are walked
+// back from the newest; the plateau covers every block whose mean stays
+// within a few percent of the latest block's, and needs at least two.
+// Returns { since, sessions, level } with `since` the index of the first
+// session on the plateau, or null when still improving.
+export const detectPlateau = (values) => {
+  const present = values
+    .map((value, index) => ({ value, index }))
+    .filter(({ value }) => value !== null)
+  if (present.length < PLATEAU_MIN_SESSIONS) return null
+
+  const blocks = []
+  for (let end = present.length; end - PLATEAU_BLOCK >= 0; end -= PLATEAU_BLOCK) {
+    const block = present.slice(end - PLATEAU_BLOCK, end)
+    blocks.push({ mean: mean(block.map(({ value }) => value)), since: block[0].index })
+  }
+
+  const level = blocks[0].mean
+  let flat = 1
+  while (
+    flat < blocks.length &&
+    Math.abs(blocks[flat].mean - level) <= Math.abs(level) * PLATEAU_TOLERANCE
+  ) {
+    flat++
+  }
+  if (flat < 2) return null
+
+  const since = blocks[flat - 1].since
+  const onPlateau = present.filter(({ index }) => index >= since)
+  return {
+    since,
+    sessions: onPlateau.length,
+    level: mean(onPlateau.map(({ value }) => value)),
+  }
+}
@@ -0,0 +1,174 @@
+// Keystroke session recordings
+//
+// A recording keeps the raw timeline of a finished session - every keydown
+// with its timestamp, expected character and text position - in a compact,
+// versioned form. From it the full keystroke list (and therefore every stat
+// in analytics.js) can be rebuilt, and the session can be replayed exactly.
+//
+// Format (v4):
+//   {
+//     v: 4,
+//     text: 'the paragraph',
+//     strict: false,          // strict mode: wrong keys did not advance
+//     autoIndent: true,       // code mode: newlines filled in the next
+//                             // line's indentation (see code.js), optional
+//     layout: 'qwerty',       // keyboard layout (see layouts.js), optional
+//     totalTime: 12345.6,     // ms from first keystroke to completion
+//     events: [[t, key, expected, position, code, modifiers, up, compose], ...]
+//   }
+// `t` is ms relative to the session start (0.1ms precision), `key` is the
+// typed character or BACKSPACE, `expected` is null for backspaces. `code` is
+// the physical key (KeyboardEvent.code) and `modifiers` a MODIFIERS bitmask.
+// `up` is when the key was released, in the same time base, or null if it
+// was still held when the session ended. `compose` is set on characters
+// committed by an IME or a dead key: ms from the start of the composition
+// on the first character of a commit, -1 on the rest; null otherwise.
+// Older versions omit trailing fields: v1 events stop after `position`, v2
+// events after `modifiers`, v3 after `up`. Missing fields decode as null/0.
+
+import { DEFAULT_LAYOUT } from './layouts.js'
+import { backspace, typeKey } from './code.js'
+
+export const RECORDING_VERSION = 4
+
+export const BACKSPACE = '\b'
+
+// Modifier state held during a keystroke, as bit flags
+export const MODIFIERS = {
+  shift: 1,
+  capsLock: 2,
+  altGraph: 4,
+}
+
+// Bitmask of the MODIFIERS active for a keyboard event
+export const getModifiers = (event) => {
+  let modifiers = 0
+  if (event.shiftKey) modifiers |= MODIFIERS.shift
+  if (event.getModifierState?.('CapsLock')) modifiers |= MODIFIERS.capsLock
+  if (event.getModifierState?.('AltGraph')) modifiers |= MODIFIERS.altGraph
+  return modifiers
+}
+
+const roundTime = (t) => Math.round(t * 10) / 10
+
+// Build a recording from the keystroke list App collects while typing
+export const encodeRecording = ({
+  text,
+  keystrokes,
+  totalTime,
+  strict = false,
+  layout = DEFAULT_LAYOUT,
+  autoIndent = false,
+}) => ({
+  v: RECORDING_VERSION,
+  text,
+  strict,
+  ...(autoIndent && { autoIndent: true }),
+  layout,
+  totalTime: roundTime(totalTime),
+  events: keystrokes.map((k) => [
+    roundTime(k.timestamp),
+    k.isBackspace ? BACKSPACE : k.key,
+    k.isBackspace ? null : k.expected ?? null,
+    k.position,
+    k.code || null,
+    k.modifiers || 0,
+    k.releaseTime != null ? roundTime(k.releaseTime) : null,
+    k.compose ?? null,
+  ]),
+})
+
+// Check a value looks like a recording this version can read
+export const isRecording = (recording) =>
+  !!recording &&
+  recording.v >= 1 &&
+  recording.v <= RECORDING_VERSION &&
+  typeof recording.text === 'string' &&
+  Array.isArray(recording.events)
+
+// Rebuild the keystroke list and raw events analytics.js expects
+export const decodeRecording = (recording) => {
+  if (!isRecording(recording)) return null
+
+  const keystrokes = []
+  const rawEvents = []
+  let lastTime = null
+
+  recording.events.forEach(([timestamp, key, expected, position, code = null, modifiers = 0, up = null, compose = null]) => {
+    const isBackspace = key === BACKSPACE
+    const interval = lastTime !== null ? timestamp - lastTime : null
+    lastTime = timestamp
+
+    rawEvents.push({
+      key: isBackspace ? 'Backspace' : key,
+      code,
+      timestamp,
+      isBackspace,
+    })
+
+    if (isBackspace) {
+      keystrokes.push({
+        key: 'Backspace',
+        expected: null,
+        correct: false,
+        interval,
+        timestamp,
+        position,
+        isBackspace: true,
+        code,
+        modifiers,
+        releaseTime: up,
+      })
+    } else {
+      keystrokes.push({
+        key,
+        expected,
+        correct: key === expected,
+        interval,
+        timestamp,
+        position,
+        code,
+        modifiers,
+        releaseTime: up,
+        ...(compose !== null && { compose }),
+      })
+    }
+  })
+
+  return {
+    text: recording.text,
+    keystrokes,
+    rawEvents,
+    totalTime: recording.totalTime,
+    layout: recording.layout || DEFAULT_LAYOUT,
+  }
+}
+
+// Typing state at `time` ms into the recording. Pure function of its
+// inputs, so seeking, scrubbing and playback at any speed all agree.
+export const replayTo = (recording, time) => {
+  let typed = ''
+  let eventIndex = 0
+  let lastEvent = null
+
+  for (const event of recording.events) {
+    const [t, key, expected] = event
+    if (t > time) break
+    eventIndex++
+    lastEvent = event
+
+    if (key === BACKSPACE) {
+      typed = backspace(typed, recording.autoIndent)
+    } else if (!(recording.strict && key !== expected)) {
+      typed = typeKey(recording.text, typed, key, recording.autoIndent)
+    }
+  }
+
+  return { typed, eventIndex, lastEvent }
+}
+
+// Duration of the recording in ms
+export const getRecordingDuration = (recording) => {
+  if (!recording?.events?.length) return 0
+  return Math.max(recording.totalTime || 0, recording.events[recording.events.length - 1][0])
+}
@@ -0,0 +1,186 @@
+// Spaced repetition of problem words and bigrams
+//
+// Words and bigrams that came out slow or error-prone in a session join a
+// review deck, and come back into practice at growing intervals the way
+// flashcards do (the SuperMemo SM-2 algorithm): each time one turns up in a
+// session once it's due, how well it was typed sets when it's due next. Typed
+// well, the gap grows (1 day, 6 days, then by the item's ease factor);
+// typed badly, it starts over at a day.
+//
+// The deck isn't stored. It's replayed from history, oldest session first,
+// so it always agrees with the sessions kept (and with imported backups).
+//
+// Items: { id, kind: 'word' | 'bigram', text, ease, interval (days), reps,
+// lapses, due, lastReview, quality } with `due` and `lastReview` timestamps.
+
+export const DAY = 24 * 60 * 60 * 1000
+
+// SM-2 constants: starting ease, the floor it can't drop below, and the
+// lowest quality (0-5) that counts as remembered
+const INITIAL_EASE = 2.5
+const MIN_EASE = 1.3
+const PASSING_QUALITY = 3
+
+// Words shorter than this are too quick to time reliably
+const MIN_WORD_LENGTH = 3
+
+// Due items a review drill includes at most
+export const REVIEW_WORDS = 10
+export const REVIEW_BIGRAMS = 6
+
+// Intervals from this many days on count as learned
+export const LEARNED_INTERVAL = 21
+
+const LETTERS = /^[\p{L}' ]+$/u
+
+// Word as it's kept in the deck: lowercase, without surrounding punctuation
+const normalizeWord = (word) =>
+  word.toLowerCase().replace(/^[^\p{L}]+|[^\p{L}]+$/gu, '')
+
+// ============ GRADING ============
+
+// Quality (0-5) of a word typed at `wpm` in a session averaging
+// `sessionWpm`, with `errors` mistakes in it
+const gradeWord = (wpm, sessionWpm, errors) => {
+  if (errors > 0) return 1
+  const ratio = wpm / sessionWpm
+  if (ratio >= 1) return 5
+  if (ratio >= 0.85) return 4
+  if (ratio >= 0.7) return 3
+  return ratio >= 0.5 ? 2 : 1
+}
+
+// Quality (0-5) of a bigram typed in `avg` ms against the session's average
+// bigram, correct an `accuracy` share of the time
+const gradeBigram = (avg, baseline, accuracy) => {
+  if (accuracy < 1) return accuracy >= 0.75 ? 2 : 1
+  const ratio = avg / baseline
+  if (ratio <= 1) return 5
+  if (ratio <= 1.2) return 4
+  if (ratio <= 1.4) return 3
+  return ratio <= 1.8 ? 2 : 1
+}
+
+// Every word and bigram of a session with its quality. A word typed more
+// than once is graded by its worst attempt.
+export const gradeSession = (entry) => {
+  const grades = {}
+  const grade = (kind, text, quality) => {
+    const id = `${kind}:${text}`
+    grades[id] = Math.min(grades[id] ?? 5, quality)
+  }
+
+  if (entry.wpm > 0) {
+    (entry.wordSpeeds || []).forEach(({ word, wpm, errors = 0 }) => {
+      const text = normalizeWord(word)
+      if (text.length < MIN_WORD_LENGTH || !LETTERS.test(text) || !(wpm > 0)) return
+      grade('word', text, gradeWord(wpm, entry.wpm, errors))
+    })
+  }
+
+  const bigrams = (entry.bigrams || []).filter(
+    ({ bigram, avg }) => avg > 0 && LETTERS.test(bigram)
+  )
+  const counted = bigrams.reduce((sum, { count = 1 }) => sum + count, 0)
+  const baseline =
+    counted > 0
+      ? bigrams.reduce((sum, { avg, count = 1 }) => sum + avg * count, 0) / counted
+      : 0
+  if (baseline > 0) {
+    bigrams.forEach(({ bigram, avg, accuracy = 1 }) => {
+      grade('bigram', bigram.toLowerCase(), gradeBigram(avg, baseline, accuracy))
+    })
+  }
+
+  return grades
+}
+
+// ============ SCHEDULING ============
+
+// An item after a review of `quality` at `time` (SM-2)
+export const reviewItem = (item, quality, time) => {
+  const ease = Math.max(
+    MIN_EASE,
+    item.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)
+  )
+  const passed = quality >= PASSING_QUALITY
+  const reps = passed ? item.reps + 1 : 0
+  const interval = !passed ? 1 : reps === 1 ? 1 : reps === 2 ? 6 : Math.round(item.interval * ease)
+  return {
+    ...item,
+    ease,
+    reps,
+    interval,
+    lapses: item.lapses + (passed ? 0 : 1),
+    due: time + interval * DAY,
+    lastReview: time,
+    quality,
+  }
+}
+
+const newItem = (id, time, quality) => {
+  const colon = id.indexOf(':')
+  return {
+    id,
+    kind: id.slice(0, colon),
+    text: id.slice(colon + 1),
+    ease: INITIAL_EASE,
+    interval: 1,
+    reps: 0,
+    lapses: 0,
+    due: time + DAY,
+    lastReview: time,
+    quality,
+  }
+}
+
+// Deck after one more session. Items it got wrong join the deck (or lapse
+// when already in it); items in the deck are reviewed once they're due -
+// typing one again before then doesn't move it.
+export const addSessionToDeck = (deck, entry) => {
+  const time = entry.timestamp
+  const next = { ...deck }
+  Object.entries(gradeSession(entry)).forEach(([id, quality]) => {
+    const item = next[id]
+    if (!item) {
+      if (quality < PASSING_QUALITY) next[id] = newItem(id, time, quality)
+    } else if (time >= item.due || quality < PASSING_QUALITY) {
+      next[id] = reviewItem(item, quality, time)
+    }
+  })
+  return next
+}
+
+// The deck as of `history` (oldest first), keyed by item id
+export const buildReviewDeck = (history) => history.reduce(addSessionToDeck, {})
+
+// ============ QUEUE ============
+
+// Items due at `now`, most overdue relative to their interval first
+export const getDueItems = (deck, now = Date.now()) =>
+  Object.values(deck)
+    .filter((item) => item.due <= now)
+    .sort((a, b) => (now - b.due) / b.interval - (now - a.due) / a.interval)
+
+// Counts for the review queue: due now, due within a day and a week, items
+// learned (interval of LEARNED_INTERVAL days or more) and the deck size
+export const getQueueCounts = (deck, now = Date.now()) => {
+  const items = Object.values(deck)
+  return {
+    due: items.filter((item) => item.due <= now).length,
+    today: items.filter((item) => item.due > now && item.due <= now + DAY).length,
+    week: items.filter((item) => item.due > now + DAY && item.due <= now + 7 * DAY).length,
+    learned: items.filter((item) => item.interval >= LEARNED_INTERVAL).length,
+    total: items.length,
+  }
+}
+
+// Due words and bigrams a practice text should bring back: { words,
+// bigrams } as plain text, most overdue first
+export const getReviewTargets = (deck, now = Date.now()) => {
+  const due = getDueItems(deck, now)
+  return {
+    words: due.filter((item) => item.kind === 'word').slice(0, REVIEW_WORDS).map((item) => item.text),
+    bigrams: due.filter((item) => item.kind === 'bigram').slice(0, REVIEW_BIGRAMS).map((item) => item.text),
+  }
+}
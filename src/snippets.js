@@ -0,0 +1,34 @@
+// Code snippet packs for code mode
+//
+// snippets.json maps a pack id (a language) to multi-line snippets,
+// indented with one tab per level (see code.js). Code mode draws from one
+// pack, or from all of them when none is chosen.
+
+import snippets from './snippets.json'
+
+export const SNIPPET_PACKS = [
+  { id: 'javascript', name: 'JavaScript' },
+  { id: 'python', name: 'Python' },
+  { id: 'rust', name: 'Rust' },
+  { id: 'go', name: 'Go' },
+  { id: 'sql', name: 'SQL' },
+  { id: 'shell', name: 'shell' },
+].filter((pack) => snippets[pack.id]?.length > 0)
+
+export const getPackName = (packId) =>
+  SNIPPET_PACKS.find((pack) => pack.id === packId)?.name ?? packId
+
+const SNIPPETS = SNIPPET_PACKS.flatMap(({ id }) =>
+  snippets[id].map((text) => ({ language: id, text }))
+)
+
+// Random snippet from a pack (any pack when `packId` is null), avoiding the
+// `previous` text when there's a choice
+export const pickSnippet = (previous = null, packId = null) => {
+  const pool = SNIPPETS.filter((snippet) => !packId || snippet.language === packId)
+  const from = pool.length > 0 ? pool : SNIPPETS
+  const choices = from.length > 1
+    ? from.filter((snippet) => snippet.text !== previous)
+    : from
+  return choices[Math.floor(Math.random() * choices.length)]
+}
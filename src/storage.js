@@ -0,0 +1,249 @@
+// Local session storage
+//
+// Finished sessions and races grow with every run and, with their
+// per-session stats and recordings, outgrow the localStorage quota. They
+// live in IndexedDB instead, one record per entry keyed by its timestamp:
+//
+//   sessions - history entries, indexed by `mode` and `paragraphIndex`
+//   races    - race history entries
+//
+// Small settings (layout, test mode, histograms, ...) stay in localStorage,
+// where App reads them synchronously. The first time the database opens,
+// the old typometry_history and typometry_race_history arrays are copied in
+// and removed from localStorage.
+//
+// Everything here is async. Where IndexedDB is unavailable (some private
+// browsing modes) the same API reads and writes those localStorage arrays.
+
+import { getEntryMode } from './modes.js'
+
+const DB_NAME = 'typometry'
+const DB_VERSION = 1
+
+const SESSIONS = 'sessions'
+const RACES = 'races'
+
+// localStorage arrays the stores replace
+const LEGACY_KEYS = {
+  [SESSIONS]: 'typometry_history',
+  [RACES]: 'typometry_race_history',
+}
+const MIGRATED_KEY = 'typometry_storage_migrated'
+
+// Entries saved before modes existed are stored with their mode, so the
+// mode index finds them
+const normalize = (storeName, entry) =>
+  storeName === SESSIONS ? { ...entry, mode: getEntryMode(entry) } : entry
+
+// ============ LOCALSTORAGE FALLBACK ============
+
+const readLegacy = (storeName) => {
+  try {
+    return JSON.parse(localStorage.getItem(LEGACY_KEYS[storeName]) || '[]')
+  } catch {
+    return []
+  }
+}
+
+const writeLegacy = (storeName, entries) => {
+  try {
+    localStorage.setItem(LEGACY_KEYS[storeName], JSON.stringify(entries))
+  } catch (e) {
+    console.warn('Failed to save to localStorage:', e)
+  }
+}
+
+// ============ INDEXEDDB ============
+
+// Run `work` against one object store and resolve with the result of the
+// request it returns (if any) once the transaction completes
+const run = (db, storeName, mode, work) =>
+  new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode)
+    const request = work(tx.objectStore(storeName))
+    tx.oncomplete = () => resolve(request?.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+
+// Copy the localStorage arrays into the stores, once. They are only removed
+// after every copy succeeded, so a failed migration loses nothing.
+const migrateLegacy = async (db) => {
+  if (localStorage.getItem(MIGRATED_KEY)) return db
+  for (const storeName of [SESSIONS, RACES]) {
+    const entries = readLegacy(storeName)
+    if (entries.length === 0) continue
+    await run(db, storeName, 'readwrite', (store) => {
+      entries.forEach((entry) => store.put(normalize(storeName, entry)))
+    })
+  }
+  localStorage.setItem(MIGRATED_KEY, '1')
+  Object.values(LEGACY_KEYS).forEach((key) => localStorage.removeItem(key))
+  return db
+}
+
+const openDatabase = () =>
+  new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'))
+      return
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      const sessions = db.createObjectStore(SESSIONS, { keyPath: 'timestamp' })
+      sessions.createIndex('mode', 'mode')
+      sessions.createIndex('paragraphIndex', 'paragraphIndex')
+      db.createObjectStore(RACES, { keyPath: 'timestamp' })
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  }).then(migrateLegacy)
+
+// The open database, or null to use the localStorage fallback
+let database = null
+const getDatabase = () => {
+  if (!database) {
+    database = openDatabase().catch((e) => {
+      console.warn('IndexedDB unavailable, using localStorage:', e)
+      return null
+    })
+  }
+  return database
+}
+
+// Replace every entry of a store
+const replaceAll = async (storeName, entries) => {
+  const db = await getDatabase()
+  if (!db) {
+    writeLegacy(storeName, entries)
+    return
+  }
+  try {
+    await run(db, storeName, 'readwrite', (store) => {
+      store.clear()
+      entries.forEach((entry) => store.put(normalize(storeName, entry)))
+    })
+  } catch (e) {
+    console.warn('Failed to save to IndexedDB:', e)
+  }
+}
+
+// ============ SESSIONS ============
+
+const inRange = (timestamp, from, to) =>
+  (from == null || timestamp >= from) && (to == null || timestamp <= to)
+
+// Stored sessions, oldest first. Optionally only one `mode` or
+// `paragraphIndex`, and/or those between the timestamps `from` and `to`
+// (inclusive) - each answered from an index.
+export const loadSessions = async ({ mode, paragraphIndex, from, to } = {}) => {
+  const db = await getDatabase()
+  let entries
+  if (!db) {
+    entries = readLegacy(SESSIONS).filter(
+      (entry) =>
+        (mode === undefined || getEntryMode(entry) === mode) &&
+        (paragraphIndex === undefined || entry.paragraphIndex === paragraphIndex)
+    )
+  } else if (mode !== undefined || paragraphIndex !== undefined) {
+    const [index, key] = mode !== undefined
+      ? ['mode', mode]
+      : ['paragraphIndex', paragraphIndex]
+    entries = await run(db, SESSIONS, 'readonly', (store) => store.index(index).getAll(key))
+    if (mode !== undefined && paragraphIndex !== undefined) {
+      entries = entries.filter((entry) => entry.paragraphIndex === paragraphIndex)
+    }
+  } else {
+    const range = from != null || to != null
+      ? IDBKeyRange.bound(from ?? -Infinity, to ?? Infinity)
+      : null
+    entries = await run(db, SESSIONS, 'readonly', (store) => store.getAll(range))
+  }
+  return entries
+    .filter((entry) => inRange(entry.timestamp, from, to))
+    .sort((a, b) => a.timestamp - b.timestamp)
+}
+
+// Add a session, or replace the stored one with the same timestamp
+export const putSession = async (entry) => {
+  const db = await getDatabase()
+  if (!db) {
+    const others = readLegacy(SESSIONS).filter((e) => e.timestamp !== entry.timestamp)
+    writeLegacy(SESSIONS, [...others, entry].sort((a, b) => a.timestamp - b.timestamp))
+    return
+  }
+  try {
+    await run(db, SESSIONS, 'readwrite', (store) => store.put(normalize(SESSIONS, entry)))
+  } catch (e) {
+    console.warn('Failed to save to IndexedDB:', e)
+  }
+}
+
+// Add or replace several sessions at once, leaving the others stored
+export const putSessions = async (entries) => {
+  const db = await getDatabase()
+  if (!db) {
+    writeLegacy(SESSIONS, mergeByTimestamp(entries, readLegacy(SESSIONS)))
+    return
+  }
+  try {
+    await run(db, SESSIONS, 'readwrite', (store) => {
+      entries.forEach((entry) => store.put(normalize(SESSIONS, entry)))
+    })
+  } catch (e) {
+    console.warn('Failed to save to IndexedDB:', e)
+  }
+}
+
+export const replaceSessions = (entries) => replaceAll(SESSIONS, entries)
+
+// Sessions of `entries` plus those of `others` with a timestamp not among
+// them, oldest first
+export const mergeByTimestamp = (entries, others) => {
+  const seen = new Set(entries.map((entry) => entry.timestamp))
+  return [...entries, ...others.filter((entry) => !seen.has(entry.timestamp))]
+    .sort((a, b) => a.timestamp - b.timestamp)
+}
+
+// ============ RACES ============
+
+// Races kept, newest first; older ones are dropped as new ones come in
+export const MAX_RACES = 50
+
+// Stored races, newest first
+export const loadRaces = async () => {
+  const db = await getDatabase()
+  const races = db
+    ? await run(db, RACES, 'readonly', (store) => store.getAll())
+    : readLegacy(RACES)
+  return [...races].sort((a, b) => b.timestamp - a.timestamp)
+}
+
+export const replaceRaces = (races) => replaceAll(RACES, races)
+
+// Add a race and drop the oldest beyond MAX_RACES, leaving the rest of the
+// stored races as they are
+export const putRace = async (race) => {
+  const db = await getDatabase()
+  if (!db) {
+    const others = readLegacy(RACES).filter((r) => r.timestamp !== race.timestamp)
+    writeLegacy(
+      RACES,
+      [race, ...others].sort((a, b) => b.timestamp - a.timestamp).slice(0, MAX_RACES)
+    )
+    return
+  }
+  try {
+    await run(db, RACES, 'readwrite', (store) => {
+      store.put(race)
+      // Keys come back oldest first
+      const keys = store.getAllKeys()
+      keys.onsuccess = () => {
+        keys.result.slice(0, -MAX_RACES).forEach((key) => store.delete(key))
+      }
+    })
+  } catch (e) {
+    console.warn('Failed to save to IndexedDB:', e)
+  }
+}
@@ -45,6 +45,8 @@ export async function submitSession(sessionData) {
       user_id: userId,
       sentence_id: sessionData.sentenceId,
       keystrokes: sessionData.keystrokes,
+      layout: sessionData.layout || 'qwerty',
+      language: sessionData.language || 'en',
     }])
     .select()
 
@@ -62,13 +64,19 @@ export async function submitSession(sessionData) {
 // ============================================================
 
 /**
- * Get session stats (global averages)
+ * Get session stats (global averages), for one language if given
  */
-export async function getSessionStats() {
-  const { data, error } = await supabase
-    .from('session_stats')
-    .select('*')
-    .single()
+export async function getSessionStats(language = null) {
+  const { data, error } = language
+    ? await supabase
+        .from('language_stats_view')
+        .select('*')
+        .eq('language', language)
+        .maybeSingle()
+    : await supabase
+        .from('session_stats')
+        .select('*')
+        .single()
 
   if (error) {
     console.error('Error fetching session stats:', error)
@@ -78,12 +86,14 @@ export async function getSessionStats() {
 }
 
 /**
- * Get bigram stats
+ * Get bigram stats, for one language if given
  */
-export async function getBigramStats(limit = 100) {
-  const { data, error } = await supabase
-    .from('bigram_stats_view')
+export async function getBigramStats(limit = 100, language = null) {
+  let query = supabase
+    .from(language ? 'language_bigram_stats_view' : 'bigram_stats_view')
     .select('*')
+  if (language) query = query.eq('language', language)
+  const { data, error } = await query
     .order('total_occurrences', { ascending: false })
     .limit(limit)
 
@@ -266,20 +276,34 @@ export async function cleanupOldSessions(daysToKeep = 30) {
 }
 
 /**
- * Get global histograms for all metrics
- * Returns histogram data that can be displayed in the UI
+ * Get global histograms for all metrics, for one language if given
+ * Returns histogram data that can be displayed in the UI. Metrics the
+ * language has no histogram for come from every language's sessions.
  */
-export async function getGlobalHistograms() {
-  const { data, error } = await supabase
-    .from('global_histograms_view')
-    .select('*')
+export async function getGlobalHistograms(language = null) {
+  const [global, perLanguage] = await Promise.all([
+    supabase.from('global_histograms_view').select('*'),
+    language
+      ? supabase.from('language_histograms_view').select('*').eq('language', language)
+      : { data: [] },
+  ])
+  const error = global.error || perLanguage.error
 
   if (error) {
     console.error('Error fetching global histograms:', error)
     return null
   }
 
-  if (!data || data.length === 0) return null
+  // The language's sessions only where it has any
+  if (language && (!perLanguage.data || perLanguage.data.length === 0)) return null
+  const byMetric = {}
+  const rows = [...(global.data || []), ...perLanguage.data]
+  rows.forEach(row => {
+    byMetric[row.metric] = row
+  })
+  const data = Object.values(byMetric)
+
+  if (data.length === 0) return null
 
   // Convert to object keyed by metric name
   const histograms = {}
@@ -0,0 +1,85 @@
+// Session tags and notes
+//
+// History entries can carry free-form `tags` (an array of strings) and a
+// `note`, added after the fact in the history detail view. Tags label
+// experiments - a new keyboard, another switch type, after coffee - so
+// sessions can be grouped and compared. A tag written as 'group:value'
+// (keyboard:mx-brown, keyboard:gateron-yellow) belongs to a group, and a
+// group's tags are compared with each other by default.
+
+import { calculateCumulativeStats } from './analytics.js'
+
+export const MAX_TAG_LENGTH = 40
+export const MAX_TAGS = 12
+export const MAX_NOTE_LENGTH = 2000
+
+// Canonical form of a tag: lowercase, no surrounding whitespace, inner
+// whitespace as dashes. Empty for input with nothing to keep.
+export const normalizeTag = (text) =>
+  text
+    .trim()
+    .toLowerCase()
+    .replace(/\s*:\s*/g, ':')
+    .replace(/\s+/g, '-')
+    .slice(0, MAX_TAG_LENGTH)
+
+// Tags typed into a field, separated by commas
+export const parseTags = (text) =>
+  [...new Set(text.split(',').map(normalizeTag).filter(Boolean))]
+
+export const getEntryTags = (entry) => entry?.tags ?? []
+
+// The group of a 'group:value' tag, null for plain tags
+export const getTagGroup = (tag) => {
+  const colon = tag.indexOf(':')
+  return colon > 0 ? tag.slice(0, colon) : null
+}
+
+// Copy of an entry with new tags and note. Empty ones are dropped, so
+// untagged entries keep their original shape.
+export const updateEntryNotes = (entry, { tags, note }) => {
+  const { tags: _tags, note: _note, ...rest } = entry
+  const nextTags = [...new Set(tags.map(normalizeTag).filter(Boolean))].slice(0, MAX_TAGS)
+  const nextNote = note.trim().slice(0, MAX_NOTE_LENGTH)
+  return {
+    ...rest,
+    ...(nextTags.length > 0 && { tags: nextTags }),
+    ...(nextNote && { note: nextNote }),
+  }
+}
+
+// Every tag used in history with how many sessions carry it, most used first
+export const getTagCounts = (history) => {
+  const counts = {}
+  history.forEach((entry) => {
+    getEntryTags(entry).forEach((tag) => {
+      counts[tag] = (counts[tag] || 0) + 1
+    })
+  })
+  return Object.entries(counts)
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+}
+
+// Tag groups used in history, each with its tags, biggest group first
+export const getTagGroups = (history) => {
+  const groups = {}
+  getTagCounts(history).forEach(({ tag, count }) => {
+    const group = getTagGroup(tag)
+    if (!group) return
+    if (!groups[group]) groups[group] = { group, tags: [], count: 0 }
+    groups[group].tags.push(tag)
+    groups[group].count += count
+  })
+  return Object.values(groups).sort((a, b) => b.count - a.count)
+}
+
+// All-time stats of the sessions carrying each tag, side by side. Tags no
+// session carries are left out.
+export const compareTags = (history, tags) =>
+  tags
+    .map((tag) => {
+      const sessions = history.filter((entry) => getEntryTags(entry).includes(tag))
+      return { tag, sessions: sessions.length, stats: calculateCumulativeStats(sessions) }
+    })
+    .filter((group) => group.stats)
@@ -25,7 +25,10 @@ import {
   getGlobalBehavioralAverages,
 } from './supabase'
 
-export function useGlobalStats() {
+// Session averages, bigrams and histograms are for the given prompt
+// language (histograms of metrics it has none for pool every language);
+// the other stats pool every language
+export function useGlobalStats(language = 'en') {
   const [globalAverages, setGlobalAverages] = useState(null)
   const [globalHistograms, setGlobalHistograms] = useState(null)
   const [behavioralAverages, setBehavioralAverages] = useState(null)
@@ -73,13 +76,13 @@ export function useGlobalStats() {
         timePatts,
         globalBehavioralAvgs,
       ] = await Promise.all([
-        getSessionStats(),
-        getBigramStats(200),
+        getSessionStats(language),
+        getBigramStats(200, language),
         getFingerStats(),
         getFingerTransitionStats(100),
         getBehavioralStats(),
         getKeyStats(),
-        getGlobalHistograms(),
+        getGlobalHistograms(language),
         // New fetches
         getCharacterBreakdown(),
         getLifetimeStats(),
@@ -125,15 +128,19 @@ export function useGlobalStats() {
             globalBehavioralAvgs?.homeRowAdvantage?.avg || 0,
         })
         setSessionCount(stats.total_sessions || 0)
+      } else {
+        // No sessions in this language yet
+        setGlobalAverages(null)
+        setSessionCount(0)
       }
 
       // Set global histograms
-      if (histograms) {
-        setGlobalHistograms(histograms)
-      }
+      setGlobalHistograms(histograms || null)
 
       // Convert bigram stats array to object for easy lookup
-      if (bigrams && bigrams.length > 0) {
+      if (!bigrams || bigrams.length === 0) {
+        setBigramAverages(null)
+      } else {
         const bigramObj = {}
         bigrams.forEach(stat => {
           bigramObj[stat.bigram] = {
@@ -319,7 +326,7 @@ export function useGlobalStats() {
     } finally {
       setLoading(false)
     }
-  }, [])
+  }, [language])
 
   useEffect(() => {
     fetchStats()
@@ -330,6 +337,8 @@ export function useGlobalStats() {
     const result = await submitSession({
       sentenceId: stats.sentenceId,
       keystrokes: stats.keystrokes,
+      layout: stats.layout,
+      language: stats.language,
     })
     
     if (result) {
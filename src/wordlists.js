@@ -0,0 +1,56 @@
+// Frequency-ranked word lists for word-count tests
+//
+// wordlists.json holds the most common English words, most frequent first
+// (Google's 10,000 word list via the MIT licensed most-common-words-by-language
+// package, without single letters other than "a"/"i" and adult spam terms).
+// Each list is a prefix of that ranking.
+//
+// Tests are generated from a seed, so a stored list id, word count and seed
+// reproduce the exact same words.
+
+import wordlists from './wordlists.json'
+
+const RANKED_WORDS = wordlists.english
+
+export const WORD_LISTS = [
+  { id: 'top-200', name: 'top 200', size: 200 },
+  { id: 'top-1k', name: 'top 1k', size: 1000 },
+  { id: 'top-10k', name: 'top 10k', size: RANKED_WORDS.length },
+]
+
+export const DEFAULT_WORD_LIST = 'top-200'
+
+export const getWordList = (id) =>
+  WORD_LISTS.find((list) => list.id === id) ||
+  WORD_LISTS.find((list) => list.id === DEFAULT_WORD_LIST)
+
+// Words of a list, most frequent first
+export const getListWords = (id) => RANKED_WORDS.slice(0, getWordList(id).size)
+
+// Fresh 32-bit seed for a new test
+export const createSeed = () => Math.floor(Math.random() * 2 ** 32)
+
+// mulberry32 - small, fast and identical in every browser
+export const seededRandom = (seed) => {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// `count` random words from a list, joined by spaces. The same list, count
+// and seed always give the same text. A word never directly repeats itself.
+export const buildWordTest = (listId, count, seed) => {
+  const words = getListWords(listId)
+  const random = seededRandom(seed)
+  const picked = []
+  while (picked.length < count) {
+    const word = words[Math.floor(random() * words.length)]
+    if (word !== picked[picked.length - 1]) picked.push(word)
+  }
+  return picked.join(' ')
+}